@@ -0,0 +1,452 @@
+const mongoose = require("mongoose");
+const Account = require("../Schema/AccountModel");
+const Contact = require("../Schema/ContactModel");
+const Entry = require("../Schema/DataModel");
+const { isAdminUser, buildOwnershipCondition, addAndCondition } = require("../utils/leadAccess");
+const { sanitizePhone } = require("../utils/phone");
+const {
+  normalizeOrganization,
+  syncCallLinks,
+  migrateEntriesToAccounts,
+  getAccountRollup,
+} = require("../services/accountService");
+
+/**
+ * Account Controller
+ * Organizations with their contacts, linked entries and roll-ups
+ * Accounts are shared by the team; entry and call numbers follow the usual lead visibility
+ */
+
+/**
+ * Helper: Pick allowed account fields from a request body
+ */
+function pickAccountData(body) {
+  const data = {};
+  ["name", "address", "city", "state", "gstNumber", "industry"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field] === null ? "" : String(body[field]).trim();
+  });
+  if (data.name !== undefined) data.normalizedName = normalizeOrganization(data.name);
+  return data;
+}
+
+/**
+ * Helper: Pick allowed contact fields from a request body
+ */
+function pickContactData(body) {
+  const data = {};
+  ["name", "designation", "email"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field] === null ? "" : String(body[field]).trim();
+  });
+  ["mobileNumber", "AlterNumber"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = sanitizePhone(body[field]);
+  });
+  if (body.isPrimary !== undefined) data.isPrimary = Boolean(body.isPrimary);
+  return data;
+}
+
+/**
+ * Helper: Respond with the validation error of an account or contact save
+ * @returns {boolean} - Whether a response was sent
+ */
+function handleSaveError(error, res) {
+  if (error.name === "ValidationError") {
+    res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map((err) => err.message).join(", "),
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get accounts
+ * GET /api/accounts?search=&page=1&limit=20
+ */
+exports.getAccounts = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = {};
+    const search = normalizeOrganization(req.query.search);
+    if (search) {
+      filter.normalizedName = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") };
+    }
+
+    const [accounts, total] = await Promise.all([
+      Account.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Account.countDocuments(filter),
+    ]);
+
+    // Entry count per account (only entries the user can see)
+    const entryMatch = { account: { $in: accounts.map((account) => account._id) } };
+    if (!isAdminUser(req.user)) {
+      addAndCondition(entryMatch, buildOwnershipCondition(req.user.id));
+    }
+    const counts = await Entry.aggregate([
+      { $match: entryMatch },
+      { $group: { _id: "$account", count: { $sum: 1 } } },
+    ]);
+    const countByAccount = new Map(counts.map((item) => [item._id.toString(), item.count]));
+
+    res.status(200).json({
+      success: true,
+      data: accounts.map((account) => ({ ...account, entryCount: countByAccount.get(account._id.toString()) || 0 })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get accounts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch accounts",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an account with its contacts, recent entries and roll-up
+ * GET /api/accounts/:id
+ */
+exports.getAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid account ID" });
+    }
+
+    const account = await Account.findById(id).lean();
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Account not found" });
+    }
+
+    const entryFilter = { account: account._id };
+    if (!isAdminUser(req.user)) {
+      addAndCondition(entryFilter, buildOwnershipCondition(req.user.id));
+    }
+
+    const [contacts, entries, rollup] = await Promise.all([
+      Contact.find({ account: account._id }).sort({ isPrimary: -1, name: 1 }).lean(),
+      Entry.find(entryFilter)
+        .select("customerName contactName contact status closetype closeamount estimatedValue expectedCloseDate assignedTo createdBy updatedAt")
+        .populate("assignedTo", "username _id")
+        .populate("createdBy", "username _id")
+        .sort({ updatedAt: -1 })
+        .limit(20)
+        .lean(),
+      getAccountRollup(account._id, req.user),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { ...account, contacts, entries, rollup },
+    });
+  } catch (error) {
+    console.error("Get account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch account",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create an account
+ * POST /api/accounts
+ * Body: { name, address?, city?, state?, gstNumber?, industry? }
+ */
+exports.createAccount = async (req, res) => {
+  try {
+    const data = pickAccountData(req.body);
+    if (!data.normalizedName) {
+      return res.status(400).json({ success: false, message: "Account name is required" });
+    }
+
+    const existing = await Account.findOne({ normalizedName: data.normalizedName }).lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "ACCOUNT_EXISTS",
+        message: `An account named "${existing.name}" already exists.`,
+        data: existing,
+      });
+    }
+
+    const account = await Account.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      data: account,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Create account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create account",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update an account
+ * PUT /api/accounts/:id
+ */
+exports.updateAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid account ID" });
+    }
+
+    const account = await Account.findById(id);
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Account not found" });
+    }
+
+    const data = pickAccountData(req.body);
+    if (data.name !== undefined) {
+      if (!data.normalizedName) {
+        return res.status(400).json({ success: false, message: "Account name is required" });
+      }
+      const clash = await Account.findOne({ normalizedName: data.normalizedName, _id: { $ne: account._id } }).lean();
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          errorCode: "ACCOUNT_EXISTS",
+          message: `An account named "${clash.name}" already exists.`,
+        });
+      }
+    }
+
+    account.set(data);
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Account updated successfully",
+      data: account,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Update account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update account",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete an account and its contacts (only while no entry is linked to it)
+ * DELETE /api/accounts/:id
+ */
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid account ID" });
+    }
+
+    const linked = await Entry.countDocuments({ account: id }).setOptions({ withDeleted: true });
+    if (linked > 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "ACCOUNT_IN_USE",
+        message: `${linked} entries are linked to this account. Move them to another account first.`,
+      });
+    }
+
+    const account = await Account.findByIdAndDelete(id);
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Account not found" });
+    }
+    await Contact.deleteMany({ account: account._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Account deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete account",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a contact to an account
+ * POST /api/accounts/:id/contacts
+ * Body: { name, designation?, email?, mobileNumber?, AlterNumber?, isPrimary? }
+ */
+exports.createContact = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid account ID" });
+    }
+
+    const account = await Account.findById(id).lean();
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Account not found" });
+    }
+
+    const data = pickContactData(req.body);
+    if (!data.name && !data.mobileNumber && !data.email) {
+      return res.status(400).json({ success: false, message: "A contact needs a name, phone number or email" });
+    }
+
+    // The first contact of an account becomes its primary contact
+    const contactCount = await Contact.countDocuments({ account: account._id });
+    const isPrimary = data.isPrimary !== undefined ? data.isPrimary : contactCount === 0;
+    if (isPrimary) {
+      await Contact.updateMany({ account: account._id, isPrimary: true }, { $set: { isPrimary: false } });
+    }
+
+    const contact = await Contact.create({ ...data, isPrimary, account: account._id, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Contact added successfully",
+      data: contact,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Create contact error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add contact",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a contact
+ * PUT /api/accounts/:id/contacts/:contactId
+ */
+exports.updateContact = async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(contactId)) {
+      return res.status(400).json({ success: false, message: "Invalid account or contact ID" });
+    }
+
+    const contact = await Contact.findOne({ _id: contactId, account: id });
+    if (!contact) {
+      return res.status(404).json({ success: false, message: "Contact not found" });
+    }
+
+    const data = pickContactData(req.body);
+    if (data.isPrimary) {
+      await Contact.updateMany(
+        { account: contact.account, isPrimary: true, _id: { $ne: contact._id } },
+        { $set: { isPrimary: false } }
+      );
+    }
+
+    contact.set(data);
+    await contact.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Contact updated successfully",
+      data: contact,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Update contact error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update contact",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a contact (its entries and calls stay on the account)
+ * DELETE /api/accounts/:id/contacts/:contactId
+ */
+exports.deleteContact = async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(contactId)) {
+      return res.status(400).json({ success: false, message: "Invalid account or contact ID" });
+    }
+
+    const contact = await Contact.findOneAndDelete({ _id: contactId, account: id });
+    if (!contact) {
+      return res.status(404).json({ success: false, message: "Contact not found" });
+    }
+
+    const entryIds = await Entry.find({ contact: contact._id }).setOptions({ withDeleted: true }).distinct("_id");
+    if (entryIds.length > 0) {
+      await Entry.updateMany({ _id: { $in: entryIds } }, { $unset: { contact: "" } }).setOptions({ withDeleted: true });
+      await syncCallLinks(entryIds, { account: contact.account, contact: null });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Contact removed successfully",
+    });
+  } catch (error) {
+    console.error("Delete contact error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove contact",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Group entries without an account into accounts by their organization
+ * POST /api/accounts/migrate
+ * Body: { dryRun? } - a dry run only reports what would be created
+ */
+exports.migrateAccounts = async (req, res) => {
+  try {
+    const summary = await migrateEntriesToAccounts({
+      dryRun: req.body.dryRun === true || req.body.dryRun === "true",
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: summary.dryRun
+        ? `${summary.entriesLinked} entries would be grouped into ${summary.groups} accounts.`
+        : `${summary.entriesLinked} entries linked to ${summary.groups} accounts.`,
+      data: summary,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Account migration error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to migrate entries to accounts",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
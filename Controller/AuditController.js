@@ -0,0 +1,162 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const EntryAudit = require("../Schema/EntryAuditModel");
+const User = require("../Schema/Model");
+const { canAccessEntry, isAdminUser } = require("../utils/leadAccess");
+
+/**
+ * Audit Controller
+ * Field-level change history of entries
+ */
+
+/**
+ * Get the change log of one entry
+ * GET /api/entry/:id/audit?page=1&limit=20&field=&action=
+ */
+exports.getEntryAudit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { field, action } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "The entry ID provided is not valid.",
+      });
+    }
+
+    // Admins can also read the history of entries in the trash
+    const entry = await Entry.findById(id)
+      .select("createdBy assignedTo")
+      .setOptions({ withDeleted: isAdminUser(req.user) })
+      .lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find this entry.",
+      });
+    }
+
+    if (!canAccessEntry(entry, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to view the history of this entry.",
+      });
+    }
+
+    const filter = { entryId: entry._id };
+    if (field) filter["changes.field"] = field;
+    if (action) filter.action = action;
+
+    const [audits, total] = await Promise.all([
+      EntryAudit.find(filter)
+        .populate("changedBy", "username _id")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      EntryAudit.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: audits,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + audits.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get entry audit error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't retrieve the change history at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Search the audit trail across all entries (admin)
+ * GET /api/audit?entryId=&changedBy=&username=&field=&action=&source=&startDate=&endDate=&page=1&limit=50
+ */
+exports.searchAudit = async (req, res) => {
+  try {
+    const { entryId, changedBy, username, field, action, source, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (entryId) {
+      if (!mongoose.Types.ObjectId.isValid(entryId)) {
+        return res.status(400).json({ success: false, message: "The entry ID provided is not valid." });
+      }
+      filter.entryId = entryId;
+    }
+    if (changedBy) {
+      if (!mongoose.Types.ObjectId.isValid(changedBy)) {
+        return res.status(400).json({ success: false, message: "The user ID provided is not valid." });
+      }
+      filter.changedBy = changedBy;
+    } else if (username) {
+      const user = await User.findOne({ username }).select("_id").lean();
+      if (!user) {
+        return res.status(200).json({
+          success: true,
+          data: [],
+          pagination: { total: 0, page, limit, pages: 0, hasMore: false },
+        });
+      }
+      filter.changedBy = user._id;
+    }
+    if (field) filter["changes.field"] = field;
+    if (action) filter.action = action;
+    if (source) filter.source = source;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate + "T00:00:00");
+      if (endDate) filter.createdAt.$lte = new Date(endDate + "T23:59:59.999");
+    }
+
+    const [audits, total] = await Promise.all([
+      EntryAudit.find(filter)
+        .populate("changedBy", "username _id")
+        .populate({ path: "entryId", select: "customerName mobileNumber organization", options: { withDeleted: true } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      EntryAudit.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: audits,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + audits.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Search audit error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't search the audit trail at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
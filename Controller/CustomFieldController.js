@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const CustomField = require("../Schema/CustomFieldModel");
+const Entry = require("../Schema/DataModel");
+const { IMPORT_FIELDS } = require("../services/importService");
+const { EXPORT_COLUMNS } = require("../services/exportService");
+const { isAdminUser } = require("../utils/leadAccess");
+const {
+  invalidateCustomFieldCache,
+  keyFromLabel,
+  validateDefinition,
+} = require("../services/customFieldService");
+
+/**
+ * Custom Field Controller
+ * Admin management of custom lead fields
+ */
+
+/**
+ * Helper: Pick allowed definition fields from a request body
+ */
+function pickFieldData(body) {
+  const data = {};
+  ["label", "type", "required", "order", "isActive"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (body.options !== undefined) {
+    data.options = (Array.isArray(body.options) ? body.options : [body.options])
+      .map((option) => String(option).trim())
+      .filter(Boolean);
+  }
+  return data;
+}
+
+/**
+ * Helper: Labels double as import/export headers, so they must not clash with other columns
+ * @returns {Promise<string|null>} - Error message or null
+ */
+async function validateLabel(label, excludeId = null) {
+  const wanted = String(label || "").trim().toLowerCase();
+  if (!wanted) return "Field label is required";
+
+  const builtIn = [...IMPORT_FIELDS.map((field) => field.label), ...EXPORT_COLUMNS.map((column) => column.header)];
+  if (builtIn.some((header) => header.toLowerCase() === wanted)) {
+    return `"${label}" is already used by a standard lead column`;
+  }
+
+  const others = await CustomField.find(excludeId ? { _id: { $ne: excludeId } } : {}).select("label").lean();
+  if (others.some((field) => field.label.toLowerCase() === wanted)) {
+    return `A custom field labelled "${label}" already exists`;
+  }
+  return null;
+}
+
+/**
+ * Get custom field definitions
+ * GET /api/custom-fields?includeInactive=true (inactive fields are only listed for admins)
+ */
+exports.getCustomFields = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true" && isAdminUser(req.user);
+    const fields = await CustomField.find(includeInactive ? {} : { isActive: true })
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: fields,
+    });
+  } catch (error) {
+    console.error("Get custom fields error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch custom fields",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a custom field
+ * POST /api/custom-fields
+ * Body: { label, type, key?, options?, required?, order? }
+ */
+exports.createCustomField = async (req, res) => {
+  try {
+    const data = pickFieldData(req.body);
+    const key = req.body.key ? String(req.body.key).trim() : keyFromLabel(data.label);
+
+    const labelError = await validateLabel(data.label);
+    const definitionError = labelError || validateDefinition(data);
+    if (definitionError) {
+      return res.status(400).json({ success: false, message: definitionError });
+    }
+
+    const field = await CustomField.create({
+      ...data,
+      key,
+      createdBy: req.user.id,
+    });
+    invalidateCustomFieldCache();
+
+    res.status(201).json({
+      success: true,
+      message: "Custom field created successfully",
+      data: field,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid custom field",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "A custom field with this key already exists" });
+    }
+    console.error("Create custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create custom field",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a custom field
+ * PUT /api/custom-fields/:id
+ * The key never changes; the type can only change while no entry has a value for the field
+ */
+exports.updateCustomField = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid custom field ID" });
+    }
+
+    const field = await CustomField.findById(id);
+    if (!field) {
+      return res.status(404).json({ success: false, message: "Custom field not found" });
+    }
+
+    const data = pickFieldData(req.body);
+    if (data.label !== undefined) {
+      const labelError = await validateLabel(data.label, field._id);
+      if (labelError) {
+        return res.status(400).json({ success: false, message: labelError });
+      }
+    }
+
+    const definitionError = validateDefinition({
+      type: data.type || field.type,
+      options: data.options !== undefined ? data.options : field.options,
+    });
+    if (definitionError) {
+      return res.status(400).json({ success: false, message: definitionError });
+    }
+
+    if (data.type !== undefined && data.type !== field.type) {
+      const valueCount = await Entry.countDocuments({ [`customFields.${field.key}`]: { $exists: true } })
+        .setOptions({ withDeleted: true });
+      if (valueCount > 0) {
+        return res.status(409).json({
+          success: false,
+          errorCode: "FIELD_IN_USE",
+          message: `${valueCount} entries already have a value for this field, so its type cannot change.`,
+        });
+      }
+    }
+
+    field.set(data);
+    await field.save();
+    invalidateCustomFieldCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Custom field updated successfully",
+      data: field,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid custom field",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    console.error("Update custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update custom field",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Deactivate a custom field (stored values are kept and come back when it is re-activated)
+ * DELETE /api/custom-fields/:id
+ */
+exports.deleteCustomField = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid custom field ID" });
+    }
+
+    const field = await CustomField.findByIdAndUpdate(
+      id,
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!field) {
+      return res.status(404).json({ success: false, message: "Custom field not found" });
+    }
+    invalidateCustomFieldCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Custom field deactivated successfully",
+      data: field,
+    });
+  } catch (error) {
+    console.error("Delete custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete custom field",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -6,22 +6,42 @@ const mongoose = require("mongoose");
 const Entry = require("../Schema/DataModel");
 const User = require("../Schema/Model");
 const XLSX = require("xlsx");
-const { sendMail } = require("../utils/mailer");
+const { Transform, pipeline } = require("stream");
+const { Transform: CsvTransform } = require("json2csv");
+const { sendLeadEmail } = require("../services/leadEmailService");
 const { smartInvalidate } = require("../Middleware/CacheMiddleware");
-const { parse, format, isValid } = require("date-fns");
-
-/**
- * Sanitize phone number - extract last 10 digits
- * @param {string|number} phone - Phone number to sanitize
- * @returns {string} - Sanitized 10-digit phone number or empty string
- */
-const sanitizePhone = (phone) => {
-  if (!phone) return "";
-  const digits = String(phone).replace(/\D/g, ""); // Remove all non-digits
-  if (digits.length === 0) return "";
-  if (digits.length >= 10) return digits.slice(-10); // Take last 10 digits
-  return ""; // Invalid if less than 10 digits
-};
+const { format } = require("date-fns");
+const { getDuplicateMode, findDuplicates } = require("../services/duplicateService");
+const ScheduledCall = require("../Schema/ScheduledCallModel");
+const { canAccessEntry, isAdminUser, buildOwnershipCondition, addAndCondition } = require("../utils/leadAccess");
+const { buildLegacyMapping } = require("../services/importService");
+const { createImportJob } = require("../services/importJobService");
+const { saveUpload } = require("../utils/storage");
+const { sanitizePhone } = require("../utils/phone");
+const { resolveExportColumns, buildExportProjection, buildExportRow } = require("../services/exportService");
+const { trashEntries } = require("../services/trashService");
+const { diffEntry, recordAudit, recordAudits, recordCreates } = require("../services/auditService");
+const {
+  getEntryPipeline,
+  findStage,
+  getInitialStage,
+  isClosingStage,
+  validateStatusChange,
+  resolveCloseType,
+  getInitialStageNames,
+  getPipelinesOrDefault,
+} = require("../services/pipelineService");
+const { loadCustomFields, validateCustomFields } = require("../services/customFieldService");
+const { buildFilter, applyUserFilters } = require("../services/entryFilterService");
+const { parseSort, buildSort, encodeCursor, buildCursorCondition, buildProjection } = require("../services/entryListService");
+const { normalizeTags } = require("../utils/tags");
+const { parseForecastFields } = require("../services/forecastService");
+const { resolveEntryLinks, syncCallLinks } = require("../services/accountService");
+const Quotation = require("../Schema/QuotationModel");
+const { buildLineItems, calculateTotals, nextQuotationNumber, defaultValidUntil, sendQuotation } = require("../services/quotationService");
+const { loadApprovalConfig, getApprovalReasons, requestApproval } = require("../services/quotationApprovalService");
+const { createOrderForWonEntry } = require("../services/salesOrderService");
+const { buildSource } = require("../services/sourceService");
 
 /**
  * DataentryLogic - Create a single entry
@@ -42,9 +62,62 @@ const DataentryLogic = async (req, res) => {
       category,
       status,
       remarks,
-      estimatedValue,
+      pipeline: pipelineId,
+      closetype,
+      closeamount,
+      customFields,
+      tags,
+      account: accountId,
+      contact: contactId,
+      campaign,
     } = req.body;
 
+    // Custom field values are typed and required fields must be filled on create
+    const {
+      values: customValues,
+      errors: customErrors,
+    } = validateCustomFields(customFields, await loadCustomFields(), { requireAll: true });
+    // Deal value fields (estimated value, expected close date, probability)
+    const { values: forecastValues, errors: forecastErrors } = parseForecastFields(req.body);
+    if (customErrors.length > 0 || forecastErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some inputs are incorrect. Please check and try again.",
+        errors: [...forecastErrors, ...customErrors].map((err) => err.message),
+      });
+    }
+
+    // Status must be a stage of the entry's pipeline; new entries start in its first stage
+    if (pipelineId && !mongoose.Types.ObjectId.isValid(pipelineId)) {
+      return res.status(400).json({
+        success: false,
+        message: "The pipeline ID provided is not valid.",
+      });
+    }
+    const entryPipeline = await getEntryPipeline({ pipeline: pipelineId });
+    if (pipelineId && entryPipeline._id?.toString() !== pipelineId.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find the selected pipeline.",
+      });
+    }
+    const { stage, error: stageError } = status
+      ? validateStatusChange(entryPipeline, null, status)
+      : { stage: getInitialStage(entryPipeline), error: null };
+    if (stageError) {
+      return res.status(400).json({ success: false, errorCode: "INVALID_STATUS", message: stageError });
+    }
+    const { closetype: resolvedCloseType, error: closeError } = resolveCloseType(stage, closetype);
+    if (closeError) {
+      return res.status(400).json({ success: false, message: closeError });
+    }
+
+    // Account and contact (without an account, one named like the organization is linked)
+    const links = await resolveEntryLinks({ account: accountId, contact: contactId, organization });
+    if (links.error) {
+      return res.status(links.statusCode).json({ success: false, message: links.error });
+    }
+
     const newEntry = new Entry({
       customerName: customerName ? customerName.trim() : "",
       mobileNumber: sanitizePhone(mobileNumber),
@@ -55,24 +128,56 @@ const DataentryLogic = async (req, res) => {
       product: product ? product.trim() : "",
       state: state ? state.trim() : "",
       city: city ? city.trim() : "",
-      organization: organization ? organization.trim() : "",
+      organization: organization ? organization.trim() : links.account ? links.account.name : "",
+      ...(links.account && { account: links.account._id }),
+      ...(links.contact && { contact: links.contact._id }),
       category: category ? category.trim() : "",
       createdBy: req.user.id,
-      status: status || "Not Found",
+      assignedTo: req.user.id,
+      status: stage.name,
+      ...(pipelineId && { pipeline: entryPipeline._id }),
+      closetype: resolvedCloseType,
+      ...(resolvedCloseType && { closeamount: parseFloat(closeamount) || null }),
       remarks: remarks ? remarks.trim() : "",
-      estimatedValue: estimatedValue ? parseFloat(estimatedValue) || null : null,
+      ...forecastValues,
+      customFields: customValues,
+      tags: normalizeTags(tags),
+      source: buildSource("manual", { campaign }),
       history: status && remarks ? [{
-        status,
+        status: stage.name,
         remarks: remarks.trim(),
         timestamp: new Date(),
       }] : [],
     });
 
+    // Duplicate check on phone numbers and email
+    const duplicateMode = getDuplicateMode();
+    let duplicates = [];
+    if (duplicateMode !== "off") {
+      duplicates = await findDuplicates({
+        mobileNumber: newEntry.mobileNumber,
+        AlterNumber: newEntry.AlterNumber,
+        email: newEntry.email,
+      });
+      if (duplicates.length > 0 && duplicateMode === "block") {
+        return res.status(409).json({
+          success: false,
+          errorCode: "DUPLICATE_ENTRY",
+          message: "An entry with the same phone number or email already exists.",
+          duplicates,
+        });
+      }
+    }
+
     await newEntry.save();
+    await recordCreates([newEntry], { source: "manual", changedBy: req.user.id });
 
     // Populate createdBy to match fetch response structure
     // This ensures the response has the same shape as fetchEntries
-    await newEntry.populate('createdBy', 'username _id');
+    await newEntry.populate([
+      { path: 'createdBy', select: 'username _id' },
+      { path: 'assignedTo', select: 'username _id' },
+    ]);
 
     // REAL-TIME: No cache to invalidate - data is always fresh
     if (process.env.NODE_ENV === 'development') {
@@ -82,7 +187,10 @@ const DataentryLogic = async (req, res) => {
     res.status(201).json({
       success: true,
       data: newEntry,
-      message: "Entry created successfully.",
+      message: duplicates.length > 0
+        ? "Entry created successfully, but it looks like a duplicate of an existing entry."
+        : "Entry created successfully.",
+      ...(duplicates.length > 0 && { duplicates }),
     });
   } catch (error) {
     if (error.name === "ValidationError") {
@@ -103,173 +211,31 @@ const DataentryLogic = async (req, res) => {
 };
 
 /**
- * Build filter object from query parameters
+ * Normalize a lean entry for API responses (convert ObjectIds to strings)
+ * Unassigned legacy entries report their creator as owner
  */
-const buildFilter = (req, normalizedRole) => {
-  const filter = {};
-  const {
-    searchTerm,
-    selectedOrganization,
-    selectedStateA,
-    selectedCityA,
-    selectedCreatedBy,
-    startDate,
-    endDate,
-    status,
-    dashboardFilter,
-  } = req.query;
-
-  // DEBUG: Log the parameters being received
-  // Build filter for data queries - only log in development
-  if (process.env.NODE_ENV === 'development') {
-    console.log("🔍 buildFilter:", {
-      startDate,
-      endDate,
-      dashboardFilter,
-      searchTerm,
-      selectedOrganization,
-      selectedStateA,
-      selectedCityA,
-      selectedCreatedBy
-    });
-  }
-
-  // Role-based filtering
-  if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin") {
-    filter.createdBy = mongoose.Types.ObjectId.createFromHexString(req.user.id);
-  }
-
-  // Search filter (customer name, address, mobile number)
-  if (searchTerm) {
-    filter.$or = [
-      { customerName: { $regex: searchTerm, $options: "i" } },
-      { address: { $regex: searchTerm, $options: "i" } },
-      { mobileNumber: { $regex: searchTerm, $options: "i" } },
-    ];
-  }
-
-  // Organization filter
-  if (selectedOrganization) {
-    filter.organization = selectedOrganization;
-  }
-
-  // State filter
-  if (selectedStateA) {
-    filter.state = selectedStateA;
-  }
-
-  // City filter
-  if (selectedCityA) {
-    filter.city = selectedCityA;
-  }
-
-  // Created by filter
-  if (selectedCreatedBy) {
-    // Need to lookup user by username
-    // This will be handled in the query with populate
-  }
-
-  // Date range filter - CRITICAL FIX: Only filter by createdAt to prevent previous month entries
-  if (startDate || endDate) {
-    if (process.env.NODE_ENV === 'development') {
-      console.log("🔍 Date filter - Raw dates:", { startDate, endDate });
-    }
-
-    if (startDate && endDate) {
-      // TIMEZONE FIX: Parse dates as local dates, not UTC
-      const start = new Date(startDate + 'T00:00:00');
-      const end = new Date(endDate + 'T23:59:59.999');
-
-      if (process.env.NODE_ENV === 'development') {
-        console.log("🔍 Date filter - Converted dates:", {
-          start: start.toISOString(),
-          end: end.toISOString(),
-          startLocal: start.toLocaleString(),
-          endLocal: end.toLocaleString()
-        });
-      }
-
-      // CRITICAL: Use ONLY createdAt for date filtering to prevent unwanted entries
-      filter.createdAt = { $gte: start, $lte: end };
-
-      // IMPORTANT: Clear any existing $or conditions that might conflict with date range
-      // This prevents monthly filters from overriding the specific date range
-      if (filter.$or) {
-        if (process.env.NODE_ENV === 'development') {
-          console.log("🚨 WARNING: Clearing $or filter to prevent date range conflicts");
+const normalizeEntry = (entry) => {
+  const createdBy = {
+    _id: entry.createdBy?._id?.toString() || null,
+    username: entry.createdBy?.username || "Unknown",
+  };
+  return {
+    ...entry,
+    _id: entry._id.toString(),
+    createdBy,
+    assignedTo: entry.assignedTo
+      ? {
+          _id: entry.assignedTo._id?.toString() || null,
+          username: entry.assignedTo.username || "Unknown",
         }
-        delete filter.$or;
-      }
-
-    } else if (startDate) {
-      const start = new Date(startDate + 'T00:00:00');
-      if (process.env.NODE_ENV === 'development') {
-        console.log("🔍 Date filter - Start only:", { start: start.toISOString() });
-      }
-      filter.createdAt = { $gte: start };
-    } else if (endDate) {
-      const end = new Date(endDate + 'T23:59:59.999');
-      if (process.env.NODE_ENV === 'development') {
-        console.log("🔍 Date filter - End only:", { end: end.toISOString() });
-      }
-      filter.createdAt = { $lte: end };
-    }
-  }
-
-  // Status filter
-  if (status) {
-    filter.status = status;
-  }
-
-  // Dashboard filter (leads, results, monthly, etc.)
-  if (dashboardFilter === "leads") {
-    filter.status = "Not Found";
-  } else if (dashboardFilter === "monthly") {
-    // CRITICAL FIX: Only apply monthly filter if no specific date range is provided
-    // When user selects specific dates, NEVER apply monthly filter to prevent date conflicts
-    if (!startDate && !endDate) {
-      const now = new Date();
-      const currentMonth = now.getMonth();
-      const currentYear = now.getFullYear();
-      filter.$or = [
-        {
-          $expr: {
-            $and: [
-              { $eq: [{ $month: "$createdAt" }, currentMonth + 1] },
-              { $eq: [{ $year: "$createdAt" }, currentYear] },
-            ],
-          },
-        },
-        {
-          $expr: {
-            $and: [
-              { $eq: [{ $month: "$updatedAt" }, currentMonth + 1] },
-              { $eq: [{ $year: "$updatedAt" }, currentYear] },
-            ],
-          },
-        },
-      ];
-    }
-    // IMPORTANT: If date range is provided, monthly filter is completely ignored
-    // This prevents the $or condition from overriding the specific date range filter
-  } else if (dashboardFilter === "Closed Won") {
-    filter.closetype = "Closed Won";
-  } else if (dashboardFilter === "Closed Lost") {
-    filter.closetype = "Closed Lost";
-  } else if (dashboardFilter && dashboardFilter !== "total" && dashboardFilter !== "results") {
-    filter.status = dashboardFilter;
-  }
-
-  // DEBUG: Log the final filter (only in development)
-  if (process.env.NODE_ENV === 'development') {
-    console.log("🔍 Final filter:", JSON.stringify(filter, null, 2));
-  }
-
-  return filter;
+      : createdBy,
+  };
 };
 
 /**
  * fetchEntries - Fetch entries with pagination and filters
+ * Page with ?page=&limit= or pass the nextCursor of the previous response as ?cursor=
+ * Sort with ?sortBy=&sortOrder=asc|desc, trim the payload with ?fields=
  */
 const fetchEntries = async (req, res) => {
   try {
@@ -287,10 +253,15 @@ const fetchEntries = async (req, res) => {
       });
     }
 
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
+    // Pagination parameters (a cursor replaces page/skip and stays stable while new leads arrive)
+    const { cursor } = req.query;
+    const page = cursor ? null : parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
+    const skip = cursor ? 0 : (page - 1) * limit;
+
+    // Sort and projection options
+    const sort = parseSort(req.query);
+    const projection = buildProjection(req.query.fields, sort);
 
     // REAL-TIME: No caching for entries to ensure filters and pagination work correctly
     if (process.env.NODE_ENV === 'development') {
@@ -298,42 +269,31 @@ const fetchEntries = async (req, res) => {
     }
 
     // Build filter from query parameters
-    let filter = buildFilter(req, normalizedRole);
-
-    // Handle createdBy filter (username lookup)
-    let createdByUserId = null;
-    if (req.query.selectedCreatedBy && (normalizedRole === "Admin" || normalizedRole === "Superadmin")) {
-      const User = require("../Schema/Model");
-      const user = await User.findOne({ username: req.query.selectedCreatedBy }).lean();
-      if (user) {
-        createdByUserId = user._id;
-        filter.createdBy = createdByUserId;
-      }
-    }
+    let filter = await buildFilter(req, normalizedRole);
 
-    // Sort options
-    const sortOptions = { createdAt: -1 };
+    // Handle createdBy / assignedTo filters (username lookup)
+    await applyUserFilters(req, filter, normalizedRole);
 
-    // Execute query with pagination
-    const [entries, total] = await Promise.all([
-      Entry.find(filter)
+    // Entries after the cursor (the total still counts every matching entry)
+    const pageFilter = cursor ? { $and: [filter, buildCursorCondition(sort, cursor)] } : filter;
+
+    // Execute query with pagination (one extra entry tells whether there is a next page)
+    const [found, total] = await Promise.all([
+      Entry.find(pageFilter)
+        .select(projection)
         .populate("createdBy", "username _id")
-        .sort(sortOptions)
+        .populate("assignedTo", "username _id")
+        .sort(buildSort(sort))
         .skip(skip)
-        .limit(limit)
+        .limit(limit + 1)
         .lean(),
       Entry.countDocuments(filter),
     ]);
+    const hasMore = found.length > limit;
+    const entries = found.slice(0, limit);
 
     // Normalize entries (convert ObjectIds to strings)
-    const normalizedEntries = entries.map((entry) => ({
-      ...entry,
-      _id: entry._id.toString(),
-      createdBy: {
-        _id: entry.createdBy?._id?.toString() || null,
-        username: entry.createdBy?.username || "Unknown",
-      },
-    }));
+    const normalizedEntries = entries.map(normalizeEntry);
 
     if (process.env.NODE_ENV === 'development') {
       console.log("📊 REAL-TIME: Fetched entries:", normalizedEntries.length, "of", total);
@@ -347,7 +307,10 @@ const fetchEntries = async (req, res) => {
         page,
         limit,
         pages: Math.ceil(total / limit),
-        hasMore: skip + entries.length < total,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], sort) : null,
+        sortBy: sort.field,
+        sortOrder: sort.direction === 1 ? "asc" : "desc",
       },
     };
 
@@ -358,6 +321,10 @@ const fetchEntries = async (req, res) => {
 
     res.status(200).json(result);
   } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error fetching entries:", error.message);
     res.status(500).json({
       success: false,
@@ -389,7 +356,12 @@ const editEntry = async (req, res) => {
       remarks,
       closetype,
       closeamount,
-      estimatedValue,
+      pipeline: pipelineId,
+      customFields,
+      tags,
+      account: accountId,
+      contact: contactId,
+      campaign,
     } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -399,6 +371,13 @@ const editEntry = async (req, res) => {
       });
     }
 
+    if (pipelineId && !mongoose.Types.ObjectId.isValid(pipelineId)) {
+      return res.status(400).json({
+        success: false,
+        message: "The pipeline ID provided is not valid.",
+      });
+    }
+
     const entry = await Entry.findById(req.params.id);
     if (!entry) {
       return res.status(404).json({
@@ -407,14 +386,69 @@ const editEntry = async (req, res) => {
       });
     }
 
-    const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
-    if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin" && entry.createdBy.toString() !== req.user.id) {
+    if (!canAccessEntry(entry, req.user)) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to update this entry.",
       });
     }
 
+    // Status changes must follow the stages and transitions of the entry's pipeline;
+    // moving to another pipeline only requires the status to exist there
+    const pipelineChanged = Boolean(pipelineId) && pipelineId.toString() !== entry.pipeline?.toString();
+    const entryPipeline = await getEntryPipeline(pipelineChanged ? { pipeline: pipelineId } : entry);
+    if (pipelineChanged && entryPipeline._id?.toString() !== pipelineId.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find the selected pipeline.",
+      });
+    }
+    let stage = null;
+    if (status !== undefined || pipelineChanged) {
+      const result = validateStatusChange(
+        entryPipeline,
+        pipelineChanged ? null : entry.status,
+        status !== undefined ? status : entry.status
+      );
+      if (result.error) {
+        return res.status(400).json({ success: false, errorCode: "INVALID_STATUS", message: result.error });
+      }
+      stage = result.stage;
+    } else {
+      stage = findStage(entryPipeline, entry.status) || null;
+    }
+
+    // Only the custom fields sent are changed; blank values clear them
+    const {
+      values: customValues,
+      cleared: clearedCustomFields,
+      errors: customErrors,
+    } = validateCustomFields(customFields, await loadCustomFields());
+    // Deal value fields sent are changed; blank values clear them
+    const { values: forecastValues, errors: forecastErrors } = parseForecastFields(req.body);
+    if (customErrors.length > 0 || forecastErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some fields contain invalid data.",
+        errors: [...forecastErrors, ...customErrors].map((err) => err.message),
+      });
+    }
+
+    // Account/contact changes; an empty account unlinks both
+    let linkData = {};
+    if (accountId !== undefined || contactId !== undefined) {
+      const wantedAccount = accountId !== undefined ? accountId : entry.account?.toString();
+      if (!wantedAccount && !contactId) {
+        linkData = { account: null, contact: null };
+      } else {
+        const links = await resolveEntryLinks({ account: wantedAccount, contact: contactId || null });
+        if (links.error) {
+          return res.status(links.statusCode).json({ success: false, message: links.error });
+        }
+        linkData = { account: links.account ? links.account._id : null, contact: links.contact ? links.contact._id : null };
+      }
+    }
+
     const updateData = {
       ...(customerName !== undefined && { customerName: customerName.trim() || entry.customerName }),
       ...(contactName !== undefined && { contactName: contactName.trim() || entry.contactName }),
@@ -427,42 +461,105 @@ const editEntry = async (req, res) => {
       ...(product !== undefined && { product: product.trim() || entry.product }),
       ...(organization !== undefined && { organization: organization.trim() || entry.organization }),
       ...(category !== undefined && { category: category.trim() || entry.category }),
-      ...(status !== undefined && { status }),
+      ...((status !== undefined || pipelineChanged) && { status: stage.name }),
+      ...(pipelineChanged && { pipeline: entryPipeline._id }),
       ...(remarks !== undefined && { remarks: remarks ? remarks.trim() : "" }),
-      ...(estimatedValue !== undefined && { estimatedValue: parseFloat(estimatedValue) || null }),
+      ...forecastValues,
+      ...linkData,
+      ...(tags !== undefined && { tags: normalizeTags(tags) }),
+      ...(campaign !== undefined && { "source.campaign": campaign ? String(campaign).trim() : "" }),
+      ...Object.fromEntries(Object.entries(customValues).map(([key, value]) => [`customFields.${key}`, value])),
       updatedAt: new Date(),
     };
+    if (clearedCustomFields.length > 0) {
+      updateData.$unset = Object.fromEntries(clearedCustomFields.map((key) => [`customFields.${key}`, ""]));
+    }
 
     // Track update in history
     const hasUpdates = Object.keys(updateData).length > 1;
     if (hasUpdates) {
       updateData.$push = {
         history: {
-          status: status !== undefined ? status : entry.status,
+          status: stage ? stage.name : entry.status,
           remarks: remarks !== undefined ? remarks.trim() : "",
           timestamp: new Date(),
         },
       };
     }
 
-    if (status === "Closed") {
-      if (!closetype || !["Closed Won", "Closed Lost"].includes(closetype.trim())) {
+    if (isClosingStage(stage)) {
+      // The close type comes from the stage; generic closing stages keep the current one unless a new one is sent
+      const { closetype: resolvedCloseType, error: closeError } = resolveCloseType(
+        stage,
+        closetype !== undefined ? closetype : entry.closetype
+      );
+      if (closeError) {
         return res.status(400).json({
           success: false,
-          message: "When closing an entry, please specify if it is 'Closed Won' or 'Closed Lost'.",
+          message: closeError,
         });
       }
-      updateData.closetype = closetype.trim();
-      updateData.closeamount = parseFloat(closeamount) || null;
+      updateData.closetype = resolvedCloseType;
+      updateData.closeamount = closeamount !== undefined ? parseFloat(closeamount) || null : entry.closeamount ?? null;
     } else {
       updateData.closetype = "";
       updateData.closeamount = null;
     }
 
+    // Duplicate check only when a phone number or email actually changes
+    const duplicateMode = getDuplicateMode();
+    let duplicates = [];
+    const identityChanged = ["mobileNumber", "AlterNumber", "email"].some(
+      (field) => updateData[field] !== undefined && updateData[field] !== entry[field]
+    );
+    if (duplicateMode !== "off" && identityChanged) {
+      duplicates = await findDuplicates(
+        {
+          mobileNumber: updateData.mobileNumber !== undefined ? updateData.mobileNumber : entry.mobileNumber,
+          AlterNumber: updateData.AlterNumber !== undefined ? updateData.AlterNumber : entry.AlterNumber,
+          email: updateData.email !== undefined ? updateData.email : entry.email,
+        },
+        { excludeId: entry._id }
+      );
+      if (duplicates.length > 0 && duplicateMode === "block") {
+        return res.status(409).json({
+          success: false,
+          errorCode: "DUPLICATE_ENTRY",
+          message: "Another entry with the same phone number or email already exists.",
+          duplicates,
+        });
+      }
+    }
+
     const updatedEntry = await Entry.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
       runValidators: true,
-    }).populate('createdBy', 'username _id').lean();
+    })
+      .populate('createdBy', 'username _id')
+      .populate('assignedTo', 'username _id')
+      .lean();
+
+    // Calls follow the entry to its new account/contact
+    if (
+      Object.keys(linkData).length > 0 &&
+      (String(linkData.account) !== String(entry.account || null) || String(linkData.contact) !== String(entry.contact || null))
+    ) {
+      await syncCallLinks([entry._id], linkData);
+    }
+
+    await recordAudit({
+      entryId: entry._id,
+      action: "update",
+      source: "manual",
+      changedBy: req.user.id,
+      changes: diffEntry(entry, updatedEntry),
+    });
+
+    // A newly won deal becomes a sales order (from its accepted quotation, else its close amount)
+    const salesOrder =
+      updatedEntry.closetype === "Closed Won" && entry.closetype !== "Closed Won"
+        ? await createOrderForWonEntry(updatedEntry, req.user.id)
+        : null;
 
     // REAL-TIME: No cache to invalidate - data is always fresh
     if (process.env.NODE_ENV === 'development') {
@@ -473,6 +570,8 @@ const editEntry = async (req, res) => {
       success: true,
       data: updatedEntry,
       message: "Entry updated successfully.",
+      ...(duplicates.length > 0 && { duplicates }),
+      ...(salesOrder && { salesOrder: { _id: salesOrder._id, orderNumber: salesOrder.orderNumber } }),
     });
   } catch (error) {
     if (error.name === "ValidationError") {
@@ -493,7 +592,7 @@ const editEntry = async (req, res) => {
 };
 
 /**
- * DeleteData - Delete an entry
+ * DeleteData - Move an entry to the trash (soft delete)
  */
 const DeleteData = async (req, res) => {
   try {
@@ -512,26 +611,24 @@ const DeleteData = async (req, res) => {
       });
     }
 
-    const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
-    if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin") {
-      if (!entry.createdBy || entry.createdBy.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: "You do not have permission to delete this entry.",
-        });
-      }
+    if (!canAccessEntry(entry, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to delete this entry.",
+      });
     }
 
-    await Entry.findByIdAndDelete(req.params.id);
+    // Soft delete: the entry moves to the trash and its open scheduled calls are cancelled
+    await trashEntries([entry._id], req.user.id);
 
     // REAL-TIME: No cache to invalidate - data is always fresh
     if (process.env.NODE_ENV === 'development') {
-      console.log("🔄 REAL-TIME: Entry deleted - no cache invalidation needed");
+      console.log("🔄 REAL-TIME: Entry moved to trash - no cache invalidation needed");
     }
 
     res.status(200).json({
       success: true,
-      message: "Entry has been deleted successfully.",
+      message: "Entry has been moved to the trash.",
     });
   } catch (error) {
     console.error("Error deleting entry:", error.message);
@@ -544,121 +641,225 @@ const DeleteData = async (req, res) => {
 };
 
 /**
- * bulkUploadStocks - Bulk upload entries with phone sanitization
+ * Move open scheduled calls of the given leads to their new owner
+ * @param {Array} leadIds - Entry ids
+ * @param {string} userId - New owner id
+ * @returns {Promise<number>} - Number of scheduled calls moved
  */
-const bulkUploadStocks = async (req, res) => {
+const moveOpenScheduledCalls = async (leadIds, userId) => {
+  const result = await ScheduledCall.updateMany(
+    { leadId: { $in: leadIds }, status: "pending" },
+    { $set: { userId, updatedAt: new Date() } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * reassignEntry - Transfer a single entry to another owner (Admin only)
+ */
+const reassignEntry = async (req, res) => {
   try {
-    const newEntries = req.body;
+    const { assignedTo } = req.body;
 
-    if (!Array.isArray(newEntries) || newEntries.length === 0) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(assignedTo)) {
       return res.status(400).json({
         success: false,
-        message: "The uploaded data is not in the correct format. Please upload a list of entries.",
+        message: "Please provide a valid entry ID and a valid user to assign it to.",
       });
     }
 
-    // Map and sanitize entries
-    const validatedEntries = newEntries.map((entry) => ({
-      customerName: entry["Customer Name"] ? String(entry["Customer Name"]).trim() : "",
-      contactName: entry["Contact Person"] ? String(entry["Contact Person"]).trim() : "",
-      email: entry["Email"] ? String(entry["Email"]).trim().toLowerCase() : "",
-      mobileNumber: sanitizePhone(entry["Contact Number"]),
-      AlterNumber: sanitizePhone(entry["Alternate Number"]),
-      product: entry["Product"] ? String(entry["Product"]).trim() : "",
-      address: entry["Address"] ? String(entry["Address"]).trim() : "",
-      organization: entry["Organization"] ? String(entry["Organization"]).trim() : "",
-      category: entry["Category"] ? String(entry["Category"]).trim() : "",
-      city: entry["District"] ? String(entry["District"]).trim() : "",
-      state: entry["State"] ? String(entry["State"]).trim() : "",
-      status: (entry["Status"] || entry["status"]) ? String(entry["Status"] || entry["status"]).trim() : "Not Found",
-      remarks: (entry["Remarks"] || entry["remarks"]) ? String(entry["Remarks"] || entry["remarks"]).trim() : "",
-      createdAt: (() => {
-        const val = entry["Created At"];
-        if (val) {
-          if (val instanceof Date) return val;
-          // Try custom format first (slashes)
-          let parsed = parse(String(val), "dd/MM/yyyy", new Date());
-          if (isValid(parsed)) return parsed;
-          // Try custom format (hyphens) - STRICT DD-MM-YYYY
-          parsed = parse(String(val), "dd-MM-yyyy", new Date());
-          if (isValid(parsed)) return parsed;
-          // Try standard parsing
-          const standard = new Date(val);
-          if (!isNaN(standard.getTime())) return standard;
-        }
-        return entry.createdAt ? new Date(entry.createdAt) : new Date();
-      })(),
-      updatedAt: (() => {
-        const val = entry["Updated At"];
-        if (val) {
-          if (val instanceof Date) return val;
-          // Try custom format (slashes)
-          let parsed = parse(String(val), "dd/MM/yyyy", new Date());
-          if (isValid(parsed)) return parsed;
-          // Try custom format (hyphens) - STRICT DD-MM-YYYY
-          parsed = parse(String(val), "dd-MM-yyyy", new Date());
-          if (isValid(parsed)) return parsed;
-          // Try standard parsing
-          const standard = new Date(val);
-          if (!isNaN(standard.getTime())) return standard;
-        }
-        return entry.updatedAt ? new Date(entry.updatedAt) : new Date();
-      })(),
-      createdBy: req.user.id,
-    }));
+    const [entry, newOwner] = await Promise.all([
+      Entry.findById(req.params.id),
+      User.findById(assignedTo).select("_id username").lean(),
+    ]);
 
-    // Process in batches of 500
-    const batchSize = 500;
-    let insertedCount = 0;
-    const errors = [];
-
-    for (let i = 0; i < validatedEntries.length; i += batchSize) {
-      const batch = validatedEntries.slice(i, i + batchSize);
-      try {
-        // ordered: false allows partial success
-        const result = await Entry.insertMany(batch, { ordered: false });
-        insertedCount += result.length;
-      } catch (batchError) {
-        if (batchError.name === "BulkWriteError" || batchError.code === 11000) {
-          // Handle partial success
-          insertedCount += batchError.insertedDocs ? batchError.insertedDocs.length : 0;
-          if (batchError.writeErrors) {
-            batchError.writeErrors.forEach((err) => {
-              errors.push(`Batch ${Math.floor(i / batchSize) + 1}: ${err.errmsg || "Validation error"}`);
-            });
-          }
-        } else {
-          errors.push(`Batch ${Math.floor(i / batchSize) + 1}: ${batchError.message}`);
-        }
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find the entry you are trying to reassign.",
+      });
+    }
+
+    if (!newOwner) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find the user you are trying to assign this entry to.",
+      });
+    }
+
+    const previousOwner = entry.assignedTo || entry.createdBy;
+    entry.assignedTo = newOwner._id;
+    entry.assignedAt = new Date();
+    await entry.save();
+
+    await recordAudit({
+      entryId: entry._id,
+      action: "assign",
+      source: "manual",
+      changedBy: req.user.id,
+      changes: diffEntry({ assignedTo: previousOwner }, entry, ["assignedTo"]),
+    });
+
+    const scheduledCallsMoved = await moveOpenScheduledCalls([entry._id], newOwner._id);
+
+    await entry.populate([
+      { path: "createdBy", select: "username _id" },
+      { path: "assignedTo", select: "username _id" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      previousOwner,
+      scheduledCallsMoved,
+      message: `Entry reassigned to ${newOwner.username}.`,
+    });
+  } catch (error) {
+    console.error("Error in reassignEntry:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We encountered an error while reassigning the entry.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * bulkReassignEntries - Transfer a filtered set of entries to another owner (Admin only)
+ * Accepts the same query filters as fetchEntries, plus entryIds / fromUserId in the body
+ */
+const bulkReassignEntries = async (req, res) => {
+  try {
+    const { assignedTo, entryIds, fromUserId, all } = req.body;
+    const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
+
+    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid user to assign the entries to.",
+      });
+    }
+
+    const newOwner = await User.findById(assignedTo).select("_id username").lean();
+    if (!newOwner) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find the user you are trying to assign entries to.",
+      });
+    }
+
+    // Same filters as fetchEntries
+    const filter = await buildFilter(req, normalizedRole);
+    await applyUserFilters(req, filter, normalizedRole);
+
+    if (Array.isArray(entryIds) && entryIds.length > 0) {
+      if (!entryIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more entry IDs are not valid.",
+        });
       }
+      filter._id = { $in: entryIds };
     }
 
-    // REAL-TIME: No cache to invalidate - data is always fresh
-    if (insertedCount > 0 && process.env.NODE_ENV === 'development') {
-      console.log("🔄 REAL-TIME: Bulk upload completed - no cache invalidation needed");
+    if (fromUserId) {
+      if (!mongoose.Types.ObjectId.isValid(fromUserId)) {
+        return res.status(400).json({
+          success: false,
+          message: "The user to transfer entries from is not valid.",
+        });
+      }
+      addAndCondition(filter, buildOwnershipCondition(fromUserId));
     }
 
-    // Return appropriate status
-    if (insertedCount === 0 && errors.length > 0) {
+    // Guard against accidentally reassigning the whole collection
+    if (Object.keys(filter).length === 0 && all !== true) {
       return res.status(400).json({
         success: false,
-        message: "No entries were uploaded due to errors.",
-        insertedCount: 0,
-        errors,
+        message: "Please select entries or filters to reassign, or confirm reassigning all entries.",
       });
-    } else if (errors.length > 0) {
-      return res.status(207).json({
+    }
+
+    addAndCondition(filter, { assignedTo: { $ne: newOwner._id } });
+
+    // Previous owners are kept for the audit trail
+    const leads = await Entry.find(filter).select("_id assignedTo createdBy").lean();
+    const leadIds = leads.map((lead) => lead._id);
+    if (leadIds.length === 0) {
+      return res.status(200).json({
         success: true,
-        message: `Partially uploaded ${insertedCount} entries with some errors.`,
-        insertedCount,
-        errors,
+        reassignedCount: 0,
+        scheduledCallsMoved: 0,
+        message: "No entries matched the selected filters.",
       });
     }
 
-    res.status(201).json({
+    const result = await Entry.updateMany(
+      { _id: { $in: leadIds } },
+      { $set: { assignedTo: newOwner._id, assignedAt: new Date() } }
+    );
+    const scheduledCallsMoved = await moveOpenScheduledCalls(leadIds, newOwner._id);
+
+    await recordAudits(
+      leads.map((lead) => ({
+        entryId: lead._id,
+        action: "assign",
+        source: "manual",
+        changedBy: req.user.id,
+        changes: diffEntry({ assignedTo: lead.assignedTo || lead.createdBy }, { assignedTo: newOwner._id }, ["assignedTo"]),
+      }))
+    );
+
+    res.status(200).json({
       success: true,
-      message: `All ${insertedCount} entries were uploaded successfully!`,
-      insertedCount,
+      reassignedCount: result.modifiedCount || 0,
+      scheduledCallsMoved,
+      message: `${result.modifiedCount || 0} entries reassigned to ${newOwner.username}.`,
+    });
+  } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error in bulkReassignEntries:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We encountered an error while reassigning the entries.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * bulkUploadStocks - Queue a bulk upload of entries as a background import job
+ * Progress: GET /api/imports/jobs/:id
+ */
+const bulkUploadStocks = async (req, res) => {
+  try {
+    const newEntries = req.body;
+
+    if (!Array.isArray(newEntries) || newEntries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The uploaded data is not in the correct format. Please upload a list of entries.",
+      });
+    }
+
+    // Rows are kept on disk until the job has processed them
+    const storedPath = await saveUpload("imports", Buffer.from(JSON.stringify(newEntries)), ".json");
+    const job = await createImportJob({
+      source: "rows",
+      storedPath,
+      mapping: buildLegacyMapping(await loadCustomFields()),
+      totalRows: newEntries.length,
+      createdBy: req.user.id,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Upload of ${newEntries.length} entries has been queued.`,
+      jobId: job._id,
+      data: job,
     });
   } catch (error) {
     console.error("Error in bulk upload:", error.message);
@@ -671,51 +872,106 @@ const bulkUploadStocks = async (req, res) => {
 };
 
 /**
- * exportentry - Export entries to XLSX (role-based filtering)
+ * exportentry - Export entries to XLSX or CSV (role-based filtering)
+ * Accepts the same filters as fetchEntries plus:
+ *   format=xlsx|csv (CSV is streamed from a cursor, use it for large exports)
+ *   columns=customerName,mobileNumber,... (default: all columns)
  */
 const exportentry = async (req, res) => {
   try {
     const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
 
-    let entries;
-    if (normalizedRole === "Admin" || normalizedRole === "Superadmin") {
-      entries = await Entry.find().populate("createdBy", "username").lean();
-    } else {
-      entries = await Entry.find({ createdBy: req.user.id }).populate("createdBy", "username").lean();
+    const exportFormat = String(req.query.format || "xlsx").toLowerCase();
+    if (!["xlsx", "csv"].includes(exportFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: "Export format must be xlsx or csv",
+      });
+    }
+
+    const { columns, error: columnError } = resolveExportColumns(req.query.columns, await loadCustomFields());
+    if (columnError) {
+      return res.status(400).json({
+        success: false,
+        message: columnError,
+      });
+    }
+
+    // Same filters as the dashboard listing
+    const filter = await buildFilter(req, normalizedRole);
+    await applyUserFilters(req, filter, normalizedRole);
+
+    const query = Entry.find(filter)
+      .select(buildExportProjection(columns))
+      .populate("createdBy", "username")
+      .populate("assignedTo", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+    const fileName = `entries-${format(new Date(), "dd-MM-yyyy")}`;
+
+    if (exportFormat === "csv") {
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}.csv`);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+
+      // Stream rows straight from the cursor so large exports never sit in memory
+      const toRow = new Transform({
+        objectMode: true,
+        transform(entry, encoding, callback) {
+          callback(null, buildExportRow(entry, columns, true));
+        },
+      });
+      const toCsv = new CsvTransform(
+        { fields: columns.map((column) => column.header), withBOM: true },
+        { objectMode: true }
+      );
+
+      pipeline(query.cursor(), toRow, toCsv, res, (streamError) => {
+        if (streamError) {
+          console.error("Error streaming CSV export:", streamError.message);
+        }
+      });
+      return;
+    }
+
+    const maxRows = parseInt(process.env.EXPORT_XLSX_MAX_ROWS) || 100000;
+    const total = await Entry.countDocuments(filter);
+    if (total > maxRows) {
+      return res.status(400).json({
+        success: false,
+        errorCode: "EXPORT_TOO_LARGE",
+        message: `${total} entries match these filters. XLSX exports are limited to ${maxRows} rows, please use format=csv.`,
+      });
     }
 
     // Format entries for export
-    const formattedEntries = entries.map((entry) => ({
-      "Customer Name": entry.customerName || "",
-      "Contact Person": entry.contactName || "",
-      "Email": entry.email || "",
-      "Contact Number": entry.mobileNumber || "",
-      "Alternate Number": entry.AlterNumber || "",
-      "Product": entry.product || "",
-      "Address": entry.address || "",
-      "Organization": entry.organization || "",
-      "Category": entry.category || "",
-      "District": entry.city || "",
-      "State": entry.state || "",
-      "Status": entry.status || "Not Found",
-      "Remarks": entry.remarks || "", // Align default with Frontend
-      "Created By": entry.createdBy?.username || "",
-      "Created At": entry.createdAt ? new Date(entry.createdAt) : "",
-    }));
+    const formattedEntries = [];
+    for await (const entry of query.cursor()) {
+      formattedEntries.push(buildExportRow(entry, columns));
+    }
 
     // Create XLSX workbook with STRICT date format DD-MM-YYYY
-    const ws = XLSX.utils.json_to_sheet(formattedEntries, { dateNF: "dd-mm-yyyy" });
+    const ws = XLSX.utils.json_to_sheet(formattedEntries, {
+      header: columns.map((column) => column.header),
+      dateNF: "dd-mm-yyyy",
+    });
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, "Customer Entries");
 
     const fileBuffer = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
 
     // Set response headers
-    res.setHeader("Content-Disposition", "attachment; filename=entries.xlsx");
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
     res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
     res.send(fileBuffer);
   } catch (error) {
     console.error("Error exporting entries:", error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Error exporting entries",
@@ -779,6 +1035,7 @@ const getUsers = async (req, res) => {
 /**
  * fetchAllEntries - Fetch ALL entries with filters (for analytics, not paginated)
  * This is used for analytics drawers that need full dataset
+ * Accepts the sortBy/sortOrder and fields options of fetchEntries
  */
 const fetchAllEntries = async (req, res) => {
   try {
@@ -797,35 +1054,25 @@ const fetchAllEntries = async (req, res) => {
     }
 
     // Build filter from query parameters (same as fetchEntries but no pagination)
-    let filter = buildFilter(req, normalizedRole);
-
-    // Handle createdBy filter (username lookup)
-    if (req.query.selectedCreatedBy && (normalizedRole === "Admin" || normalizedRole === "Superadmin")) {
-      const User = require("../Schema/Model");
-      const user = await User.findOne({ username: req.query.selectedCreatedBy }).lean();
-      if (user) {
-        filter.createdBy = user._id;
-      }
-    }
+    let filter = await buildFilter(req, normalizedRole);
+
+    // Handle createdBy / assignedTo filters (username lookup)
+    await applyUserFilters(req, filter, normalizedRole);
 
-    // Sort options
-    const sortOptions = { createdAt: -1 };
+    // Sort and projection options (same as fetchEntries)
+    const sort = parseSort(req.query);
+    const projection = buildProjection(req.query.fields, sort);
 
     // Fetch ALL entries (no pagination)
     const entries = await Entry.find(filter)
+      .select(projection)
       .populate("createdBy", "username _id")
-      .sort(sortOptions)
+      .populate("assignedTo", "username _id")
+      .sort(buildSort(sort))
       .lean();
 
     // Normalize entries (convert ObjectIds to strings)
-    const normalizedEntries = entries.map((entry) => ({
-      ...entry,
-      _id: entry._id.toString(),
-      createdBy: {
-        _id: entry.createdBy?._id?.toString() || null,
-        username: entry.createdBy?.username || "Unknown",
-      },
-    }));
+    const normalizedEntries = entries.map(normalizeEntry);
 
     console.log("Fetched all entries count:", normalizedEntries.length);
 
@@ -835,6 +1082,10 @@ const fetchAllEntries = async (req, res) => {
       total: normalizedEntries.length,
     });
   } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error fetching all entries:", error.message);
     res.status(500).json({
       success: false,
@@ -867,22 +1118,16 @@ const getEntryCounts = async (req, res) => {
     }
 
     // Build base filter (same as fetchEntries but without pagination)
-    let filter = buildFilter(req, normalizedRole);
-
-    // Handle createdBy filter
-    if (req.query.selectedCreatedBy && (normalizedRole === "Admin" || normalizedRole === "Superadmin")) {
-      const User = require("../Schema/Model");
-      const user = await User.findOne({ username: req.query.selectedCreatedBy }).lean();
-      if (user) {
-        filter.createdBy = user._id;
-      }
-    }
+    let filter = await buildFilter(req, normalizedRole);
+
+    // Handle createdBy / assignedTo filters
+    await applyUserFilters(req, filter, normalizedRole);
 
     // Get total count (all filtered entries)
     const totalResults = await Entry.countDocuments(filter);
 
-    // Get leads count (status = "Not Found")
-    const leadsFilter = { ...filter, status: "Not Found" };
+    // Get leads count (entries still in the first stage of their pipeline)
+    const leadsFilter = { ...filter, status: { $in: await getInitialStageNames() } };
     const totalLeads = await Entry.countDocuments(leadsFilter);
 
     // Get monthly calls count using optimized aggregation (NO document fetch)
@@ -967,12 +1212,12 @@ const getEntryCounts = async (req, res) => {
 
     const monthlyCalls = monthlyCallsResult[0]?.totalMonthlyCalls || 0;
 
-    // Get status-based counts
+    // Get status-based counts (per pipeline, entries without one belong to the default pipeline)
     const statusCounts = await Entry.aggregate([
       { $match: filter },
       {
         $group: {
-          _id: "$status",
+          _id: { status: "$status", pipeline: "$pipeline" },
           count: { $sum: 1 },
         },
       },
@@ -980,9 +1225,29 @@ const getEntryCounts = async (req, res) => {
 
     const statusMap = {};
     statusCounts.forEach((item) => {
-      statusMap[item._id] = item.count;
+      statusMap[item._id.status] = (statusMap[item._id.status] || 0) + item.count;
     });
 
+    // Stage counts in pipeline order, including empty stages
+    const pipelines = await getPipelinesOrDefault();
+    const pipelineCounts = pipelines.map((pipeline) => ({
+      pipelineId: pipeline._id || null,
+      name: pipeline.name,
+      isDefault: Boolean(pipeline.isDefault),
+      stages: pipeline.stages.map((stage) => ({
+        name: stage.name,
+        color: stage.color || "",
+        isWon: Boolean(stage.isWon),
+        isLost: Boolean(stage.isLost),
+        count: statusCounts
+          .filter((item) =>
+            item._id.status === stage.name &&
+            (item._id.pipeline ? item._id.pipeline.toString() === pipeline._id?.toString() : pipeline.isDefault)
+          )
+          .reduce((sum, item) => sum + item.count, 0),
+      })),
+    }));
+
     // Get close type counts
     const closeTypeCounts = await Entry.aggregate([
       { $match: filter },
@@ -1006,6 +1271,7 @@ const getEntryCounts = async (req, res) => {
         totalResults,
         monthlyCalls,
         statusCounts: statusMap,
+        pipelineCounts,
         closeTypeCounts: closeTypeMap,
       },
     };
@@ -1017,6 +1283,10 @@ const getEntryCounts = async (req, res) => {
 
     res.status(200).json(result);
   } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error fetching entry counts:", error.message);
     res.status(500).json({
       success: false,
@@ -1091,8 +1361,7 @@ const sendEntryEmail = async (req, res) => {
       });
     }
 
-    const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
-    if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin" && entry.createdBy._id.toString() !== req.user.id) {
+    if (!canAccessEntry(entry, req.user)) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to send an email for this entry.",
@@ -1133,15 +1402,16 @@ const sendEntryEmail = async (req, res) => {
       </html>
     `;
 
-    // Send email using Nodemailer with attachments
-
-    await sendMail(entry.email, subject, text, html, [
-      {
-        filename: 'middle.png',
-        path: 'public/middle.png',
-        cid: 'middle-image'
-      },
-    ]);
+    // Send email using Nodemailer (the mailer attaches the middle image) and keep it on the lead timeline
+    await sendLeadEmail({
+      entryId: entry._id,
+      type: "welcome",
+      to: entry.email,
+      subject,
+      text,
+      html,
+      sentBy: req.user.id,
+    });
 
     res.status(200).json({
       success: true,
@@ -1206,7 +1476,7 @@ const sendQuotationEmail = async (req, res) => {
     // Fetch the entry for authorization check
     // Performance Optimization: Select only required fields and optimize populate
     const entry = await Entry.findById(entryId)
-      .select("createdBy") // Only fetch createdBy field for authorization check
+      .select("createdBy assignedTo account") // Ownership fields for authorization check and the account for the quotation record
       .populate({
         path: "createdBy",
         select: "username _id", // Only fetch username and _id from User collection
@@ -1220,14 +1490,7 @@ const sendQuotationEmail = async (req, res) => {
     }
 
     // Authorization check
-    const normalizedRole =
-      req.user.role.charAt(0).toUpperCase() +
-      req.user.role.slice(1).toLowerCase();
-    if (
-      normalizedRole !== "Admin" &&
-      normalizedRole !== "Superadmin" &&
-      entry.createdBy._id.toString() !== req.user.id
-    ) {
+    if (!canAccessEntry(entry, req.user)) {
       return res.status(403).json({
         success: false,
         message:
@@ -1235,125 +1498,46 @@ const sendQuotationEmail = async (req, res) => {
       });
     }
 
-    // Calculate total amount
-    const totalAmount = quantity * price;
-    const formattedPrice = price.toLocaleString("en-IN");
-    const formattedTotal = totalAmount.toLocaleString("en-IN");
-
-    // Email subject and content
-    const subject = `Quotation from Promark Techsolutions - ${productType}`;
-    const text = `Dear ${customerName},
-
-Thank you for your interest in Promark Techsolutions.
-
-Please find below the quotation details:
-
-Product Type: ${productType}
-Specification: ${specification}
-Quantity: ${quantity}
-Unit Price: ₹${formattedPrice}
-Total Amount: ₹${formattedTotal}
-
-We look forward to serving you.
-
-Best Regards,
-Promark Techsolutions Pvt Ltd
-A 22-year-old company with legacy in EdTech, AV, and Furniture
-Proudly part of "Make in India" initiative`;
+    // Record the offer as a quotation (a single untaxed line, as before) and email it as a PDF
+    const { lineItems, error: lineItemError } = await buildLineItems([
+      { name: productType, specification, quantity, unitPrice: price, taxRate: 0 },
+    ]);
+    if (lineItemError) {
+      return res.status(400).json({
+        success: false,
+        message: lineItemError,
+      });
+    }
+    const quotation = await Quotation.create({
+      quotationNumber: await nextQuotationNumber(),
+      entry: entry._id,
+      account: entry.account || null,
+      customerName: customerName || "",
+      customerEmail,
+      ...calculateTotals(lineItems),
+      status: "draft",
+      statusHistory: [{ status: "draft", remarks: "Quotation created", changedBy: req.user.id }],
+      validUntil: defaultValidUntil(),
+      createdBy: req.user.id,
+    });
 
-    const html = `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Quotation from Promark Techsolutions</title>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f6f9; margin: 0; padding: 0; }
-          .container { max-width: 700px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 10px 30px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #6a11cb 0%, #2575fc 100%); padding: 30px; text-align: center; color: white; }
-          .header h1 { margin: 0; font-size: 28px; font-weight: 700; }
-          .header p { margin: 10px 0 0; font-size: 14px; opacity: 0.9; }
-          .content { padding: 40px 30px; }
-          .greeting { font-size: 18px; color: #333; margin-bottom: 20px; }
-          .quotation-box { background: #f8f9fa; border-left: 4px solid #6a11cb; padding: 20px; margin: 20px 0; border-radius: 8px; }
-          .quotation-box h2 { margin: 0 0 15px; color: #6a11cb; font-size: 20px; }
-          .quotation-item { display: flex; justify-content: space-between; padding: 12px 0; border-bottom: 1px solid #e0e0e0; }
-          .quotation-item:last-child { border-bottom: none; }
-          .quotation-item .label { font-weight: 600; color: #555; }
-          .quotation-item .value { color: #333; font-weight: 500; }
-          .total-row { background: linear-gradient(135deg, #6a11cb 0%, #2575fc 100%); color: white; padding: 15px 20px; margin-top: 15px; border-radius: 8px; display: flex; justify-content: space-between; font-size: 18px; font-weight: 700; }
-          .footer { background: #f8f9fa; padding: 25px 30px; text-align: center; color: #666; font-size: 14px; line-height: 1.6; }
-          .footer strong { color: #333; }
-          @media (max-width: 600px) {
-            .container { margin: 10px; width: calc(100% - 20px); }
-            .content { padding: 20px 15px; }
-            .header h1 { font-size: 22px; }
-            .quotation-item { flex-direction: column; gap: 5px; }
-            .total-row { flex-direction: column; gap: 5px; text-align: center; }
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>💼 QUOTATION</h1>
-            <p>Promark Techsolutions Pvt Ltd</p>
-          </div>
-          
-          <div class="content">
-            <p class="greeting">Dear <strong>${customerName}</strong>,</p>
-            <p>Thank you for your interest in <strong>Promark Techsolutions</strong>. We are pleased to provide you with the following quotation:</p>
-            
-            <div class="quotation-box">
-              <h2>📋 Quotation Details</h2>
-              <div class="quotation-item">
-                <span class="label">Product Type:</span>
-                <span class="value">${productType}</span>
-              </div>
-              <div class="quotation-item">
-                <span class="label">Specification:</span>
-                <span class="value">${specification}</span>
-              </div>
-              <div class="quotation-item">
-                <span class="label">Quantity:</span>
-                <span class="value">${quantity}</span>
-              </div>
-              <div class="quotation-item">
-                <span class="label">Unit Price:</span>
-                <span class="value">₹${formattedPrice}</span>
-              </div>
-              <div class="total-row">
-                <span>Total Amount:</span>
-                <span>₹${formattedTotal}</span>
-              </div>
-            </div>
-            
-            <p style="margin-top: 25px; color: #555; line-height: 1.6;">
-              We look forward to the opportunity to serve you and provide you with the best quality products and services.
-            </p>
-            <p style="color: #555; line-height: 1.6;">
-              Should you have any questions or require further information, please do not hesitate to contact us.
-            </p>
-          </div>
-          
-          <div class="footer">
-            <p><strong>Promark Techsolutions Pvt Ltd</strong></p>
-            <p>A 22-year-old company with a legacy in EdTech, AV, and Furniture</p>
-            <p>Owning its own factories, serving government, private, and autonomous organisations in India</p>
-            <p>Proudly part of the <strong>"Make in India"</strong> initiative</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    // Prices above the approval thresholds wait for an Admin/Superadmin instead of going out
+    const approvalReasons = isAdminUser(req.user) ? [] : getApprovalReasons(quotation, await loadApprovalConfig());
+    if (approvalReasons.length > 0) {
+      await requestApproval(quotation, { userId: req.user.id });
+      return res.status(202).json({
+        success: true,
+        message: `Quotation ${quotation.quotationNumber} needs approval before it can be sent: ${approvalReasons.join("; ")}. Once approved it can be sent from the quotation.`,
+        data: { quotationId: quotation._id, quotationNumber: quotation.quotationNumber, status: quotation.status },
+      });
+    }
 
-    // Send email
-    await sendMail(customerEmail, subject, text, html);
+    await sendQuotation(quotation, { to: customerEmail, user: req.user });
 
     res.status(200).json({
       success: true,
       message: `Quotation email sent successfully to ${customerEmail}.`,
+      data: { quotationId: quotation._id, quotationNumber: quotation.quotationNumber },
     });
   } catch (error) {
     console.error("Error sending quotation email:", error.message);
@@ -1376,6 +1560,8 @@ module.exports = {
   getEntryCounts,
   DeleteData,
   editEntry,
+  reassignEntry,
+  bulkReassignEntries,
   exportentry,
   getAdmin,
   getUsers,
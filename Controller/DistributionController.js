@@ -0,0 +1,345 @@
+const mongoose = require("mongoose");
+const DistributionRule = require("../Schema/DistributionRuleModel");
+const AssignmentLog = require("../Schema/AssignmentLogModel");
+const Entry = require("../Schema/DataModel");
+const User = require("../Schema/Model");
+const { CONDITION_FIELDS, planAssignments } = require("../services/distributionService");
+
+/**
+ * Distribution Controller
+ * Admin management of lead distribution rules, assignment log and dry-runs
+ */
+
+const TRIGGERS = ["inbound_call", "bulk_upload", "web_form"];
+
+/**
+ * Helper: Pick allowed rule fields from a request body
+ * Normalizes condition lists to trimmed, non-empty strings
+ */
+function pickRuleFields(body) {
+  const data = {};
+  ["name", "description", "priority", "strategy", "triggers", "isActive", "users"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (body.conditions !== undefined) {
+    data.conditions = {};
+    CONDITION_FIELDS.forEach((field) => {
+      const values = body.conditions && body.conditions[field];
+      data.conditions[field] = (Array.isArray(values) ? values : values ? [values] : [])
+        .map((value) => String(value).trim())
+        .filter(Boolean);
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Helper: Validate that every pool member is an existing user
+ * @returns {Promise<string|null>} - Error message or null
+ */
+async function validatePool(users) {
+  if (users === undefined) return null;
+  if (!Array.isArray(users) || users.length === 0) {
+    return "At least one user is required in the distribution pool";
+  }
+  if (!users.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return "One or more user IDs in the pool are not valid";
+  }
+  const found = await User.countDocuments({ _id: { $in: users } });
+  if (found !== new Set(users.map(String)).size) {
+    return "One or more users in the pool could not be found";
+  }
+  return null;
+}
+
+/**
+ * Get all distribution rules
+ * GET /api/distribution/rules
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await DistributionRule.find()
+      .populate("users", "username email")
+      .populate("createdBy", "username")
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Get distribution rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch distribution rules",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a distribution rule
+ * POST /api/distribution/rules
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const data = pickRuleFields(req.body);
+
+    const poolError = await validatePool(data.users);
+    if (poolError) {
+      return res.status(400).json({ success: false, message: poolError });
+    }
+
+    const rule = new DistributionRule({
+      ...data,
+      createdBy: req.user.id,
+    });
+    await rule.save();
+    await rule.populate("users", "username email");
+
+    res.status(201).json({
+      success: true,
+      message: "Distribution rule created successfully",
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid distribution rule",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    console.error("Create distribution rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create distribution rule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a distribution rule
+ * PUT /api/distribution/rules/:id
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid rule ID" });
+    }
+
+    const rule = await DistributionRule.findById(id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Distribution rule not found" });
+    }
+
+    const data = pickRuleFields(req.body);
+    const poolError = await validatePool(data.users);
+    if (poolError) {
+      return res.status(400).json({ success: false, message: poolError });
+    }
+
+    rule.set(data);
+    // A changed pool starts its rotation from the first member again
+    if (data.users !== undefined) {
+      rule.roundRobinCounter = 0;
+    }
+    await rule.save();
+    await rule.populate("users", "username email");
+
+    res.status(200).json({
+      success: true,
+      message: "Distribution rule updated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid distribution rule",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    console.error("Update distribution rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update distribution rule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a distribution rule
+ * DELETE /api/distribution/rules/:id
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid rule ID" });
+    }
+
+    const rule = await DistributionRule.findByIdAndDelete(id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Distribution rule not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Distribution rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete distribution rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete distribution rule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the assignment log
+ * GET /api/distribution/logs?ruleId=&assignedTo=&leadId=&trigger=&startDate=&endDate=&page=1&limit=50
+ */
+exports.getAssignmentLogs = async (req, res) => {
+  try {
+    const { ruleId, assignedTo, leadId, trigger, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (ruleId) filter.ruleId = ruleId;
+    if (assignedTo) filter.assignedTo = assignedTo;
+    if (leadId) filter.leadId = leadId;
+    if (trigger) filter.trigger = trigger;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      AssignmentLog.find(filter)
+        .populate("leadId", "customerName mobileNumber state city category product")
+        .populate("assignedTo", "username email")
+        .populate("triggeredBy", "username")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AssignmentLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Get assignment logs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch assignment logs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Show where a batch of leads would land without assigning anything
+ * POST /api/distribution/dry-run
+ * Body: { trigger, leads: [{ state, city, category, product }] } or { trigger, entryIds: [] }
+ */
+exports.dryRun = async (req, res) => {
+  try {
+    const { trigger = "bulk_upload", leads, entryIds } = req.body;
+
+    if (!TRIGGERS.includes(trigger)) {
+      return res.status(400).json({
+        success: false,
+        message: `Trigger must be one of: ${TRIGGERS.join(", ")}`,
+      });
+    }
+
+    let batch = [];
+    if (Array.isArray(entryIds) && entryIds.length > 0) {
+      if (!entryIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ success: false, message: "One or more entry IDs are not valid" });
+      }
+      const entries = await Entry.find({ _id: { $in: entryIds } })
+        .select("customerName state city category product")
+        .lean();
+      const entryMap = new Map(entries.map((entry) => [entry._id.toString(), entry]));
+      batch = entryIds.map((id) => entryMap.get(String(id))).filter(Boolean);
+    } else if (Array.isArray(leads) && leads.length > 0) {
+      batch = leads;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a list of leads or entry IDs to test",
+      });
+    }
+
+    const decisions = await planAssignments(batch, { trigger, dryRun: true });
+
+    // Resolve usernames for the response
+    const userIds = [...new Set(decisions.filter(Boolean).map((decision) => decision.assignedTo))];
+    const users = await User.find({ _id: { $in: userIds } }).select("username").lean();
+    const usernames = new Map(users.map((user) => [user._id.toString(), user.username]));
+
+    const results = batch.map((lead, index) => {
+      const decision = decisions[index];
+      return {
+        index,
+        entryId: lead._id || null,
+        customerName: lead.customerName || "",
+        state: lead.state || "",
+        city: lead.city || "",
+        category: lead.category || "",
+        product: lead.product || "",
+        assignedTo: decision ? { _id: decision.assignedTo, username: usernames.get(decision.assignedTo) || "Unknown" } : null,
+        ruleId: decision ? decision.ruleId : null,
+        ruleName: decision ? decision.ruleName : null,
+        strategy: decision ? decision.strategy : null,
+      };
+    });
+
+    // Per-user totals make it easy to check the spread
+    const summary = {};
+    results.forEach((result) => {
+      const key = result.assignedTo ? result.assignedTo.username : "Unassigned";
+      summary[key] = (summary[key] || 0) + 1;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      summary,
+      total: results.length,
+    });
+  } catch (error) {
+    console.error("Distribution dry-run error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run distribution dry-run",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
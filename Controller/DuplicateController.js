@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const LeadMerge = require("../Schema/LeadMergeModel");
+const { mergeEntries } = require("../services/duplicateService");
+const { canAccessEntry, buildOwnershipCondition } = require("../utils/leadAccess");
+
+/**
+ * Duplicate Controller
+ * Lists duplicate entry groups and merges duplicates into a single Entry
+ */
+
+/**
+ * List groups of entries sharing a phone number or email
+ * GET /api/entries/duplicates?field=phone|email&page=1&limit=20
+ */
+exports.getDuplicates = async (req, res) => {
+  try {
+    const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
+    const field = req.query.field === "email" ? "email" : "phone";
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // RBAC: Non-admin users only see duplicates among the entries they own
+    const match = {};
+    if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin") {
+      match.$and = [buildOwnershipCondition(req.user.id)];
+    }
+
+    // Phone duplicates consider both mobileNumber and AlterNumber
+    const keyStages = field === "email"
+      ? [
+          { $match: { ...match, email: { $nin: [null, ""] } } },
+          { $project: { key: "$email" } },
+        ]
+      : [
+          { $match: { ...match, $or: [{ mobileNumber: { $nin: [null, ""] } }, { AlterNumber: { $nin: [null, ""] } }] } },
+          { $project: { key: { $setUnion: [["$mobileNumber"], ["$AlterNumber"]] } } },
+          { $unwind: "$key" },
+          { $match: { key: { $nin: [null, ""] } } },
+        ];
+
+    const [result] = await Entry.aggregate([
+      ...keyStages,
+      { $group: { _id: "$key", entryIds: { $addToSet: "$_id" } } },
+      { $project: { entryIds: 1, count: { $size: "$entryIds" } } },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      {
+        $facet: {
+          groups: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const groups = result.groups;
+    const total = result.total[0]?.count || 0;
+
+    // Load the entries of the current page in one query
+    const entryIds = groups.flatMap((group) => group.entryIds);
+    const entries = await Entry.find({ _id: { $in: entryIds } })
+      .select("customerName contactName mobileNumber AlterNumber email organization status totalCallsMade createdBy assignedTo createdAt")
+      .populate("createdBy", "username _id")
+      .populate("assignedTo", "username _id")
+      .lean();
+    const entryMap = new Map(entries.map((entry) => [entry._id.toString(), entry]));
+
+    const data = groups.map((group) => ({
+      field,
+      value: group._id,
+      count: group.count,
+      entries: group.entryIds
+        .map((id) => entryMap.get(id.toString()))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + groups.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get duplicates error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't retrieve duplicate entries at the moment. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Merge a duplicate entry into a primary entry
+ * POST /api/entries/merge
+ * Body: { primaryId, duplicateId }
+ */
+exports.mergeDuplicates = async (req, res) => {
+  try {
+    const { primaryId, duplicateId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(primaryId) || !mongoose.Types.ObjectId.isValid(duplicateId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Both primaryId and duplicateId must be valid entry IDs.",
+      });
+    }
+
+    if (primaryId === duplicateId) {
+      return res.status(400).json({
+        success: false,
+        message: "An entry cannot be merged into itself.",
+      });
+    }
+
+    const entries = await Entry.find({ _id: { $in: [primaryId, duplicateId] } })
+      .select("createdBy assignedTo")
+      .lean();
+    if (entries.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find one of the entries you are trying to merge.",
+      });
+    }
+
+    // RBAC: Non-admin users can only merge entries they own
+    if (entries.some((entry) => !canAccessEntry(entry, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to merge these entries.",
+      });
+    }
+
+    const { entry, merge } = await mergeEntries(primaryId, duplicateId, req.user.id);
+    await entry.populate([
+      { path: "createdBy", select: "username _id" },
+      { path: "assignedTo", select: "username _id" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Entries merged successfully.",
+      data: entry,
+      merge: {
+        _id: merge._id,
+        mergedId: merge.mergedId,
+        fieldsCopied: merge.fieldsCopied,
+        historyMerged: merge.historyMerged,
+        callLogsMoved: merge.callLogsMoved,
+        scheduledCallsMoved: merge.scheduledCallsMoved,
+      },
+    });
+  } catch (error) {
+    console.error("Merge duplicates error:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "We encountered an error while merging the entries.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get merge audit records
+ * GET /api/entries/merges?entryId=&page=1&limit=20
+ */
+exports.getMergeHistory = async (req, res) => {
+  try {
+    const normalizedRole = req.user.role.charAt(0).toUpperCase() + req.user.role.slice(1).toLowerCase();
+    const { entryId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (entryId) {
+      if (!mongoose.Types.ObjectId.isValid(entryId)) {
+        return res.status(400).json({
+          success: false,
+          message: "The entry ID provided is not valid.",
+        });
+      }
+      filter.$or = [{ primaryId: entryId }, { mergedId: entryId }];
+    }
+
+    // RBAC: Non-admin users only see merges they performed
+    if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin") {
+      filter.mergedBy = req.user.id;
+    }
+
+    const [merges, total] = await Promise.all([
+      LeadMerge.find(filter)
+        .populate("primaryId", "customerName mobileNumber email")
+        .populate("mergedBy", "username _id")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LeadMerge.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: merges,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + merges.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get merge history error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't retrieve the merge history at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,60 @@
+const { normalizeRole } = require("../utils/leadAccess");
+const { buildFilter, applyUserFilters } = require("../services/entryFilterService");
+const { FORECAST_GROUPS, buildForecast } = require("../services/forecastService");
+
+/**
+ * Forecast Controller
+ * Weighted pipeline value next to actual won revenue
+ */
+
+/**
+ * Get the revenue forecast
+ * GET /api/forecast?groupBy=stage|owner|month|product&from=2024-01-01&to=2024-12-31
+ * from/to limit the expected close date of open deals and the close date of won deals;
+ * accepts the same query filters as fetchEntries (non-admins only see their own leads)
+ */
+exports.getForecast = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || "stage";
+    if (!FORECAST_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown groupBy "${groupBy}". Available: ${FORECAST_GROUPS.join(", ")}`,
+      });
+    }
+
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00`) : null;
+    const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999`) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be dates in YYYY-MM-DD format.",
+      });
+    }
+
+    const normalizedRole = normalizeRole(req.user.role);
+    const filter = await buildFilter(req, normalizedRole);
+    await applyUserFilters(req, filter, normalizedRole);
+
+    const forecast = await buildForecast(filter, { groupBy, from, to });
+
+    res.status(200).json({
+      success: true,
+      data: forecast,
+    });
+  } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error in getForecast:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't build the forecast at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,635 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const ImportUpload = require("../Schema/ImportUploadModel");
+const ImportTemplate = require("../Schema/ImportTemplateModel");
+const ImportJob = require("../Schema/ImportJobModel");
+const { isAdminUser } = require("../utils/leadAccess");
+const { saveUpload, readUpload } = require("../utils/storage");
+const {
+  getImportFields,
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  validateRows,
+} = require("../services/importService");
+const { loadCustomFields } = require("../services/customFieldService");
+const { createImportJob, cancelImportJob } = require("../services/importJobService");
+
+/**
+ * Import Controller
+ * Two-step lead import: upload + preview (columns, suggested mapping, row validation), then commit
+ * Commits run as background jobs; also manages each user's saved mapping templates
+ */
+
+const ROW_FILTERS = ["all", "valid", "duplicate", "invalid"];
+
+/**
+ * Helper: Load an upload the current user may work with
+ * Sends the error response and returns null when it can't be used
+ */
+async function loadUpload(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid upload ID" });
+    return null;
+  }
+
+  const upload = await ImportUpload.findById(id);
+  if (!upload) {
+    res.status(404).json({ success: false, message: "Upload not found" });
+    return null;
+  }
+
+  if (!isAdminUser(req.user) && upload.uploadedBy.toString() !== req.user.id) {
+    res.status(403).json({ success: false, message: "Unauthorized to access this upload" });
+    return null;
+  }
+
+  return upload;
+}
+
+/**
+ * Helper: Work out which mapping to use for a request
+ * Priority: explicit mapping, saved template, suggestion from the headers
+ * @returns {Promise<{ mapping, template, error }>}
+ */
+async function resolveMapping(req, columns, customFields) {
+  // The preview request body is the file itself, so its options come from the query string
+  const { mapping, templateId } = Buffer.isBuffer(req.body) ? req.query : req.body || {};
+
+  if (mapping) {
+    return { mapping, template: null, error: validateMapping(mapping, columns, customFields) };
+  }
+
+  if (templateId) {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return { error: "Invalid template ID" };
+    }
+    const template = await ImportTemplate.findOne({ _id: templateId, createdBy: req.user.id }).lean();
+    if (!template) {
+      return { error: "Mapping template not found" };
+    }
+    return { mapping: template.mapping, template, error: validateMapping(template.mapping, columns, customFields) };
+  }
+
+  return { mapping: suggestMapping(columns, customFields), template: null, error: null };
+}
+
+/**
+ * Helper: Shape row results for the response (paged and optionally filtered by status)
+ */
+function formatRows(results, { page = 1, limit = 50, filter = "all" }) {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+  const rowFilter = ROW_FILTERS.includes(filter) ? filter : "all";
+
+  const filtered = rowFilter === "all" ? results : results.filter((result) => result.status === rowFilter);
+  const rows = filtered.slice((pageNum - 1) * limitNum, pageNum * limitNum).map((result) => {
+    const { createdBy, assignedTo, ...data } = result.entry;
+    return {
+      row: result.row,
+      status: result.status,
+      data,
+      errors: result.errors,
+      duplicates: result.duplicates.map((match) =>
+        match._id
+          ? {
+              _id: match._id,
+              customerName: match.customerName,
+              mobileNumber: match.mobileNumber,
+              email: match.email,
+              matchedOn: match.matchedOn,
+            }
+          : match
+      ),
+    };
+  });
+
+  return {
+    rows,
+    pagination: {
+      total: filtered.length,
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(filtered.length / limitNum),
+      hasMore: pageNum * limitNum < filtered.length,
+    },
+  };
+}
+
+const publicFields = (customFields) => getImportFields(customFields).map(({ key, label, type }) => ({ key, label, type }));
+
+/**
+ * Upload a spreadsheet and preview the import
+ * POST /api/imports/preview?fileName=leads.xlsx&templateId=
+ * Body: raw file contents (XLSX, XLS or CSV)
+ */
+exports.previewImport = async (req, res) => {
+  try {
+    const fileName = String(req.query.fileName || req.get("X-File-Name") || "").trim();
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please send the spreadsheet file as the request body.",
+      });
+    }
+    if (!fileName) {
+      return res.status(400).json({
+        success: false,
+        message: "File name is required (fileName query parameter or X-File-Name header).",
+      });
+    }
+
+    const { columns, rows } = parseImportFile(req.body, fileName);
+    if (columns.length === 0 || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The uploaded file has no header row or no data rows.",
+      });
+    }
+
+    const customFields = await loadCustomFields();
+    let { mapping, template, error } = await resolveMapping(req, columns, customFields);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Without an explicit mapping or template, reuse the user's template built for the same layout
+    if (!req.query.mapping && !req.query.templateId) {
+      const templates = await ImportTemplate.find({ createdBy: req.user.id }).sort({ lastUsedAt: -1 }).lean();
+      const sameLayout = templates.find(
+        (candidate) =>
+          candidate.columns.length === columns.length &&
+          candidate.columns.every((column) => columns.includes(column)) &&
+          !validateMapping(candidate.mapping, columns, customFields)
+      );
+      if (sameLayout) {
+        mapping = sameLayout.mapping;
+        template = sameLayout;
+      }
+    }
+
+    const storedPath = await saveUpload("imports", req.body, path.extname(fileName));
+    const upload = await ImportUpload.create({
+      fileName,
+      storedPath,
+      fileSize: req.body.length,
+      columns,
+      rowCount: rows.length,
+      uploadedBy: req.user.id,
+    });
+
+    const { results, summary, duplicateMode } = await validateRows(rows, mapping, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Found ${rows.length} rows in ${fileName}.`,
+      data: {
+        uploadId: upload._id,
+        fileName,
+        columns,
+        fields: publicFields(customFields),
+        suggestedMapping: suggestMapping(columns, customFields),
+        mapping,
+        template: template ? { _id: template._id, name: template.name } : null,
+        duplicateMode,
+        summary,
+        ...formatRows(results, req.query),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Import preview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "We couldn't read the uploaded file.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Re-validate an uploaded file with a different mapping (nothing is saved)
+ * POST /api/imports/:id/dry-run
+ * Body: { mapping } or { templateId }; query: page, limit, filter (all|valid|duplicate|invalid)
+ */
+exports.dryRunImport = async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status === "committed") {
+      return res.status(409).json({ success: false, message: "This upload has already been imported." });
+    }
+
+    const { rows } = parseImportFile(await readUpload(upload.storedPath), upload.fileName);
+    const { mapping, error } = await resolveMapping(req, upload.columns, await loadCustomFields());
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { results, summary, duplicateMode } = await validateRows(rows, mapping, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        uploadId: upload._id,
+        mapping,
+        duplicateMode,
+        summary,
+        ...formatRows(results, req.query),
+      },
+    });
+  } catch (error) {
+    console.error("Import dry-run error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to validate the import",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Queue the import of an uploaded file with the chosen mapping
+ * POST /api/imports/:id/commit
+ * Body: { mapping | templateId, saveTemplateAs?, skipInvalid = true }
+ */
+exports.commitImport = async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status === "committed") {
+      return res.status(409).json({ success: false, message: "This upload has already been imported." });
+    }
+
+    const { mapping, template, error } = await resolveMapping(req, upload.columns, await loadCustomFields());
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Keep the mapping for the next file with this layout
+    if (req.body.saveTemplateAs && String(req.body.saveTemplateAs).trim()) {
+      await ImportTemplate.findOneAndUpdate(
+        { createdBy: req.user.id, name: String(req.body.saveTemplateAs).trim() },
+        { mapping, columns: upload.columns, lastUsedAt: new Date(), updatedAt: new Date() },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    } else if (template) {
+      await ImportTemplate.updateOne({ _id: template._id }, { lastUsedAt: new Date() });
+    }
+
+    upload.status = "committed";
+    upload.mapping = mapping;
+    upload.committedAt = new Date();
+    await upload.save();
+
+    const job = await createImportJob({
+      source: "file",
+      uploadId: upload._id,
+      fileName: upload.fileName,
+      storedPath: upload.storedPath,
+      mapping,
+      skipInvalid: req.body.skipInvalid !== false,
+      totalRows: upload.rowCount,
+      createdBy: req.user.id,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Import of ${upload.rowCount} rows has been queued.`,
+      data: job,
+    });
+  } catch (error) {
+    console.error("Import commit error:", error);
+    res.status(500).json({
+      success: false,
+      message: "We couldn't import your data due to a problem.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper: Load an import job the current user may see
+ * Sends the error response and returns null when it can't be used
+ */
+async function loadJob(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid job ID" });
+    return null;
+  }
+
+  const job = await ImportJob.findById(id);
+  if (!job) {
+    res.status(404).json({ success: false, message: "Import job not found" });
+    return null;
+  }
+
+  if (!isAdminUser(req.user) && job.createdBy.toString() !== req.user.id) {
+    res.status(403).json({ success: false, message: "Unauthorized to access this import job" });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * List import jobs (own jobs; admins see everyone's)
+ * GET /api/imports/jobs?status=&page=1&limit=20
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = isAdminUser(req.user) ? {} : { createdBy: req.user.id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find(filter)
+        .select("-mapping -storedPath")
+        .populate("createdBy", "username")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ImportJob.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Get import jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch import jobs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the status and progress of an import job
+ * GET /api/imports/jobs/:id
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const { storedPath, reportPath, ...data } = job.toObject();
+    res.status(200).json({
+      success: true,
+      data: {
+        ...data,
+        progress: data.totalRows > 0 ? Math.round((data.processedRows / data.totalRows) * 100) : 0,
+        hasReport: Boolean(reportPath),
+      },
+    });
+  } catch (error) {
+    console.error("Get import job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch import job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an import job (rows inserted before the cancellation are kept)
+ * POST /api/imports/jobs/:id/cancel
+ */
+exports.cancelJob = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!["queued", "running"].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `The import job is already ${job.status}.`,
+      });
+    }
+
+    const updated = await cancelImportJob(job);
+
+    res.status(200).json({
+      success: true,
+      message: updated.status === "cancelled"
+        ? "Import job cancelled."
+        : "Cancellation requested. The import stops after the current batch.",
+      data: { _id: updated._id, status: updated.status, cancelRequested: updated.cancelRequested },
+    });
+  } catch (error) {
+    console.error("Cancel import job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel import job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the XLSX report of rejected rows
+ * GET /api/imports/jobs/:id/report
+ */
+exports.downloadJobReport = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!job.reportPath) {
+      return res.status(404).json({
+        success: false,
+        message: ["queued", "running"].includes(job.status)
+          ? "The report is available once the import has finished."
+          : "No rows were rejected in this import.",
+      });
+    }
+
+    const buffer = await readUpload(job.reportPath);
+    const baseName = path.basename(job.fileName || "import", path.extname(job.fileName || ""));
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}-errors.xlsx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error("Download import report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download the import report",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the current user's mapping templates
+ * GET /api/imports/templates
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await ImportTemplate.find({ createdBy: req.user.id })
+      .sort({ lastUsedAt: -1, createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: templates,
+      fields: publicFields(await loadCustomFields()),
+    });
+  } catch (error) {
+    console.error("Get import templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch mapping templates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a mapping template
+ * POST /api/imports/templates
+ * Body: { name, mapping, columns? }
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, mapping } = req.body;
+    const columns = Array.isArray(req.body.columns)
+      ? req.body.columns.map(String)
+      : Object.values(mapping || {}).filter(Boolean).map(String);
+
+    const mappingError = validateMapping(mapping, columns, await loadCustomFields());
+    if (mappingError) {
+      return res.status(400).json({ success: false, message: mappingError });
+    }
+
+    const template = await ImportTemplate.create({
+      name,
+      mapping,
+      columns,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Mapping template saved successfully",
+      data: template,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "You already have a template with this name" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Create import template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save mapping template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a mapping template
+ * PUT /api/imports/templates/:id
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid template ID" });
+    }
+
+    const template = await ImportTemplate.findOne({ _id: id, createdBy: req.user.id });
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Mapping template not found" });
+    }
+
+    if (req.body.mapping !== undefined) {
+      const columns = Array.isArray(req.body.columns)
+        ? req.body.columns.map(String)
+        : Object.values(req.body.mapping || {}).filter(Boolean).map(String);
+      const mappingError = validateMapping(req.body.mapping, columns, await loadCustomFields());
+      if (mappingError) {
+        return res.status(400).json({ success: false, message: mappingError });
+      }
+      template.mapping = req.body.mapping;
+      template.columns = columns;
+    }
+    if (req.body.name !== undefined) {
+      template.name = req.body.name;
+    }
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Mapping template updated successfully",
+      data: template,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "You already have a template with this name" });
+    }
+    console.error("Update import template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update mapping template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a mapping template
+ * DELETE /api/imports/templates/:id
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid template ID" });
+    }
+
+    const template = await ImportTemplate.findOneAndDelete({ _id: id, createdBy: req.user.id });
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Mapping template not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Mapping template deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete import template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete mapping template",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,323 @@
+const mongoose = require("mongoose");
+const LeadForm = require("../Schema/LeadFormModel");
+const LeadFormSubmission = require("../Schema/LeadFormSubmissionModel");
+const User = require("../Schema/Model");
+const { generateApiKey, validateFieldMappings, captureLead } = require("../services/leadCaptureService");
+
+/**
+ * Lead Form Controller
+ * Public intake of website and landing-page forms, and Admin/Superadmin management of the forms and their API keys
+ */
+
+/**
+ * Helper: Pick and validate allowed form fields from a request body
+ * @returns {Promise<{ data: Object, error: string|null }>}
+ */
+async function pickFormData(body) {
+  const data = {};
+  ["name", "description", "redirectUrl"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field] === null ? "" : String(body[field]).trim();
+  });
+  if (data.redirectUrl && !/^https?:\/\//i.test(data.redirectUrl)) {
+    return { data, error: "redirectUrl must start with http:// or https://" };
+  }
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === "true";
+  if (body.rateLimitPerMinute !== undefined) data.rateLimitPerMinute = Number(body.rateLimitPerMinute);
+
+  if (body.fieldMappings !== undefined) {
+    const error = validateFieldMappings(body.fieldMappings);
+    if (error) return { data, error };
+    data.fieldMappings = body.fieldMappings.map(({ formField, entryField }) => ({
+      formField: String(formField).trim(),
+      entryField,
+    }));
+  }
+  if (body.defaults !== undefined) {
+    const defaults = body.defaults || {};
+    data.defaults = {
+      category: defaults.category ? String(defaults.category).trim() : "",
+      product: defaults.product ? String(defaults.product).trim() : "",
+    };
+  }
+
+  if (body.pipeline !== undefined) {
+    if (body.pipeline && !mongoose.Types.ObjectId.isValid(body.pipeline)) {
+      return { data, error: "The pipeline ID provided is not valid." };
+    }
+    data.pipeline = body.pipeline || null;
+  }
+  if (body.defaultAssignee !== undefined) {
+    if (body.defaultAssignee) {
+      if (!mongoose.Types.ObjectId.isValid(body.defaultAssignee) || !(await User.exists({ _id: body.defaultAssignee }))) {
+        return { data, error: "The default assignee could not be found." };
+      }
+    }
+    data.defaultAssignee = body.defaultAssignee || null;
+  }
+  return { data, error: null };
+}
+
+/**
+ * Helper: Respond with the validation error of a form save
+ * @returns {boolean} - Whether a response was sent
+ */
+function handleSaveError(error, res) {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    res.status(400).json({
+      success: false,
+      message: error.errors
+        ? Object.values(error.errors).map((err) => err.message).join(", ")
+        : `Invalid value for ${error.path}`,
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Receive a form submission (no login; the form is identified by its API key)
+ * POST /api/public/leads
+ * Body: JSON or urlencoded form fields, plus optional utm_source, utm_medium, utm_campaign, utm_term,
+ * utm_content, referrer and page_url
+ */
+exports.captureLead = async (req, res) => {
+  try {
+    const form = req.leadForm;
+    const { outcome, submission, error } = await captureLead(form, {
+      body: req.body || {},
+      query: req.query,
+      referer: req.get("Referer"),
+    });
+
+    if (outcome === "rejected") {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Plain HTML forms are sent on to the thank-you page
+    if (form.redirectUrl && req.is("application/x-www-form-urlencoded")) {
+      return res.redirect(303, form.redirectUrl);
+    }
+
+    // New and repeat enquiries get the same answer so the endpoint doesn't reveal existing leads
+    res.status(201).json({
+      success: true,
+      message: "Thank you! We have received your enquiry.",
+      data: { submissionId: submission._id },
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Lead capture error:", error);
+    res.status(500).json({
+      success: false,
+      message: "We couldn't process the submission at the moment.",
+    });
+  }
+};
+
+/**
+ * Get lead forms
+ * GET /api/lead-forms
+ */
+exports.getLeadForms = async (req, res) => {
+  try {
+    const forms = await LeadForm.find()
+      .populate("defaultAssignee", "username _id")
+      .populate("pipeline", "name")
+      .populate("createdBy", "username _id")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: forms,
+    });
+  } catch (error) {
+    console.error("Get lead forms error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lead forms",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a lead form and its API key (the key is only returned here and when it is regenerated)
+ * POST /api/lead-forms
+ * Body: { name, description?, fieldMappings?, defaults?, pipeline?, defaultAssignee?, rateLimitPerMinute?, redirectUrl? }
+ */
+exports.createLeadForm = async (req, res) => {
+  try {
+    const { data, error } = await pickFormData(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+    const form = await LeadForm.create({ ...data, apiKeyHash, apiKeyPrefix, createdBy: req.user.id });
+    const created = form.toObject();
+    delete created.apiKeyHash;
+
+    res.status(201).json({
+      success: true,
+      message: "Lead form created successfully. Copy the API key now; it won't be shown again.",
+      data: { ...created, apiKey },
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Create lead form error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create lead form",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a lead form
+ * PUT /api/lead-forms/:id
+ */
+exports.updateLeadForm = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid form ID" });
+    }
+
+    const { data, error } = await pickFormData(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const form = await LeadForm.findById(id);
+    if (!form) {
+      return res.status(404).json({ success: false, message: "Lead form not found" });
+    }
+
+    form.set(data);
+    await form.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Lead form updated successfully",
+      data: form,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Update lead form error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update lead form",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the API key of a form (the old key stops working immediately)
+ * POST /api/lead-forms/:id/regenerate-key
+ */
+exports.regenerateLeadFormKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid form ID" });
+    }
+
+    const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+    const form = await LeadForm.findByIdAndUpdate(id, { apiKeyHash, apiKeyPrefix, updatedAt: new Date() }, { new: true }).lean();
+    if (!form) {
+      return res.status(404).json({ success: false, message: "Lead form not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "API key regenerated. Copy it now; it won't be shown again.",
+      data: { ...form, apiKey },
+    });
+  } catch (error) {
+    console.error("Regenerate lead form key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to regenerate API key",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a lead form and its submission log (leads it created are kept)
+ * DELETE /api/lead-forms/:id
+ */
+exports.deleteLeadForm = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid form ID" });
+    }
+
+    const form = await LeadForm.findByIdAndDelete(id);
+    if (!form) {
+      return res.status(404).json({ success: false, message: "Lead form not found" });
+    }
+    await LeadFormSubmission.deleteMany({ form: form._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Lead form deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete lead form error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete lead form",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the submissions received on a form
+ * GET /api/lead-forms/:id/submissions?outcome=&page=1&limit=20
+ */
+exports.getLeadFormSubmissions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid form ID" });
+    }
+
+    const filter = { form: id };
+    if (req.query.outcome) filter.outcome = String(req.query.outcome);
+
+    const [submissions, total] = await Promise.all([
+      LeadFormSubmission.find(filter)
+        .populate("entry", "customerName contactName mobileNumber email status")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LeadFormSubmission.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: submissions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get lead form submissions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch submissions",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,442 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const Entry = require("../Schema/DataModel");
+const EntryNote = require("../Schema/EntryNoteModel");
+const EntryAttachment = require("../Schema/EntryAttachmentModel");
+const { canAccessEntry, isAdminUser } = require("../utils/leadAccess");
+const { saveUpload, readUpload, removeUpload } = require("../utils/storage");
+
+/**
+ * Note Controller
+ * Notes and file attachments of a lead
+ * Every route applies the same access check as editEntry (admins, the creator and the assignee)
+ */
+
+// File types reps may attach, with the content type they are served with
+const ATTACHMENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+};
+
+/**
+ * Helper: Load an entry the user may edit
+ * @returns {Promise<{ entry: Object|null, statusCode?: number, message?: string }>}
+ */
+async function loadEntry(id, user) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { entry: null, statusCode: 400, message: "The entry ID provided is not valid." };
+  }
+  const entry = await Entry.findById(id).select("createdBy assignedTo").lean();
+  if (!entry) {
+    return { entry: null, statusCode: 404, message: "We could not find this entry. It might have been deleted." };
+  }
+  if (!canAccessEntry(entry, user)) {
+    return { entry: null, statusCode: 403, message: "You do not have permission to access this entry." };
+  }
+  return { entry };
+}
+
+/**
+ * Helper: Load a note of an entry
+ * @returns {Promise<{ note: Object|null, statusCode?: number, message?: string }>}
+ */
+async function loadNote(entryId, noteId, user) {
+  const { entry, statusCode, message } = await loadEntry(entryId, user);
+  if (!entry) return { note: null, statusCode, message };
+  if (!mongoose.Types.ObjectId.isValid(noteId)) {
+    return { note: null, statusCode: 400, message: "Invalid note ID" };
+  }
+  const note = await EntryNote.findOne({ _id: noteId, entry: entry._id });
+  if (!note) {
+    return { note: null, statusCode: 404, message: "Note not found" };
+  }
+  return { note };
+}
+
+/**
+ * Helper: Load an attachment of an entry
+ * @returns {Promise<{ attachment: Object|null, statusCode?: number, message?: string }>}
+ */
+async function loadAttachment(entryId, attachmentId, user) {
+  const { entry, statusCode, message } = await loadEntry(entryId, user);
+  if (!entry) return { attachment: null, statusCode, message };
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+    return { attachment: null, statusCode: 400, message: "Invalid attachment ID" };
+  }
+  const attachment = await EntryAttachment.findOne({ _id: attachmentId, entry: entry._id });
+  if (!attachment) {
+    return { attachment: null, statusCode: 404, message: "Attachment not found" };
+  }
+  return { attachment };
+}
+
+/**
+ * Helper: Only the author (or an admin) may change a note or remove a file
+ */
+function isOwner(ownerId, user) {
+  return isAdminUser(user) || String(ownerId) === user.id;
+}
+
+/**
+ * Get the notes of an entry (pinned notes first, then newest first)
+ * GET /api/entry/:id/notes?page=1&limit=20
+ */
+exports.getNotes = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { entry, statusCode, message } = await loadEntry(req.params.id, req.user);
+    if (!entry) return res.status(statusCode).json({ success: false, message });
+
+    const [notes, total] = await Promise.all([
+      EntryNote.find({ entry: entry._id })
+        .populate("createdBy", "username _id")
+        .sort({ isPinned: -1, pinnedAt: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EntryNote.countDocuments({ entry: entry._id }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: notes,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get notes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notes",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a note to an entry
+ * POST /api/entry/:id/notes
+ * Body: { body, isPinned? }
+ */
+exports.createNote = async (req, res) => {
+  try {
+    const { entry, statusCode, message } = await loadEntry(req.params.id, req.user);
+    if (!entry) return res.status(statusCode).json({ success: false, message });
+
+    const isPinned = Boolean(req.body.isPinned);
+    const note = await EntryNote.create({
+      entry: entry._id,
+      body: req.body.body,
+      isPinned,
+      pinnedAt: isPinned ? new Date() : null,
+      createdBy: req.user.id,
+    });
+    await note.populate("createdBy", "username _id");
+
+    res.status(201).json({
+      success: true,
+      message: "Note added successfully",
+      data: note,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Create note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add note",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit the text of a note (author or admin)
+ * PUT /api/entry/:id/notes/:noteId
+ * Body: { body }
+ */
+exports.updateNote = async (req, res) => {
+  try {
+    const { note, statusCode, message } = await loadNote(req.params.id, req.params.noteId, req.user);
+    if (!note) return res.status(statusCode).json({ success: false, message });
+
+    if (!isOwner(note.createdBy, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author of a note can edit it.",
+      });
+    }
+
+    if (req.body.body !== undefined && req.body.body !== note.body) {
+      note.body = req.body.body;
+      note.editedAt = new Date();
+    }
+    await note.save();
+    await note.populate("createdBy", "username _id");
+
+    res.status(200).json({
+      success: true,
+      message: "Note updated successfully",
+      data: note,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Update note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update note",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Pin or unpin a note (anyone with access to the entry)
+ * PATCH /api/entry/:id/notes/:noteId/pin
+ * Body: { isPinned }
+ */
+exports.pinNote = async (req, res) => {
+  try {
+    if (typeof req.body.isPinned !== "boolean") {
+      return res.status(400).json({ success: false, message: "isPinned must be true or false" });
+    }
+
+    const { note, statusCode, message } = await loadNote(req.params.id, req.params.noteId, req.user);
+    if (!note) return res.status(statusCode).json({ success: false, message });
+
+    note.isPinned = req.body.isPinned;
+    note.pinnedAt = req.body.isPinned ? new Date() : null;
+    await note.save();
+
+    res.status(200).json({
+      success: true,
+      message: req.body.isPinned ? "Note pinned" : "Note unpinned",
+      data: note,
+    });
+  } catch (error) {
+    console.error("Pin note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to pin note",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a note (author or admin)
+ * DELETE /api/entry/:id/notes/:noteId
+ */
+exports.deleteNote = async (req, res) => {
+  try {
+    const { note, statusCode, message } = await loadNote(req.params.id, req.params.noteId, req.user);
+    if (!note) return res.status(statusCode).json({ success: false, message });
+
+    if (!isOwner(note.createdBy, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author of a note can delete it.",
+      });
+    }
+
+    await note.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Note deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete note",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the attachments of an entry (newest first)
+ * GET /api/entry/:id/attachments
+ */
+exports.getAttachments = async (req, res) => {
+  try {
+    const { entry, statusCode, message } = await loadEntry(req.params.id, req.user);
+    if (!entry) return res.status(statusCode).json({ success: false, message });
+
+    const attachments = await EntryAttachment.find({ entry: entry._id })
+      .select("-storedPath")
+      .populate("uploadedBy", "username _id")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: attachments,
+    });
+  } catch (error) {
+    console.error("Get attachments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch attachments",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Attach a file to an entry
+ * POST /api/entry/:id/attachments?fileName=po-signed.pdf&description=
+ * Body: raw file contents (PDF, image, Word, Excel, CSV or text)
+ */
+exports.uploadAttachment = async (req, res) => {
+  try {
+    const fileName = path.basename(String(req.query.fileName || req.get("X-File-Name") || "").trim());
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please send the file as the request body.",
+      });
+    }
+    if (!fileName) {
+      return res.status(400).json({
+        success: false,
+        message: "File name is required (fileName query parameter or X-File-Name header).",
+      });
+    }
+    const extension = path.extname(fileName).toLowerCase();
+    if (!ATTACHMENT_TYPES[extension]) {
+      return res.status(400).json({
+        success: false,
+        message: `Files of this type cannot be attached. Allowed: ${Object.keys(ATTACHMENT_TYPES).join(", ")}`,
+      });
+    }
+
+    const { entry, statusCode, message } = await loadEntry(req.params.id, req.user);
+    if (!entry) return res.status(statusCode).json({ success: false, message });
+
+    const storedPath = await saveUpload("attachments", req.body, extension);
+    const attachment = await EntryAttachment.create({
+      entry: entry._id,
+      fileName,
+      storedPath,
+      mimeType: ATTACHMENT_TYPES[extension],
+      fileSize: req.body.length,
+      description: req.query.description ? String(req.query.description) : "",
+      uploadedBy: req.user.id,
+    });
+
+    const data = attachment.toObject();
+    delete data.storedPath;
+
+    res.status(201).json({
+      success: true,
+      message: `${fileName} attached successfully`,
+      data,
+    });
+  } catch (error) {
+    console.error("Upload attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload attachment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download an attachment
+ * GET /api/entry/:id/attachments/:attachmentId/download
+ */
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const { attachment, statusCode, message } = await loadAttachment(req.params.id, req.params.attachmentId, req.user);
+    if (!attachment) return res.status(statusCode).json({ success: false, message });
+
+    let buffer;
+    try {
+      buffer = await readUpload(attachment.storedPath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return res.status(404).json({
+        success: false,
+        message: "The file is no longer available on the server.",
+      });
+    }
+
+    res.setHeader("Content-Type", attachment.mimeType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${attachment.fileName.replace(/[^\x20-\x7e]|"/g, "_")}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+    );
+    res.send(buffer);
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download attachment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove an attachment and its file (uploader or admin)
+ * DELETE /api/entry/:id/attachments/:attachmentId
+ */
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const { attachment, statusCode, message } = await loadAttachment(req.params.id, req.params.attachmentId, req.user);
+    if (!attachment) return res.status(statusCode).json({ success: false, message });
+
+    if (!isOwner(attachment.uploadedBy, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the person who uploaded a file can remove it.",
+      });
+    }
+
+    await attachment.deleteOne();
+    await removeUpload(attachment.storedPath);
+
+    res.status(200).json({
+      success: true,
+      message: `${attachment.fileName} removed successfully`,
+    });
+  } catch (error) {
+    console.error("Delete attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove attachment",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,285 @@
+const mongoose = require("mongoose");
+const Pipeline = require("../Schema/PipelineModel");
+const Entry = require("../Schema/DataModel");
+const { invalidatePipelineCache, validateStages } = require("../services/pipelineService");
+
+/**
+ * Pipeline Controller
+ * Admin management of sales pipelines and their stages
+ */
+
+/**
+ * Helper: Normalize stage definitions from a request body
+ * Stages keep the order they were sent in unless an explicit order is given
+ */
+function pickStages(stages) {
+  return stages.map((stage, index) => ({
+    name: String(stage.name).trim(),
+    order: stage.order !== undefined && !isNaN(Number(stage.order)) ? Number(stage.order) : index,
+    color: stage.color ? String(stage.color).trim() : "",
+    isWon: Boolean(stage.isWon),
+    isLost: Boolean(stage.isLost),
+    ...(stage.probability !== undefined && stage.probability !== null && stage.probability !== "" && {
+      probability: Number(stage.probability),
+    }),
+    allowedTransitions: (stage.allowedTransitions || []).map((name) => String(name).trim()).filter(Boolean),
+    ...(stage.renamedFrom && { renamedFrom: String(stage.renamedFrom).trim() }),
+  }));
+}
+
+/**
+ * Helper: Filter matching every entry of a pipeline (entries without one belong to the default)
+ */
+function pipelineEntryFilter(pipeline) {
+  return pipeline.isDefault
+    ? { $or: [{ pipeline: pipeline._id }, { pipeline: null }] }
+    : { pipeline: pipeline._id };
+}
+
+/**
+ * Get all pipelines
+ * GET /api/pipelines
+ */
+exports.getPipelines = async (req, res) => {
+  try {
+    const pipelines = await Pipeline.find().sort({ isDefault: -1, createdAt: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: pipelines,
+    });
+  } catch (error) {
+    console.error("Get pipelines error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch pipelines",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a pipeline
+ * POST /api/pipelines
+ */
+exports.createPipeline = async (req, res) => {
+  try {
+    // New pipelines are never the default; use POST /api/pipelines/:id/default to switch
+    const { name, description, stages } = req.body;
+
+    const stageError = validateStages(stages);
+    if (stageError) {
+      return res.status(400).json({ success: false, message: stageError });
+    }
+
+    const pipeline = new Pipeline({
+      name,
+      description,
+      stages: pickStages(stages),
+      createdBy: req.user.id,
+    });
+    await pipeline.save();
+    invalidatePipelineCache();
+
+    res.status(201).json({
+      success: true,
+      message: "Pipeline created successfully",
+      data: pipeline,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pipeline",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "A pipeline with this name already exists" });
+    }
+    console.error("Create pipeline error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create pipeline",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a pipeline
+ * PUT /api/pipelines/:id
+ * Stages can be renamed by sending { name, renamedFrom }; entries in the old stage move along.
+ * Removing a stage that still holds entries is refused.
+ */
+exports.updatePipeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid pipeline ID" });
+    }
+
+    const pipeline = await Pipeline.findById(id);
+    if (!pipeline) {
+      return res.status(404).json({ success: false, message: "Pipeline not found" });
+    }
+
+    const { name, description, stages } = req.body;
+    if (name !== undefined) pipeline.name = name;
+    if (description !== undefined) pipeline.description = description;
+
+    let renames = [];
+    if (stages !== undefined) {
+      const stageError = validateStages(stages);
+      if (stageError) {
+        return res.status(400).json({ success: false, message: stageError });
+      }
+
+      const nextStages = pickStages(stages);
+      renames = nextStages
+        .filter((stage) => stage.renamedFrom && stage.renamedFrom !== stage.name)
+        .map((stage) => ({ from: stage.renamedFrom, to: stage.name }));
+      const kept = new Set([...nextStages.map((stage) => stage.name), ...renames.map((rename) => rename.from)]);
+      const removed = pipeline.stages.map((stage) => stage.name).filter((stageName) => !kept.has(stageName));
+
+      if (removed.length > 0) {
+        // Trashed entries count too: they can still be restored
+        const inUse = await Entry.aggregate([
+          { $match: { ...pipelineEntryFilter(pipeline), status: { $in: removed } } },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]).option({ withDeleted: true });
+        if (inUse.length > 0) {
+          return res.status(409).json({
+            success: false,
+            errorCode: "STAGE_IN_USE",
+            message: `These stages still hold entries and cannot be removed: ${inUse.map((item) => `${item._id} (${item.count})`).join(", ")}`,
+            stages: inUse.map((item) => ({ name: item._id, count: item.count })),
+          });
+        }
+      }
+
+      pipeline.stages = nextStages.map(({ renamedFrom, ...stage }) => stage);
+    }
+
+    await pipeline.save();
+
+    for (const rename of renames) {
+      await Entry.updateMany(
+        { ...pipelineEntryFilter(pipeline), status: rename.from },
+        { $set: { status: rename.to } }
+      ).setOptions({ withDeleted: true });
+    }
+    invalidatePipelineCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Pipeline updated successfully",
+      data: pipeline,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pipeline",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "A pipeline with this name already exists" });
+    }
+    console.error("Update pipeline error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update pipeline",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Make a pipeline the default
+ * POST /api/pipelines/:id/default
+ */
+exports.setDefaultPipeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid pipeline ID" });
+    }
+
+    const pipeline = await Pipeline.findById(id);
+    if (!pipeline) {
+      return res.status(404).json({ success: false, message: "Pipeline not found" });
+    }
+
+    // Entries without a pipeline belonged to the old default; pin them to it before switching
+    const previous = await Pipeline.findOne({ isDefault: true, _id: { $ne: pipeline._id } });
+    if (previous) {
+      await Entry.updateMany({ pipeline: null }, { $set: { pipeline: previous._id } }).setOptions({ withDeleted: true });
+      await Pipeline.updateMany({ _id: { $ne: pipeline._id } }, { isDefault: false });
+    }
+    pipeline.isDefault = true;
+    await pipeline.save();
+    invalidatePipelineCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Default pipeline updated successfully",
+      data: pipeline,
+    });
+  } catch (error) {
+    console.error("Set default pipeline error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update the default pipeline",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a pipeline that holds no entries
+ * DELETE /api/pipelines/:id
+ */
+exports.deletePipeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid pipeline ID" });
+    }
+
+    const pipeline = await Pipeline.findById(id);
+    if (!pipeline) {
+      return res.status(404).json({ success: false, message: "Pipeline not found" });
+    }
+    if (pipeline.isDefault) {
+      return res.status(400).json({ success: false, message: "The default pipeline cannot be deleted" });
+    }
+
+    const entryCount = await Entry.countDocuments({ pipeline: pipeline._id }).setOptions({ withDeleted: true });
+    if (entryCount > 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "PIPELINE_IN_USE",
+        message: `${entryCount} entries still belong to this pipeline. Move them to another pipeline first.`,
+      });
+    }
+
+    await pipeline.deleteOne();
+    invalidatePipelineCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Pipeline deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete pipeline error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete pipeline",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,226 @@
+const mongoose = require("mongoose");
+const Product = require("../Schema/ProductModel");
+const Quotation = require("../Schema/QuotationModel");
+
+/**
+ * Product Controller
+ * Catalog used for quotation line items; everyone can browse it, Admin/Superadmin maintain it
+ */
+
+/**
+ * Helper: Pick allowed product fields from a request body
+ */
+function pickProductData(body) {
+  const data = {};
+  ["sku", "name", "specification", "category", "unit"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field] === null ? "" : String(body[field]).trim();
+  });
+  ["unitPrice", "taxRate"].forEach((field) => {
+    if (body[field] !== undefined && body[field] !== "") data[field] = Number(body[field]);
+  });
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === "true";
+  return data;
+}
+
+/**
+ * Helper: Respond with the validation or duplicate SKU error of a product save
+ * @returns {boolean} - Whether a response was sent
+ */
+function handleSaveError(error, res) {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    res.status(400).json({
+      success: false,
+      message: error.errors
+        ? Object.values(error.errors).map((err) => err.message).join(", ")
+        : `Invalid value for ${error.path}`,
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(409).json({ success: false, message: "A product with this SKU already exists" });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get products
+ * GET /api/products?search=&category=&active=true&page=1&limit=50
+ */
+exports.getProducts = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = {};
+
+    if (req.query.active === "true") filter.isActive = true;
+    if (req.query.active === "false") filter.isActive = false;
+    if (req.query.category) filter.category = String(req.query.category);
+    if (req.query.search) {
+      const pattern = String(req.query.search).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { sku: { $regex: pattern, $options: "i" } },
+        { name: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: products,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get products error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch products",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a product
+ * GET /api/products/:id
+ */
+exports.getProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid product ID" });
+    }
+
+    const product = await Product.findById(id).lean();
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product,
+    });
+  } catch (error) {
+    console.error("Get product error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch product",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a product
+ * POST /api/products
+ * Body: { sku, name, unitPrice, taxRate?, specification?, category?, unit?, isActive? }
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    const product = await Product.create({ ...pickProductData(req.body), createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Product created successfully",
+      data: product,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Create product error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create product",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a product (existing quotations keep the details they were created with)
+ * PUT /api/products/:id
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid product ID" });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    product.set(pickProductData(req.body));
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Product updated successfully",
+      data: product,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+    console.error("Update product error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update product",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a product that was never quoted (quoted products should be deactivated instead)
+ * DELETE /api/products/:id
+ */
+exports.deleteProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid product ID" });
+    }
+
+    const quoted = await Quotation.countDocuments({ "lineItems.product": id });
+    if (quoted > 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "PRODUCT_IN_USE",
+        message: `This product is on ${quoted} quotations. Deactivate it instead.`,
+      });
+    }
+
+    const product = await Product.findByIdAndDelete(id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Product deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete product error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete product",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,718 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const Quotation = require("../Schema/QuotationModel");
+const QuotationApprovalConfig = require("../Schema/QuotationApprovalConfigModel");
+const QuotationRevision = require("../Schema/QuotationRevisionModel");
+const { readUpload } = require("../utils/storage");
+const { canAccessEntry, isAdminUser, addAndCondition } = require("../utils/leadAccess");
+const {
+  QUOTATION_STATUSES,
+  calculateTotals,
+  getDiscountPercent,
+  buildLineItems,
+  nextQuotationNumber,
+  validateStatusChange,
+  defaultValidUntil,
+  buildEntryRecordAccessFilter,
+  renderQuotationPreview,
+  ensureCurrentRevision,
+  revisionFileName,
+  sendQuotation,
+  compareRevisions,
+} = require("../services/quotationService");
+const {
+  loadApprovalConfig,
+  invalidateApprovalConfigCache,
+  getApprovalReasons,
+  assertCanSend,
+  requestApproval,
+  decideApproval,
+  validateApprovalConfig,
+} = require("../services/quotationApprovalService");
+
+/**
+ * Quotation Controller
+ * Structured quotations of a lead: line items, totals and the draft -> sent -> accepted/rejected/expired lifecycle
+ * Every version that reaches the customer is kept as a revision with its PDF
+ * Drafts above the discount/value thresholds are approved by an Admin/Superadmin before they can be sent
+ * Users work on the quotations of entries they own (and the ones they created); admins on all of them
+ */
+
+/**
+ * Helper: Load a quotation the user may access
+ * @returns {Promise<{ quotation: Object|null, statusCode?: number, message?: string }>}
+ */
+async function loadQuotation(id, user) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { quotation: null, statusCode: 400, message: "Invalid quotation ID" };
+  }
+  const quotation = await Quotation.findById(id);
+  if (!quotation) {
+    return { quotation: null, statusCode: 404, message: "Quotation not found" };
+  }
+  if (!isAdminUser(user) && String(quotation.createdBy) !== user.id) {
+    const entry = await Entry.findById(quotation.entry).select("createdBy assignedTo").lean();
+    if (!entry || !canAccessEntry(entry, user)) {
+      return { quotation: null, statusCode: 403, message: "You do not have permission to access this quotation." };
+    }
+  }
+  return { quotation };
+}
+
+/**
+ * Helper: Parse a validity date from a request body
+ * @returns {{ value: Date|null|undefined, error: string|null }}
+ */
+function parseValidUntil(input) {
+  if (input === undefined) return { value: undefined, error: null };
+  if (input === null || input === "") return { value: null, error: null };
+  const date = new Date(input);
+  if (isNaN(date.getTime())) return { value: undefined, error: "validUntil must be a valid date" };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(input))) date.setHours(23, 59, 59, 999);
+  return { value: date, error: null };
+}
+
+/**
+ * Helper: Quotation as returned by the API (with its overall discount percentage)
+ */
+function toResponse(quotation) {
+  const data = typeof quotation.toObject === "function" ? quotation.toObject() : quotation;
+  return { ...data, discountPercent: getDiscountPercent(data) };
+}
+
+/**
+ * Get quotations
+ * GET /api/quotations?entryId=&accountId=&status=&page=1&limit=20
+ */
+exports.getQuotations = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { entryId, accountId, status } = req.query;
+
+    const filter = await buildEntryRecordAccessFilter(req.user);
+    for (const [field, value] of [["entry", entryId], ["account", accountId]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${field} ID` });
+      }
+      addAndCondition(filter, { [field]: new mongoose.Types.ObjectId(String(value)) });
+    }
+    if (status) {
+      const statuses = String(status).split(",").map((item) => item.trim());
+      const unknown = statuses.filter((item) => !QUOTATION_STATUSES.includes(item));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${QUOTATION_STATUSES.join(", ")}`,
+        });
+      }
+      addAndCondition(filter, { status: { $in: statuses } });
+    }
+
+    const [quotations, total] = await Promise.all([
+      Quotation.find(filter)
+        .select("-statusHistory")
+        .populate("entry", "customerName contactName organization")
+        .populate("createdBy", "username _id")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Quotation.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: quotations.map(toResponse),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get quotations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quotations",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a quotation
+ * GET /api/quotations/:id
+ */
+exports.getQuotation = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    await quotation.populate([
+      { path: "entry", select: "customerName contactName organization email mobileNumber address city state" },
+      { path: "account", select: "name gstNumber address city state" },
+      { path: "createdBy", select: "username _id" },
+      { path: "statusHistory.changedBy", select: "username _id" },
+    ]);
+
+    // Thresholds the quotation exceeds, so the UI can offer "Submit for approval" instead of "Send"
+    const approvalReasons = getApprovalReasons(quotation, await loadApprovalConfig());
+
+    res.status(200).json({
+      success: true,
+      data: { ...toResponse(quotation), approvalReasons },
+    });
+  } catch (error) {
+    console.error("Get quotation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quotation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a draft quotation for an entry
+ * POST /api/quotations
+ * Body: { entryId, lineItems: [{ product?, name?, quantity, unitPrice?, discountPercent?, taxRate? }], validUntil?, terms?, notes?, customerEmail? }
+ */
+exports.createQuotation = async (req, res) => {
+  try {
+    const { entryId, terms, notes, customerEmail } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ success: false, message: "A valid entryId is required" });
+    }
+
+    const entry = await Entry.findById(entryId)
+      .select("customerName contactName email account createdBy assignedTo")
+      .lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, message: "Entry not found" });
+    }
+    if (!canAccessEntry(entry, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to create a quotation for this entry.",
+      });
+    }
+
+    const { lineItems, error } = await buildLineItems(req.body.lineItems);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const validUntil = parseValidUntil(req.body.validUntil);
+    if (validUntil.error) return res.status(400).json({ success: false, message: validUntil.error });
+
+    const quotation = await Quotation.create({
+      quotationNumber: await nextQuotationNumber(),
+      entry: entry._id,
+      account: entry.account || null,
+      customerName: entry.contactName || entry.customerName || "",
+      customerEmail: customerEmail || entry.email || "",
+      ...calculateTotals(lineItems),
+      validUntil: validUntil.value || defaultValidUntil(),
+      terms: terms || "",
+      notes: notes || "",
+      status: "draft",
+      statusHistory: [{ status: "draft", remarks: "Quotation created", changedBy: req.user.id }],
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} created successfully`,
+      data: toResponse(quotation),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Create quotation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create quotation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a draft quotation
+ * PUT /api/quotations/:id
+ * Body: { lineItems?, validUntil?, terms?, notes?, customerEmail? }
+ */
+exports.updateQuotation = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    if (quotation.status !== "draft") {
+      return res.status(409).json({
+        success: false,
+        errorCode: "QUOTATION_LOCKED",
+        message: `Only draft quotations can be edited; this one is ${quotation.status}.`,
+      });
+    }
+
+    if (req.body.lineItems !== undefined) {
+      const { lineItems, error } = await buildLineItems(req.body.lineItems);
+      if (error) return res.status(400).json({ success: false, message: error });
+      quotation.set(calculateTotals(lineItems));
+    }
+    const validUntil = parseValidUntil(req.body.validUntil);
+    if (validUntil.error) return res.status(400).json({ success: false, message: validUntil.error });
+    if (validUntil.value !== undefined) quotation.validUntil = validUntil.value || defaultValidUntil();
+    ["terms", "notes", "customerEmail"].forEach((field) => {
+      if (req.body[field] !== undefined) quotation[field] = req.body[field] || "";
+    });
+
+    await quotation.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Quotation updated successfully",
+      data: toResponse(quotation),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Update quotation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update quotation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move a quotation through its lifecycle
+ * PATCH /api/quotations/:id/status
+ * Body: { status, remarks? }
+ */
+exports.updateQuotationStatus = async (req, res) => {
+  try {
+    const { status, remarks } = req.body;
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    const transitionError = validateStatusChange(quotation.status, status);
+    if (transitionError) {
+      return res.status(400).json({ success: false, message: transitionError });
+    }
+
+    if (status === "sent") {
+      if (quotation.validUntil && quotation.validUntil < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "The validity date of this quotation has passed. Update validUntil before sending it.",
+        });
+      }
+      await assertCanSend(quotation, req.user);
+      // Keep a copy of what the customer got, even when it was handed over outside the app
+      await ensureCurrentRevision(quotation, req.user.id);
+      quotation.sentAt = new Date();
+    }
+    // Reopened quotations get a fresh validity period
+    if (status === "draft") quotation.validUntil = defaultValidUntil();
+
+    quotation.status = status;
+    quotation.statusHistory.push({ status, remarks: remarks || "", changedBy: req.user.id, changedAt: new Date() });
+    await quotation.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} marked as ${status}`,
+      data: toResponse(quotation),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, errorCode: error.errorCode, message: error.message });
+    }
+    console.error("Update quotation status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update quotation status",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Preview the PDF of the quotation as it is now (nothing is stored)
+ * GET /api/quotations/:id/pdf
+ */
+exports.previewQuotationPdf = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    const pdf = await renderQuotationPreview(quotation);
+
+    res.setHeader("Content-Disposition", `inline; filename=${quotation.quotationNumber}-preview.pdf`);
+    res.setHeader("Content-Type", "application/pdf");
+    res.send(pdf);
+  } catch (error) {
+    console.error("Quotation PDF preview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate quotation PDF",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Email the quotation PDF to the customer
+ * POST /api/quotations/:id/send
+ * Body: { to?, message?, version? } - version re-sends an earlier revision instead of the current content
+ */
+exports.sendQuotationEmail = async (req, res) => {
+  try {
+    const { to, message, version } = req.body;
+    const { quotation, statusCode, message: accessMessage } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message: accessMessage });
+
+    const revision = await sendQuotation(quotation, { to, message, version, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} (revision ${revision.version}) sent successfully.`,
+      data: { ...toResponse(quotation), sentVersion: revision.version },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, errorCode: error.errorCode, message: error.message });
+    }
+    console.error("Send quotation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send quotation. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List the revisions of a quotation (newest first)
+ * GET /api/quotations/:id/versions
+ */
+exports.getQuotationVersions = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    const revisions = await QuotationRevision.find({ quotation: quotation._id })
+      .select("version quotationNumber subtotal discountTotal taxTotal grandTotal validUntil createdBy createdAt")
+      .populate("createdBy", "username _id")
+      .sort({ version: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+    });
+  } catch (error) {
+    console.error("Get quotation versions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quotation versions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Compare two revisions (default: the latest with the one before it)
+ * GET /api/quotations/:id/versions/compare?from=1&to=2
+ */
+exports.compareQuotationVersions = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : quotation.currentVersion;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1 || from === to) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide two different revision numbers to compare (from and to).",
+      });
+    }
+
+    const revisions = await QuotationRevision.find({ quotation: quotation._id, version: { $in: [from, to] } }).lean();
+    const fromRevision = revisions.find((revision) => revision.version === from);
+    const toRevision = revisions.find((revision) => revision.version === to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${!fromRevision ? from : to} of this quotation was not found.`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: compareRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    console.error("Compare quotation versions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compare quotation versions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the PDF of a revision
+ * GET /api/quotations/:id/versions/:version/pdf
+ */
+exports.getQuotationVersionPdf = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    const revision = await QuotationRevision.findOne({
+      quotation: quotation._id,
+      version: parseInt(req.params.version),
+    }).lean();
+    if (!revision) {
+      return res.status(404).json({ success: false, message: "Quotation revision not found" });
+    }
+
+    const pdf = await readUpload(revision.pdfPath);
+
+    res.setHeader("Content-Disposition", `attachment; filename=${revisionFileName(revision)}`);
+    res.setHeader("Content-Type", "application/pdf");
+    res.send(pdf);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ success: false, message: "The PDF of this revision is no longer available" });
+    }
+    console.error("Get quotation version PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download quotation PDF",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the approval thresholds
+ * GET /api/quotations/approval-settings
+ */
+exports.getApprovalSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await loadApprovalConfig(),
+    });
+  } catch (error) {
+    console.error("Get approval settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch approval settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update the approval thresholds
+ * PUT /api/quotations/approval-settings
+ * Body: { enabled?, maxDiscountPercent?, maxGrandTotal? } - null disables a threshold
+ */
+exports.updateApprovalSettings = async (req, res) => {
+  try {
+    const { enabled, maxDiscountPercent, maxGrandTotal } = req.body;
+    const settingsError = validateApprovalConfig({ maxDiscountPercent, maxGrandTotal });
+    if (settingsError) {
+      return res.status(400).json({ success: false, message: settingsError });
+    }
+
+    const config =
+      (await QuotationApprovalConfig.findOne({ key: "default" })) || new QuotationApprovalConfig({ key: "default" });
+    if (enabled !== undefined) config.enabled = Boolean(enabled);
+    if (maxDiscountPercent !== undefined) config.maxDiscountPercent = maxDiscountPercent === null ? null : Number(maxDiscountPercent);
+    if (maxGrandTotal !== undefined) config.maxGrandTotal = maxGrandTotal === null ? null : Number(maxGrandTotal);
+    config.updatedBy = req.user.id;
+    await config.save();
+    invalidateApprovalConfigCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Approval settings saved",
+      data: config,
+    });
+  } catch (error) {
+    console.error("Update approval settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save approval settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Quotations waiting for approval (oldest request first)
+ * GET /api/quotations/approvals/pending?page=1&limit=20
+ */
+exports.getPendingApprovals = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { status: "pending_approval" };
+
+    const [quotations, total] = await Promise.all([
+      Quotation.find(filter)
+        .select("-statusHistory")
+        .populate("entry", "customerName contactName organization")
+        .populate("createdBy", "username _id")
+        .populate("approval.requestedBy", "username _id")
+        .sort({ "approval.requestedAt": 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Quotation.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: quotations.map(toResponse),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get pending approvals error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch pending approvals",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Submit a draft above the thresholds for approval
+ * POST /api/quotations/:id/submit-approval
+ * Body: { comment? } - justification for the approver
+ */
+exports.submitForApproval = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    const reasons = await requestApproval(quotation, { userId: req.user.id, comment: req.body.comment });
+
+    res.status(200).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} submitted for approval`,
+      data: { ...toResponse(quotation), approvalReasons: reasons },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Submit quotation for approval error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit quotation for approval",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper: Approve or reject a pending quotation
+ */
+async function decide(req, res, decision) {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    await decideApproval(quotation, { decision, comment: req.body.comment, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} ${decision}`,
+      data: toResponse(quotation),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error(`Quotation approval (${decision}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record the approval decision",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Approve a pending quotation
+ * POST /api/quotations/:id/approve
+ * Body: { comment? }
+ */
+exports.approveQuotation = (req, res) => decide(req, res, "approved");
+
+/**
+ * Reject a pending quotation (it goes back to draft for the rep to change)
+ * POST /api/quotations/:id/reject
+ * Body: { comment }
+ */
+exports.rejectQuotation = (req, res) => decide(req, res, "rejected");
+
+/**
+ * Delete a draft quotation (sent quotations are kept as a record of what the customer received)
+ * DELETE /api/quotations/:id
+ */
+exports.deleteQuotation = async (req, res) => {
+  try {
+    const { quotation, statusCode, message } = await loadQuotation(req.params.id, req.user);
+    if (!quotation) return res.status(statusCode).json({ success: false, message });
+
+    if (quotation.status !== "draft" || quotation.sentAt) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "QUOTATION_LOCKED",
+        message: "Only quotations that were never sent can be deleted.",
+      });
+    }
+
+    await quotation.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} deleted successfully`,
+    });
+  } catch (error) {
+    console.error("Delete quotation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete quotation",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,293 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const Quotation = require("../Schema/QuotationModel");
+const SalesOrder = require("../Schema/SalesOrderModel");
+const { canAccessEntry, isAdminUser, addAndCondition } = require("../utils/leadAccess");
+const { buildLineItems, calculateTotals, buildEntryRecordAccessFilter } = require("../services/quotationService");
+const {
+  ORDER_STATUSES,
+  parseOrderDetails,
+  refreshEntryOrderValue,
+  createOrderFromQuotation,
+  createOrderFromEntry,
+  changeOrderStatus,
+} = require("../services/salesOrderService");
+
+/**
+ * Sales Order Controller
+ * Orders raised from accepted quotations or won entries and their fulfilment (confirmed -> dispatched -> delivered -> paid)
+ * Access follows the order's entry, like quotations
+ */
+
+/**
+ * Helper: Load an order the user may access
+ * @returns {Promise<{ order: Object|null, statusCode?: number, message?: string }>}
+ */
+async function loadOrder(id, user) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { order: null, statusCode: 400, message: "Invalid order ID" };
+  }
+  const order = await SalesOrder.findById(id);
+  if (!order) {
+    return { order: null, statusCode: 404, message: "Order not found" };
+  }
+  if (!isAdminUser(user) && String(order.createdBy) !== user.id) {
+    const entry = await Entry.findById(order.entry).select("createdBy assignedTo").lean();
+    if (!entry || !canAccessEntry(entry, user)) {
+      return { order: null, statusCode: 403, message: "You do not have permission to access this order." };
+    }
+  }
+  return { order };
+}
+
+/**
+ * Get sales orders
+ * GET /api/sales-orders?entryId=&accountId=&status=&page=1&limit=20
+ */
+exports.getSalesOrders = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { entryId, accountId, status } = req.query;
+
+    const filter = await buildEntryRecordAccessFilter(req.user);
+    for (const [field, value] of [["entry", entryId], ["account", accountId]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${field} ID` });
+      }
+      addAndCondition(filter, { [field]: new mongoose.Types.ObjectId(String(value)) });
+    }
+    if (status) {
+      const statuses = String(status).split(",").map((item) => item.trim());
+      if (statuses.some((item) => !ORDER_STATUSES.includes(item))) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${ORDER_STATUSES.join(", ")}`,
+        });
+      }
+      addAndCondition(filter, { status: { $in: statuses } });
+    }
+
+    const [orders, total, [totals]] = await Promise.all([
+      SalesOrder.find(filter)
+        .select("-statusHistory")
+        .populate("entry", "customerName contactName organization")
+        .populate("quotation", "quotationNumber")
+        .populate("createdBy", "username _id")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SalesOrder.countDocuments(filter),
+      SalesOrder.aggregate([
+        { $match: filter },
+        { $group: { _id: null, orderValue: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 0, "$grandTotal"] } } } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      summary: { orderValue: totals ? totals.orderValue : 0 },
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get sales orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sales orders",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a sales order
+ * GET /api/sales-orders/:id
+ */
+exports.getSalesOrder = async (req, res) => {
+  try {
+    const { order, statusCode, message } = await loadOrder(req.params.id, req.user);
+    if (!order) return res.status(statusCode).json({ success: false, message });
+
+    await order.populate([
+      { path: "entry", select: "customerName contactName organization email mobileNumber" },
+      { path: "account", select: "name gstNumber" },
+      { path: "quotation", select: "quotationNumber currentVersion" },
+      { path: "createdBy", select: "username _id" },
+      { path: "statusHistory.changedBy", select: "username _id" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Get sales order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sales order",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Raise a sales order from an accepted quotation or a won entry
+ * POST /api/sales-orders
+ * Body: { quotationId } or { entryId }, plus { deliveryAddress?, expectedDispatchDate?, paymentTerms?, notes? }
+ */
+exports.createSalesOrder = async (req, res) => {
+  try {
+    const { quotationId, entryId } = req.body;
+    const { values: details, error: detailsError } = parseOrderDetails(req.body);
+    if (detailsError) return res.status(400).json({ success: false, message: detailsError });
+
+    let order;
+    if (quotationId) {
+      if (!mongoose.Types.ObjectId.isValid(quotationId)) {
+        return res.status(400).json({ success: false, message: "Invalid quotation ID" });
+      }
+      const quotation = await Quotation.findById(quotationId).lean();
+      if (!quotation) return res.status(404).json({ success: false, message: "Quotation not found" });
+      const entry = await Entry.findById(quotation.entry).select("createdBy assignedTo").lean();
+      if (!entry || !canAccessEntry(entry, req.user)) {
+        return res.status(403).json({ success: false, message: "You do not have permission to raise an order for this quotation." });
+      }
+      order = await createOrderFromQuotation(quotation, { userId: req.user.id, details });
+    } else if (entryId) {
+      if (!mongoose.Types.ObjectId.isValid(entryId)) {
+        return res.status(400).json({ success: false, message: "Invalid entry ID" });
+      }
+      const entry = await Entry.findById(entryId).lean();
+      if (!entry) return res.status(404).json({ success: false, message: "Entry not found" });
+      if (!canAccessEntry(entry, req.user)) {
+        return res.status(403).json({ success: false, message: "You do not have permission to raise an order for this entry." });
+      }
+      order = await createOrderFromEntry(entry, { userId: req.user.id, details });
+    } else {
+      return res.status(400).json({ success: false, message: "quotationId or entryId is required" });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Sales order ${order.orderNumber} created successfully`,
+      data: order,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, errorCode: error.errorCode, message: error.message });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Create sales order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create sales order",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update delivery and payment details (and the line items while the order is confirmed)
+ * PUT /api/sales-orders/:id
+ * Body: { deliveryAddress?, expectedDispatchDate?, paymentTerms?, notes?, lineItems? }
+ */
+exports.updateSalesOrder = async (req, res) => {
+  try {
+    const { order, statusCode, message } = await loadOrder(req.params.id, req.user);
+    if (!order) return res.status(statusCode).json({ success: false, message });
+
+    if (["paid", "cancelled"].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "ORDER_LOCKED",
+        message: `A ${order.status} order cannot be changed.`,
+      });
+    }
+
+    const { values, error: detailsError } = parseOrderDetails(req.body);
+    if (detailsError) return res.status(400).json({ success: false, message: detailsError });
+    order.set(values);
+
+    if (req.body.lineItems !== undefined) {
+      if (order.status !== "confirmed") {
+        return res.status(409).json({
+          success: false,
+          errorCode: "ORDER_LOCKED",
+          message: "Line items can only be changed before the order is dispatched.",
+        });
+      }
+      const { lineItems, error } = await buildLineItems(req.body.lineItems);
+      if (error) return res.status(400).json({ success: false, message: error });
+      order.set(calculateTotals(lineItems));
+    }
+
+    const totalChanged = order.isModified("grandTotal");
+    await order.save();
+    if (totalChanged) await refreshEntryOrderValue(order.entry);
+
+    res.status(200).json({
+      success: true,
+      message: "Sales order updated successfully",
+      data: order,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Update sales order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update sales order",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move a sales order through fulfilment
+ * PATCH /api/sales-orders/:id/status
+ * Body: { status, remarks? }
+ */
+exports.updateSalesOrderStatus = async (req, res) => {
+  try {
+    const { order, statusCode, message } = await loadOrder(req.params.id, req.user);
+    if (!order) return res.status(statusCode).json({ success: false, message });
+
+    await changeOrderStatus(order, { status: req.body.status, remarks: req.body.remarks, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Sales order ${order.orderNumber} marked as ${order.status}`,
+      data: order,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Update sales order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update sales order status",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
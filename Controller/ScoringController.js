@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const ScoringConfig = require("../Schema/ScoringConfigModel");
+const { canAccessEntry } = require("../utils/leadAccess");
+const {
+  SCORE_FIELDS,
+  loadScoringConfig,
+  invalidateScoringConfigCache,
+  scoreEntries,
+  recalculateScores,
+  isRecalculating,
+  validateScoringFactors,
+} = require("../services/scoringService");
+
+/**
+ * Scoring Controller
+ * Lead scoring model management and per-lead score breakdowns
+ * Sort the listing by score with /api/fetch-entry?sortBy=score and filter it with ?minScore=&maxScore=
+ */
+
+/**
+ * Helper: Recalculate every score in the background
+ */
+function recalculateInBackground() {
+  recalculateScores()
+    .then((scored) => {
+      console.log(`🎯 Lead scoring: rescored ${scored} entries`);
+    })
+    .catch((error) => {
+      console.error("Lead score recalculation failed:", error.message);
+    });
+}
+
+/**
+ * Get the scoring model
+ * GET /api/scoring
+ */
+exports.getScoringConfig = async (req, res) => {
+  try {
+    const config = await loadScoringConfig();
+
+    res.status(200).json({
+      success: true,
+      data: { ...config, recalculating: isRecalculating() },
+    });
+  } catch (error) {
+    console.error("Get scoring config error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch the scoring model",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save the scoring model and rescore every lead
+ * PUT /api/scoring
+ * Body: { factors: { status: { weight, values: [{ value, points }] }, lastAnsweredCall: { weight, bands: [{ min, max, points }] }, ... }, zeroClosedLeads? }
+ */
+exports.updateScoringConfig = async (req, res) => {
+  try {
+    const { factors, zeroClosedLeads } = req.body;
+
+    const factorError = validateScoringFactors(factors);
+    if (factorError) {
+      return res.status(400).json({ success: false, message: factorError });
+    }
+
+    const config = (await ScoringConfig.findOne({ key: "default" })) || new ScoringConfig({ key: "default" });
+    Object.entries(factors).forEach(([name, settings]) => {
+      config.set(`factors.${name}`, settings);
+    });
+    if (zeroClosedLeads !== undefined) config.zeroClosedLeads = Boolean(zeroClosedLeads);
+    config.updatedBy = req.user.id;
+    await config.save();
+    invalidateScoringConfigCache();
+
+    recalculateInBackground();
+
+    res.status(200).json({
+      success: true,
+      message: "Scoring model saved. Lead scores are being recalculated.",
+      data: config,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Update scoring config error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save the scoring model",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Recalculate every lead score now
+ * POST /api/scoring/recalculate
+ */
+exports.recalculateScores = async (req, res) => {
+  try {
+    if (isRecalculating()) {
+      return res.status(409).json({
+        success: false,
+        message: "Lead scores are already being recalculated.",
+      });
+    }
+
+    recalculateInBackground();
+
+    res.status(202).json({
+      success: true,
+      message: "Lead scores are being recalculated.",
+    });
+  } catch (error) {
+    console.error("Recalculate scores error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start the score recalculation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the score breakdown of one entry
+ * GET /api/entry/:id/score
+ * Returns the stored score and a live calculation with the current model and call history
+ */
+exports.getEntryScore = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "The entry ID provided is not valid.",
+      });
+    }
+
+    const entry = await Entry.findById(id)
+      .select(`${SCORE_FIELDS} createdBy assignedTo score scoreBreakdown scoredAt`)
+      .lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find this entry.",
+      });
+    }
+
+    if (!canAccessEntry(entry, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to view the score of this entry.",
+      });
+    }
+
+    const [current] = await scoreEntries([entry]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        score: current.score,
+        breakdown: current.breakdown,
+        stored: {
+          score: entry.score || 0,
+          breakdown: entry.scoreBreakdown || [],
+          scoredAt: entry.scoredAt || null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get entry score error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We couldn't calculate the score of this entry.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,64 @@
+const { normalizeRole } = require("../utils/leadAccess");
+const { buildFilter, applyUserFilters } = require("../services/entryFilterService");
+const { searchEntries } = require("../services/searchService");
+
+/**
+ * Search Controller
+ * Relevance-ranked lead search with highlighted matches
+ */
+
+/**
+ * Search entries by name, contact, organization, email, address or phone
+ * GET /api/entries/search?q=&page=1&limit=20&fuzzy=false
+ * Accepts the same query filters as fetchEntries (status, tags, smartListId, ...) to narrow the results
+ */
+exports.searchEntries = async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const normalizedRole = normalizeRole(req.user.role);
+
+    if (q.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Please enter at least 2 characters to search.",
+      });
+    }
+
+    // Same visibility rules and filters as fetchEntries; q replaces the legacy searchTerm
+    const filter = await buildFilter({ user: req.user, query: { ...req.query, searchTerm: undefined } }, normalizedRole);
+    await applyUserFilters(req, filter, normalizedRole);
+
+    const { results, hasMore } = await searchEntries(q, filter, {
+      page,
+      limit,
+      fuzzy: req.query.fuzzy !== "false",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      // Results are ranked within a candidate window, so there is no exact total
+      pagination: {
+        page,
+        limit,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    // Invalid or inaccessible smart list, or a page past the search window
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error in searchEntries:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't search the entries at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,179 @@
+const mongoose = require("mongoose");
+const SmartList = require("../Schema/SmartListModel");
+const { isAdminUser } = require("../utils/leadAccess");
+const { pickSmartListFilters } = require("../services/entryFilterService");
+
+/**
+ * Smart List Controller
+ * Saved lead filters, private to a user or shared with the team
+ * Use a list with ?smartListId= on /api/fetch-entry, /api/entry-counts, /api/export
+ * or as smartListId of POST /api/smartflo/lead-sync
+ */
+
+/**
+ * Helper: Load a smart list the current user may change (creator or admin)
+ * Sends the error response and returns null when it can't be changed
+ */
+async function loadOwnSmartList(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid smart list ID" });
+    return null;
+  }
+
+  const list = await SmartList.findById(id);
+  if (!list || (list.visibility === "private" && list.createdBy.toString() !== req.user.id)) {
+    res.status(404).json({ success: false, message: "Smart list not found" });
+    return null;
+  }
+
+  if (list.createdBy.toString() !== req.user.id && !isAdminUser(req.user)) {
+    res.status(403).json({ success: false, message: "Only the creator of a shared smart list can change it" });
+    return null;
+  }
+
+  return list;
+}
+
+/**
+ * Get the user's own smart lists and the ones shared with the team
+ * GET /api/smart-lists
+ */
+exports.getSmartLists = async (req, res) => {
+  try {
+    const lists = await SmartList.find({ $or: [{ createdBy: req.user.id }, { visibility: "team" }] })
+      .populate("createdBy", "username _id")
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: lists,
+    });
+  } catch (error) {
+    console.error("Get smart lists error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch smart lists",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a smart list
+ * POST /api/smart-lists
+ * Body: { name, description?, filters, visibility? }
+ */
+exports.createSmartList = async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+    const filters = pickSmartListFilters(req.body.filters);
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({ success: false, message: "A smart list needs at least one filter" });
+    }
+
+    const list = await SmartList.create({
+      name,
+      description,
+      filters,
+      visibility,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Smart list saved successfully",
+      data: list,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "You already have a smart list with this name" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Create smart list error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save smart list",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a smart list
+ * PUT /api/smart-lists/:id
+ */
+exports.updateSmartList = async (req, res) => {
+  try {
+    const list = await loadOwnSmartList(req, res);
+    if (!list) return;
+
+    ["name", "description", "visibility"].forEach((field) => {
+      if (req.body[field] !== undefined) list[field] = req.body[field];
+    });
+    if (req.body.filters !== undefined) {
+      const filters = pickSmartListFilters(req.body.filters);
+      if (Object.keys(filters).length === 0) {
+        return res.status(400).json({ success: false, message: "A smart list needs at least one filter" });
+      }
+      list.filters = filters;
+      list.markModified("filters");
+    }
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Smart list updated successfully",
+      data: list,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "You already have a smart list with this name" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Update smart list error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update smart list",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a smart list
+ * DELETE /api/smart-lists/:id
+ */
+exports.deleteSmartList = async (req, res) => {
+  try {
+    const list = await loadOwnSmartList(req, res);
+    if (!list) return;
+
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Smart list deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete smart list error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete smart list",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -2,6 +2,9 @@ const User = require("../Schema/Model");
 const Entry = require("../Schema/DataModel");
 const SmartfloConfig = require("../Schema/SmartfloConfigModel");
 const smartfloClient = require("../services/smartfloClient");
+const { buildSmartListFilter } = require("../services/entryFilterService");
+const { normalizeRole, addAndCondition } = require("../utils/leadAccess");
+const { normalizeTags } = require("../utils/tags");
 
 /**
  * Smartflo Admin Controller
@@ -82,10 +85,11 @@ exports.mapUserToSmartflo = async (req, res) => {
 /**
  * Sync leads to Smartflo lead list
  * POST /api/smartflo/lead-sync
+ * Body: { leadListName, segmentCriteria?, smartListId? } - a smart list narrows the segment further
  */
 exports.syncLeadsToSmartflo = async (req, res) => {
   try {
-    const { leadListName, segmentCriteria } = req.body;
+    const { leadListName, segmentCriteria, smartListId } = req.body;
     const userId = req.user.id;
 
     // Validate admin role
@@ -108,6 +112,9 @@ exports.syncLeadsToSmartflo = async (req, res) => {
       if (segmentCriteria.city && segmentCriteria.city.length > 0) {
         filter.city = { $in: segmentCriteria.city };
       }
+      if (segmentCriteria.tags && segmentCriteria.tags.length > 0) {
+        filter.tags = { $in: normalizeTags(segmentCriteria.tags) };
+      }
       if (segmentCriteria.dateRange) {
         filter.createdAt = {};
         if (segmentCriteria.dateRange.from) {
@@ -119,6 +126,15 @@ exports.syncLeadsToSmartflo = async (req, res) => {
       }
     }
 
+    if (smartListId) {
+      try {
+        addAndCondition(filter, await buildSmartListFilter(smartListId, req.user, normalizeRole(req.user.role)));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+    }
+
     // Fetch leads matching criteria
     const leads = await Entry.find(filter).select(
       "customerName contactName mobileNumber email organization"
@@ -165,6 +181,7 @@ exports.syncLeadsToSmartflo = async (req, res) => {
       leadListId,
       leadListName: leadListName || `CRM_Sync_${Date.now()}`,
       segmentCriteria,
+      smartListId: smartListId || undefined,
       totalLeadsSynced: successCount,
       lastSyncDate: new Date(),
       createdBy: userId,
@@ -3,6 +3,7 @@ const Entry = require("../Schema/DataModel");
 const User = require("../Schema/Model");
 const ScheduledCall = require("../Schema/ScheduledCallModel");
 const smartfloClient = require("../services/smartfloClient");
+const { canAccessEntry } = require("../utils/leadAccess");
 
 /**
  * Smartflo Dialer Controller
@@ -24,6 +25,11 @@ exports.clickToCall = async (req, res) => {
       return res.status(404).json({ success: false, message: "Lead not found" });
     }
 
+    // RBAC: Only the lead owner (or an admin) can call the lead
+    if (!canAccessEntry(lead, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized to call this lead" });
+    }
+
     if (!lead.mobileNumber) {
       return res.status(400).json({
         success: false,
@@ -179,6 +185,16 @@ exports.getLeadCallHistory = async (req, res) => {
   try {
     const { leadId } = req.params;
 
+    const lead = await Entry.findById(leadId).select("createdBy assignedTo");
+    if (!lead) {
+      return res.status(404).json({ success: false, message: "Lead not found" });
+    }
+
+    // RBAC: Only the lead owner (or an admin) can view its call history
+    if (!canAccessEntry(lead, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized to view this lead" });
+    }
+
     const callLogs = await CallLog.find({ leadId })
       .populate("userId", "username email")
       .sort({ createdAt: -1 })
@@ -213,6 +229,11 @@ exports.manualCallLog = async (req, res) => {
       return res.status(404).json({ message: "Lead not found" });
     }
 
+    // RBAC: Only the lead owner (or an admin) can log calls for the lead
+    if (!canAccessEntry(lead, req.user)) {
+      return res.status(403).json({ message: "Not authorized to log calls for this lead" });
+    }
+
     // Get user
     const user = await User.findById(userId);
 
@@ -288,6 +309,14 @@ exports.scheduleCall = async (req, res) => {
       });
     }
 
+    // RBAC: Only the lead owner (or an admin) can schedule calls for the lead
+    if (!canAccessEntry(lead, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to schedule calls for this lead"
+      });
+    }
+
     // Create scheduled call
     const scheduledCall = new ScheduledCall({
       leadId,
@@ -377,6 +406,16 @@ exports.getLeadScheduledCalls = async (req, res) => {
   try {
     const { leadId } = req.params;
 
+    const lead = await Entry.findById(leadId).select("createdBy assignedTo");
+    if (!lead) {
+      return res.status(404).json({ success: false, message: "Lead not found" });
+    }
+
+    // RBAC: Only the lead owner (or an admin) can view its scheduled calls
+    if (!canAccessEntry(lead, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized to view this lead" });
+    }
+
     const scheduledCalls = await ScheduledCall.find({ leadId })
       .populate("userId", "username email")
       .sort({ scheduledTime: -1 });
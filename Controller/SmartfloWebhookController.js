@@ -9,6 +9,15 @@ const Entry = require("../Schema/DataModel");
 const User = require("../Schema/Model");
 const crypto = require("crypto");
 const { smartInvalidate } = require("../Middleware/CacheMiddleware");
+const { assignLead, logAssignments } = require("../services/distributionService");
+const { recordCreates } = require("../services/auditService");
+const { buildSource } = require("../services/sourceService");
+const {
+  getDefaultPipeline,
+  getEntryPipeline,
+  getInitialStage,
+  validateStatusChange,
+} = require("../services/pipelineService");
 
 /**
  * Handle call event webhooks from Smartflo
@@ -221,18 +230,18 @@ exports.handleCallEvents = async (req, res) => {
       
       // For incoming calls from unknown numbers, create a placeholder lead
       if (!lead && callDirection === "inbound" && phoneToMatch) {
-        lead = await createLeadForInboundCall(phoneToMatch, assignedUser);
+        lead = await createLeadForInboundCall(phoneToMatch, assignedUser, virtualNum);
       }
       
       // CRITICAL: For inbound calls, if no lead found, still create one
       if (!lead && callDirection === "inbound" && phoneToMatch) {
-        lead = await createLeadForInboundCall(phoneToMatch, assignedUser);
+        lead = await createLeadForInboundCall(phoneToMatch, assignedUser, virtualNum);
       }
       
       if (!lead) {
         // For inbound calls without phone number, still log the call
         if (callDirection === "inbound") {
-          lead = await createLeadForInboundCall(phoneToMatch || "Unknown", assignedUser);
+          lead = await createLeadForInboundCall(phoneToMatch || "Unknown", assignedUser, virtualNum);
         } else {
           return res.status(200).json({ 
             success: true, 
@@ -244,9 +253,9 @@ exports.handleCallEvents = async (req, res) => {
 
       // Complete user assignment for inbound calls
       if (callDirection === "inbound") {
-        // Try to find agent by lead creator if not already assigned
-        if (!assignedUser && lead.createdBy) {
-          assignedUser = await User.findById(lead.createdBy);
+        // Try to find agent by lead owner if not already assigned
+        if (!assignedUser && (lead.assignedTo || lead.createdBy)) {
+          assignedUser = await User.findById(lead.assignedTo || lead.createdBy);
         }
         // If still no user, assign to first available admin
         if (!assignedUser) {
@@ -399,17 +408,20 @@ exports.handleCallEvents = async (req, res) => {
         lead.lastCallStatus = callLog.callStatus;
         
         // Intelligent lead status updates based on call outcome
+        // Only leads still in the first stage move, and only when the pipeline has the stage and allows the move
+        const pipeline = await getEntryPipeline(lead);
+        const promoteLead = (target) => {
+          if (lead.status !== getInitialStage(pipeline).name) return;
+          const { stage, error } = validateStatusChange(pipeline, lead.status, target);
+          if (!error) lead.status = stage.name;
+        };
         if (callLog.callStatus === "completed") {
           if (callLog.duration > 60) {
             // Meaningful conversation
-            if (lead.status === "Not Found") {
-              lead.status = "Interested";
-            }
+            promoteLead("Interested");
           } else if (callLog.duration > 10) {
             // Brief conversation
-            if (lead.status === "Not Found") {
-              lead.status = "Maybe";
-            }
+            promoteLead("Maybe");
           }
         } else if (callLog.callStatus === "no_answer" || callLog.callStatus === "failed") {
           // Schedule automatic follow-up
@@ -516,47 +528,57 @@ exports.handleInboundCall = async (req, res) => {
 
     // Find existing lead by caller number
     let lead = await Entry.findOne({ mobileNumber: callerNum });
-    let isNewLead = false;
-
-    if (!lead) {
-      // Create new lead for unknown caller
-      lead = new Entry({
-        customerName: `Incoming Caller ${callerNum}`,
-        mobileNumber: callerNum,
-        status: "Not Found",
-        organization: "Unknown",
-        category: "Incoming Call",
-        address: "Unknown",
-        state: "Unknown", 
-        city: "Unknown",
-        source: "INCOMING_CALL",
-        createdBy: null, // Will be assigned when agent is determined
-      });
-      
-      await lead.save();
-      isNewLead = true;
-    }
+    const isNewLead = !lead;
+
+    const newLeadFields = {
+      customerName: `Incoming Caller ${callerNum}`,
+      mobileNumber: callerNum,
+      status: getInitialStage(await getDefaultPipeline()).name,
+      organization: "Unknown",
+      category: "Incoming Call",
+      address: "Unknown",
+      state: "Unknown", 
+      city: "Unknown",
+      source: buildSource("inbound_call", { virtualNumber: virtualNum }),
+    };
 
     // Determine assigned agent
     let assignedUser = null;
+    let assignment = null;
     
     if (agent_number) {
       assignedUser = await User.findOne({ smartfloAgentNumber: agent_number });
     }
     
-    // If no specific agent, assign to lead creator or first available admin
+    // If no specific agent: existing leads go to their owner, new callers go through distribution rules
     if (!assignedUser) {
-      if (lead.createdBy) {
-        assignedUser = await User.findById(lead.createdBy);
-      } else {
-        assignedUser = await User.findOne({ role: { $in: ["Admin", "Superadmin"] } });
+      if (lead && (lead.assignedTo || lead.createdBy)) {
+        assignedUser = await User.findById(lead.assignedTo || lead.createdBy);
+      } else if (isNewLead) {
+        assignment = await assignLead(newLeadFields, "inbound_call");
+        if (assignment) {
+          assignedUser = await User.findById(assignment.assignedTo);
+        }
       }
     }
 
-    // Update lead creator if it was a new lead
-    if (isNewLead && assignedUser) {
-      lead.createdBy = assignedUser._id;
+    // Fall back to first available admin
+    if (!assignedUser) {
+      assignedUser = await User.findOne({ role: { $in: ["Admin", "Superadmin"] } });
+    }
+
+    if (isNewLead) {
+      // Create new lead for unknown caller, owned by the assigned agent
+      lead = new Entry({
+        ...newLeadFields,
+        createdBy: assignedUser ? assignedUser._id : null,
+      });
       await lead.save();
+      await recordCreates([lead], { source: "webhook" });
+
+      if (assignment && assignedUser && assignment.assignedTo === assignedUser._id.toString()) {
+        await logAssignments([{ ...assignment, leadId: lead._id }], { trigger: "inbound_call" });
+      }
     }
 
     // Create comprehensive call log for inbound call
@@ -774,11 +796,31 @@ function verifyInboundWebhookSignature(signature, payload) {
 }
    
 /**
- * Helper function to create lead for inbound calls
+ * Helper function to create lead for inbound calls (attributed to the virtual number that was dialled)
  */
-async function createLeadForInboundCall(phoneNumber, assignedUser) {
-  // Find a default user to assign as creator (preferably admin)
+async function createLeadForInboundCall(phoneNumber, assignedUser, virtualNumber) {
+  const leadFields = {
+    customerName: phoneNumber === "Unknown" ? `Unknown Inbound Caller` : `Incoming Caller ${phoneNumber}`,
+    mobileNumber: phoneNumber,
+    status: getInitialStage(await getDefaultPipeline()).name,
+    organization: "Unknown",
+    category: "Incoming Call",
+    address: "Unknown",
+    state: "Unknown",
+    city: "Unknown",
+    source: buildSource("inbound_call", { virtualNumber }),
+  };
+
+  // Find a default user to assign as creator: answering agent, distribution rules, then admin
   let defaultUser = assignedUser;
+  let assignment = null;
+
+  if (!defaultUser) {
+    assignment = await assignLead(leadFields, "inbound_call");
+    if (assignment) {
+      defaultUser = await User.findById(assignment.assignedTo);
+    }
+  }
   
   if (!defaultUser) {
     defaultUser = await User.findOne({ role: { $in: ["Admin", "Superadmin"] } });
@@ -793,19 +835,17 @@ async function createLeadForInboundCall(phoneNumber, assignedUser) {
   }
   
   const lead = new Entry({
-    customerName: phoneNumber === "Unknown" ? `Unknown Inbound Caller` : `Incoming Caller ${phoneNumber}`,
-    mobileNumber: phoneNumber,
-    status: "Not Found",
-    organization: "Unknown",
-    category: "Incoming Call",
-    address: "Unknown",
-    state: "Unknown",
-    city: "Unknown",
+    ...leadFields,
     createdBy: defaultUser._id, // CRITICAL: Set createdBy
-    source: "INCOMING_CALL",
   });
   
   await lead.save();
+  await recordCreates([lead], { source: "webhook" });
+
+  if (assignment && assignment.assignedTo === defaultUser._id.toString()) {
+    await logAssignments([{ ...assignment, leadId: lead._id }], { trigger: "inbound_call" });
+  }
+
   return lead;
 }
 
@@ -0,0 +1,84 @@
+const { normalizeRole } = require("../utils/leadAccess");
+const { buildFilter, applyUserFilters } = require("../services/entryFilterService");
+const { SOURCE_GROUPS, buildSourceReport, backfillEntrySources } = require("../services/sourceService");
+
+/**
+ * Source Report Controller
+ * Lead source and campaign performance
+ */
+
+/**
+ * Get the source performance report
+ * GET /api/source-report?groupBy=channel|campaign|utm_source|utm_medium|virtual_number|form&from=2024-01-01&to=2024-12-31
+ * from/to limit the creation date of the leads; accepts the same query filters as fetchEntries
+ * (non-admins only see their own leads)
+ */
+exports.getSourceReport = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || "channel";
+    if (!SOURCE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown groupBy "${groupBy}". Available: ${SOURCE_GROUPS.join(", ")}`,
+      });
+    }
+
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00`) : null;
+    const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999`) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be dates in YYYY-MM-DD format.",
+      });
+    }
+
+    const normalizedRole = normalizeRole(req.user.role);
+    const filter = await buildFilter(req, normalizedRole);
+    await applyUserFilters(req, filter, normalizedRole);
+
+    const report = await buildSourceReport(filter, { groupBy, from, to });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error in getSourceReport:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't build the source report at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Attribute entries created before sources were tracked (safe to run again)
+ * POST /api/entries/sources/backfill
+ */
+exports.backfillSources = async (req, res) => {
+  try {
+    const { updated, byChannel } = await backfillEntrySources();
+
+    res.status(200).json({
+      success: true,
+      message: updated > 0 ? `Attributed a source to ${updated} entries.` : "Every entry already has a source.",
+      data: { updated, byChannel },
+    });
+  } catch (error) {
+    console.error("Error in backfillSources:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't attribute the entry sources at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
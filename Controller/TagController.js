@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const { normalizeRole, buildOwnershipCondition, addAndCondition, isAdminUser } = require("../utils/leadAccess");
+const { normalizeTags } = require("../utils/tags");
+const { buildFilter, applyUserFilters } = require("../services/entryFilterService");
+const { recordAudits } = require("../services/auditService");
+
+/**
+ * Tag Controller
+ * Tag suggestions and bulk tagging of entries
+ */
+
+// Entries changed by one bulk tag request
+const BULK_TAG_LIMIT = 10000;
+
+/**
+ * Get the tags in use with their entry counts (only entries the user can see)
+ * GET /api/tags?search=
+ */
+exports.getTags = async (req, res) => {
+  try {
+    const match = { tags: { $exists: true, $ne: [] } };
+    if (!isAdminUser(req.user)) {
+      addAndCondition(match, buildOwnershipCondition(req.user.id));
+    }
+
+    const search = normalizeTags(req.query.search)[0];
+    const tags = await Entry.aggregate([
+      { $match: match },
+      { $unwind: "$tags" },
+      ...(search ? [{ $match: { tags: { $regex: `^${search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` } } }] : []),
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 200 },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: tags.map((tag) => ({ tag: tag._id, count: tag.count })),
+    });
+  } catch (error) {
+    console.error("Get tags error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't retrieve the tags at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add and/or remove tags on a set of entries
+ * POST /api/entries/tags
+ * Body: { add: [], remove: [], entryIds?: [], all? } - accepts the same query filters as fetchEntries
+ */
+exports.bulkTagEntries = async (req, res) => {
+  try {
+    const { entryIds, all } = req.body;
+    const add = normalizeTags(req.body.add);
+    const remove = normalizeTags(req.body.remove).filter((tag) => !add.includes(tag));
+    const normalizedRole = normalizeRole(req.user.role);
+
+    if (add.length === 0 && remove.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide tags to add or remove.",
+      });
+    }
+
+    // Same filters as fetchEntries (non-admins are limited to their own leads)
+    const filter = await buildFilter(req, normalizedRole);
+    await applyUserFilters(req, filter, normalizedRole);
+
+    if (Array.isArray(entryIds) && entryIds.length > 0) {
+      if (!entryIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more entry IDs are not valid.",
+        });
+      }
+      filter._id = { $in: entryIds };
+    }
+
+    // Guard against accidentally tagging the whole collection
+    if (Object.keys(filter).length === 0 && all !== true) {
+      return res.status(400).json({
+        success: false,
+        message: "Please select entries or filters to tag, or confirm tagging all entries.",
+      });
+    }
+
+    // Only entries that actually change are updated and audited
+    const changes = [];
+    if (add.length > 0) changes.push({ tags: { $not: { $all: add } } });
+    if (remove.length > 0) changes.push({ tags: { $in: remove } });
+    addAndCondition(filter, { $or: changes });
+
+    const leads = await Entry.find(filter).select("_id tags").limit(BULK_TAG_LIMIT + 1).lean();
+    if (leads.length > BULK_TAG_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Please narrow the selection: at most ${BULK_TAG_LIMIT} entries can be tagged at once.`,
+      });
+    }
+    if (leads.length === 0) {
+      return res.status(200).json({
+        success: true,
+        updatedCount: 0,
+        message: "No entries needed a tag change.",
+      });
+    }
+
+    const leadIds = leads.map((lead) => lead._id);
+    // $addToSet and $pull can't touch the same field in one update
+    if (add.length > 0) {
+      await Entry.updateMany({ _id: { $in: leadIds } }, { $addToSet: { tags: { $each: add } }, $set: { updatedAt: new Date() } });
+    }
+    if (remove.length > 0) {
+      await Entry.updateMany({ _id: { $in: leadIds } }, { $pull: { tags: { $in: remove } }, $set: { updatedAt: new Date() } });
+    }
+
+    await recordAudits(
+      leads.map((lead) => {
+        const before = lead.tags || [];
+        const after = [...new Set([...before, ...add])].filter((tag) => !remove.includes(tag));
+        return {
+          entryId: lead._id,
+          action: "update",
+          source: "manual",
+          changedBy: req.user.id,
+          changes: [{ field: "tags", oldValue: before.length > 0 ? before : null, newValue: after.length > 0 ? after : null }],
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      updatedCount: leadIds.length,
+      message: `Tags updated on ${leadIds.length} entries.`,
+    });
+  } catch (error) {
+    // Invalid or inaccessible smart list
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error in bulkTagEntries:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We encountered an error while updating the tags.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,324 @@
+const mongoose = require("mongoose");
+const SalesTarget = require("../Schema/SalesTargetModel");
+const User = require("../Schema/Model");
+const { isAdminUser } = require("../utils/leadAccess");
+const {
+  TARGET_METRICS,
+  resolvePeriod,
+  computeTargetProgress,
+  buildLeaderboard,
+} = require("../services/targetService");
+
+/**
+ * Target Controller
+ * Sales targets per user or team, attainment and the leaderboard
+ * Non-admins only see targets they are part of and only their own numbers (same as agent performance)
+ */
+
+/**
+ * Helper: Validate and normalize target data from a request body
+ * @param {Object} body - Request body
+ * @param {Object} current - Existing target when updating
+ * @returns {Promise<{ data: Object, error: string|null }>}
+ */
+async function pickTargetData(body, current = {}) {
+  const data = {};
+  ["name", "scope", "metric", "target"].forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  const metric = data.metric !== undefined ? data.metric : current.metric;
+  if (!TARGET_METRICS.includes(metric)) {
+    return { data, error: `metric must be one of: ${TARGET_METRICS.join(", ")}` };
+  }
+
+  if (body.users !== undefined) {
+    const users = Array.isArray(body.users) ? body.users : [body.users];
+    if (!users.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { data, error: "One or more user IDs are not valid." };
+    }
+    const found = await User.countDocuments({ _id: { $in: users } });
+    if (found !== new Set(users.map(String)).size) {
+      return { data, error: "One or more users could not be found." };
+    }
+    data.users = [...new Set(users.map(String))];
+  }
+
+  const scope = data.scope !== undefined ? data.scope : current.scope || "user";
+  const userCount = (data.users || current.users || []).length;
+  if (scope === "user" && userCount > 1) {
+    return { data, error: "A user target needs exactly one user; use a team target for several users" };
+  }
+
+  if (body.periodType !== undefined || body.periodStart !== undefined || body.periodEnd !== undefined) {
+    const periodType = body.periodType !== undefined ? body.periodType : current.periodType || "month";
+    if (!["week", "month", "quarter", "custom"].includes(periodType)) {
+      return { data, error: "periodType must be one of: week, month, quarter, custom" };
+    }
+    const { periodStart, periodEnd, error } = resolvePeriod(
+      periodType,
+      body.periodStart !== undefined ? body.periodStart : current.periodStart,
+      body.periodEnd !== undefined ? body.periodEnd : current.periodEnd
+    );
+    if (error) return { data, error };
+    Object.assign(data, { periodType, periodStart, periodEnd });
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Helper: Date range of a request (?startDate=&endDate=, default: the current month)
+ */
+function getRange(query) {
+  if (query.startDate || query.endDate) {
+    const start = query.startDate ? new Date(`${query.startDate}T00:00:00`) : new Date(0);
+    const end = query.endDate ? new Date(`${query.endDate}T23:59:59.999`) : new Date();
+    return { start, end };
+  }
+  const { periodStart, periodEnd } = resolvePeriod("month", new Date());
+  return { start: periodStart, end: periodEnd };
+}
+
+/**
+ * Get targets
+ * GET /api/targets?active=true&userId=&metric=
+ */
+exports.getTargets = async (req, res) => {
+  try {
+    const { active, userId, metric } = req.query;
+    const filter = {};
+
+    if (!isAdminUser(req.user)) {
+      filter.users = req.user.id;
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user ID" });
+      }
+      filter.users = userId;
+    }
+    if (metric) filter.metric = metric;
+    if (active === "true") {
+      const now = new Date();
+      filter.periodStart = { $lte: now };
+      filter.periodEnd = { $gte: now };
+    }
+
+    const targets = await SalesTarget.find(filter)
+      .populate("users", "username _id")
+      .sort({ periodStart: -1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: targets,
+    });
+  } catch (error) {
+    console.error("Get targets error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch targets",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a target
+ * POST /api/targets
+ * Body: { name, scope: user|team, users: [], metric, target, periodType: week|month|quarter|custom, periodStart, periodEnd? }
+ */
+exports.createTarget = async (req, res) => {
+  try {
+    const { data, error } = await pickTargetData(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!data.periodStart) {
+      return res.status(400).json({ success: false, message: "periodStart is required" });
+    }
+
+    const target = await SalesTarget.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Target created successfully",
+      data: target,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Create target error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create target",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a target
+ * PUT /api/targets/:id
+ */
+exports.updateTarget = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid target ID" });
+    }
+
+    const target = await SalesTarget.findById(id);
+    if (!target) {
+      return res.status(404).json({ success: false, message: "Target not found" });
+    }
+
+    const { data, error } = await pickTargetData(req.body, target);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    target.set(data);
+    await target.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Target updated successfully",
+      data: target,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(", "),
+      });
+    }
+    console.error("Update target error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update target",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a target
+ * DELETE /api/targets/:id
+ */
+exports.deleteTarget = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid target ID" });
+    }
+
+    const target = await SalesTarget.findByIdAndDelete(id);
+    if (!target) {
+      return res.status(404).json({ success: false, message: "Target not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Target deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete target error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete target",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the attainment of the targets running on a day
+ * GET /api/targets/attainment?date=YYYY-MM-DD (default: today)&userId=&metric=
+ */
+exports.getAttainment = async (req, res) => {
+  try {
+    const { userId, metric } = req.query;
+    const day = req.query.date ? new Date(`${req.query.date}T12:00:00`) : new Date();
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ success: false, message: "date must be in YYYY-MM-DD format" });
+    }
+
+    const admin = isAdminUser(req.user);
+    const filter = { periodStart: { $lte: day }, periodEnd: { $gte: day } };
+    if (!admin) {
+      filter.users = req.user.id;
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user ID" });
+      }
+      filter.users = userId;
+    }
+    if (metric) filter.metric = metric;
+
+    const targets = await SalesTarget.find(filter).populate("users", "username _id").sort({ name: 1 }).lean();
+    const progress = await Promise.all(
+      targets.map((target) => computeTargetProgress(target, { onlyUserId: admin ? null : req.user.id }))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: progress,
+    });
+  } catch (error) {
+    console.error("Get attainment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate target attainment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the leaderboard of a metric
+ * GET /api/targets/leaderboard?metric=revenue&startDate=&endDate= (default: the current month)
+ * Non-admins get their own row with their rank
+ */
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const metric = req.query.metric || "revenue";
+    if (!TARGET_METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `metric must be one of: ${TARGET_METRICS.join(", ")}`,
+      });
+    }
+
+    const { start, end } = getRange(req.query);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ success: false, message: "startDate and endDate must be in YYYY-MM-DD format" });
+    }
+
+    const rows = await buildLeaderboard(metric, start, end);
+    const visible = isAdminUser(req.user) ? rows : rows.filter((row) => row.userId === req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        metric,
+        startDate: start,
+        endDate: end,
+        rows: visible,
+      },
+    });
+  } catch (error) {
+    console.error("Get leaderboard error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build the leaderboard",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const { TIMELINE_TYPES, buildTimeline } = require("../services/timelineService");
+const { canAccessEntry, isAdminUser } = require("../utils/leadAccess");
+
+/**
+ * Timeline Controller
+ * Unified activity feed of a lead
+ */
+
+/**
+ * Get the activity timeline of one entry
+ * GET /api/entry/:id/timeline?page=1&limit=20&types=status,call,follow_up,email,note,attachment,quotation,order
+ */
+exports.getEntryTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "The entry ID provided is not valid.",
+      });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(",").map((type) => type.trim()).filter(Boolean)
+      : TIMELINE_TYPES;
+    const unknown = types.filter((type) => !TIMELINE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timeline types: ${unknown.join(", ")}. Available: ${TIMELINE_TYPES.join(", ")}`,
+      });
+    }
+
+    // Admins can also read the timeline of entries in the trash
+    const entry = await Entry.findById(id)
+      .select("customerName createdBy assignedTo history")
+      .setOptions({ withDeleted: isAdminUser(req.user) })
+      .lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find this entry.",
+      });
+    }
+
+    if (!canAccessEntry(entry, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to view the timeline of this entry.",
+      });
+    }
+
+    const { events, total } = await buildTimeline(entry, { types, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get entry timeline error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't retrieve the timeline at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
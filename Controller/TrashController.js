@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const { getRetentionDays, restoreEntries, purgeEntries } = require("../services/trashService");
+
+/**
+ * Trash Controller
+ * Admin listing, restore and permanent purge of soft-deleted entries
+ */
+
+/**
+ * Get trashed entries
+ * GET /api/entries/trash?search=&page=1&limit=50
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = { deletedAt: { $ne: null } };
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+      filter.$or = [
+        { customerName: pattern },
+        { organization: pattern },
+        { mobileNumber: pattern },
+        { email: pattern },
+      ];
+    }
+
+    const [entries, total] = await Promise.all([
+      Entry.find(filter)
+        .select("-history")
+        .populate("createdBy", "username _id")
+        .populate("assignedTo", "username _id")
+        .populate("deletedBy", "username _id")
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Entry.countDocuments(filter),
+    ]);
+
+    // Show when each entry will be purged automatically
+    const retentionDays = getRetentionDays();
+    const data = entries.map((entry) => ({
+      ...entry,
+      purgeAt: retentionDays > 0
+        ? new Date(new Date(entry.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        : null,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      retentionDays,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + entries.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Get trash error:", error.message);
+    res.status(500).json({
+      success: false,
+      errorCode: "SERVER_ERROR",
+      message: "We couldn't retrieve the trash at the moment.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a trashed entry (its cancelled scheduled calls are re-opened)
+ * POST /api/entries/trash/:id/restore
+ */
+exports.restoreEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "The entry ID you provided is not valid.",
+      });
+    }
+
+    const restored = await restoreEntries([req.params.id], req.user.id);
+    if (restored === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find this entry in the trash.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Entry has been restored successfully.",
+    });
+  } catch (error) {
+    console.error("Restore entry error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We ran into an issue while restoring the entry.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Permanently delete a trashed entry with its call logs, recordings and scheduled calls
+ * Entries with active sales orders or sent/accepted quotations are refused (409)
+ * DELETE /api/entries/trash/:id
+ */
+exports.purgeEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "The entry ID you provided is not valid.",
+      });
+    }
+
+    const { purged, kept } = await purgeEntries([req.params.id], req.user.id);
+    if (kept.length > 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: "ENTRY_HAS_SALES_RECORDS",
+        message: "This entry has sales orders or sent quotations and can't be permanently deleted.",
+      });
+    }
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "We could not find this entry in the trash.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Entry has been permanently deleted.",
+    });
+  } catch (error) {
+    console.error("Purge entry error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We ran into an issue while permanently deleting the entry.",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,59 @@
+/**
+ * Lead Form Middleware
+ * API key check and per-key rate limiting for the public lead-capture endpoint
+ */
+const { createRateLimiter } = require("./rateLimiter");
+const { findFormByApiKey } = require("../services/leadCaptureService");
+
+/**
+ * Resolve the form from its API key
+ * The key is read from the X-API-Key header, the apiKey query parameter or an apiKey/api_key form field
+ * (plain HTML forms cannot set headers)
+ */
+async function verifyLeadFormKey(req, res, next) {
+  const apiKey = req.get("X-API-Key") || req.query.apiKey || (req.body && (req.body.apiKey || req.body.api_key));
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: "API key is required",
+    });
+  }
+
+  try {
+    const form = await findFormByApiKey(apiKey);
+    if (!form) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or inactive API key",
+      });
+    }
+    req.leadForm = form;
+    next();
+  } catch (error) {
+    console.error("Lead form key check error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "We couldn't process the submission at the moment.",
+    });
+  }
+}
+
+// One limiter per form and limit, so a changed limit takes effect on the next request
+const limiters = new Map();
+
+/**
+ * Apply the rate limit configured on the form (counted per key, not per visitor IP)
+ */
+function leadFormRateLimit(req, res, next) {
+  const form = req.leadForm;
+  const limiterKey = `${form._id}:${form.rateLimitPerMinute}`;
+  if (!limiters.has(limiterKey)) {
+    limiters.set(limiterKey, createRateLimiter(form.rateLimitPerMinute, 60000, () => `lead_form_${form._id}`));
+  }
+  return limiters.get(limiterKey)(req, res, next);
+}
+
+module.exports = {
+  verifyLeadFormKey,
+  leadFormRateLimit,
+};
@@ -9,11 +9,12 @@ const { getCachedData, setcache } = require('../Middleware/CacheMiddleware');
  * Rate limiter for webhook endpoints using shared cache
  * @param {number} maxRequests - Maximum requests per window
  * @param {number} windowMs - Time window in milliseconds
+ * @param {Function} [keyGenerator] - Builds the counter key from the request (defaults to the client IP)
  */
-function createRateLimiter(maxRequests = 100, windowMs = 60000) {
+function createRateLimiter(maxRequests = 100, windowMs = 60000, keyGenerator = null) {
   return (req, res, next) => {
     const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'];
-    const key = `rate_limit_${clientIP}`;
+    const key = `rate_limit_${keyGenerator ? keyGenerator(req) : clientIP}`;
     
     const current = getCachedData(key) || { count: 0, resetTime: Date.now() + windowMs };
     
@@ -0,0 +1,24 @@
+const express = require("express");
+const AccountController = require("../Controller/AccountController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Account Routes
+ * Every user can read and maintain accounts and contacts;
+ * deleting accounts and the organization migration require Admin/Superadmin role
+ */
+router.get("/", verifyToken, AccountController.getAccounts);
+router.post("/", verifyToken, AccountController.createAccount);
+router.post("/migrate", verifyToken, requireAdmin, AccountController.migrateAccounts);
+router.get("/:id", verifyToken, AccountController.getAccount);
+router.put("/:id", verifyToken, AccountController.updateAccount);
+router.delete("/:id", verifyToken, requireAdmin, AccountController.deleteAccount);
+
+// Contacts of an account
+router.post("/:id/contacts", verifyToken, AccountController.createContact);
+router.put("/:id/contacts/:contactId", verifyToken, AccountController.updateContact);
+router.delete("/:id/contacts/:contactId", verifyToken, AccountController.deleteContact);
+
+module.exports = router;
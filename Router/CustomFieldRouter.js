@@ -0,0 +1,16 @@
+const express = require("express");
+const CustomFieldController = require("../Controller/CustomFieldController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Custom Field Routes
+ * Every user can read the definitions (forms need them); changes require Admin/Superadmin role
+ */
+router.get("/", verifyToken, CustomFieldController.getCustomFields);
+router.post("/", verifyToken, requireAdmin, CustomFieldController.createCustomField);
+router.put("/:id", verifyToken, requireAdmin, CustomFieldController.updateCustomField);
+router.delete("/:id", verifyToken, requireAdmin, CustomFieldController.deleteCustomField);
+
+module.exports = router;
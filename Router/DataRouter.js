@@ -1,6 +1,16 @@
 const express = require("express");
 const DataLogic = require("../Controller/DataLogic");
-const { verifyToken } = require("../utils/config jwt");
+const DuplicateController = require("../Controller/DuplicateController");
+const TrashController = require("../Controller/TrashController");
+const AuditController = require("../Controller/AuditController");
+const TimelineController = require("../Controller/TimelineController");
+const TagController = require("../Controller/TagController");
+const SearchController = require("../Controller/SearchController");
+const ScoringController = require("../Controller/ScoringController");
+const ForecastController = require("../Controller/ForecastController");
+const NoteController = require("../Controller/NoteController");
+const SourceReportController = require("../Controller/SourceReportController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
 const router = express.Router();
 
 router.post("/entry", verifyToken, DataLogic.DataentryLogic);
@@ -9,8 +19,36 @@ router.get("/fetch-all-entries", verifyToken, DataLogic.fetchAllEntries);
 router.get("/entry-counts", verifyToken, DataLogic.getEntryCounts);
 router.delete("/entry/:id", verifyToken, DataLogic.DeleteData);
 router.put("/editentry/:id", verifyToken, DataLogic.editEntry);
+router.put("/entry/:id/assign", verifyToken, requireAdmin, DataLogic.reassignEntry);
+router.post("/entries/reassign", verifyToken, requireAdmin, DataLogic.bulkReassignEntries);
+router.post("/entries/tags", verifyToken, TagController.bulkTagEntries);
+router.get("/tags", verifyToken, TagController.getTags);
+router.get("/entries/search", verifyToken, SearchController.searchEntries);
 router.get("/export", verifyToken, DataLogic.exportentry);
+router.get("/forecast", verifyToken, ForecastController.getForecast);
+router.get("/source-report", verifyToken, SourceReportController.getSourceReport);
+router.post("/entries/sources/backfill", verifyToken, requireAdmin, SourceReportController.backfillSources);
 router.post("/entries", verifyToken, DataLogic.bulkUploadStocks);
+router.get("/entries/duplicates", verifyToken, DuplicateController.getDuplicates);
+router.post("/entries/merge", verifyToken, DuplicateController.mergeDuplicates);
+router.get("/entries/merges", verifyToken, DuplicateController.getMergeHistory);
+router.get("/entries/trash", verifyToken, requireAdmin, TrashController.getTrash);
+router.post("/entries/trash/:id/restore", verifyToken, requireAdmin, TrashController.restoreEntry);
+router.delete("/entries/trash/:id", verifyToken, requireAdmin, TrashController.purgeEntry);
+router.get("/entry/:id/audit", verifyToken, AuditController.getEntryAudit);
+router.get("/audit", verifyToken, requireAdmin, AuditController.searchAudit);
+router.get("/entry/:id/timeline", verifyToken, TimelineController.getEntryTimeline);
+router.get("/entry/:id/score", verifyToken, ScoringController.getEntryScore);
+router.get("/entry/:id/notes", verifyToken, NoteController.getNotes);
+router.post("/entry/:id/notes", verifyToken, NoteController.createNote);
+router.put("/entry/:id/notes/:noteId", verifyToken, NoteController.updateNote);
+router.patch("/entry/:id/notes/:noteId/pin", verifyToken, NoteController.pinNote);
+router.delete("/entry/:id/notes/:noteId", verifyToken, NoteController.deleteNote);
+router.get("/entry/:id/attachments", verifyToken, NoteController.getAttachments);
+// The raw file body is parsed in index.js, ahead of the JSON and form parsers
+router.post("/entry/:id/attachments", verifyToken, NoteController.uploadAttachment);
+router.get("/entry/:id/attachments/:attachmentId/download", verifyToken, NoteController.downloadAttachment);
+router.delete("/entry/:id/attachments/:attachmentId", verifyToken, NoteController.deleteAttachment);
 router.get("/user-role", verifyToken, DataLogic.getAdmin);
 router.get("/users", verifyToken, DataLogic.getUsers);
 router.post("/send-email", verifyToken, DataLogic.sendEntryEmail);
@@ -0,0 +1,25 @@
+const express = require("express");
+const DistributionController = require("../Controller/DistributionController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Lead Distribution Routes
+ * All routes require authentication and Admin/Superadmin role
+ */
+router.use(verifyToken, requireAdmin);
+
+// Distribution rule CRUD
+router.get("/rules", DistributionController.getRules);
+router.post("/rules", DistributionController.createRule);
+router.put("/rules/:id", DistributionController.updateRule);
+router.delete("/rules/:id", DistributionController.deleteRule);
+
+// Assignment log
+router.get("/logs", DistributionController.getAssignmentLogs);
+
+// Preview where a batch of leads would land
+router.post("/dry-run", DistributionController.dryRun);
+
+module.exports = router;
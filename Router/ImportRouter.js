@@ -0,0 +1,32 @@
+const express = require("express");
+const ImportController = require("../Controller/ImportController");
+const { verifyToken } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Lead Import Routes
+ * All routes require authentication
+ */
+
+// The spreadsheet is sent as the raw request body
+const rawFile = express.raw({ type: () => true, limit: process.env.IMPORT_MAX_FILE_SIZE || "25mb" });
+
+// Mapping templates (per user)
+router.get("/templates", verifyToken, ImportController.getTemplates);
+router.post("/templates", verifyToken, ImportController.createTemplate);
+router.put("/templates/:id", verifyToken, ImportController.updateTemplate);
+router.delete("/templates/:id", verifyToken, ImportController.deleteTemplate);
+
+// Upload + preview, re-validate with another mapping, then commit
+router.post("/preview", verifyToken, rawFile, ImportController.previewImport);
+router.post("/:id/dry-run", verifyToken, ImportController.dryRunImport);
+router.post("/:id/commit", verifyToken, ImportController.commitImport);
+
+// Background import jobs
+router.get("/jobs", verifyToken, ImportController.getJobs);
+router.get("/jobs/:id", verifyToken, ImportController.getJob);
+router.post("/jobs/:id/cancel", verifyToken, ImportController.cancelJob);
+router.get("/jobs/:id/report", verifyToken, ImportController.downloadJobReport);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const LeadFormController = require("../Controller/LeadFormController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Lead Form Routes
+ * Management of website/landing-page forms and their API keys (Admin/Superadmin)
+ */
+router.get("/", verifyToken, requireAdmin, LeadFormController.getLeadForms);
+router.post("/", verifyToken, requireAdmin, LeadFormController.createLeadForm);
+router.put("/:id", verifyToken, requireAdmin, LeadFormController.updateLeadForm);
+router.delete("/:id", verifyToken, requireAdmin, LeadFormController.deleteLeadForm);
+router.post("/:id/regenerate-key", verifyToken, requireAdmin, LeadFormController.regenerateLeadFormKey);
+router.get("/:id/submissions", verifyToken, requireAdmin, LeadFormController.getLeadFormSubmissions);
+
+module.exports = router;
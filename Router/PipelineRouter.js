@@ -0,0 +1,17 @@
+const express = require("express");
+const PipelineController = require("../Controller/PipelineController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Sales Pipeline Routes
+ * Every user can read the pipelines; changes require Admin/Superadmin role
+ */
+router.get("/", verifyToken, PipelineController.getPipelines);
+router.post("/", verifyToken, requireAdmin, PipelineController.createPipeline);
+router.put("/:id", verifyToken, requireAdmin, PipelineController.updatePipeline);
+router.post("/:id/default", verifyToken, requireAdmin, PipelineController.setDefaultPipeline);
+router.delete("/:id", verifyToken, requireAdmin, PipelineController.deletePipeline);
+
+module.exports = router;
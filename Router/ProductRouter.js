@@ -0,0 +1,17 @@
+const express = require("express");
+const ProductController = require("../Controller/ProductController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Product Routes
+ * Every user can browse the catalog; changes require Admin/Superadmin role
+ */
+router.get("/", verifyToken, ProductController.getProducts);
+router.get("/:id", verifyToken, ProductController.getProduct);
+router.post("/", verifyToken, requireAdmin, ProductController.createProduct);
+router.put("/:id", verifyToken, requireAdmin, ProductController.updateProduct);
+router.delete("/:id", verifyToken, requireAdmin, ProductController.deleteProduct);
+
+module.exports = router;
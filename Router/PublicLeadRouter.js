@@ -0,0 +1,19 @@
+const express = require("express");
+const cors = require("cors");
+const LeadFormController = require("../Controller/LeadFormController");
+const { verifyLeadFormKey, leadFormRateLimit } = require("../Middleware/leadFormAuth");
+
+const router = express.Router();
+
+/**
+ * Public Lead Capture Routes
+ * No login: forms on any website post here with their API key, so these routes are mounted
+ * before the dashboard CORS policy and parse their own (small) bodies
+ */
+router.use(cors({ origin: true, methods: "POST" }));
+router.use(express.json({ limit: "100kb" }));
+router.use(express.urlencoded({ limit: "100kb", extended: true }));
+
+router.post("/leads", verifyLeadFormKey, leadFormRateLimit, LeadFormController.captureLead);
+
+module.exports = router;
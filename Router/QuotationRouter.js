@@ -0,0 +1,30 @@
+const express = require("express");
+const QuotationController = require("../Controller/QuotationController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Quotation Routes
+ * Access follows the quotation's entry (see QuotationController);
+ * approval settings and decisions require Admin/Superadmin role
+ */
+router.get("/", verifyToken, QuotationController.getQuotations);
+router.post("/", verifyToken, QuotationController.createQuotation);
+router.get("/approval-settings", verifyToken, QuotationController.getApprovalSettings);
+router.put("/approval-settings", verifyToken, requireAdmin, QuotationController.updateApprovalSettings);
+router.get("/approvals/pending", verifyToken, requireAdmin, QuotationController.getPendingApprovals);
+router.get("/:id", verifyToken, QuotationController.getQuotation);
+router.put("/:id", verifyToken, QuotationController.updateQuotation);
+router.patch("/:id/status", verifyToken, QuotationController.updateQuotationStatus);
+router.post("/:id/submit-approval", verifyToken, QuotationController.submitForApproval);
+router.post("/:id/approve", verifyToken, requireAdmin, QuotationController.approveQuotation);
+router.post("/:id/reject", verifyToken, requireAdmin, QuotationController.rejectQuotation);
+router.get("/:id/pdf", verifyToken, QuotationController.previewQuotationPdf);
+router.post("/:id/send", verifyToken, QuotationController.sendQuotationEmail);
+router.get("/:id/versions", verifyToken, QuotationController.getQuotationVersions);
+router.get("/:id/versions/compare", verifyToken, QuotationController.compareQuotationVersions);
+router.get("/:id/versions/:version/pdf", verifyToken, QuotationController.getQuotationVersionPdf);
+router.delete("/:id", verifyToken, QuotationController.deleteQuotation);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const SalesOrderController = require("../Controller/SalesOrderController");
+const { verifyToken } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Sales Order Routes
+ * Access follows the order's entry (see SalesOrderController)
+ */
+router.get("/", verifyToken, SalesOrderController.getSalesOrders);
+router.post("/", verifyToken, SalesOrderController.createSalesOrder);
+router.get("/:id", verifyToken, SalesOrderController.getSalesOrder);
+router.put("/:id", verifyToken, SalesOrderController.updateSalesOrder);
+router.patch("/:id/status", verifyToken, SalesOrderController.updateSalesOrderStatus);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const ScoringController = require("../Controller/ScoringController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Lead Scoring Routes
+ * Every user can read the scoring model; changes require Admin/Superadmin role
+ */
+router.get("/", verifyToken, ScoringController.getScoringConfig);
+router.put("/", verifyToken, requireAdmin, ScoringController.updateScoringConfig);
+router.post("/recalculate", verifyToken, requireAdmin, ScoringController.recalculateScores);
+
+module.exports = router;
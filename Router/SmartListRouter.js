@@ -0,0 +1,18 @@
+const express = require("express");
+const SmartListController = require("../Controller/SmartListController");
+const { verifyToken } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Smart List Routes
+ * All routes require authentication; shared lists can only be changed by their creator or an admin
+ */
+router.use(verifyToken);
+
+router.get("/", SmartListController.getSmartLists);
+router.post("/", SmartListController.createSmartList);
+router.put("/:id", SmartListController.updateSmartList);
+router.delete("/:id", SmartListController.deleteSmartList);
+
+module.exports = router;
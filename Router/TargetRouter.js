@@ -0,0 +1,19 @@
+const express = require("express");
+const TargetController = require("../Controller/TargetController");
+const { verifyToken, requireAdmin } = require("../utils/config jwt");
+
+const router = express.Router();
+
+/**
+ * Sales Target Routes
+ * Every user can read targets, attainment and the leaderboard (scoped to themselves);
+ * changes require Admin/Superadmin role
+ */
+router.get("/", verifyToken, TargetController.getTargets);
+router.get("/attainment", verifyToken, TargetController.getAttainment);
+router.get("/leaderboard", verifyToken, TargetController.getLeaderboard);
+router.post("/", verifyToken, requireAdmin, TargetController.createTarget);
+router.put("/:id", verifyToken, requireAdmin, TargetController.updateTarget);
+router.delete("/:id", verifyToken, requireAdmin, TargetController.deleteTarget);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+/**
+ * Account Schema - Organization a lead belongs to (school, company, institution)
+ * One account has many contacts and entries; normalizedName groups spelling variants of the same organization
+ */
+const AccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Account name is required"],
+    trim: true,
+  },
+
+  // Lowercase name without punctuation or extra spaces (set by the account service)
+  normalizedName: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  address: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  city: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  state: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: "",
+    validate: {
+      validator: (value) => !value || /^[0-9]{2}[A-Z0-9]{13}$/.test(value),
+      message: "GST number must be 15 characters (2-digit state code followed by 13 letters or digits)",
+    },
+  },
+
+  industry: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+AccountSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+AccountSchema.index({ name: 1 });
+
+const Account = mongoose.model("Account", AccountSchema);
+
+module.exports = Account;
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+/**
+ * AssignmentLog Schema - Records every automatic lead assignment
+ * Explains which rule and strategy put a lead with its owner
+ */
+const AssignmentLogSchema = new mongoose.Schema({
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: true,
+    index: true,
+  },
+
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DistributionRule",
+    index: true,
+  },
+
+  // Copied so the log stays readable after a rule is renamed or deleted
+  ruleName: {
+    type: String,
+    trim: true,
+  },
+
+  strategy: {
+    type: String,
+    trim: true,
+  },
+
+  trigger: {
+    type: String,
+    trim: true,
+  },
+
+  // User whose action caused the assignment (uploader), empty for webhooks
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+AssignmentLogSchema.index({ ruleId: 1, createdAt: -1 });
+
+const AssignmentLog = mongoose.model("AssignmentLog", AssignmentLogSchema);
+
+module.exports = AssignmentLog;
@@ -13,6 +13,18 @@ const CallLogSchema = new mongoose.Schema({
     index: true,
   },
   
+  // Account and contact of the lead at the time of the call (copied from the entry on creation)
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Account",
+    index: true,
+  },
+
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Contact",
+  },
+  
   // Agent/User who made/received the call
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -196,6 +208,21 @@ CallLogSchema.pre("save", function (next) {
   next();
 });
 
+// Link new calls to the account and contact of their lead
+CallLogSchema.pre("save", async function () {
+  if (!this.isNew || this.accountId || !this.leadId) return;
+  const lead = await mongoose
+    .model("Entry")
+    .findById(this.leadId)
+    .select("account contact")
+    .setOptions({ withDeleted: true })
+    .lean();
+  if (lead && lead.account) {
+    this.accountId = lead.account;
+    this.contactId = lead.contact;
+  }
+});
+
 // Indexes for performance
 CallLogSchema.index({ leadId: 1, createdAt: -1 });
 CallLogSchema.index({ userId: 1, createdAt: -1 });
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+/**
+ * Contact Schema - Person at an account (principal, purchase manager, ...)
+ */
+const ContactSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Account",
+    required: [true, "Account is required"],
+    index: true,
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  designation: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: "",
+  },
+
+  // Stored as the last 10 digits (see utils/phone)
+  mobileNumber: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  AlterNumber: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  // Main point of contact of the account
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+ContactSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ContactSchema.index({ mobileNumber: 1 });
+
+const Contact = mongoose.model("Contact", ContactSchema);
+
+module.exports = Contact;
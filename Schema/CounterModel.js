@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+/**
+ * Counter Schema - Named sequences for human-readable document numbers (quotation numbers, ...)
+ * Incremented atomically with findOneAndUpdate, so concurrent requests never get the same number
+ */
+const CounterSchema = new mongoose.Schema({
+  // Sequence name, e.g. "quotation-2026"
+  _id: {
+    type: String,
+    required: true,
+  },
+
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model("Counter", CounterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+/**
+ * CustomField Schema - Admin defined lead attributes
+ * Values are stored on the entry under customFields.<key> and validated by the custom field service
+ */
+const CustomFieldSchema = new mongoose.Schema({
+  // Storage key (e.g. gst_number); cannot change once values exist
+  key: {
+    type: String,
+    required: [true, "Field key is required"],
+    trim: true,
+    unique: true,
+    match: [/^[a-z][a-z0-9_]{0,49}$/, "Field key must start with a letter and use only lowercase letters, digits and _"],
+  },
+
+  // Shown in forms, used as the import and export column header
+  label: {
+    type: String,
+    required: [true, "Field label is required"],
+    trim: true,
+  },
+
+  type: {
+    type: String,
+    enum: ["text", "number", "date", "select", "multiselect"],
+    required: [true, "Field type is required"],
+  },
+
+  // Allowed values of select and multiselect fields
+  options: {
+    type: [String],
+    default: [],
+  },
+
+  required: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Display order in forms and exports
+  order: {
+    type: Number,
+    default: 0,
+  },
+
+  // Inactive fields are hidden and no longer validated; stored values are kept
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+CustomFieldSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const CustomField = mongoose.model("CustomField", CustomFieldSchema);
+
+module.exports = CustomField;
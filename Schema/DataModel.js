@@ -50,21 +50,73 @@ const EntrySchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Name of a stage of the entry's pipeline (validated by the pipeline service)
   status: {
     type: String,
     default: "Not Found",
   },
+  // Account (organization) and contact person the lead belongs to
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Account",
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Contact",
+  },
+  // Sales pipeline the entry moves through (unset = default pipeline)
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Pipeline",
+  },
   closetype: {
     type: String,
     enum: ["Closed Won", "Closed Lost", ""],
     default: "",
   },
   closeamount: { type: Number, min: 0 },
+  // Total of the entry's sales orders (cancelled ones excluded), kept by the sales order service;
+  // revenue analytics prefer it over closeamount
+  orderValue: { type: Number, min: 0, default: null },
+  // Deal forecast: expected deal value, expected close date and win probability in %
+  // (unset probability = the probability of the entry's stage)
+  estimatedValue: { type: Number, min: 0 },
+  expectedCloseDate: { type: Date },
+  probability: { type: Number, min: 0, max: 100 },
   remarks: {
     type: String,
     trim: true,
     default: "",
   },
+  // Free-form labels for grouping leads (normalized to lowercase)
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // Values of admin-defined custom fields keyed by field key (validated by the custom field service)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Where the lead came from, set when it is created (see services/sourceService)
+  source: {
+    channel: {
+      type: String,
+      enum: ["manual", "inbound_call", "import", "web_form"],
+    },
+    campaign: { type: String, trim: true },
+    // Smartflo virtual number an inbound caller dialled
+    virtualNumber: { type: String, trim: true },
+    leadForm: { type: mongoose.Schema.Types.ObjectId, ref: "LeadForm" },
+    utm: {
+      source: { type: String, trim: true },
+      medium: { type: String, trim: true },
+      campaign: { type: String, trim: true },
+      term: { type: String, trim: true },
+      content: { type: String, trim: true },
+    },
+    referrer: { type: String, trim: true },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -78,19 +130,20 @@ const EntrySchema = new mongoose.Schema({
     ref: "User",
     required: [true, "Created by user is required"],
   },
+  // Current owner of the lead (defaults to the creator, changed by reassignment)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  assignedAt: {
+    type: Date,
+  },
   history: [
     {
+      // Stage name at the time of the change
       status: {
         type: String,
-        enum: [
-          "Interested",
-          "Not Interested",
-          "Maybe",
-          "Closed",
-          "Not",
-          "Service",
-          "Not Found",
-        ],
+        trim: true,
       },
       remarks: {
         type: String,
@@ -123,18 +176,61 @@ const EntrySchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+
+  // Lead score (0-100) from the admin scoring model, refreshed by the scoring job
+  score: {
+    type: Number,
+    default: 0,
+  },
+  // Points per scoring factor behind the score
+  scoreBreakdown: [
+    {
+      _id: false,
+      factor: String,
+      value: mongoose.Schema.Types.Mixed,
+      points: Number,
+    },
+  ],
+  scoredAt: {
+    type: Date,
+  },
+
+  // Soft delete (trash bin) - trashed entries are hidden from every query
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
 });
 
 // 🔥 INDEXES FOR MASSIVE PERFORMANCE BOOST 🔥
 // Most used query: filter by user + sort by createdAt
 EntrySchema.index({ createdBy: 1, createdAt: -1 });
 
+// Owner based filtering (visibility + reassignment)
+EntrySchema.index({ assignedTo: 1, createdAt: -1 });
+
 // Status based filtering
 EntrySchema.index({ status: 1 });
 
+// Revenue forecast by expected close month
+EntrySchema.index({ expectedCloseDate: 1 });
+
 // Organization based filtering
 EntrySchema.index({ organization: 1 });
 
+// Account views
+EntrySchema.index({ account: 1 });
+
+// Tag filtering and tag lists
+EntrySchema.index({ tags: 1 });
+
+// Source performance report
+EntrySchema.index({ "source.channel": 1, createdAt: -1 });
+
 // State + City filtering (very common in CRM)
 EntrySchema.index({ state: 1, city: 1 });
 
@@ -142,20 +238,65 @@ EntrySchema.index({ state: 1, city: 1 });
 EntrySchema.index({ createdAt: -1 });
 EntrySchema.index({ updatedAt: -1 });
 
-// Text search (customer name + address)
-EntrySchema.index({ customerName: "text", address: "text" });
+// Listing sort options (the _id tie-breaker keeps cursor pagination stable)
+EntrySchema.index({ lastCallDate: -1, _id: -1 });
+EntrySchema.index({ closeamount: -1, _id: -1 });
+EntrySchema.index({ customerName: 1, _id: 1 });
+EntrySchema.index({ score: -1, _id: -1 });
+
+// Weighted text search (/api/entries/search); replaces the old customerName + address index on startup
+EntrySchema.index(
+  { customerName: "text", contactName: "text", organization: "text", email: "text", address: "text" },
+  {
+    name: "entry_search_text",
+    weights: { customerName: 10, contactName: 8, organization: 6, email: 4, address: 2 },
+    // No stemming or stop words: names should match as typed
+    default_language: "none",
+  }
+);
 
 // Mobile number search optimization
 EntrySchema.index({ mobileNumber: 1 });
 
+// Duplicate detection lookups (alternate number + email)
+EntrySchema.index({ AlterNumber: 1 }, { sparse: true });
+EntrySchema.index({ email: 1 }, { sparse: true });
+
 // Smartflo lead search optimization
 EntrySchema.index({ smartfloLeadId: 1 }, { sparse: true });
 
+// Trash listing + retention purge
+EntrySchema.index({ deletedAt: 1 });
+
 EntrySchema.pre("save", function (next) {
   this.updatedAt = Date.now();
+  // New leads are owned by their creator until reassigned
+  if (!this.assignedTo && this.createdBy) {
+    this.assignedTo = this.createdBy;
+    this.assignedAt = this.assignedAt || Date.now();
+  }
   next();
 });
 
+// Hide trashed entries unless the query filters on deletedAt itself or passes { withDeleted: true }
+function excludeTrashed() {
+  if (this.getOptions().withDeleted) return;
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+    this.where({ deletedAt: null });
+  }
+}
+EntrySchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct", "updateOne", "updateMany"],
+  excludeTrashed
+);
+
+EntrySchema.pre("aggregate", function () {
+  if (this.options.withDeleted) return;
+  const [firstStage] = this.pipeline();
+  if (firstStage && firstStage.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, "deletedAt")) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
 const Entry = mongoose.model("Entry", EntrySchema);
 
 module.exports = Entry;
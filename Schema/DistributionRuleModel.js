@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+/**
+ * DistributionRule Schema - Automatic lead assignment rules
+ * Rules are evaluated in priority order; the first rule whose conditions match
+ * a lead picks an owner from its user pool using the configured strategy
+ */
+const DistributionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Rule name is required"],
+    trim: true,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  // Lower numbers are evaluated first
+  priority: {
+    type: Number,
+    default: 100,
+    index: true,
+  },
+
+  // Where the rule applies
+  triggers: {
+    type: [String],
+    enum: ["inbound_call", "bulk_upload", "web_form"],
+    default: ["inbound_call", "bulk_upload", "web_form"],
+  },
+
+  // How an owner is picked from the pool
+  strategy: {
+    type: String,
+    enum: ["round_robin", "least_open_leads"],
+    default: "round_robin",
+  },
+
+  // Match conditions (empty list = matches any value, comparison is case-insensitive)
+  conditions: {
+    state: [String],
+    city: [String],
+    category: [String],
+    product: [String],
+  },
+
+  // Users leads are distributed between
+  users: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    validate: {
+      validator: (users) => Array.isArray(users) && users.length > 0,
+      message: "At least one user is required in the distribution pool",
+    },
+  },
+
+  // Round-robin position (total leads handed out by this rule)
+  roundRobinCounter: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+DistributionRuleSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+DistributionRuleSchema.index({ isActive: 1, priority: 1 });
+
+const DistributionRule = mongoose.model("DistributionRule", DistributionRuleSchema);
+
+module.exports = DistributionRule;
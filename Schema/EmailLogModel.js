@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * EmailLog Schema - Emails sent to a lead
+ * Written for every attempt (sent or failed) so the lead timeline shows what the customer received
+ */
+const EmailLogSchema = new mongoose.Schema({
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: true,
+  },
+
+  // welcome = introduction email, quotation = price quotation
+  type: {
+    type: String,
+    enum: ["welcome", "quotation"],
+    required: true,
+  },
+
+  to: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: true,
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+  },
+
+  // Plain text version of the email
+  body: {
+    type: String,
+  },
+
+  // Structured details (e.g. quotation product, quantity, price)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  status: {
+    type: String,
+    enum: ["sent", "failed"],
+    default: "sent",
+  },
+
+  errorMessage: {
+    type: String,
+  },
+
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+EmailLogSchema.index({ entryId: 1, createdAt: -1 });
+
+const EmailLog = mongoose.model("EmailLog", EmailLogSchema);
+
+module.exports = EmailLog;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * EntryAttachment Schema - File attached to a lead (PDFs, images, signed POs, ...)
+ * The file itself is stored on local disk (see utils/storage)
+ */
+const EntryAttachmentSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: [true, "Entry is required"],
+    index: true,
+  },
+
+  // Original file name, used for downloads
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Path relative to the upload root
+  storedPath: {
+    type: String,
+    required: true,
+  },
+
+  mimeType: {
+    type: String,
+    default: "application/octet-stream",
+  },
+
+  fileSize: {
+    type: Number,
+    default: 0,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const EntryAttachment = mongoose.model("EntryAttachment", EntryAttachmentSchema);
+
+module.exports = EntryAttachment;
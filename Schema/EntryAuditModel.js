@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+/**
+ * EntryAudit Schema - Field-level change log for entries
+ * One document per change event with the old and new value of every field it touched
+ */
+const EntryAuditSchema = new mongoose.Schema({
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: true,
+  },
+
+  action: {
+    type: String,
+    enum: ["create", "update", "assign", "merge", "delete", "restore", "purge"],
+    required: true,
+  },
+
+  // Where the change came from
+  source: {
+    type: String,
+    enum: ["manual", "bulk_upload", "import", "webhook", "web_form", "merge", "system"],
+    default: "manual",
+  },
+
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+      newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+  ],
+
+  // Extra context (e.g. the merged entry id)
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  // Empty for system changes (webhooks, retention jobs)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+EntryAuditSchema.index({ entryId: 1, createdAt: -1 });
+EntryAuditSchema.index({ changedBy: 1, createdAt: -1 });
+EntryAuditSchema.index({ "changes.field": 1, createdAt: -1 });
+EntryAuditSchema.index({ createdAt: -1 });
+
+const EntryAudit = mongoose.model("EntryAudit", EntryAuditSchema);
+
+module.exports = EntryAudit;
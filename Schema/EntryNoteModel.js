@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+/**
+ * EntryNote Schema - Timestamped note on a lead
+ * Pinned notes are listed first
+ */
+const EntryNoteSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: [true, "Entry is required"],
+  },
+
+  body: {
+    type: String,
+    required: [true, "Note text is required"],
+    trim: true,
+    maxlength: [5000, "Notes are limited to 5000 characters"],
+  },
+
+  isPinned: {
+    type: Boolean,
+    default: false,
+  },
+
+  pinnedAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  // Set when the text was changed after it was written
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+EntryNoteSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+EntryNoteSchema.index({ entry: 1, isPinned: -1, createdAt: -1 });
+
+const EntryNote = mongoose.model("EntryNote", EntryNoteSchema);
+
+module.exports = EntryNote;
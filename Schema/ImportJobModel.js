@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+/**
+ * ImportJob Schema - Background lead import
+ * Rows are read from a stored file, validated and inserted in batches while progress is recorded here
+ */
+const ImportJobSchema = new mongoose.Schema({
+  // "file" = spreadsheet from /api/imports, "rows" = JSON rows posted to /api/entries
+  source: {
+    type: String,
+    enum: ["file", "rows"],
+    required: true,
+  },
+
+  uploadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ImportUpload",
+  },
+
+  fileName: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  // Path (relative to the upload root) of the spreadsheet or JSON rows to import
+  storedPath: {
+    type: String,
+    required: true,
+  },
+
+  // { entryField: column | column[] }
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  // false = fail the job instead of importing the valid rows only
+  skipInvalid: {
+    type: Boolean,
+    default: true,
+  },
+
+  status: {
+    type: String,
+    enum: ["queued", "running", "done", "failed", "cancelled"],
+    default: "queued",
+    index: true,
+  },
+
+  cancelRequested: {
+    type: Boolean,
+    default: false,
+  },
+
+  totalRows: { type: Number, default: 0 },
+  processedRows: { type: Number, default: 0 },
+  insertedCount: { type: Number, default: 0 },
+  skippedCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  duplicateCount: { type: Number, default: 0 },
+  distributedCount: { type: Number, default: 0 },
+
+  // XLSX listing every rejected row with its reason
+  reportPath: {
+    type: String,
+  },
+
+  errorMessage: {
+    type: String,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  startedAt: {
+    type: Date,
+  },
+
+  finishedAt: {
+    type: Date,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ImportJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+const ImportJob = mongoose.model("ImportJob", ImportJobSchema);
+
+module.exports = ImportJob;
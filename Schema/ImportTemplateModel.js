@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * ImportTemplate Schema - Saved column mappings for lead imports
+ * Each user keeps their own templates, reusable across uploads with the same layout
+ */
+const ImportTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Template name is required"],
+    trim: true,
+  },
+
+  // { entryField: "Spreadsheet Column" }
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  // Headers of the file the template was built from (used to auto-select it)
+  columns: [String],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  lastUsedAt: {
+    type: Date,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+ImportTemplateSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ImportTemplateSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+const ImportTemplate = mongoose.model("ImportTemplate", ImportTemplateSchema);
+
+module.exports = ImportTemplate;
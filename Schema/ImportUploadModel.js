@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+/**
+ * ImportUpload Schema - Spreadsheet uploaded for a two-step import
+ * The file is kept on disk until the import job has read it; uploads that are never imported
+ * are removed after IMPORT_UPLOAD_RETENTION_HOURS (see services/importJobService)
+ */
+const ImportUploadSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Path relative to the upload root
+  storedPath: {
+    type: String,
+    required: true,
+  },
+
+  fileSize: {
+    type: Number,
+    default: 0,
+  },
+
+  columns: [String],
+
+  rowCount: {
+    type: Number,
+    default: 0,
+  },
+
+  status: {
+    type: String,
+    enum: ["uploaded", "committed"],
+    default: "uploaded",
+  },
+
+  // Mapping used for the commit
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  // Background job that imports the file
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ImportJob",
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  committedAt: {
+    type: Date,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ImportUploadSchema.index({ status: 1, createdAt: 1 });
+
+const ImportUpload = mongoose.model("ImportUpload", ImportUploadSchema);
+
+module.exports = ImportUpload;
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+/**
+ * LeadForm Schema - Website or landing-page form that posts leads to the public intake endpoint
+ * Each form has its own API key (only a hash is stored), field mapping, defaults and rate limit
+ */
+const LeadFormSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Form name is required"],
+    trim: true,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  // SHA-256 of the API key; the key itself is only shown when it is generated
+  apiKeyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+
+  // First characters of the key so admins can tell keys apart
+  apiKeyPrefix: {
+    type: String,
+    default: "",
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  // Form field name -> entry field (fields named like entry fields map themselves)
+  fieldMappings: [
+    {
+      _id: false,
+      formField: { type: String, required: true, trim: true },
+      entryField: { type: String, required: true, trim: true },
+    },
+  ],
+
+  // Values for new leads when the form doesn't send them
+  defaults: {
+    category: { type: String, trim: true, default: "" },
+    product: { type: String, trim: true, default: "" },
+  },
+
+  // Pipeline new leads start in (the default pipeline when empty)
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Pipeline",
+    default: null,
+  },
+
+  // Owner of new leads when no distribution rule matches
+  defaultAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+
+  // Submissions accepted per minute for this key
+  rateLimitPerMinute: {
+    type: Number,
+    default: 30,
+    min: [1, "Rate limit must be at least 1 request per minute"],
+    max: [1000, "Rate limit cannot exceed 1000 requests per minute"],
+  },
+
+  // Where browsers posting a plain HTML form are sent afterwards
+  redirectUrl: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  submissionCount: {
+    type: Number,
+    default: 0,
+  },
+
+  lastSubmissionAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+LeadFormSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const LeadForm = mongoose.model("LeadForm", LeadFormSchema);
+
+module.exports = LeadForm;
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * LeadFormSubmission Schema - One submission received on the public intake endpoint
+ * Kept for every outcome so admins can check mappings and campaign traffic
+ */
+const LeadFormSubmissionSchema = new mongoose.Schema({
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LeadForm",
+    required: true,
+  },
+
+  // created: new lead, duplicate: added to an existing lead, rejected: not usable
+  outcome: {
+    type: String,
+    enum: ["created", "duplicate", "rejected"],
+    required: true,
+  },
+
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    default: null,
+  },
+
+  // Why a submission was rejected
+  error: {
+    type: String,
+    default: "",
+  },
+
+  // Raw form fields as received
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  // Entry fields after mapping and normalization
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  utm: {
+    source: { type: String, default: "" },
+    medium: { type: String, default: "" },
+    campaign: { type: String, default: "" },
+    term: { type: String, default: "" },
+    content: { type: String, default: "" },
+  },
+
+  referrer: {
+    type: String,
+    default: "",
+  },
+
+  pageUrl: {
+    type: String,
+    default: "",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+LeadFormSubmissionSchema.index({ form: 1, createdAt: -1 });
+
+const LeadFormSubmission = mongoose.model("LeadFormSubmission", LeadFormSubmissionSchema);
+
+module.exports = LeadFormSubmission;
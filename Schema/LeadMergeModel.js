@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+/**
+ * LeadMerge Schema - Audit record for every duplicate merge
+ * Keeps a snapshot of the removed Entry so a merge can always be traced back
+ */
+const LeadMergeSchema = new mongoose.Schema({
+  // Entry that survived the merge
+  primaryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: true,
+    index: true,
+  },
+
+  // Entry that was folded into the primary and removed
+  mergedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+
+  // Full copy of the removed Entry at merge time
+  mergedSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  // Primary fields that were filled from the removed Entry
+  fieldsCopied: [String],
+
+  historyMerged: {
+    type: Number,
+    default: 0,
+  },
+
+  callLogsMoved: {
+    type: Number,
+    default: 0,
+  },
+
+  scheduledCallsMoved: {
+    type: Number,
+    default: 0,
+  },
+
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+const LeadMerge = mongoose.model("LeadMerge", LeadMergeSchema);
+
+module.exports = LeadMerge;
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+/**
+ * Pipeline Schema - Admin managed sales pipeline
+ * Entry.status holds the name of a stage of the entry's pipeline (the default pipeline when unset)
+ */
+const StageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Stage name is required"],
+      trim: true,
+    },
+
+    // Position in the pipeline (ascending); the first stage is where new leads start
+    order: {
+      type: Number,
+      default: 0,
+    },
+
+    color: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // Closing stages: won -> "Closed Won", lost -> "Closed Lost"
+    // A stage flagged as both is a generic closing stage where the close type is picked when closing
+    isWon: {
+      type: Boolean,
+      default: false,
+    },
+    isLost: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Win probability in % used to weight the forecast of open entries in this stage
+    probability: {
+      type: Number,
+      min: [0, "Probability must be between 0 and 100"],
+      max: [100, "Probability must be between 0 and 100"],
+    },
+
+    // Stage names an entry may move to from this stage (empty = any stage)
+    allowedTransitions: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const PipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Pipeline name is required"],
+    trim: true,
+    unique: true,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  // Used for entries without a pipeline; exactly one pipeline is the default
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+
+  stages: {
+    type: [StageSchema],
+    validate: {
+      validator: (stages) => Array.isArray(stages) && stages.length > 0,
+      message: "A pipeline needs at least one stage",
+    },
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Keep stages ordered and update timestamp on save
+PipelineSchema.pre("save", function (next) {
+  this.stages.sort((a, b) => a.order - b.order);
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Pipeline = mongoose.model("Pipeline", PipelineSchema);
+
+module.exports = Pipeline;
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+/**
+ * Product Schema - Catalog item that can be quoted (interactive panel, podium, desk, ...)
+ * Quotation line items keep a copy of the product details, so catalog changes don't alter sent quotations
+ */
+const ProductSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "SKU is required"],
+    trim: true,
+    uppercase: true,
+    unique: true,
+  },
+
+  name: {
+    type: String,
+    required: [true, "Product name is required"],
+    trim: true,
+  },
+
+  specification: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  category: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  // Unit of measure printed on quotations (Nos, Set, Sq.ft, ...)
+  unit: {
+    type: String,
+    trim: true,
+    default: "Nos",
+  },
+
+  // Price per unit before tax
+  unitPrice: {
+    type: Number,
+    required: [true, "Unit price is required"],
+    min: [0, "Unit price cannot be negative"],
+  },
+
+  // GST percentage
+  taxRate: {
+    type: Number,
+    default: 18,
+    min: [0, "Tax rate cannot be negative"],
+    max: [100, "Tax rate cannot exceed 100"],
+  },
+
+  // Inactive products stay on old quotations but can't be added to new ones
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+ProductSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ProductSchema.index({ isActive: 1, name: 1 });
+
+const Product = mongoose.model("Product", ProductSchema);
+
+module.exports = Product;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * QuotationApprovalConfig Schema - Admin managed approval thresholds for quotations (a single document)
+ * A quotation needs Admin/Superadmin approval before it is sent when any line is discounted above
+ * maxDiscountPercent or its grand total is above maxGrandTotal (leave a threshold empty to disable it)
+ */
+const QuotationApprovalConfigSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "default",
+    unique: true,
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+
+  // Highest line discount a rep may give without approval
+  maxDiscountPercent: {
+    type: Number,
+    default: 10,
+    min: [0, "maxDiscountPercent cannot be negative"],
+    max: [100, "maxDiscountPercent cannot exceed 100"],
+  },
+
+  // Highest grand total (Rs.) a rep may send without approval
+  maxGrandTotal: {
+    type: Number,
+    default: 500000,
+    min: [0, "maxGrandTotal cannot be negative"],
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+QuotationApprovalConfigSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const QuotationApprovalConfig = mongoose.model("QuotationApprovalConfig", QuotationApprovalConfigSchema);
+
+module.exports = QuotationApprovalConfig;
@@ -0,0 +1,228 @@
+const mongoose = require("mongoose");
+
+/**
+ * Quotation Schema - Priced offer to a lead with line items, discounts and GST
+ * Totals are calculated by the quotation service whenever the line items change
+ */
+const QuotationLineItemSchema = new mongoose.Schema(
+  {
+    // Catalog product (optional; free-text items have no product)
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+
+    // Copied from the product when the item is added
+    sku: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    name: {
+      type: String,
+      required: [true, "Line item name is required"],
+      trim: true,
+    },
+
+    specification: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    unit: {
+      type: String,
+      trim: true,
+      default: "Nos",
+    },
+
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0.01, "Quantity must be greater than 0"],
+    },
+
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, "Unit price cannot be negative"],
+    },
+
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount cannot be negative"],
+      max: [100, "Discount cannot exceed 100%"],
+    },
+
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100"],
+    },
+
+    // Calculated amounts
+    subtotal: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  { _id: true }
+);
+
+const QuotationSchema = new mongoose.Schema({
+  // Sequential number shown to the customer (QT-2026-0001)
+  quotationNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: [true, "Entry is required"],
+    index: true,
+  },
+
+  // Copied from the entry so account roll-ups don't need a join
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Account",
+    default: null,
+    index: true,
+  },
+
+  customerName: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: "",
+  },
+
+  lineItems: {
+    type: [QuotationLineItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: "A quotation needs at least one line item",
+    },
+  },
+
+  subtotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  grandTotal: { type: Number, default: 0 },
+
+  currency: {
+    type: String,
+    default: "INR",
+  },
+
+  // draft = being prepared, pending_approval / approved = above the approval thresholds,
+  // sent = with the customer, then accepted / rejected / expired
+  status: {
+    type: String,
+    enum: ["draft", "pending_approval", "approved", "sent", "accepted", "rejected", "expired"],
+    default: "draft",
+    index: true,
+  },
+
+  statusHistory: [
+    {
+      status: String,
+      remarks: String,
+      // Approver decisions: approved or rejected (a rejected request goes back to draft)
+      decision: {
+        type: String,
+        enum: ["approved", "rejected"],
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+
+  // Current approval request (reasons are the thresholds the quotation exceeded)
+  approval: {
+    reasons: [String],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    requestedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: Date,
+    comment: String,
+  },
+
+  // Sent quotations expire automatically after this date
+  validUntil: {
+    type: Date,
+  },
+
+  terms: {
+    type: String,
+    default: "",
+  },
+
+  notes: {
+    type: String,
+    default: "",
+  },
+
+  sentAt: {
+    type: Date,
+  },
+
+  // Latest revision (0 until the quotation is first sent; see QuotationRevision)
+  currentVersion: {
+    type: Number,
+    default: 0,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+QuotationSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+QuotationSchema.index({ status: 1, validUntil: 1 });
+QuotationSchema.index({ createdBy: 1, createdAt: -1 });
+
+const Quotation = mongoose.model("Quotation", QuotationSchema);
+
+module.exports = Quotation;
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+/**
+ * QuotationRevision Schema - Frozen copy of a quotation as it was sent, with its PDF
+ * A new revision is written whenever a changed quotation is sent, so earlier versions can be re-sent or compared
+ */
+const QuotationRevisionSchema = new mongoose.Schema({
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quotation",
+    required: true,
+  },
+
+  // 1, 2, 3, ... per quotation
+  version: {
+    type: Number,
+    required: true,
+  },
+
+  quotationNumber: {
+    type: String,
+    required: true,
+  },
+
+  customerName: {
+    type: String,
+    default: "",
+  },
+
+  customerEmail: {
+    type: String,
+    default: "",
+  },
+
+  // Line items and totals exactly as printed on the PDF
+  lineItems: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+
+  subtotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  grandTotal: { type: Number, default: 0 },
+
+  validUntil: {
+    type: Date,
+  },
+
+  terms: {
+    type: String,
+    default: "",
+  },
+
+  notes: {
+    type: String,
+    default: "",
+  },
+
+  // PDF below the upload root (see utils/storage)
+  pdfPath: {
+    type: String,
+    required: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+QuotationRevisionSchema.index({ quotation: 1, version: -1 }, { unique: true });
+
+const QuotationRevision = mongoose.model("QuotationRevision", QuotationRevisionSchema);
+
+module.exports = QuotationRevision;
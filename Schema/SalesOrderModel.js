@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+
+/**
+ * SalesOrder Schema - Confirmed order raised from an accepted quotation or a won entry
+ * confirmed -> dispatched -> delivered -> paid (or cancelled before delivery)
+ */
+const SalesOrderLineItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    sku: { type: String, trim: true, default: "" },
+    name: {
+      type: String,
+      required: [true, "Line item name is required"],
+      trim: true,
+    },
+    specification: { type: String, trim: true, default: "" },
+    unit: { type: String, trim: true, default: "Nos" },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0.01, "Quantity must be greater than 0"],
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, "Unit price cannot be negative"],
+    },
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+    taxRate: { type: Number, default: 0, min: 0, max: 100 },
+
+    // Calculated amounts
+    subtotal: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  { _id: true }
+);
+
+const SalesOrderSchema = new mongoose.Schema({
+  // Sequential number (SO-2026-0001)
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Entry",
+    required: [true, "Entry is required"],
+    index: true,
+  },
+
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Account",
+    default: null,
+    index: true,
+  },
+
+  // Accepted quotation the order was raised from (null for orders from a won entry)
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quotation",
+    default: null,
+    index: true,
+  },
+
+  customerName: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  lineItems: {
+    type: [SalesOrderLineItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: "An order needs at least one line item",
+    },
+  },
+
+  subtotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  grandTotal: { type: Number, default: 0 },
+
+  deliveryAddress: {
+    address: { type: String, trim: true, default: "" },
+    city: { type: String, trim: true, default: "" },
+    state: { type: String, trim: true, default: "" },
+    pincode: { type: String, trim: true, default: "" },
+  },
+
+  expectedDispatchDate: {
+    type: Date,
+  },
+
+  // e.g. "50% advance, balance on delivery"
+  paymentTerms: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  notes: {
+    type: String,
+    default: "",
+  },
+
+  status: {
+    type: String,
+    enum: ["confirmed", "dispatched", "delivered", "paid", "cancelled"],
+    default: "confirmed",
+    index: true,
+  },
+
+  statusHistory: [
+    {
+      status: String,
+      remarks: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+
+  dispatchedAt: Date,
+  deliveredAt: Date,
+  paidAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+SalesOrderSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SalesOrderSchema.index({ createdBy: 1, createdAt: -1 });
+
+const SalesOrder = mongoose.model("SalesOrder", SalesOrderSchema);
+
+module.exports = SalesOrder;
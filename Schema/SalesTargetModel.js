@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+/**
+ * SalesTarget Schema - Admin defined quota for a user or a team over a period
+ * Progress is not stored; the target service computes it from call logs and entries
+ */
+const SalesTargetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Target name is required"],
+    trim: true,
+  },
+
+  // user = one person's quota, team = a shared quota of the listed users
+  scope: {
+    type: String,
+    enum: ["user", "team"],
+    default: "user",
+  },
+
+  users: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    validate: {
+      validator: function (users) {
+        if (!Array.isArray(users) || users.length === 0) return false;
+        return this.scope !== "user" || users.length === 1;
+      },
+      message: "A user target needs exactly one user and a team target at least one",
+    },
+  },
+
+  // calls_made and deals_won are counts, talk_time is in minutes, revenue is the sum of close amounts
+  metric: {
+    type: String,
+    enum: ["calls_made", "talk_time", "leads_created", "deals_won", "revenue"],
+    required: [true, "Target metric is required"],
+  },
+
+  periodType: {
+    type: String,
+    enum: ["week", "month", "quarter", "custom"],
+    default: "month",
+  },
+
+  periodStart: {
+    type: Date,
+    required: [true, "Period start is required"],
+  },
+
+  periodEnd: {
+    type: Date,
+    required: [true, "Period end is required"],
+  },
+
+  target: {
+    type: Number,
+    required: [true, "Target value is required"],
+    min: [1, "Target value must be at least 1"],
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+SalesTargetSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SalesTargetSchema.index({ periodStart: 1, periodEnd: 1 });
+SalesTargetSchema.index({ users: 1 });
+
+const SalesTarget = mongoose.model("SalesTarget", SalesTargetSchema);
+
+module.exports = SalesTarget;
@@ -67,6 +67,12 @@ const ScheduledCallSchema = new mongoose.Schema({
     default: "pending",
     index: true,
   },
+
+  // Cancelled because the lead was moved to the trash (re-opened when it is restored)
+  cancelledByTrash: {
+    type: Boolean,
+    default: false,
+  },
   
   // Completion details
   completedAt: {
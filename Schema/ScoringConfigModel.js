@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+/**
+ * ScoringConfig Schema - Admin managed lead scoring model (a single document)
+ * Every factor awards the points of its first matching value/band, multiplied by the factor weight;
+ * the lead score is the sum of all factors, kept between 0 and 100
+ */
+
+// Points for an exact value (case-insensitive), e.g. a status or category
+const ValuePointsSchema = new mongoose.Schema(
+  {
+    value: {
+      type: String,
+      required: [true, "Value is required"],
+      trim: true,
+    },
+    points: {
+      type: Number,
+      required: [true, "Points are required"],
+    },
+  },
+  { _id: false }
+);
+
+// Points for a numeric range (min inclusive, max inclusive, either may be left out)
+const BandSchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+    },
+    max: {
+      type: Number,
+    },
+    points: {
+      type: Number,
+      required: [true, "Points are required"],
+    },
+  },
+  { _id: false }
+);
+
+const factor = (itemSchema, field) => ({
+  weight: {
+    type: Number,
+    default: 1,
+    min: [0, "Weight cannot be negative"],
+  },
+  [field]: {
+    type: [itemSchema],
+    default: [],
+  },
+});
+
+const ScoringConfigSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "default",
+    unique: true,
+  },
+
+  factors: {
+    // Current pipeline stage
+    status: factor(ValuePointsSchema, "values"),
+    // Entry category
+    category: factor(ValuePointsSchema, "values"),
+    // Days since the last answered call
+    lastAnsweredCall: factor(BandSchema, "bands"),
+    // Total talk time of answered calls, in minutes
+    talkTime: factor(BandSchema, "bands"),
+    // Estimated deal value
+    estimatedValue: factor(BandSchema, "bands"),
+    // Calls made to the lead (totalCallsMade)
+    callAttempts: factor(BandSchema, "bands"),
+  },
+
+  // Leads in a closing stage (won or lost) are not worth calling and score 0
+  zeroClosedLeads: {
+    type: Boolean,
+    default: true,
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+ScoringConfigSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const ScoringConfig = mongoose.model("ScoringConfig", ScoringConfigSchema);
+
+module.exports = ScoringConfig;
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+/**
+ * SmartList Schema - Saved lead filters
+ * filters holds the same query parameters as GET /api/fetch-entry (status, tags, cf, dates, ...)
+ * and is evaluated with the permissions of whoever uses the list
+ */
+const SmartListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Smart list name is required"],
+    trim: true,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  // private = only the creator, team = every user
+  visibility: {
+    type: String,
+    enum: ["private", "team"],
+    default: "private",
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+SmartListSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SmartListSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+SmartListSchema.index({ visibility: 1 });
+
+const SmartList = mongoose.model("SmartList", SmartListSchema);
+
+module.exports = SmartList;
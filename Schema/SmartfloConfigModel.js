@@ -42,11 +42,18 @@ const SmartfloConfigSchema = new mongoose.Schema({
     category: [String],
     state: [String],
     city: [String],
+    tags: [String],
     dateRange: {
       from: Date,
       to: Date,
     },
   },
+
+  // Saved smart list used as the segment (combined with segmentCriteria)
+  smartListId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SmartList",
+  },
   
   // Configuration status
   isActive: {
@@ -5,6 +5,25 @@ const cors = require("cors");
 const LoginRoute = require("./Router/LoginRoute");
 const SignupRoute = require("./Router/SignupRoute");
 const DataRoute = require("./Router/DataRouter");
+const DistributionRouter = require("./Router/DistributionRouter");
+const ImportRouter = require("./Router/ImportRouter");
+const PipelineRouter = require("./Router/PipelineRouter");
+const CustomFieldRouter = require("./Router/CustomFieldRouter");
+const SmartListRouter = require("./Router/SmartListRouter");
+const ScoringRouter = require("./Router/ScoringRouter");
+const TargetRouter = require("./Router/TargetRouter");
+const AccountRouter = require("./Router/AccountRouter");
+const ProductRouter = require("./Router/ProductRouter");
+const QuotationRouter = require("./Router/QuotationRouter");
+const SalesOrderRouter = require("./Router/SalesOrderRouter");
+const LeadFormRouter = require("./Router/LeadFormRouter");
+const PublicLeadRouter = require("./Router/PublicLeadRouter");
+const { resumeImportJobs, startUploadCleanupSchedule } = require("./services/importJobService");
+const { startTrashPurgeSchedule } = require("./services/trashService");
+const { ensureDefaultPipeline } = require("./services/pipelineService");
+const { ensureSearchIndex } = require("./services/searchService");
+const { startScoreRecalculationSchedule } = require("./services/scoringService");
+const { startQuotationExpirySchedule } = require("./services/quotationService");
 const SmartfloDialerRouter = require("./Router/SmartfloDialerRouter");
 const SmartfloAdminRouter = require("./Router/SmartfloAdminRouter");
 const SmartfloWebhookRouter = require("./Router/SmartfloWebhookRouter");
@@ -25,6 +44,15 @@ const corsOptions = {
   credentials: true,
 };
 
+// Public lead capture: website forms post from any origin, so it sits before the dashboard CORS policy
+app.use("/api/public", PublicLeadRouter);
+
+// Attachments are sent as the raw request body; parsing it here keeps the JSON and form parsers
+// below from claiming JSON or urlencoded files and applies the attachment size limit
+app.post(
+  "/api/entry/:id/attachments",
+  express.raw({ type: () => true, limit: process.env.ATTACHMENT_MAX_FILE_SIZE || "10mb" })
+);
 
 app.use(cors(corsOptions));
 app.use(express.json({ limit: "50mb" }));
@@ -34,6 +62,18 @@ app.use(express.urlencoded({ limit: "50mb", extended: true }));
 app.use("/auth", LoginRoute);
 app.use("/user", SignupRoute);
 app.use("/api", DataRoute);
+app.use("/api/distribution", DistributionRouter);
+app.use("/api/imports", ImportRouter);
+app.use("/api/pipelines", PipelineRouter);
+app.use("/api/custom-fields", CustomFieldRouter);
+app.use("/api/smart-lists", SmartListRouter);
+app.use("/api/scoring", ScoringRouter);
+app.use("/api/targets", TargetRouter);
+app.use("/api/accounts", AccountRouter);
+app.use("/api/products", ProductRouter);
+app.use("/api/quotations", QuotationRouter);
+app.use("/api/sales-orders", SalesOrderRouter);
+app.use("/api/lead-forms", LeadFormRouter);
 
 // Smartflo Integration Routes
 app.use("/api/dialer", SmartfloDialerRouter);
@@ -49,6 +89,20 @@ dbconnect()
     app.listen(port, () => {
       console.log(`App listening on port ${port}!`);
     });
+    // Seed the default sales pipeline from the legacy statuses on first start
+    ensureDefaultPipeline();
+    // Swap the old text index for the weighted search index
+    ensureSearchIndex();
+    // Continue imports that were queued before the last restart
+    resumeImportJobs();
+    // Remove previewed spreadsheets that were never imported
+    startUploadCleanupSchedule();
+    // Permanently remove entries that have been in the trash past the retention period
+    startTrashPurgeSchedule();
+    // Keep lead scores current (recency points change even when a lead doesn't)
+    startScoreRecalculationSchedule();
+    // Mark sent quotations as expired once their validity ends
+    startQuotationExpirySchedule();
   })
   .catch((error) => {
     console.error("Database connection failed", error);
@@ -0,0 +1,312 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const Account = require("../Schema/AccountModel");
+const Contact = require("../Schema/ContactModel");
+const CallLog = require("../Schema/CallLogModel");
+const EmailLog = require("../Schema/EmailLogModel");
+const Quotation = require("../Schema/QuotationModel");
+const { isAdminUser, buildOwnershipCondition, addAndCondition } = require("../utils/leadAccess");
+const { sanitizePhone } = require("../utils/phone");
+const { getStageNames, isClosingStage } = require("./pipelineService");
+const { wonRevenueExpression } = require("./forecastService");
+
+/**
+ * Account Service
+ * Links entries to accounts and contacts, the organization migration and account roll-ups
+ */
+
+// Groups listed in a dry run of the migration
+const PREVIEW_LIMIT = 50;
+
+// Call statuses that mean someone picked up
+const ANSWERED_STATUSES = ["answered", "completed"];
+
+let migrating = false;
+
+/**
+ * Normalize an organization name for grouping ("St. Mary's School " -> "st marys school")
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeOrganization = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Key identifying the same person within an account (phone, else email, else name)
+ */
+const contactKey = ({ mobileNumber, email, name }) => {
+  const phone = sanitizePhone(mobileNumber);
+  if (phone) return `phone:${phone}`;
+  if (email) return `email:${String(email).trim().toLowerCase()}`;
+  const person = normalizeOrganization(name);
+  return person ? `name:${person}` : null;
+};
+
+/**
+ * Validate the account/contact of an entry
+ * Without an account id, an entry is linked to the account whose name matches its organization (if any)
+ * @param {Object} input - { account, contact, organization }
+ * @returns {Promise<{ account: Object|null, contact: Object|null, error: string|null, statusCode?: number }>}
+ */
+const resolveEntryLinks = async ({ account: accountId, contact: contactId, organization }) => {
+  if (accountId && !mongoose.Types.ObjectId.isValid(accountId)) {
+    return { account: null, contact: null, error: "The account ID provided is not valid.", statusCode: 400 };
+  }
+  if (contactId && !mongoose.Types.ObjectId.isValid(contactId)) {
+    return { account: null, contact: null, error: "The contact ID provided is not valid.", statusCode: 400 };
+  }
+
+  let account = null;
+  if (accountId) {
+    account = await Account.findById(accountId).lean();
+    if (!account) return { account: null, contact: null, error: "We could not find the selected account.", statusCode: 404 };
+  } else if (organization && normalizeOrganization(organization)) {
+    account = await Account.findOne({ normalizedName: normalizeOrganization(organization) }).lean();
+  }
+
+  let contact = null;
+  if (contactId) {
+    contact = await Contact.findById(contactId).lean();
+    if (!contact) return { account: null, contact: null, error: "We could not find the selected contact.", statusCode: 404 };
+    if (!account) {
+      account = await Account.findById(contact.account).lean();
+    } else if (contact.account.toString() !== account._id.toString()) {
+      return { account: null, contact: null, error: "The selected contact does not belong to the selected account.", statusCode: 400 };
+    }
+  }
+
+  return { account, contact, error: null };
+};
+
+/**
+ * Re-link the calls of entries after their account or contact changed
+ * @param {Array} entryIds - Entries
+ * @param {Object} links - { account, contact } ids (null to unlink)
+ */
+const syncCallLinks = async (entryIds, { account, contact }) => {
+  const update = account ? { $set: { accountId: account } } : { $unset: { accountId: "", contactId: "" } };
+  if (account && contact) update.$set.contactId = contact;
+  else if (account) update.$unset = { contactId: "" };
+  await CallLog.updateMany({ leadId: { $in: entryIds } }, update);
+};
+
+/**
+ * Group entries without an account by normalized organization into accounts and contacts
+ * Existing accounts with the same normalized name are reused, so the migration can be run again safely
+ * @param {Object} options - { dryRun, userId }
+ * @returns {Promise<Object>} - Summary (and a preview of the groups for dry runs)
+ */
+const migrateEntriesToAccounts = async ({ dryRun = false, userId = null } = {}) => {
+  if (migrating) {
+    const error = new Error("An account migration is already running.");
+    error.statusCode = 409;
+    throw error;
+  }
+  migrating = true;
+
+  try {
+    // Group every unlinked entry (including trashed ones) by normalized organization
+    const groups = new Map();
+    const cursor = Entry.find({ account: null, organization: { $nin: [null, ""] } })
+      .select("organization contactName mobileNumber AlterNumber email address city state")
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor();
+    for await (const entry of cursor) {
+      const key = normalizeOrganization(entry.organization);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, { key, spellings: new Map(), entries: [] });
+      const group = groups.get(key);
+      const spelling = entry.organization.trim();
+      group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + 1);
+      group.entries.push(entry);
+    }
+
+    const summary = {
+      dryRun,
+      groups: groups.size,
+      accountsCreated: 0,
+      accountsMatched: 0,
+      contactsCreated: 0,
+      entriesLinked: 0,
+    };
+
+    const existing = await Account.find({ normalizedName: { $in: [...groups.keys()] } }).lean();
+    const accountsByKey = new Map(existing.map((account) => [account.normalizedName, account]));
+
+    if (dryRun) {
+      groups.forEach((group) => {
+        if (accountsByKey.has(group.key)) summary.accountsMatched += 1;
+        else summary.accountsCreated += 1;
+        summary.entriesLinked += group.entries.length;
+      });
+      summary.preview = [...groups.values()]
+        .sort((a, b) => b.entries.length - a.entries.length)
+        .slice(0, PREVIEW_LIMIT)
+        .map((group) => ({
+          name: [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+          variants: [...group.spellings.keys()],
+          entries: group.entries.length,
+          existingAccount: accountsByKey.has(group.key) ? accountsByKey.get(group.key)._id : null,
+        }));
+      return summary;
+    }
+
+    for (const group of groups.values()) {
+      let account = accountsByKey.get(group.key);
+      if (account) {
+        summary.accountsMatched += 1;
+      } else {
+        // The most used spelling names the account; address details come from the first entry that has them
+        const withAddress = group.entries.find((entry) => entry.address || entry.city || entry.state) || {};
+        account = await Account.create({
+          name: [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+          normalizedName: group.key,
+          address: withAddress.address || "",
+          city: withAddress.city || "",
+          state: withAddress.state || "",
+          createdBy: userId,
+        });
+        summary.accountsCreated += 1;
+      }
+
+      // One contact per person (phone, email or name) within the account
+      const contacts = await Contact.find({ account: account._id }).lean();
+      const contactsByKey = new Map();
+      contacts.forEach((contact) => {
+        [contactKey(contact), contact.email ? `email:${contact.email}` : null, contact.name ? `name:${normalizeOrganization(contact.name)}` : null]
+          .filter(Boolean)
+          .forEach((key) => {
+            if (!contactsByKey.has(key)) contactsByKey.set(key, contact);
+          });
+      });
+
+      const links = new Map();
+      for (const entry of group.entries) {
+        const key = contactKey({ mobileNumber: entry.mobileNumber, email: entry.email, name: entry.contactName });
+        let contact = key ? contactsByKey.get(key) : null;
+        if (key && !contact) {
+          contact = await Contact.create({
+            account: account._id,
+            name: entry.contactName || "",
+            email: entry.email || "",
+            mobileNumber: sanitizePhone(entry.mobileNumber),
+            AlterNumber: sanitizePhone(entry.AlterNumber),
+            isPrimary: contactsByKey.size === 0,
+            createdBy: userId,
+          });
+          contactsByKey.set(key, contact);
+          summary.contactsCreated += 1;
+        }
+        const linkKey = contact ? contact._id.toString() : "";
+        if (!links.has(linkKey)) links.set(linkKey, { contact: contact ? contact._id : null, entryIds: [] });
+        links.get(linkKey).entryIds.push(entry._id);
+      }
+
+      for (const { contact, entryIds } of links.values()) {
+        const result = await Entry.updateMany(
+          { _id: { $in: entryIds }, account: null },
+          { $set: { account: account._id, ...(contact ? { contact } : {}) } }
+        ).setOptions({ withDeleted: true });
+        await syncCallLinks(entryIds, { account: account._id, contact });
+        summary.entriesLinked += result.modifiedCount || 0;
+      }
+    }
+
+    return summary;
+  } finally {
+    migrating = false;
+  }
+};
+
+/**
+ * Roll up the entries, calls and quotations of an account
+ * Non-admins only see the entries they own and their own calls
+ * @param {string} accountId - Account
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+const getAccountRollup = async (accountId, user) => {
+  const id = new mongoose.Types.ObjectId(String(accountId));
+  const entryMatch = { account: id };
+  const callMatch = { accountId: id };
+  if (!isAdminUser(user)) {
+    addAndCondition(entryMatch, buildOwnershipCondition(user.id));
+    callMatch.userId = new mongoose.Types.ObjectId(String(user.id));
+  }
+
+  const closingStages = await getStageNames(isClosingStage);
+  const [entryStats, callStats, entryIds] = await Promise.all([
+    Entry.aggregate([
+      { $match: entryMatch },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          open: { $sum: { $cond: [{ $in: ["$status", closingStages] }, 0, 1] } },
+          won: { $sum: { $cond: [{ $eq: ["$closetype", "Closed Won"] }, 1, 0] } },
+          lost: { $sum: { $cond: [{ $eq: ["$closetype", "Closed Lost"] }, 1, 0] } },
+          pipelineValue: {
+            $sum: { $cond: [{ $in: ["$status", closingStages] }, 0, { $ifNull: ["$estimatedValue", 0] }] },
+          },
+          wonAmount: {
+            $sum: { $cond: [{ $eq: ["$closetype", "Closed Won"] }, wonRevenueExpression(), 0] },
+          },
+        },
+      },
+    ]),
+    CallLog.aggregate([
+      { $match: callMatch },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          answered: { $sum: { $cond: [{ $in: ["$callStatus", ANSWERED_STATUSES] }, 1, 0] } },
+          talkTime: { $sum: "$duration" },
+          lastCallAt: { $max: "$startTime" },
+        },
+      },
+    ]),
+    Entry.find(entryMatch).distinct("_id"),
+  ]);
+
+  const [quotations, quotationEmails] = await Promise.all([
+    Quotation.aggregate([
+      { $match: { entry: { $in: entryIds } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          open: { $sum: { $cond: [{ $in: ["$status", ["draft", "sent"]] }, 1, 0] } },
+          accepted: { $sum: { $cond: [{ $eq: ["$status", "accepted"] }, 1, 0] } },
+          quotedValue: { $sum: { $cond: [{ $eq: ["$status", "draft"] }, 0, "$grandTotal"] } },
+          acceptedValue: { $sum: { $cond: [{ $eq: ["$status", "accepted"] }, "$grandTotal", 0] } },
+        },
+      },
+    ]),
+    EmailLog.aggregate([
+      { $match: { entryId: { $in: entryIds }, type: "quotation", status: "sent" } },
+      { $group: { _id: null, emailed: { $sum: 1 }, lastSentAt: { $max: "$createdAt" } } },
+    ]),
+  ]);
+
+  const { _id: _entries, ...entries } = entryStats[0] || { total: 0, open: 0, won: 0, lost: 0, pipelineValue: 0, wonAmount: 0 };
+  const { _id: _calls, ...calls } = callStats[0] || { total: 0, answered: 0, talkTime: 0, lastCallAt: null };
+  const { _id: _quotations, ...quotationStats } = quotations[0] || { total: 0, open: 0, accepted: 0, quotedValue: 0, acceptedValue: 0 };
+  const { _id: _emails, ...emailStats } = quotationEmails[0] || { emailed: 0, lastSentAt: null };
+
+  return { entries, calls, quotations: { ...quotationStats, ...emailStats } };
+};
+
+module.exports = {
+  normalizeOrganization,
+  resolveEntryLinks,
+  syncCallLinks,
+  migrateEntriesToAccounts,
+  getAccountRollup,
+};
@@ -0,0 +1,127 @@
+const EntryAudit = require("../Schema/EntryAuditModel");
+
+/**
+ * Entry Audit Service
+ * Computes field-level differences and writes them to the EntryAudit log
+ * Audit failures are logged and never fail the request that made the change
+ */
+
+// Entry fields tracked by the audit trail (call statistics and history have their own records)
+const AUDITED_FIELDS = [
+  "customerName",
+  "contactName",
+  "email",
+  "mobileNumber",
+  "AlterNumber",
+  "product",
+  "address",
+  "organization",
+  "category",
+  "city",
+  "state",
+  "status",
+  "remarks",
+  "tags",
+  "closetype",
+  "closeamount",
+  "estimatedValue",
+  "expectedCloseDate",
+  "probability",
+  "createdBy",
+  "assignedTo",
+  "account",
+  "contact",
+  "smartfloLeadId",
+  "source.channel",
+  "source.campaign",
+];
+
+/**
+ * Normalize a value for comparison and storage
+ * ObjectIds and populated references become id strings, dates become ISO strings, empty values null
+ */
+const normalizeAuditValue = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (Array.isArray(value)) return value.length > 0 ? value.map(normalizeAuditValue) : null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (value._id) return value._id.toString();
+    if (typeof value.toHexString === "function") return value.toHexString();
+  }
+  return value;
+};
+
+/**
+ * Read a field, following dotted paths into custom fields (customFields.gst_number)
+ */
+const readField = (entry, field) =>
+  field.split(".").reduce((value, part) => (value === undefined || value === null ? value : value[part]), entry);
+
+/**
+ * Custom field paths present on either version
+ */
+const customFieldPaths = (before, after) =>
+  [...new Set([...Object.keys((before && before.customFields) || {}), ...Object.keys((after && after.customFields) || {})])]
+    .map((key) => `customFields.${key}`);
+
+/**
+ * List the audited fields that differ between two versions of an entry
+ * @param {Object} before - Entry before the change (document or lean object)
+ * @param {Object} after - Entry after the change
+ * @param {string[]} [fields] - Fields to compare (default: AUDITED_FIELDS plus every custom field)
+ * @returns {Array<{ field, oldValue, newValue }>}
+ */
+const diffEntry = (before, after, fields) =>
+  (fields || [...AUDITED_FIELDS, ...customFieldPaths(before, after)])
+    .map((field) => ({
+      field,
+      oldValue: normalizeAuditValue(before ? readField(before, field) : null),
+      newValue: normalizeAuditValue(after ? readField(after, field) : null),
+    }))
+    .filter((change) => String(change.oldValue) !== String(change.newValue));
+
+/**
+ * Write audit records
+ * @param {Array<Object>} records - { entryId, action, changes, source, changedBy, meta }
+ * @returns {Promise<void>}
+ */
+const recordAudits = async (records) => {
+  const docs = records.filter((record) => record.action !== "update" || record.changes.length > 0);
+  if (docs.length === 0) return;
+  try {
+    await EntryAudit.insertMany(docs, { ordered: false });
+  } catch (error) {
+    console.error("Failed to write entry audit:", error.message);
+  }
+};
+
+/**
+ * Record a single change event
+ * @param {Object} record - { entryId, action, changes, source, changedBy, meta }
+ * @returns {Promise<void>}
+ */
+const recordAudit = (record) => recordAudits([record]);
+
+/**
+ * Record the creation of entries (every populated field is logged as set from empty)
+ * @param {Array<Object>} entries - Created entries
+ * @param {Object} options - { source, changedBy }
+ * @returns {Promise<void>}
+ */
+const recordCreates = (entries, { source = "manual", changedBy = null } = {}) =>
+  recordAudits(
+    entries.map((entry) => ({
+      entryId: entry._id,
+      action: "create",
+      source,
+      changedBy,
+      changes: diffEntry(null, entry),
+    }))
+  );
+
+module.exports = {
+  diffEntry,
+  recordAudit,
+  recordAudits,
+  recordCreates,
+};
@@ -0,0 +1,223 @@
+const CustomField = require("../Schema/CustomFieldModel");
+
+/**
+ * Custom Field Service
+ * Typed validation of admin-defined lead attributes and the filters built on them
+ * Definitions are cached in memory and reloaded whenever an admin changes them
+ */
+
+let cache = null;
+
+/**
+ * Load the active custom field definitions (cached)
+ * @returns {Promise<Object[]>} - Lean definitions in display order
+ */
+const loadCustomFields = async () => {
+  if (!cache) {
+    cache = await CustomField.find({ isActive: true }).sort({ order: 1, createdAt: 1 }).lean();
+  }
+  return cache;
+};
+
+/**
+ * Drop the cache after a field was created, changed or removed
+ */
+const invalidateCustomFieldCache = () => {
+  cache = null;
+};
+
+/**
+ * Build a storage key from a label ("GST Number" -> "gst_number")
+ * @param {string} label
+ * @returns {string}
+ */
+const keyFromLabel = (label) =>
+  String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^[^a-z]+|_+$/g, "")
+    .slice(0, 50);
+
+const isBlank = (value) =>
+  value === undefined || value === null || (Array.isArray(value) ? value.length === 0 : String(value).trim() === "");
+
+const defaultParseDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Match a value against the field options (case-insensitive), returning the configured spelling
+ */
+const matchOption = (field, value) => {
+  const wanted = String(value).trim().toLowerCase();
+  return field.options.find((option) => option.toLowerCase() === wanted);
+};
+
+/**
+ * Convert a raw value into the field type
+ * @param {Object} field - Definition
+ * @param {*} raw - Raw value (form input or spreadsheet cell)
+ * @param {Function} parseDate - Date parser (imports pass their own to read dd/MM/yyyy cells)
+ * @returns {{ value: *, error: string|null }}
+ */
+const coerceCustomValue = (field, raw, parseDate = defaultParseDate) => {
+  switch (field.type) {
+    case "number": {
+      const value = typeof raw === "number" ? raw : Number(String(raw).replace(/,/g, "").trim());
+      return isNaN(value) ? { value: null, error: `"${raw}" is not a number` } : { value, error: null };
+    }
+    case "date": {
+      const value = parseDate(raw);
+      return value ? { value, error: null } : { value: null, error: `"${raw}" is not a valid date` };
+    }
+    case "select": {
+      const value = matchOption(field, raw);
+      return value
+        ? { value, error: null }
+        : { value: null, error: `"${raw}" is not one of: ${field.options.join(", ")}` };
+    }
+    case "multiselect": {
+      // Spreadsheet cells hold the values separated by commas
+      const values = (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+      const unknown = values.filter((item) => !matchOption(field, item));
+      if (unknown.length > 0) {
+        return { value: null, error: `${unknown.map((item) => `"${item}"`).join(", ")} not in: ${field.options.join(", ")}` };
+      }
+      return { value: [...new Set(values.map((item) => matchOption(field, item)))], error: null };
+    }
+    default:
+      return { value: String(raw).trim(), error: null };
+  }
+};
+
+/**
+ * Validate custom field input against the definitions
+ * @param {Object} input - { key: value } sent by the client (unknown keys are rejected)
+ * @param {Object[]} fields - Active definitions
+ * @param {Object} options - { requireAll: enforce required fields (creates), parseDate }
+ * @returns {{ values: Object, cleared: string[], errors: Array<{ field, code, message }> }}
+ */
+const validateCustomFields = (input, fields, { requireAll = false, parseDate } = {}) => {
+  const values = {};
+  const cleared = [];
+  const errors = [];
+  const data = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+
+  Object.keys(data)
+    .filter((key) => !fields.some((field) => field.key === key))
+    .forEach((key) => {
+      errors.push({ field: `customFields.${key}`, code: "UNKNOWN_FIELD", message: `"${key}" is not a custom field` });
+    });
+
+  fields.forEach((field) => {
+    const provided = Object.prototype.hasOwnProperty.call(data, field.key);
+    const raw = data[field.key];
+
+    if (isBlank(raw)) {
+      if (field.required && (requireAll || provided)) {
+        errors.push({ field: `customFields.${field.key}`, code: "REQUIRED", message: `${field.label} is required` });
+      } else if (provided) {
+        cleared.push(field.key);
+      }
+      return;
+    }
+
+    const { value, error } = coerceCustomValue(field, raw, parseDate);
+    if (error) {
+      errors.push({ field: `customFields.${field.key}`, code: "INVALID_VALUE", message: `${field.label}: ${error}` });
+    } else {
+      values[field.key] = value;
+    }
+  });
+
+  return { values, cleared, errors };
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build entry filter conditions from custom field query parameters
+ * ?cf[gst_number]=27AB (text contains), ?cf[budget][min]=1000&cf[budget][max]=5000,
+ * ?cf[visit_date][from]=2024-01-01&cf[visit_date][to]=2024-01-31, ?cf[board]=CBSE,ICSE (any of)
+ * @param {Object} query - Parsed cf query object
+ * @param {Object[]} fields - Active definitions
+ * @returns {Object[]} - Conditions to AND into the entry filter
+ */
+const buildCustomFieldConditions = (query, fields) => {
+  if (!query || typeof query !== "object") return [];
+  const conditions = [];
+
+  Object.entries(query).forEach(([key, raw]) => {
+    const field = fields.find((item) => item.key === key);
+    if (!field || isBlank(raw)) return;
+    const path = `customFields.${key}`;
+
+    if (field.type === "number" || field.type === "date") {
+      const parse = field.type === "number" ? (value) => Number(value) : (value) => new Date(value);
+      const isValidValue = (value) => (field.type === "number" ? !isNaN(value) : !isNaN(value.getTime()));
+      if (typeof raw === "object" && !Array.isArray(raw)) {
+        const range = {};
+        const low = raw.min !== undefined ? raw.min : raw.from;
+        const high = raw.max !== undefined ? raw.max : raw.to;
+        if (!isBlank(low) && isValidValue(parse(low))) range.$gte = parse(low);
+        if (!isBlank(high) && isValidValue(parse(high))) {
+          const end = parse(high);
+          // Date ranges include the whole end day
+          if (field.type === "date") end.setHours(23, 59, 59, 999);
+          range.$lte = end;
+        }
+        if (Object.keys(range).length > 0) conditions.push({ [path]: range });
+      } else if (field.type === "number" && isValidValue(parse(raw))) {
+        conditions.push({ [path]: parse(raw) });
+      } else if (field.type === "date" && isValidValue(parse(raw))) {
+        const start = parse(raw);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setHours(23, 59, 59, 999);
+        conditions.push({ [path]: { $gte: start, $lte: end } });
+      }
+      return;
+    }
+
+    if (field.type === "select" || field.type === "multiselect") {
+      const values = (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((value) => matchOption(field, value))
+        .filter(Boolean);
+      // Unknown options can't match anything
+      conditions.push({ [path]: { $in: values } });
+      return;
+    }
+
+    conditions.push({ [path]: { $regex: escapeRegex(String(raw).trim()), $options: "i" } });
+  });
+
+  return conditions;
+};
+
+/**
+ * Check a definition sent by an admin
+ * @param {Object} data - { type, options }
+ * @returns {string|null} - Error message or null
+ */
+const validateDefinition = ({ type, options }) => {
+  if (["select", "multiselect"].includes(type)) {
+    const list = (options || []).map((option) => String(option).trim()).filter(Boolean);
+    if (list.length === 0) return "Select fields need at least one option";
+    if (new Set(list.map((option) => option.toLowerCase())).size !== list.length) {
+      return "Options must be unique";
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  loadCustomFields,
+  invalidateCustomFieldCache,
+  keyFromLabel,
+  validateCustomFields,
+  buildCustomFieldConditions,
+  validateDefinition,
+};
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const User = require("../Schema/Model");
+const DistributionRule = require("../Schema/DistributionRuleModel");
+const AssignmentLog = require("../Schema/AssignmentLogModel");
+
+/**
+ * Lead Distribution Service
+ * Picks an owner for new leads from the active distribution rules
+ * Strategies: round_robin (rotating pool) and least_open_leads (fewest open leads first)
+ */
+
+const CONDITION_FIELDS = ["state", "city", "category", "product"];
+
+// Close types that no longer count as open leads
+const CLOSED_TYPES = ["Closed Won", "Closed Lost"];
+
+const normalizeValue = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * Check if a lead satisfies every condition of a rule
+ * @param {Object} rule - Distribution rule
+ * @param {Object} lead - Lead fields (state, city, category, product)
+ * @returns {boolean}
+ */
+const ruleMatches = (rule, lead) =>
+  CONDITION_FIELDS.every((field) => {
+    const values = ((rule.conditions && rule.conditions[field]) || [])
+      .map(normalizeValue)
+      .filter(Boolean);
+    return values.length === 0 || values.includes(normalizeValue(lead[field]));
+  });
+
+/**
+ * Load active rules for a trigger with their pool restricted to existing users
+ * @param {string} trigger - "inbound_call", "bulk_upload" or "web_form"
+ * @returns {Promise<Array>} - Rules in evaluation order
+ */
+const loadActiveRules = async (trigger) => {
+  const rules = await DistributionRule.find({ isActive: true, triggers: trigger })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+  if (rules.length === 0) return [];
+
+  // Drop users that no longer exist so leads are never handed to a deleted account
+  const userIds = [...new Set(rules.flatMap((rule) => rule.users.map((id) => id.toString())))];
+  const existing = new Set(
+    (await User.find({ _id: { $in: userIds } }).distinct("_id")).map((id) => id.toString())
+  );
+
+  return rules
+    .map((rule) => ({
+      ...rule,
+      pool: rule.users.map((id) => id.toString()).filter((id) => existing.has(id)),
+    }))
+    .filter((rule) => rule.pool.length > 0);
+};
+
+/**
+ * Count open (not closed) leads per owner
+ * Leads without assignedTo belong to their creator, as in buildOwnershipCondition
+ * @param {string[]} userIds - Pool of user ids
+ * @returns {Promise<Map<string, number>>}
+ */
+const countOpenLeads = async (userIds) => {
+  const counts = new Map(userIds.map((id) => [id, 0]));
+  const ownerIds = userIds.map((id) => mongoose.Types.ObjectId.createFromHexString(id));
+  const results = await Entry.aggregate([
+    {
+      $match: {
+        $or: [{ assignedTo: { $in: ownerIds } }, { assignedTo: null, createdBy: { $in: ownerIds } }],
+        closetype: { $nin: CLOSED_TYPES },
+      },
+    },
+    { $group: { _id: { $ifNull: ["$assignedTo", "$createdBy"] }, count: { $sum: 1 } } },
+  ]);
+  results.forEach((item) => counts.set(item._id.toString(), item.count));
+  return counts;
+};
+
+/**
+ * Plan owners for a batch of leads
+ * @param {Array<Object>} leads - Lead fields (state, city, category, product)
+ * @param {Object} options - { trigger, dryRun }
+ * @returns {Promise<Array<Object|null>>} - Per lead: { assignedTo, ruleId, ruleName, strategy } or null when no rule matched
+ */
+const planAssignments = async (leads, { trigger, dryRun = false }) => {
+  const rules = await loadActiveRules(trigger);
+  if (rules.length === 0) return leads.map(() => null);
+
+  const matchedRules = leads.map((lead) => rules.find((rule) => ruleMatches(rule, lead)) || null);
+
+  // Number of leads handled by each rule
+  const ruleUsage = new Map();
+  matchedRules.forEach((rule) => {
+    if (!rule) return;
+    const key = rule._id.toString();
+    ruleUsage.set(key, { rule, count: (ruleUsage.get(key)?.count || 0) + 1 });
+  });
+
+  // Per-rule picking state
+  const ruleState = new Map();
+  for (const [key, { rule, count }] of ruleUsage) {
+    if (rule.strategy === "least_open_leads") {
+      ruleState.set(key, { openLeads: await countOpenLeads(rule.pool) });
+    } else {
+      // Reserve a block of round-robin slots atomically so concurrent uploads don't collide
+      let start = rule.roundRobinCounter || 0;
+      if (!dryRun) {
+        const previous = await DistributionRule.findByIdAndUpdate(
+          rule._id,
+          { $inc: { roundRobinCounter: count } },
+          { new: false }
+        ).lean();
+        if (previous) start = previous.roundRobinCounter || 0;
+      }
+      ruleState.set(key, { next: start });
+    }
+  }
+
+  return matchedRules.map((rule) => {
+    if (!rule) return null;
+    const state = ruleState.get(rule._id.toString());
+
+    let assignedTo;
+    if (rule.strategy === "least_open_leads") {
+      // Fewest open leads wins, ties go to the earlier pool member
+      assignedTo = rule.pool.reduce((best, id) =>
+        state.openLeads.get(id) < state.openLeads.get(best) ? id : best
+      );
+      state.openLeads.set(assignedTo, state.openLeads.get(assignedTo) + 1);
+    } else {
+      assignedTo = rule.pool[state.next % rule.pool.length];
+      state.next += 1;
+    }
+
+    return {
+      assignedTo,
+      ruleId: rule._id,
+      ruleName: rule.name,
+      strategy: rule.strategy,
+    };
+  });
+};
+
+/**
+ * Pick an owner for a single lead
+ * @param {Object} lead - Lead fields
+ * @param {string} trigger - "inbound_call", "bulk_upload" or "web_form"
+ * @returns {Promise<Object|null>} - Assignment decision or null
+ */
+const assignLead = async (lead, trigger) => {
+  const [decision] = await planAssignments([lead], { trigger });
+  return decision;
+};
+
+/**
+ * Persist assignment decisions to the assignment log
+ * @param {Array<Object>} assignments - Decisions with a leadId
+ * @param {Object} options - { trigger, triggeredBy }
+ * @returns {Promise<void>}
+ */
+const logAssignments = async (assignments, { trigger, triggeredBy = null }) => {
+  if (assignments.length === 0) return;
+  try {
+    await AssignmentLog.insertMany(
+      assignments.map((assignment) => ({
+        leadId: assignment.leadId,
+        assignedTo: assignment.assignedTo,
+        ruleId: assignment.ruleId,
+        ruleName: assignment.ruleName,
+        strategy: assignment.strategy,
+        trigger,
+        triggeredBy,
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // The assignment itself already happened; a logging failure must not fail the request
+    console.error("Failed to write assignment log:", error.message);
+  }
+};
+
+module.exports = {
+  CONDITION_FIELDS,
+  planAssignments,
+  assignLead,
+  logAssignments,
+};
@@ -0,0 +1,356 @@
+const Entry = require("../Schema/DataModel");
+const CallLog = require("../Schema/CallLogModel");
+const ScheduledCall = require("../Schema/ScheduledCallModel");
+const EntryNote = require("../Schema/EntryNoteModel");
+const EntryAttachment = require("../Schema/EntryAttachmentModel");
+const EmailLog = require("../Schema/EmailLogModel");
+const Quotation = require("../Schema/QuotationModel");
+const SalesOrder = require("../Schema/SalesOrderModel");
+const LeadMerge = require("../Schema/LeadMergeModel");
+const { diffEntry, recordAudits } = require("./auditService");
+const { refreshEntryOrderValue } = require("./salesOrderService");
+
+/**
+ * Duplicate Detection Service
+ * Finds existing entries sharing a phone number or email and merges duplicates
+ * Mode is configured through DUPLICATE_CHECK_MODE: "off", "warn" (default) or "block"
+ */
+
+const DUPLICATE_MODES = ["off", "warn", "block"];
+
+// Fields returned for every duplicate candidate
+const CANDIDATE_FIELDS = "customerName contactName mobileNumber AlterNumber email organization status createdBy assignedTo createdAt";
+
+// Plain text fields copied from the duplicate when the primary has no value
+const MERGEABLE_FIELDS = [
+  "customerName",
+  "contactName",
+  "email",
+  "mobileNumber",
+  "AlterNumber",
+  "product",
+  "address",
+  "organization",
+  "category",
+  "city",
+  "state",
+  "remarks",
+];
+
+/**
+ * Get the configured duplicate handling mode
+ * @param {string} [override] - Optional per-request mode
+ * @returns {string} - "off", "warn" or "block"
+ */
+const getDuplicateMode = (override) => {
+  const mode = String(override || process.env.DUPLICATE_CHECK_MODE || "warn").toLowerCase();
+  return DUPLICATE_MODES.includes(mode) ? mode : "warn";
+};
+
+/**
+ * Collect the unique non-empty phone numbers of a lead
+ * @param {Object} fields - Object with mobileNumber / AlterNumber
+ * @returns {string[]}
+ */
+const collectPhones = (fields) =>
+  [...new Set([fields.mobileNumber, fields.AlterNumber].filter(Boolean))];
+
+/**
+ * Describe which identifiers of a candidate match the given fields
+ * @param {Object} candidate - Existing entry
+ * @param {Object} fields - Incoming lead fields
+ * @returns {string[]} - Matched field names
+ */
+const describeMatch = (candidate, fields) => {
+  const phones = collectPhones(fields);
+  const matchedOn = [];
+  if (candidate.mobileNumber && phones.includes(candidate.mobileNumber)) matchedOn.push("mobileNumber");
+  if (candidate.AlterNumber && phones.includes(candidate.AlterNumber)) matchedOn.push("AlterNumber");
+  if (fields.email && candidate.email === fields.email) matchedOn.push("email");
+  return matchedOn;
+};
+
+/**
+ * Build the Mongo query matching any phone or email of the given fields
+ * @param {Object} fields - { mobileNumber, AlterNumber, email } (already sanitized)
+ * @returns {Object|null} - Query or null when there is nothing to match on
+ */
+const buildDuplicateQuery = (fields) => {
+  const phones = collectPhones(fields);
+  const conditions = [];
+
+  if (phones.length > 0) {
+    conditions.push({ mobileNumber: { $in: phones } });
+    conditions.push({ AlterNumber: { $in: phones } });
+  }
+  if (fields.email) {
+    conditions.push({ email: fields.email });
+  }
+
+  return conditions.length > 0 ? { $or: conditions } : null;
+};
+
+/**
+ * Find existing entries that duplicate the given lead
+ * @param {Object} fields - { mobileNumber, AlterNumber, email } (already sanitized)
+ * @param {Object} options - { excludeId, limit }
+ * @returns {Promise<Array>} - Candidate entries with a matchedOn array
+ */
+const findDuplicates = async (fields, { excludeId = null, limit = 10 } = {}) => {
+  const query = buildDuplicateQuery(fields);
+  if (!query) return [];
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const candidates = await Entry.find(query)
+    .select(CANDIDATE_FIELDS)
+    .populate("createdBy", "username _id")
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  return candidates.map((candidate) => ({
+    ...candidate,
+    matchedOn: describeMatch(candidate, fields),
+  }));
+};
+
+/**
+ * Find duplicates for a batch of rows (bulk upload)
+ * Checks both the database and earlier rows of the same batch with a single query
+ * @param {Array<Object>} rows - Sanitized entry objects
+ * @returns {Promise<Array<Array>>} - For each row, the list of matches (empty when unique)
+ */
+const findBatchDuplicates = async (rows) => {
+  const phones = new Set();
+  const emails = new Set();
+  rows.forEach((row) => {
+    collectPhones(row).forEach((phone) => phones.add(phone));
+    if (row.email) emails.add(row.email);
+  });
+
+  if (phones.size === 0 && emails.size === 0) {
+    return rows.map(() => []);
+  }
+
+  const conditions = [];
+  if (phones.size > 0) {
+    conditions.push({ mobileNumber: { $in: [...phones] } });
+    conditions.push({ AlterNumber: { $in: [...phones] } });
+  }
+  if (emails.size > 0) {
+    conditions.push({ email: { $in: [...emails] } });
+  }
+
+  const existing = await Entry.find({ $or: conditions }).select(CANDIDATE_FIELDS).lean();
+
+  // Index existing entries by every identifier they carry
+  const index = new Map();
+  const addToIndex = (key, value) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(value);
+  };
+  existing.forEach((entry) => {
+    addToIndex(entry.mobileNumber && `phone:${entry.mobileNumber}`, entry);
+    addToIndex(entry.AlterNumber && `phone:${entry.AlterNumber}`, entry);
+    addToIndex(entry.email && `email:${entry.email}`, entry);
+  });
+
+  return rows.map((row, rowIndex) => {
+    const keys = [
+      ...collectPhones(row).map((phone) => `phone:${phone}`),
+      ...(row.email ? [`email:${row.email}`] : []),
+    ];
+
+    const matches = new Map();
+    keys.forEach((key) => {
+      (index.get(key) || []).forEach((match) => {
+        const id = match._id ? match._id.toString() : `row:${match.rowIndex}`;
+        if (!matches.has(id)) {
+          matches.set(id, match._id
+            ? { ...match, matchedOn: describeMatch(match, row) }
+            : { row: match.rowIndex + 1, matchedOn: describeMatch(match, row) });
+        }
+      });
+    });
+
+    // Register this row so later rows in the same upload are checked against it
+    const self = { ...row, rowIndex };
+    addToIndex(row.mobileNumber && `phone:${row.mobileNumber}`, self);
+    addToIndex(row.AlterNumber && `phone:${row.AlterNumber}`, self);
+    addToIndex(row.email && `email:${row.email}`, self);
+
+    return [...matches.values()];
+  });
+};
+
+/**
+ * Merge a duplicate entry into a primary entry
+ * Folds history and call stats, re-points CallLog / ScheduledCall and removes the duplicate
+ * @param {string} primaryId - Entry that survives
+ * @param {string} duplicateId - Entry that is folded in and removed
+ * @param {string} userId - User performing the merge
+ * @returns {Promise<Object>} - { entry, merge }
+ */
+const mergeEntries = async (primaryId, duplicateId, userId) => {
+  const [primary, duplicate] = await Promise.all([
+    Entry.findById(primaryId),
+    Entry.findById(duplicateId),
+  ]);
+
+  if (!primary || !duplicate) {
+    const error = new Error("One of the entries to merge could not be found.");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const duplicateSnapshot = duplicate.toObject();
+  const primarySnapshot = primary.toObject();
+  const fieldsCopied = [];
+
+  // Fill empty primary fields from the duplicate
+  MERGEABLE_FIELDS.forEach((field) => {
+    const current = primary[field];
+    const incoming = duplicate[field];
+    if ((!current || current === "Unknown") && incoming && incoming !== "Unknown") {
+      primary[field] = incoming;
+      fieldsCopied.push(field);
+    }
+  });
+
+  // Keep the duplicate's distinct phone number reachable as the alternate number
+  if (
+    !primary.AlterNumber &&
+    duplicate.mobileNumber &&
+    duplicate.mobileNumber !== primary.mobileNumber
+  ) {
+    primary.AlterNumber = duplicate.mobileNumber;
+    fieldsCopied.push("AlterNumber");
+  }
+
+  // A closed duplicate carries its outcome over to an open primary
+  if (!primary.closetype && duplicate.closetype) {
+    primary.closetype = duplicate.closetype;
+    primary.closeamount = duplicate.closeamount;
+    fieldsCopied.push("closetype", "closeamount");
+  }
+
+  // Deal forecast values the primary doesn't have yet
+  ["estimatedValue", "expectedCloseDate", "probability"].forEach((field) => {
+    if ((primary[field] === undefined || primary[field] === null) && duplicate[field] !== undefined && duplicate[field] !== null) {
+      primary[field] = duplicate[field];
+      fieldsCopied.push(field);
+    }
+  });
+
+  if (!primary.smartfloLeadId && duplicate.smartfloLeadId) {
+    primary.smartfloLeadId = duplicate.smartfloLeadId;
+    fieldsCopied.push("smartfloLeadId");
+  }
+
+  // Account, contact and source the primary doesn't have yet
+  ["account", "contact"].forEach((field) => {
+    if (!primary[field] && duplicate[field]) {
+      primary[field] = duplicate[field];
+      fieldsCopied.push(field);
+    }
+  });
+  if (!(primary.source && primary.source.channel) && duplicateSnapshot.source && duplicateSnapshot.source.channel) {
+    primary.source = duplicateSnapshot.source;
+    fieldsCopied.push("source");
+  }
+
+  // Tags of both entries
+  const tags = [...new Set([...(primary.tags || []), ...(duplicate.tags || [])])];
+  if (tags.length > (primary.tags || []).length) {
+    primary.tags = tags;
+    fieldsCopied.push("tags");
+  }
+
+  // Custom field values the primary doesn't have yet
+  const customFields = { ...(primarySnapshot.customFields || {}) };
+  Object.entries(duplicateSnapshot.customFields || {}).forEach(([key, value]) => {
+    const current = customFields[key];
+    if ((current === undefined || current === null || current === "") && value !== null && value !== "") {
+      customFields[key] = value;
+      fieldsCopied.push(`customFields.${key}`);
+    }
+  });
+  primary.customFields = customFields;
+  primary.markModified("customFields");
+
+  // Combine history in chronological order
+  const combinedHistory = [...primary.history, ...duplicate.history]
+    .map((item) => (item.toObject ? item.toObject() : item))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  primary.history = combinedHistory;
+
+  // Call statistics
+  primary.totalCallsMade = (primary.totalCallsMade || 0) + (duplicate.totalCallsMade || 0);
+  if (duplicate.lastCallDate && (!primary.lastCallDate || duplicate.lastCallDate > primary.lastCallDate)) {
+    primary.lastCallDate = duplicate.lastCallDate;
+    primary.lastCallStatus = duplicate.lastCallStatus;
+  }
+
+  // Keep the earliest creation date
+  if (duplicate.createdAt && duplicate.createdAt < primary.createdAt) {
+    primary.createdAt = duplicate.createdAt;
+  }
+
+  const [callLogResult, scheduledCallResult] = await Promise.all([
+    CallLog.updateMany({ leadId: duplicate._id }, { $set: { leadId: primary._id } }),
+    ScheduledCall.updateMany({ leadId: duplicate._id }, { $set: { leadId: primary._id } }),
+    EntryNote.updateMany({ entry: duplicate._id }, { $set: { entry: primary._id } }),
+    EntryAttachment.updateMany({ entry: duplicate._id }, { $set: { entry: primary._id } }),
+    EmailLog.updateMany({ entryId: duplicate._id }, { $set: { entryId: primary._id } }),
+    // Quotations and orders follow the primary's account for the account roll-ups
+    Quotation.updateMany({ entry: duplicate._id }, { $set: { entry: primary._id, account: primary.account || null } }),
+    SalesOrder.updateMany({ entry: duplicate._id }, { $set: { entry: primary._id, account: primary.account || null } }),
+  ]);
+
+  await primary.save();
+  await refreshEntryOrderValue(primary._id);
+  await Entry.findByIdAndDelete(duplicate._id);
+
+  const merge = await LeadMerge.create({
+    primaryId: primary._id,
+    mergedId: duplicate._id,
+    mergedSnapshot: duplicateSnapshot,
+    fieldsCopied: [...new Set(fieldsCopied)],
+    historyMerged: duplicate.history.length,
+    callLogsMoved: callLogResult.modifiedCount || 0,
+    scheduledCallsMoved: scheduledCallResult.modifiedCount || 0,
+    mergedBy: userId,
+  });
+
+  await recordAudits([
+    {
+      entryId: primary._id,
+      action: "merge",
+      source: "merge",
+      changedBy: userId,
+      changes: diffEntry(primarySnapshot, primary),
+      meta: { mergedId: duplicate._id, mergeId: merge._id },
+    },
+    {
+      entryId: duplicate._id,
+      action: "merge",
+      source: "merge",
+      changedBy: userId,
+      changes: [],
+      meta: { mergedInto: primary._id, mergeId: merge._id },
+    },
+  ]);
+
+  return { entry: primary, merge };
+};
+
+module.exports = {
+  getDuplicateMode,
+  findDuplicates,
+  findBatchDuplicates,
+  mergeEntries,
+};
@@ -0,0 +1,342 @@
+const mongoose = require("mongoose");
+const User = require("../Schema/Model");
+const SmartList = require("../Schema/SmartListModel");
+const { buildOwnershipCondition, addAndCondition } = require("../utils/leadAccess");
+const { normalizeTags } = require("../utils/tags");
+const { getStageNames, getInitialStageNames } = require("./pipelineService");
+const { loadCustomFields, buildCustomFieldConditions } = require("./customFieldService");
+
+/**
+ * Entry Filter Service
+ * Turns listing query parameters (and saved smart lists) into Entry filters
+ * Shared by the entry listing, counts, export, reassignment and Smartflo lead sync
+ */
+
+// Query parameters a smart list can save
+const SMART_LIST_FILTER_KEYS = [
+  "searchTerm",
+  "selectedOrganization",
+  "selectedStateA",
+  "selectedCityA",
+  "selectedCreatedBy",
+  "selectedAssignedTo",
+  "startDate",
+  "endDate",
+  "status",
+  "dashboardFilter",
+  "cf",
+  "tags",
+  "tagMode",
+  "minScore",
+  "maxScore",
+  "source",
+  "campaign",
+];
+
+/**
+ * Keep only the supported filter parameters of a smart list definition
+ * @param {Object} filters - Raw filters sent by the client
+ * @returns {Object}
+ */
+const pickSmartListFilters = (filters) => {
+  const picked = {};
+  SMART_LIST_FILTER_KEYS.forEach((key) => {
+    const value = filters ? filters[key] : undefined;
+    if (value !== undefined && value !== null && value !== "") picked[key] = value;
+  });
+  return picked;
+};
+
+/**
+ * Load a smart list the user may use (their own or one shared with the team)
+ * @param {string} smartListId - SmartList id
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - Lean smart list; throws with statusCode 400/404 otherwise
+ */
+const loadSmartList = async (smartListId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(smartListId)) {
+    const error = new Error("The smart list ID provided is not valid.");
+    error.statusCode = 400;
+    throw error;
+  }
+  const list = await SmartList.findOne({
+    _id: smartListId,
+    $or: [{ createdBy: user.id }, { visibility: "team" }],
+  }).lean();
+  if (!list) {
+    const error = new Error("We could not find this smart list.");
+    error.statusCode = 404;
+    throw error;
+  }
+  return list;
+};
+
+/**
+ * Build filter object from query parameters
+ * Dashboard filters are resolved against the configured pipeline stages
+ */
+const buildFilter = async (req, normalizedRole) => {
+  const filter = {};
+  const {
+    searchTerm,
+    selectedOrganization,
+    selectedStateA,
+    selectedCityA,
+    selectedCreatedBy,
+    startDate,
+    endDate,
+    status,
+    dashboardFilter,
+    cf,
+    tags,
+    tagMode,
+    smartListId,
+    minScore,
+    maxScore,
+    source,
+    campaign,
+  } = req.query;
+
+  // DEBUG: Log the parameters being received
+  // Build filter for data queries - only log in development
+  if (process.env.NODE_ENV === 'development') {
+    console.log("🔍 buildFilter:", {
+      startDate,
+      endDate,
+      dashboardFilter,
+      searchTerm,
+      selectedOrganization,
+      selectedStateA,
+      selectedCityA,
+      selectedCreatedBy
+    });
+  }
+
+  // Role-based filtering - non-admins only see leads they own
+  if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin") {
+    addAndCondition(filter, buildOwnershipCondition(req.user.id));
+  }
+
+  // Search filter (customer name, address, mobile number)
+  if (searchTerm) {
+    filter.$or = [
+      { customerName: { $regex: searchTerm, $options: "i" } },
+      { address: { $regex: searchTerm, $options: "i" } },
+      { mobileNumber: { $regex: searchTerm, $options: "i" } },
+    ];
+  }
+
+  // Organization filter
+  if (selectedOrganization) {
+    filter.organization = selectedOrganization;
+  }
+
+  // State filter
+  if (selectedStateA) {
+    filter.state = selectedStateA;
+  }
+
+  // City filter
+  if (selectedCityA) {
+    filter.city = selectedCityA;
+  }
+
+  // Created by filter
+  if (selectedCreatedBy) {
+    // Need to lookup user by username
+    // This will be handled in the query with populate
+  }
+
+  // Date range filter - CRITICAL FIX: Only filter by createdAt to prevent previous month entries
+  if (startDate || endDate) {
+    if (process.env.NODE_ENV === 'development') {
+      console.log("🔍 Date filter - Raw dates:", { startDate, endDate });
+    }
+
+    if (startDate && endDate) {
+      // TIMEZONE FIX: Parse dates as local dates, not UTC
+      const start = new Date(startDate + 'T00:00:00');
+      const end = new Date(endDate + 'T23:59:59.999');
+
+      if (process.env.NODE_ENV === 'development') {
+        console.log("🔍 Date filter - Converted dates:", {
+          start: start.toISOString(),
+          end: end.toISOString(),
+          startLocal: start.toLocaleString(),
+          endLocal: end.toLocaleString()
+        });
+      }
+
+      // CRITICAL: Use ONLY createdAt for date filtering to prevent unwanted entries
+      filter.createdAt = { $gte: start, $lte: end };
+
+      // IMPORTANT: Clear any existing $or conditions that might conflict with date range
+      // This prevents monthly filters from overriding the specific date range
+      if (filter.$or) {
+        if (process.env.NODE_ENV === 'development') {
+          console.log("🚨 WARNING: Clearing $or filter to prevent date range conflicts");
+        }
+        delete filter.$or;
+      }
+
+    } else if (startDate) {
+      const start = new Date(startDate + 'T00:00:00');
+      if (process.env.NODE_ENV === 'development') {
+        console.log("🔍 Date filter - Start only:", { start: start.toISOString() });
+      }
+      filter.createdAt = { $gte: start };
+    } else if (endDate) {
+      const end = new Date(endDate + 'T23:59:59.999');
+      if (process.env.NODE_ENV === 'development') {
+        console.log("🔍 Date filter - End only:", { end: end.toISOString() });
+      }
+      filter.createdAt = { $lte: end };
+    }
+  }
+
+  // Status filter
+  if (status) {
+    filter.status = status;
+  }
+
+  // Lead score range (?minScore=60&maxScore=100)
+  const scoreRange = {};
+  if (minScore !== undefined && minScore !== "" && !isNaN(Number(minScore))) scoreRange.$gte = Number(minScore);
+  if (maxScore !== undefined && maxScore !== "" && !isNaN(Number(maxScore))) scoreRange.$lte = Number(maxScore);
+  if (Object.keys(scoreRange).length > 0) {
+    filter.score = scoreRange;
+  }
+
+  // Custom field filters (?cf[key]=value, ranges via cf[key][min|max|from|to])
+  if (cf) {
+    buildCustomFieldConditions(cf, await loadCustomFields()).forEach((condition) => addAndCondition(filter, condition));
+  }
+
+  // Tag filter (?tags=a,b) - entries with any of the tags, or all of them with tagMode=all
+  const tagList = normalizeTags(tags);
+  if (tagList.length > 0) {
+    filter.tags = tagMode === "all" ? { $all: tagList } : { $in: tagList };
+  }
+
+  // Lead source filters (?source=web_form,inbound_call&campaign=Diwali Offer)
+  const sourceChannels = String(source || "").split(",").map((channel) => channel.trim()).filter(Boolean);
+  if (sourceChannels.length > 0) {
+    filter["source.channel"] = { $in: sourceChannels };
+  }
+  if (campaign) {
+    filter["source.campaign"] = String(campaign).trim();
+  }
+
+  // Smart list: the saved filters are applied on top of the request's own filters
+  if (smartListId) {
+    addAndCondition(filter, await buildSmartListFilter(smartListId, req.user, normalizedRole));
+  }
+
+  // Dashboard filter (leads, open, won, lost, monthly, a stage name, etc.)
+  if (dashboardFilter === "leads") {
+    // Leads = entries still in the first stage of their pipeline
+    filter.status = { $in: await getInitialStageNames() };
+  } else if (dashboardFilter === "open") {
+    filter.status = { $nin: await getStageNames((stage) => stage.isWon || stage.isLost) };
+  } else if (dashboardFilter === "won") {
+    filter.closetype = "Closed Won";
+  } else if (dashboardFilter === "lost") {
+    filter.closetype = "Closed Lost";
+  } else if (dashboardFilter === "monthly") {
+    // CRITICAL FIX: Only apply monthly filter if no specific date range is provided
+    // When user selects specific dates, NEVER apply monthly filter to prevent date conflicts
+    if (!startDate && !endDate) {
+      const now = new Date();
+      const currentMonth = now.getMonth();
+      const currentYear = now.getFullYear();
+      filter.$or = [
+        {
+          $expr: {
+            $and: [
+              { $eq: [{ $month: "$createdAt" }, currentMonth + 1] },
+              { $eq: [{ $year: "$createdAt" }, currentYear] },
+            ],
+          },
+        },
+        {
+          $expr: {
+            $and: [
+              { $eq: [{ $month: "$updatedAt" }, currentMonth + 1] },
+              { $eq: [{ $year: "$updatedAt" }, currentYear] },
+            ],
+          },
+        },
+      ];
+    }
+    // IMPORTANT: If date range is provided, monthly filter is completely ignored
+    // This prevents the $or condition from overriding the specific date range filter
+  } else if (dashboardFilter === "Closed Won") {
+    filter.closetype = "Closed Won";
+  } else if (dashboardFilter === "Closed Lost") {
+    filter.closetype = "Closed Lost";
+  } else if (dashboardFilter && dashboardFilter !== "total" && dashboardFilter !== "results") {
+    const stageName = (await getStageNames()).find((name) => name.toLowerCase() === dashboardFilter.toLowerCase());
+    filter.status = stageName || dashboardFilter;
+  }
+
+  // DEBUG: Log the final filter (only in development)
+  if (process.env.NODE_ENV === 'development') {
+    console.log("🔍 Final filter:", JSON.stringify(filter, null, 2));
+  }
+
+  return filter;
+};
+
+/**
+ * Apply admin-only user filters (username lookups for creator and owner)
+ * @param {Object} req - Express request
+ * @param {Object} filter - Filter built by buildFilter (mutated)
+ * @param {string} normalizedRole - Normalized user role
+ * @returns {Promise<Object>} - The same filter
+ */
+const applyUserFilters = async (req, filter, normalizedRole) => {
+  if (normalizedRole !== "Admin" && normalizedRole !== "Superadmin") {
+    return filter;
+  }
+
+  const { selectedCreatedBy, selectedAssignedTo } = req.query;
+
+  if (selectedCreatedBy) {
+    const user = await User.findOne({ username: selectedCreatedBy }).lean();
+    if (user) {
+      filter.createdBy = user._id;
+    }
+  }
+
+  if (selectedAssignedTo) {
+    const user = await User.findOne({ username: selectedAssignedTo }).lean();
+    if (user) {
+      addAndCondition(filter, buildOwnershipCondition(user._id.toString()));
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Build the filter of a saved smart list for a user
+ * The list is evaluated with the requesting user's permissions, so shared lists never widen what they can see
+ * @param {string|Object} smartList - SmartList id or lean document
+ * @param {Object} user - req.user
+ * @param {string} normalizedRole - Normalized user role
+ * @returns {Promise<Object>}
+ */
+const buildSmartListFilter = async (smartList, user, normalizedRole) => {
+  const list = typeof smartList === "object" && smartList.filters ? smartList : await loadSmartList(smartList, user);
+  const listRequest = { user, query: pickSmartListFilters(list.filters) };
+  const filter = await buildFilter(listRequest, normalizedRole);
+  await applyUserFilters(listRequest, filter, normalizedRole);
+  return filter;
+};
+
+module.exports = {
+  pickSmartListFilters,
+  buildFilter,
+  applyUserFilters,
+  buildSmartListFilter,
+};
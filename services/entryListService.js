@@ -0,0 +1,152 @@
+const Entry = require("../Schema/DataModel");
+
+/**
+ * Entry List Service
+ * Sorting, cursor (keyset) pagination and field projection for the entry listing
+ * Cursors are opaque to clients: base64url encoded sort value + _id of the last entry of a page
+ */
+
+// Fields the listing can be sorted on (ties are broken by _id so the order is stable)
+const SORT_FIELDS = ["createdAt", "updatedAt", "lastCallDate", "closeamount", "customerName", "status", "score"];
+
+// Always returned: normalizeEntry reads the owners
+const REQUIRED_FIELDS = ["_id", "createdBy", "assignedTo"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Read the sort options of a listing request
+ * ?sortBy=lastCallDate&sortOrder=asc (defaults to createdAt, newest first)
+ * @param {Object} query - req.query
+ * @returns {{ field: string, direction: number }} - Throws with statusCode 400 when invalid
+ */
+const parseSort = (query) => {
+  const field = query.sortBy || "createdAt";
+  if (!SORT_FIELDS.includes(field)) {
+    throw badRequest(`Entries can't be sorted by "${field}". Available: ${SORT_FIELDS.join(", ")}`);
+  }
+  const order = String(query.sortOrder || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    throw badRequest('sortOrder must be "asc" or "desc"');
+  }
+  return { field, direction: order === "asc" ? 1 : -1 };
+};
+
+/**
+ * Mongo sort for the listing
+ */
+const buildSort = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+/**
+ * Encode the position after an entry
+ * @param {Object} entry - Last entry of the page (lean)
+ * @param {Object} sort - Result of parseSort
+ * @returns {string}
+ */
+const encodeCursor = (entry, { field, direction }) => {
+  const value = entry[field] === undefined ? null : entry[field];
+  const payload = {
+    s: field,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? "date" : undefined,
+    id: entry._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode a cursor issued for the same sort
+ * @returns {{ value: *, id: string }} - Throws with statusCode 400 when invalid
+ */
+const decodeCursor = (cursor, { field, direction }) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw badRequest("The pagination cursor is not valid.");
+  }
+  if (!payload || !/^[a-f0-9]{24}$/.test(payload.id)) {
+    throw badRequest("The pagination cursor is not valid.");
+  }
+  if (payload.s !== field || payload.d !== direction) {
+    throw badRequest("The pagination cursor belongs to a different sort order. Please start again from the first page.");
+  }
+  const value = payload.t === "date" ? new Date(payload.v) : payload.v;
+  return { value: value === undefined ? null : value, id: payload.id };
+};
+
+/**
+ * Condition selecting the entries after a cursor
+ * Missing values sort before every other value, so they come last in descending order and first in ascending order
+ * @param {Object} sort - Result of parseSort
+ * @param {string} cursor - Cursor from the previous page
+ * @returns {Object}
+ */
+const buildCursorCondition = (sort, cursor) => {
+  const { field, direction } = sort;
+  const { value, id } = decodeCursor(cursor, sort);
+  const after = direction === 1 ? "$gt" : "$lt";
+  const idCondition = { _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idCondition }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idCondition };
+  }
+
+  const conditions = [{ [field]: { [after]: value } }, { [field]: value, ...idCondition }];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
+
+/**
+ * Read the field projection of a listing request
+ * ?fields=customerName,status,mobileNumber returns only those fields,
+ * ?fields=-history,-callHistory returns everything except those
+ * @param {string} fields - Comma separated fields
+ * @param {Object} sort - Sort field is kept so cursors can be built
+ * @returns {string|null} - Mongoose select string, or null for full entries
+ */
+const buildProjection = (fields, sort) => {
+  if (!fields) return null;
+  const requested = String(fields)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  if (requested.length === 0) return null;
+
+  const excluded = requested.filter((field) => field.startsWith("-")).map((field) => field.slice(1));
+  if (excluded.length > 0 && excluded.length !== requested.length) {
+    throw badRequest("fields can either list the fields to return or the fields to leave out (prefixed with -), not both.");
+  }
+
+  const names = excluded.length > 0 ? excluded : requested;
+  const unknown = names.filter(
+    (name) => Entry.schema.pathType(name) === "adhocOrUndefined" && !name.startsWith("customFields.")
+  );
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown entry fields: ${unknown.join(", ")}`);
+  }
+
+  if (excluded.length > 0) {
+    const blocked = excluded.filter((name) => REQUIRED_FIELDS.includes(name) || name === sort.field);
+    if (blocked.length > 0) {
+      throw badRequest(`These fields are always returned: ${blocked.join(", ")}`);
+    }
+    return excluded.map((name) => `-${name}`).join(" ");
+  }
+  return [...new Set([...REQUIRED_FIELDS, sort.field, ...requested])].join(" ");
+};
+
+module.exports = {
+  parseSort,
+  buildSort,
+  encodeCursor,
+  buildCursorCondition,
+  buildProjection,
+};
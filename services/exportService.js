@@ -0,0 +1,165 @@
+const { format } = require("date-fns");
+
+/**
+ * Lead Export Service
+ * Column definitions shared by the XLSX and CSV exports
+ */
+
+// Excel refuses cells longer than 32767 characters
+const MAX_CELL_LENGTH = 32000;
+
+const formatDate = (value, asText) => {
+  if (!value) return "";
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return "";
+  return asText ? format(date, "dd-MM-yyyy") : date;
+};
+
+/**
+ * Flatten the status history into one readable cell
+ * @param {Array} history - Entry.history
+ * @returns {string}
+ */
+const formatHistory = (history) => {
+  const text = (history || [])
+    .map((item) => {
+      const when = item.timestamp ? format(new Date(item.timestamp), "dd-MM-yyyy HH:mm") : "";
+      const remarks = item.remarks ? `: ${item.remarks}` : "";
+      return `${when} ${item.status || ""}${remarks}`.trim();
+    })
+    .join(" | ");
+  return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH)}...` : text;
+};
+
+// Available export columns in their default order; select lists the Entry fields each one needs
+const EXPORT_COLUMNS = [
+  { key: "customerName", header: "Customer Name", select: "customerName", value: (entry) => entry.customerName || "" },
+  { key: "contactName", header: "Contact Person", select: "contactName", value: (entry) => entry.contactName || "" },
+  { key: "email", header: "Email", select: "email", value: (entry) => entry.email || "" },
+  { key: "mobileNumber", header: "Contact Number", select: "mobileNumber", value: (entry) => entry.mobileNumber || "" },
+  { key: "AlterNumber", header: "Alternate Number", select: "AlterNumber", value: (entry) => entry.AlterNumber || "" },
+  { key: "product", header: "Product", select: "product", value: (entry) => entry.product || "" },
+  { key: "address", header: "Address", select: "address", value: (entry) => entry.address || "" },
+  { key: "organization", header: "Organization", select: "organization", value: (entry) => entry.organization || "" },
+  { key: "category", header: "Category", select: "category", value: (entry) => entry.category || "" },
+  { key: "city", header: "District", select: "city", value: (entry) => entry.city || "" },
+  { key: "state", header: "State", select: "state", value: (entry) => entry.state || "" },
+  { key: "status", header: "Status", select: "status", value: (entry) => entry.status || "Not Found" },
+  { key: "remarks", header: "Remarks", select: "remarks", value: (entry) => entry.remarks || "" }, // Align default with Frontend
+  { key: "tags", header: "Tags", select: "tags", value: (entry) => (entry.tags || []).join(", ") },
+  { key: "source", header: "Source", select: "source", value: (entry) => entry.source?.channel || "" },
+  { key: "campaign", header: "Campaign", select: "source", value: (entry) => entry.source?.campaign || "" },
+  { key: "createdBy", header: "Created By", select: "createdBy", value: (entry) => entry.createdBy?.username || "" },
+  {
+    key: "assignedTo",
+    header: "Assigned To",
+    select: "assignedTo createdBy",
+    value: (entry) => entry.assignedTo?.username || entry.createdBy?.username || "",
+  },
+  { key: "createdAt", header: "Created At", select: "createdAt", value: (entry, asText) => formatDate(entry.createdAt, asText) },
+  { key: "updatedAt", header: "Updated At", select: "updatedAt", value: (entry, asText) => formatDate(entry.updatedAt, asText) },
+  { key: "closetype", header: "Close Type", select: "closetype", value: (entry) => entry.closetype || "" },
+  {
+    key: "closeamount",
+    header: "Close Amount",
+    select: "closeamount",
+    value: (entry) => (entry.closeamount !== undefined && entry.closeamount !== null ? entry.closeamount : ""),
+  },
+  {
+    key: "estimatedValue",
+    header: "Estimated Value",
+    select: "estimatedValue",
+    value: (entry) => (entry.estimatedValue !== undefined && entry.estimatedValue !== null ? entry.estimatedValue : ""),
+  },
+  {
+    key: "expectedCloseDate",
+    header: "Expected Close Date",
+    select: "expectedCloseDate",
+    value: (entry, asText) => formatDate(entry.expectedCloseDate, asText),
+  },
+  {
+    key: "probability",
+    header: "Probability",
+    select: "probability",
+    value: (entry) => (entry.probability !== undefined && entry.probability !== null ? entry.probability : ""),
+  },
+  { key: "totalCallsMade", header: "Total Calls", select: "totalCallsMade", value: (entry) => entry.totalCallsMade || 0 },
+  { key: "lastCallDate", header: "Last Call Date", select: "lastCallDate", value: (entry, asText) => formatDate(entry.lastCallDate, asText) },
+  { key: "lastCallStatus", header: "Last Call Status", select: "lastCallStatus", value: (entry) => entry.lastCallStatus || "" },
+  { key: "history", header: "History", select: "history", value: (entry) => formatHistory(entry.history) },
+];
+
+/**
+ * Export columns of the active custom fields, keyed "custom:<key>" and headed by the field label
+ * @param {Object[]} customFields - Active custom field definitions
+ * @returns {Object[]}
+ */
+const buildCustomFieldColumns = (customFields = []) =>
+  customFields.map((field) => ({
+    key: `custom:${field.key}`,
+    header: field.label,
+    select: "customFields",
+    value: (entry, asText) => {
+      const value = entry.customFields ? entry.customFields[field.key] : undefined;
+      if (value === undefined || value === null) return "";
+      if (field.type === "date") return formatDate(value, asText);
+      if (Array.isArray(value)) return value.join(", ");
+      return value;
+    },
+  }));
+
+/**
+ * Resolve the requested column list
+ * @param {string|string[]} requested - Comma separated column keys (empty = all columns)
+ * @param {Object[]} customFields - Active custom field definitions (exported after the built-in columns)
+ * @returns {{ columns: Object[], error: string|null }}
+ */
+const resolveExportColumns = (requested, customFields = []) => {
+  const available = [...EXPORT_COLUMNS, ...buildCustomFieldColumns(customFields)];
+  const keys = (Array.isArray(requested) ? requested : String(requested || "").split(","))
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (keys.length === 0) {
+    return { columns: available, error: null };
+  }
+
+  const unknown = keys.filter((key) => !available.some((column) => column.key === key));
+  if (unknown.length > 0) {
+    return {
+      columns: [],
+      error: `Unknown export columns: ${unknown.join(", ")}. Available: ${available.map((column) => column.key).join(", ")}`,
+    };
+  }
+
+  return { columns: keys.map((key) => available.find((column) => column.key === key)), error: null };
+};
+
+/**
+ * Projection covering the selected columns
+ * @param {Object[]} columns - Resolved columns
+ * @returns {string}
+ */
+const buildExportProjection = (columns) =>
+  [...new Set(columns.flatMap((column) => column.select.split(" ")))].join(" ");
+
+/**
+ * Convert an entry into an export row keyed by column header
+ * @param {Object} entry - Lean entry with createdBy / assignedTo populated
+ * @param {Object[]} columns - Resolved columns
+ * @param {boolean} asText - Format dates as dd-MM-yyyy text (CSV) instead of Date values (XLSX)
+ * @returns {Object}
+ */
+const buildExportRow = (entry, columns, asText = false) => {
+  const row = {};
+  columns.forEach((column) => {
+    row[column.header] = column.value(entry, asText);
+  });
+  return row;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  resolveExportColumns,
+  buildExportProjection,
+  buildExportRow,
+};
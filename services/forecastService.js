@@ -0,0 +1,223 @@
+const Entry = require("../Schema/DataModel");
+const User = require("../Schema/Model");
+const { getPipelinesOrDefault, getStageNames, isClosingStage } = require("./pipelineService");
+
+/**
+ * Revenue Forecast Service
+ * Deal value fields of entries and the weighted pipeline forecast built on them
+ * Open entries count with estimatedValue x probability (entry probability, else the stage probability);
+ * "Closed Won" entries count with their sales order total, or their closeamount when no order was raised
+ */
+
+const FORECAST_GROUPS = ["stage", "owner", "month", "product"];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Validate the deal value fields sent with an entry
+ * Only fields present in the input are returned; blank values clear a field (null)
+ * @param {Object} input - { estimatedValue?, expectedCloseDate?, probability? }
+ * @param {Function} parseDate - Date parser (imports pass their own to read dd/MM/yyyy cells)
+ * @returns {{ values: Object, errors: Array<{ field, message }> }}
+ */
+const parseForecastFields = (input, parseDate = (value) => new Date(value)) => {
+  const values = {};
+  const errors = [];
+  const has = (field) => Object.prototype.hasOwnProperty.call(input, field) && input[field] !== undefined;
+
+  if (has("estimatedValue")) {
+    const raw = input.estimatedValue;
+    const value = typeof raw === "number" ? raw : Number(String(raw).replace(/,/g, "").trim());
+    if (isBlank(raw)) values.estimatedValue = null;
+    else if (isNaN(value) || value < 0) errors.push({ field: "estimatedValue", message: `Estimated value "${raw}" must be a number of 0 or more` });
+    else values.estimatedValue = value;
+  }
+
+  if (has("expectedCloseDate")) {
+    const raw = input.expectedCloseDate;
+    const value = isBlank(raw) ? null : raw instanceof Date ? raw : parseDate(raw);
+    if (isBlank(raw)) values.expectedCloseDate = null;
+    else if (!value || isNaN(value.getTime())) errors.push({ field: "expectedCloseDate", message: `Expected close date "${raw}" is not a valid date` });
+    else values.expectedCloseDate = value;
+  }
+
+  if (has("probability")) {
+    const raw = input.probability;
+    const value = typeof raw === "number" ? raw : Number(String(raw).replace("%", "").trim());
+    if (isBlank(raw)) values.probability = null;
+    else if (isNaN(value) || value < 0 || value > 100) errors.push({ field: "probability", message: `Probability "${raw}" must be between 0 and 100` });
+    else values.probability = value;
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Aggregation expression of the revenue of a won entry: its sales order total, else the closeamount
+ */
+const wonRevenueExpression = () => ({ $ifNull: ["$orderValue", { $ifNull: ["$closeamount", 0] }] });
+
+/**
+ * Aggregation expression of the date an entry was closed: its last move into a closing stage
+ * (updatedAt for entries without such a history item)
+ * @param {string[]} closingStages - Names of the closing stages
+ */
+const closedAtExpression = (closingStages) => ({
+  $ifNull: [
+    {
+      $max: {
+        $map: {
+          input: { $filter: { input: { $ifNull: ["$history", []] }, cond: { $in: ["$$this.status", closingStages] } } },
+          in: "$$this.timestamp",
+        },
+      },
+    },
+    "$updatedAt",
+  ],
+});
+
+/**
+ * Group key expression of a forecast grouping
+ * @param {string} groupBy - stage, owner, month or product
+ * @param {string} dateField - Field the month comes from
+ */
+const groupKey = (groupBy, dateField) => {
+  switch (groupBy) {
+    case "owner":
+      return { $ifNull: ["$assignedTo", "$createdBy"] };
+    case "month":
+      return { $cond: [{ $ifNull: [dateField, false] }, { $dateToString: { format: "%Y-%m", date: dateField } }, null] };
+    case "product":
+      return { $ifNull: ["$product", ""] };
+    default:
+      return "$status";
+  }
+};
+
+/**
+ * Build the revenue forecast
+ * @param {Object} filter - Entry filter from buildFilter (RBAC + listing filters)
+ * @param {Object} options - { groupBy, from, to } - from/to limit the expected close date of open deals
+ *   and the close date of won deals
+ * @returns {Promise<{ groupBy, totals, groups }>}
+ */
+const buildForecast = async (filter, { groupBy = "stage", from, to } = {}) => {
+  const pipelines = await getPipelinesOrDefault();
+  const closingStages = await getStageNames(isClosingStage);
+
+  const period = {};
+  if (from) period.$gte = from;
+  if (to) period.$lte = to;
+  const hasPeriod = Object.keys(period).length > 0;
+
+  // Open deals per pipeline + stage + group; entries with their own probability are weighted here,
+  // the rest get the stage probability below
+  const open = await Entry.aggregate([
+    { $match: { $and: [filter, { status: { $nin: closingStages }, closetype: { $ne: "Closed Won" } }] } },
+    ...(hasPeriod ? [{ $match: { expectedCloseDate: period } }] : []),
+    {
+      $group: {
+        _id: { pipeline: "$pipeline", status: "$status", key: groupKey(groupBy, "$expectedCloseDate") },
+        count: { $sum: 1 },
+        pipelineValue: { $sum: { $ifNull: ["$estimatedValue", 0] } },
+        ownWeighted: {
+          $sum: {
+            $cond: [
+              { $ne: [{ $ifNull: ["$probability", null] }, null] },
+              { $multiply: [{ $ifNull: ["$estimatedValue", 0] }, { $divide: ["$probability", 100] }] },
+              0,
+            ],
+          },
+        },
+        stageWeightedValue: {
+          $sum: { $cond: [{ $ne: [{ $ifNull: ["$probability", null] }, null] }, 0, { $ifNull: ["$estimatedValue", 0] }] },
+        },
+      },
+    },
+  ]);
+
+  // Won deals, dated by the day they were closed
+  const won = await Entry.aggregate([
+    { $match: { $and: [filter, { closetype: "Closed Won" }] } },
+    { $addFields: { closedAt: closedAtExpression(closingStages) } },
+    ...(hasPeriod ? [{ $match: { closedAt: period } }] : []),
+    {
+      $group: {
+        _id: groupKey(groupBy, "$closedAt"),
+        count: { $sum: 1 },
+        amount: { $sum: wonRevenueExpression() },
+      },
+    },
+  ]);
+
+  const stageProbability = (pipelineId, status) => {
+    const pipeline =
+      (pipelineId && pipelines.find((item) => item._id && item._id.toString() === pipelineId.toString())) ||
+      pipelines.find((item) => item.isDefault) ||
+      pipelines[0];
+    const stage = pipeline && pipeline.stages.find((item) => item.name.toLowerCase() === String(status || "").toLowerCase());
+    return stage && typeof stage.probability === "number" ? stage.probability : 0;
+  };
+
+  const groups = new Map();
+  const getGroup = (key) => {
+    const id = key === null || key === undefined ? "" : key.toString();
+    if (!groups.has(id)) {
+      groups.set(id, { key: id || null, openCount: 0, pipelineValue: 0, weightedValue: 0, wonCount: 0, wonAmount: 0 });
+    }
+    return groups.get(id);
+  };
+
+  open.forEach((item) => {
+    const group = getGroup(item._id.key);
+    group.openCount += item.count;
+    group.pipelineValue += item.pipelineValue;
+    group.weightedValue += item.ownWeighted + (item.stageWeightedValue * stageProbability(item._id.pipeline, item._id.status)) / 100;
+  });
+  won.forEach((item) => {
+    const group = getGroup(item._id);
+    group.wonCount += item.count;
+    group.wonAmount += item.amount;
+  });
+
+  // Owner groups are labelled with the username
+  let usernames = new Map();
+  if (groupBy === "owner") {
+    const users = await User.find({ _id: { $in: [...groups.keys()].filter(Boolean) } }).select("username").lean();
+    usernames = new Map(users.map((user) => [user._id.toString(), user.username]));
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const result = [...groups.values()].map((group) => ({
+    ...group,
+    label: groupBy === "owner" ? usernames.get(group.key) || "Unknown" : group.key || (groupBy === "month" ? "No close date" : "None"),
+    pipelineValue: round(group.pipelineValue),
+    weightedValue: round(group.weightedValue),
+    wonAmount: round(group.wonAmount),
+  }));
+
+  result.sort((a, b) =>
+    groupBy === "month" ? String(a.key || "9999").localeCompare(String(b.key || "9999")) : b.weightedValue + b.wonAmount - (a.weightedValue + a.wonAmount)
+  );
+
+  const totals = result.reduce(
+    (sum, group) => ({
+      openCount: sum.openCount + group.openCount,
+      pipelineValue: round(sum.pipelineValue + group.pipelineValue),
+      weightedValue: round(sum.weightedValue + group.weightedValue),
+      wonCount: sum.wonCount + group.wonCount,
+      wonAmount: round(sum.wonAmount + group.wonAmount),
+    }),
+    { openCount: 0, pipelineValue: 0, weightedValue: 0, wonCount: 0, wonAmount: 0 }
+  );
+
+  return { groupBy, totals, groups: result };
+};
+
+module.exports = {
+  FORECAST_GROUPS,
+  parseForecastFields,
+  wonRevenueExpression,
+  closedAtExpression,
+  buildForecast,
+};
@@ -0,0 +1,272 @@
+const XLSX = require("xlsx");
+const ImportJob = require("../Schema/ImportJobModel");
+const ImportUpload = require("../Schema/ImportUploadModel");
+const { saveUpload, readUpload, removeUpload } = require("../utils/storage");
+const { parseImportFile, validateRows, insertEntries } = require("./importService");
+
+/**
+ * Import Job Service
+ * Runs queued import jobs one at a time in the background
+ * Progress is written to the ImportJob document after every 500-row batch
+ */
+
+const queue = [];
+let processing = false;
+
+// How often previewed uploads that were never imported are cleaned up
+const UPLOAD_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Get how long previewed uploads are kept before they are removed
+ * @returns {number} - Hours (IMPORT_UPLOAD_RETENTION_HOURS, default 24)
+ */
+const getUploadRetentionHours = () => {
+  const hours = parseInt(process.env.IMPORT_UPLOAD_RETENTION_HOURS);
+  return isNaN(hours) || hours <= 0 ? 24 : hours;
+};
+
+/**
+ * Load the rows a job should import
+ * @param {Object} job - ImportJob document
+ * @returns {Promise<Object[]>}
+ */
+const loadJobRows = async (job) => {
+  const buffer = await readUpload(job.storedPath);
+  if (job.source === "rows") {
+    return JSON.parse(buffer.toString("utf8"));
+  }
+  return parseImportFile(buffer, job.fileName).rows;
+};
+
+/**
+ * Build the XLSX error report: one line per rejected row with its reason and original values
+ * @param {Array<{ row, reasons, values }>} rejected
+ * @returns {Buffer}
+ */
+const buildErrorReport = (rejected) => {
+  const data = rejected.map((item) => ({
+    Row: item.row,
+    Reason: item.reasons.join("; "),
+    ...item.values,
+  }));
+  const worksheet = XLSX.utils.json_to_sheet(data);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Rejected Rows");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+/**
+ * Run a single import job
+ * @param {string} jobId - ImportJob id
+ * @returns {Promise<void>}
+ */
+const runImportJob = async (jobId) => {
+  // Claim the job; cancelled or already running jobs are skipped
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, status: "queued" },
+    { status: "running", startedAt: new Date() },
+    { new: true }
+  );
+  if (!job) return;
+
+  const userId = job.createdBy.toString();
+  const rows = await loadJobRows(job);
+  const { results, summary } = await validateRows(rows, job.mapping, userId);
+
+  const rejected = results
+    .filter((result) => result.status === "invalid")
+    .map((result) => ({
+      row: result.row,
+      reasons: result.errors.map((err) => err.message),
+      values: rows[result.row - 2],
+    }));
+
+  await ImportJob.updateOne(
+    { _id: job._id },
+    {
+      totalRows: rows.length,
+      processedRows: summary.invalid,
+      skippedCount: summary.invalid,
+      duplicateCount: summary.duplicates,
+    }
+  );
+
+  const importable = results.filter((result) => result.status !== "invalid");
+  let outcome = { insertedCount: 0, failedIndexes: [], distributedCount: 0, processedCount: 0 };
+  let cancelled = false;
+  let errorMessage = null;
+
+  if (!job.skipInvalid && summary.invalid > 0) {
+    errorMessage = `${summary.invalid} rows have errors; nothing was imported.`;
+  } else if (importable.length > 0) {
+    outcome = await insertEntries(
+      importable.map((result) => result.entry),
+      {
+        userId,
+        source: job.source === "rows" ? "bulk_upload" : "import",
+        onBatch: async ({ processedCount, insertedCount }) => {
+          const current = await ImportJob.findByIdAndUpdate(
+            job._id,
+            { processedRows: summary.invalid + processedCount, insertedCount },
+            { new: true }
+          ).select("cancelRequested");
+          cancelled = Boolean(current && current.cancelRequested) && processedCount < importable.length;
+          return !cancelled;
+        },
+      }
+    );
+    outcome.failedIndexes.forEach((index) => {
+      const result = importable[index];
+      rejected.push({ row: result.row, reasons: ["The row could not be saved"], values: rows[result.row - 2] });
+    });
+    rejected.sort((a, b) => a.row - b.row);
+  }
+
+  let reportPath;
+  if (rejected.length > 0) {
+    reportPath = await saveUpload("import-reports", buildErrorReport(rejected), ".xlsx");
+  }
+
+  await ImportJob.updateOne(
+    { _id: job._id },
+    {
+      status: errorMessage ? "failed" : cancelled ? "cancelled" : "done",
+      processedRows: summary.invalid + outcome.processedCount,
+      insertedCount: outcome.insertedCount,
+      failedCount: outcome.failedIndexes.length,
+      distributedCount: outcome.distributedCount,
+      reportPath,
+      errorMessage,
+      finishedAt: new Date(),
+    }
+  );
+
+  // The source file is no longer needed once the job has finished
+  await removeUpload(job.storedPath);
+};
+
+/**
+ * Work through the queue one job at a time
+ */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+    try {
+      await runImportJob(jobId);
+    } catch (error) {
+      console.error(`Import job ${jobId} failed:`, error.message);
+      try {
+        const failed = await ImportJob.findByIdAndUpdate(
+          jobId,
+          { status: "failed", errorMessage: error.message, finishedAt: new Date() },
+          { new: true }
+        ).select("storedPath");
+        // Failed jobs can't be retried, so their source file is removed as well
+        if (failed) await removeUpload(failed.storedPath);
+      } catch (cleanupError) {
+        console.error(`Import job ${jobId} cleanup failed:`, cleanupError.message);
+      }
+    }
+  }
+  processing = false;
+};
+
+/**
+ * Queue a job for background processing
+ * @param {string} jobId - ImportJob id
+ */
+const enqueueImportJob = (jobId) => {
+  queue.push(jobId.toString());
+  processQueue();
+};
+
+/**
+ * Create and queue an import job
+ * @param {Object} fields - ImportJob fields (source, storedPath, mapping, createdBy, ...)
+ * @returns {Promise<Object>} - The created job
+ */
+const createImportJob = async (fields) => {
+  const job = await ImportJob.create(fields);
+  if (job.uploadId) {
+    await ImportUpload.updateOne({ _id: job.uploadId }, { jobId: job._id });
+  }
+  enqueueImportJob(job._id);
+  return job;
+};
+
+/**
+ * Request cancellation; queued jobs stop immediately, running jobs after the current batch
+ * @param {Object} job - ImportJob document
+ * @returns {Promise<Object>} - Updated job
+ */
+const cancelImportJob = async (job) => {
+  if (job.status === "queued") {
+    const cancelled = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: "queued" },
+      { status: "cancelled", cancelRequested: true, finishedAt: new Date() },
+      { new: true }
+    );
+    if (cancelled) {
+      await removeUpload(cancelled.storedPath);
+      return cancelled;
+    }
+  }
+  return ImportJob.findByIdAndUpdate(job._id, { cancelRequested: true }, { new: true });
+};
+
+/**
+ * Pick up jobs after a restart: queued jobs run again, interrupted ones are marked failed
+ * @returns {Promise<void>}
+ */
+const resumeImportJobs = async () => {
+  try {
+    await ImportJob.updateMany(
+      { status: "running" },
+      { status: "failed", errorMessage: "Interrupted by a server restart", finishedAt: new Date() }
+    );
+    const queued = await ImportJob.find({ status: "queued" }).sort({ createdAt: 1 }).select("_id").lean();
+    queued.forEach((job) => enqueueImportJob(job._id));
+  } catch (error) {
+    console.error("Failed to resume import jobs:", error.message);
+  }
+};
+
+/**
+ * Remove uploads that were previewed but never imported, together with their files
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+const purgeStaleUploads = async () => {
+  const cutoff = new Date(Date.now() - getUploadRetentionHours() * 60 * 60 * 1000);
+  const stale = await ImportUpload.find({ status: "uploaded", createdAt: { $lte: cutoff } })
+    .select("_id storedPath")
+    .lean();
+  if (stale.length === 0) return 0;
+
+  for (const upload of stale) {
+    await removeUpload(upload.storedPath);
+  }
+  const result = await ImportUpload.deleteMany({ _id: { $in: stale.map((upload) => upload._id) }, status: "uploaded" });
+  return result.deletedCount || 0;
+};
+
+/**
+ * Run the upload cleanup now and then every hour
+ */
+const startUploadCleanupSchedule = () => {
+  const run = () =>
+    purgeStaleUploads().catch((error) => {
+      console.error("Import upload cleanup failed:", error.message);
+    });
+
+  run();
+  setInterval(run, UPLOAD_CLEANUP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  createImportJob,
+  cancelImportJob,
+  resumeImportJobs,
+  startUploadCleanupSchedule,
+};
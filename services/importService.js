@@ -0,0 +1,453 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const { parse, isValid } = require("date-fns");
+const Entry = require("../Schema/DataModel");
+const { sanitizePhone } = require("../utils/phone");
+const { normalizeTags } = require("../utils/tags");
+const { getDuplicateMode, findBatchDuplicates } = require("./duplicateService");
+const { planAssignments, logAssignments } = require("./distributionService");
+const { recordCreates } = require("./auditService");
+const { getDefaultPipeline, getInitialStage, findStage, resolveCloseType } = require("./pipelineService");
+const { loadCustomFields, validateCustomFields } = require("./customFieldService");
+const { parseForecastFields } = require("./forecastService");
+const { buildSource } = require("./sourceService");
+
+/**
+ * Lead Import Service
+ * Spreadsheet parsing, column mapping, per-row validation and batched insertion
+ * Mappings are objects of { entryField: "Spreadsheet Column" }
+ */
+
+const SUPPORTED_EXTENSIONS = [".xlsx", ".xls", ".csv"];
+
+// Rows inserted per insertMany call
+const BATCH_SIZE = 500;
+
+// Entry fields that can be imported; the label is the header of the classic upload template
+const IMPORT_FIELDS = [
+  { key: "customerName", label: "Customer Name", type: "text", aliases: ["customer", "client name", "school name", "name"] },
+  { key: "contactName", label: "Contact Person", type: "text", aliases: ["contact name", "contact", "person"] },
+  { key: "email", label: "Email", type: "email", aliases: ["email id", "e-mail", "mail", "email address"] },
+  { key: "mobileNumber", label: "Contact Number", type: "phone", aliases: ["mobile", "mobile number", "mobile no", "phone", "phone number", "contact no"] },
+  { key: "AlterNumber", label: "Alternate Number", type: "phone", aliases: ["alternate", "alternate mobile", "alt number", "other number"] },
+  { key: "product", label: "Product", type: "text", aliases: ["products", "product name"] },
+  { key: "address", label: "Address", type: "text", aliases: ["full address", "location"] },
+  { key: "organization", label: "Organization", type: "text", aliases: ["organisation", "company", "institution"] },
+  { key: "category", label: "Category", type: "text", aliases: ["type", "segment"] },
+  { key: "city", label: "District", type: "text", aliases: ["city", "town"] },
+  { key: "state", label: "State", type: "text", aliases: ["province"] },
+  { key: "status", label: "Status", type: "text", aliases: ["lead status"] },
+  { key: "remarks", label: "Remarks", type: "text", aliases: ["remark", "notes", "comments"] },
+  { key: "tags", label: "Tags", type: "text", aliases: ["tag", "labels"] },
+  { key: "campaign", label: "Campaign", type: "text", aliases: ["campaign name", "lead campaign"] },
+  { key: "estimatedValue", label: "Estimated Value", type: "number", aliases: ["deal value", "expected value"] },
+  { key: "expectedCloseDate", label: "Expected Close Date", type: "date", aliases: ["close date", "expected close"] },
+  { key: "probability", label: "Probability", type: "number", aliases: ["win probability", "probability %"] },
+  { key: "createdAt", label: "Created At", type: "date", aliases: ["created on", "created date", "date"] },
+  { key: "updatedAt", label: "Updated At", type: "date", aliases: ["updated on", "last updated"] },
+];
+
+const FIELD_KEYS = IMPORT_FIELDS.map((field) => field.key);
+
+// Custom fields are mapped as "custom:<key>" (e.g. { "custom:gst_number": "GST No" })
+const CUSTOM_FIELD_PREFIX = "custom:";
+
+// Mapping used by POST /api/entries (the client sends rows keyed by the template headers)
+const LEGACY_MAPPING = {
+  ...Object.fromEntries(IMPORT_FIELDS.map((field) => [field.key, field.label])),
+  status: ["Status", "status"],
+  remarks: ["Remarks", "remarks"],
+  tags: ["Tags", "tags"],
+  createdAt: ["Created At", "createdAt"],
+  updatedAt: ["Updated At", "updatedAt"],
+};
+
+/**
+ * Importable fields including the active custom fields
+ * @param {Object[]} customFields - Active custom field definitions
+ * @returns {Object[]} - { key, label, type, aliases }
+ */
+const getImportFields = (customFields = []) => [
+  ...IMPORT_FIELDS,
+  ...customFields.map((field) => ({
+    key: `${CUSTOM_FIELD_PREFIX}${field.key}`,
+    label: field.label,
+    type: field.type,
+    aliases: [field.key],
+  })),
+];
+
+/**
+ * Legacy upload mapping extended with the custom fields, which are read from columns named after their label
+ * @param {Object[]} customFields - Active custom field definitions
+ * @returns {Object}
+ */
+const buildLegacyMapping = (customFields = []) => ({
+  ...LEGACY_MAPPING,
+  ...Object.fromEntries(customFields.map((field) => [`${CUSTOM_FIELD_PREFIX}${field.key}`, field.label])),
+});
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (header) => String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Parse a date cell (Date, dd/MM/yyyy, dd-MM-yyyy or any format Date understands)
+ * @param {*} value - Cell value
+ * @returns {Date|null} - Parsed date or null when it can't be read
+ */
+const parseImportDate = (value) => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  // Try custom format first (slashes)
+  let parsed = parse(String(value), "dd/MM/yyyy", new Date());
+  if (isValid(parsed)) return parsed;
+  // Try custom format (hyphens) - STRICT DD-MM-YYYY
+  parsed = parse(String(value), "dd-MM-yyyy", new Date());
+  if (isValid(parsed)) return parsed;
+  // Try standard parsing
+  const standard = new Date(value);
+  return isNaN(standard.getTime()) ? null : standard;
+};
+
+/**
+ * Read the first sheet of an uploaded XLSX/XLS/CSV file
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name (used for the extension)
+ * @returns {{ columns: string[], rows: Object[] }}
+ */
+const parseImportFile = (buffer, fileName) => {
+  const extension = path.extname(fileName || "").toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    const error = new Error(`Unsupported file type. Please upload one of: ${SUPPORTED_EXTENSIONS.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // CSV values stay as text so dates and long phone numbers aren't reinterpreted
+  const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true, raw: extension === ".csv" });
+  const sheet = workbook.SheetNames.length > 0 ? workbook.Sheets[workbook.SheetNames[0]] : null;
+  if (!sheet) {
+    const error = new Error("The uploaded file does not contain any sheets.");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
+  const columns = headerRow.map((header) => String(header || "").trim()).filter(Boolean);
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true });
+
+  return { columns, rows };
+};
+
+/**
+ * Suggest a mapping by matching column headers against field labels and aliases
+ * @param {string[]} columns - Spreadsheet headers
+ * @param {Object[]} customFields - Active custom field definitions
+ * @returns {Object} - { entryField: column }
+ */
+const suggestMapping = (columns, customFields = []) => {
+  const mapping = {};
+  const used = new Set();
+
+  getImportFields(customFields).forEach((field) => {
+    const candidates = [field.label, field.key, ...field.aliases].map(normalizeHeader);
+    // Earlier candidates win so "District" beats a generic "City" alias
+    for (const candidate of candidates) {
+      const column = columns.find((col) => !used.has(col) && normalizeHeader(col) === candidate);
+      if (column) {
+        mapping[field.key] = column;
+        used.add(column);
+        break;
+      }
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Check a mapping against the known fields and the file's columns
+ * @param {Object} mapping - { entryField: column }
+ * @param {string[]} columns - Spreadsheet headers
+ * @param {Object[]} customFields - Active custom field definitions
+ * @returns {string|null} - Error message or null
+ */
+const validateMapping = (mapping, columns, customFields = []) => {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return "Mapping must be an object of { field: column }";
+  }
+  const entries = Object.entries(mapping).filter(([, column]) => !isBlank(column));
+  if (entries.length === 0) {
+    return "Map at least one column before importing";
+  }
+  const knownKeys = getImportFields(customFields).map((field) => field.key);
+  const unknownFields = entries.filter(([field]) => !knownKeys.includes(field)).map(([field]) => field);
+  if (unknownFields.length > 0) {
+    return `Unknown fields in mapping: ${unknownFields.join(", ")}`;
+  }
+  const missingColumns = entries.filter(([, column]) => !columns.includes(column)).map(([, column]) => column);
+  if (missingColumns.length > 0) {
+    return `Columns not found in the file: ${missingColumns.join(", ")}`;
+  }
+  return null;
+};
+
+/**
+ * Read the first non-empty cell among the mapped column(s)
+ */
+const readCell = (row, source) => {
+  const sources = Array.isArray(source) ? source : [source];
+  for (const column of sources) {
+    if (column && !isBlank(row[column])) return row[column];
+  }
+  return "";
+};
+
+/**
+ * Convert a spreadsheet row into Entry fields
+ * @param {Object} row - Row keyed by column header
+ * @param {Object} mapping - { entryField: column | column[] }
+ * @param {string} userId - Uploading user
+ * @param {Object[]} customFields - Active custom field definitions
+ * @returns {{ entry: Object, errors: Array<{ field, code, message }> }}
+ */
+const mapRow = (row, mapping, userId, customFields = []) => {
+  const raw = {};
+  FIELD_KEYS.forEach((key) => {
+    raw[key] = mapping[key] ? readCell(row, mapping[key]) : "";
+  });
+
+  const text = (value) => (isBlank(value) ? "" : String(value).trim());
+  const createdAt = parseImportDate(raw.createdAt);
+  const updatedAt = parseImportDate(raw.updatedAt);
+
+  const entry = {
+    customerName: text(raw.customerName),
+    contactName: text(raw.contactName),
+    email: text(raw.email).toLowerCase(),
+    mobileNumber: sanitizePhone(raw.mobileNumber),
+    AlterNumber: sanitizePhone(raw.AlterNumber),
+    product: text(raw.product),
+    address: text(raw.address),
+    organization: text(raw.organization),
+    category: text(raw.category),
+    city: text(raw.city),
+    state: text(raw.state),
+    status: text(raw.status),
+    remarks: text(raw.remarks),
+    tags: normalizeTags(raw.tags),
+    source: buildSource("import", { campaign: text(raw.campaign) }),
+    createdAt: createdAt || new Date(),
+    updatedAt: updatedAt || new Date(),
+    createdBy: userId,
+    assignedTo: userId,
+  };
+
+  const errors = [];
+  ["mobileNumber", "AlterNumber"].forEach((field) => {
+    if (!isBlank(raw[field]) && !entry[field]) {
+      errors.push({ field, code: "INVALID_PHONE", message: `"${raw[field]}" is not a valid 10-digit phone number` });
+    }
+  });
+  if (entry.email && !EMAIL_REGEX.test(entry.email)) {
+    errors.push({ field: "email", code: "INVALID_EMAIL", message: `"${raw.email}" is not a valid email address` });
+  }
+  [["createdAt", createdAt], ["updatedAt", updatedAt]].forEach(([field, value]) => {
+    if (!isBlank(raw[field]) && !value) {
+      errors.push({ field, code: "INVALID_DATE", message: `"${raw[field]}" is not a valid date` });
+    }
+  });
+  // Deal value fields: blank cells are left out
+  const forecast = parseForecastFields(
+    Object.fromEntries(
+      ["estimatedValue", "expectedCloseDate", "probability"].filter((field) => !isBlank(raw[field])).map((field) => [field, raw[field]])
+    ),
+    parseImportDate
+  );
+  Object.assign(entry, forecast.values);
+  forecast.errors.forEach(({ field, message }) => {
+    errors.push({ field, code: field === "expectedCloseDate" ? "INVALID_DATE" : "INVALID_VALUE", message });
+  });
+  if (!entry.customerName && !entry.mobileNumber) {
+    errors.push({ field: "customerName", code: "MISSING_IDENTITY", message: "A customer name or contact number is required" });
+  }
+
+  // Custom fields: typed like manual entries; required fields are only enforced when the upload
+  // has a column for them, so files and clients that predate the field keep importing
+  const rawCustom = {};
+  customFields.forEach((field) => {
+    const source = mapping[`${CUSTOM_FIELD_PREFIX}${field.key}`];
+    const columns = Array.isArray(source) ? source : [source];
+    if (source && columns.some((column) => column && Object.prototype.hasOwnProperty.call(row, column))) {
+      rawCustom[field.key] = readCell(row, source);
+    }
+  });
+  const custom = validateCustomFields(rawCustom, customFields, { parseDate: parseImportDate });
+  entry.customFields = custom.values;
+  errors.push(...custom.errors);
+
+  return { entry, errors };
+};
+
+/**
+ * Map and validate every row of an import, including duplicate detection
+ * @param {Object[]} rows - Parsed spreadsheet rows
+ * @param {Object} mapping - { entryField: column }
+ * @param {string} userId - Uploading user
+ * @returns {Promise<{ results: Object[], summary: Object, duplicateMode: string }>}
+ */
+const validateRows = async (rows, mapping, userId) => {
+  const customFields = await loadCustomFields();
+  const results = rows.map((row, index) => ({
+    row: index + 2, // Spreadsheet row number (row 1 holds the headers)
+    ...mapRow(row, mapping, userId, customFields),
+    duplicates: [],
+  }));
+
+  // Imported leads go into the default pipeline: blank statuses start in its first stage,
+  // other statuses must name one of its stages
+  const pipeline = await getDefaultPipeline();
+  results.forEach(({ entry, errors }) => {
+    if (!entry.status) {
+      entry.status = getInitialStage(pipeline).name;
+      return;
+    }
+    const stage = findStage(pipeline, entry.status);
+    if (!stage) {
+      errors.push({ field: "status", code: "INVALID_STATUS", message: `"${entry.status}" is not a pipeline stage` });
+      return;
+    }
+    entry.status = stage.name;
+    const { closetype } = resolveCloseType(stage, "");
+    entry.closetype = closetype;
+  });
+
+  const duplicateMode = getDuplicateMode();
+  if (duplicateMode !== "off") {
+    const batchMatches = await findBatchDuplicates(results.map((result) => result.entry));
+    batchMatches.forEach((matches, index) => {
+      // Within-file matches carry a 1-based row index; report the spreadsheet row instead
+      results[index].duplicates = matches.map((match) => (match._id ? match : { ...match, row: match.row + 1 }));
+    });
+  }
+
+  results.forEach((result) => {
+    if (result.errors.length > 0) {
+      result.status = "invalid";
+    } else if (result.duplicates.length > 0) {
+      result.status = duplicateMode === "block" ? "invalid" : "duplicate";
+      if (duplicateMode === "block") {
+        result.errors.push({ field: "mobileNumber", code: "DUPLICATE", message: "Duplicates an existing entry" });
+      }
+    } else {
+      result.status = "valid";
+    }
+  });
+
+  const summary = {
+    total: results.length,
+    valid: results.filter((result) => result.status === "valid").length,
+    duplicates: results.filter((result) => result.duplicates.length > 0).length,
+    invalid: results.filter((result) => result.status === "invalid").length,
+  };
+  summary.importable = summary.total - summary.invalid;
+
+  return { results, summary, duplicateMode };
+};
+
+/**
+ * Insert mapped entries in batches of 500, applying distribution rules first
+ * @param {Object[]} entries - Entry fields (mutated: _id and owner are set)
+ * @param {Object} options - { userId, source, onBatch }; source is the audit source ("import" or "bulk_upload");
+ *   onBatch({ processedCount, insertedCount }) runs after every batch and stops the import when it resolves to false
+ * @returns {Promise<{ insertedCount, insertedIds: Set<string>, errors: string[], failedIndexes: number[], processedCount, distributedCount }>}
+ */
+const insertEntries = async (entries, { userId, source = "import", onBatch }) => {
+  // Ids are set up front so inserted and failed rows can be told apart afterwards
+  entries.forEach((entry) => {
+    entry._id = entry._id || new mongoose.Types.ObjectId();
+  });
+
+  // Distribution rules pick the owner of uploaded leads; unmatched rows stay with the uploader
+  const distribution = await planAssignments(entries, { trigger: "bulk_upload" });
+  const distributed = [];
+  distribution.forEach((decision, index) => {
+    if (!decision) return;
+    const entry = entries[index];
+    entry.assignedTo = decision.assignedTo;
+    entry.assignedAt = new Date();
+    distributed.push({ ...decision, leadId: entry._id });
+  });
+
+  let insertedCount = 0;
+  let processedCount = 0;
+  const insertedIds = new Set();
+  const errors = [];
+
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE);
+    try {
+      // ordered: false allows partial success
+      const result = await Entry.insertMany(batch, { ordered: false });
+      insertedCount += result.length;
+      result.forEach((doc) => insertedIds.add(doc._id.toString()));
+    } catch (batchError) {
+      if (batchError.name === "BulkWriteError" || batchError.code === 11000) {
+        // Handle partial success
+        insertedCount += batchError.insertedDocs ? batchError.insertedDocs.length : 0;
+        (batchError.insertedDocs || []).forEach((doc) => insertedIds.add(doc._id.toString()));
+        if (batchError.writeErrors) {
+          batchError.writeErrors.forEach((err) => {
+            errors.push(`Batch ${Math.floor(i / BATCH_SIZE) + 1}: ${err.errmsg || "Validation error"}`);
+          });
+        }
+      } else {
+        errors.push(`Batch ${Math.floor(i / BATCH_SIZE) + 1}: ${batchError.message}`);
+      }
+    }
+
+    processedCount = Math.min(i + BATCH_SIZE, entries.length);
+    if (onBatch && (await onBatch({ processedCount, insertedCount })) === false) {
+      break;
+    }
+  }
+
+  await recordCreates(
+    entries.filter((entry) => insertedIds.has(entry._id.toString())),
+    { source, changedBy: userId }
+  );
+
+  // Only leads that were actually inserted get an assignment log entry
+  const distributedInserted = distributed.filter((assignment) => insertedIds.has(assignment.leadId.toString()));
+  await logAssignments(distributedInserted, { trigger: "bulk_upload", triggeredBy: userId });
+
+  // Rows of batches that never ran (stopped import) are not failures
+  const failedIndexes = [];
+  entries.slice(0, processedCount).forEach((entry, index) => {
+    if (!insertedIds.has(entry._id.toString())) failedIndexes.push(index);
+  });
+
+  return {
+    insertedCount,
+    insertedIds,
+    errors,
+    failedIndexes,
+    processedCount,
+    distributedCount: distributedInserted.length,
+  };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  getImportFields,
+  buildLegacyMapping,
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  validateRows,
+  insertEntries,
+};
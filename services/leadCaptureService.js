@@ -0,0 +1,267 @@
+const crypto = require("crypto");
+const Entry = require("../Schema/DataModel");
+const LeadForm = require("../Schema/LeadFormModel");
+const LeadFormSubmission = require("../Schema/LeadFormSubmissionModel");
+const { sanitizePhone } = require("../utils/phone");
+const { getEntryPipeline, getInitialStage } = require("./pipelineService");
+const { getDuplicateMode, findDuplicates } = require("./duplicateService");
+const { assignLead, logAssignments } = require("./distributionService");
+const { recordAudits, recordCreates } = require("./auditService");
+const { buildSource } = require("./sourceService");
+
+/**
+ * Lead Capture Service
+ * Turns website and landing-page form submissions into entries:
+ * maps form fields, normalizes phones, adds repeat enquiries to the existing lead and runs the distribution rules
+ */
+
+// Entry fields a form field can be mapped to
+const LEAD_FIELDS = [
+  "customerName",
+  "contactName",
+  "email",
+  "mobileNumber",
+  "AlterNumber",
+  "organization",
+  "product",
+  "category",
+  "address",
+  "city",
+  "state",
+  "remarks",
+];
+
+// Common form field names understood without a mapping
+const FIELD_ALIASES = {
+  name: "contactName",
+  full_name: "contactName",
+  phone: "mobileNumber",
+  mobile: "mobileNumber",
+  company: "organization",
+  message: "remarks",
+};
+
+// Form field name (lowercase) -> entry field, for fields sent without a mapping
+// (a Map, so names like "constructor" don't resolve to Object.prototype members)
+const KNOWN_FIELDS = new Map([
+  ...LEAD_FIELDS.map((field) => [field.toLowerCase(), field]),
+  ...Object.entries(FIELD_ALIASES),
+]);
+
+const PHONE_FIELDS = ["mobileNumber", "AlterNumber"];
+
+const UTM_FIELDS = ["source", "medium", "campaign", "term", "content"];
+
+// Request fields that carry the key or tracking data rather than lead data
+const RESERVED_FIELDS = [
+  "apiKey",
+  "api_key",
+  "referrer",
+  "page_url",
+  "pageUrl",
+  ...UTM_FIELDS.map((field) => `utm_${field}`),
+];
+
+// Longest value kept from a single form field
+const MAX_VALUE_LENGTH = 2000;
+
+/**
+ * SHA-256 of an API key (only the hash is stored)
+ * @param {string} apiKey
+ * @returns {string}
+ */
+const hashApiKey = (apiKey) => crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+
+/**
+ * Generate a new form API key
+ * @returns {{ apiKey: string, apiKeyHash: string, apiKeyPrefix: string }}
+ */
+const generateApiKey = () => {
+  const apiKey = `lf_${crypto.randomBytes(24).toString("hex")}`;
+  return { apiKey, apiKeyHash: hashApiKey(apiKey), apiKeyPrefix: apiKey.slice(0, 10) };
+};
+
+/**
+ * Find the active form an API key belongs to
+ * @param {string} apiKey
+ * @returns {Promise<Object|null>} - Lean form
+ */
+const findFormByApiKey = (apiKey) => LeadForm.findOne({ apiKeyHash: hashApiKey(apiKey), isActive: true }).lean();
+
+/**
+ * Validate field mappings from a request body
+ * @returns {string|null} - Error message
+ */
+const validateFieldMappings = (mappings) => {
+  if (!Array.isArray(mappings)) return "fieldMappings must be an array";
+  for (const mapping of mappings) {
+    if (!mapping || !String(mapping.formField || "").trim()) {
+      return "Every field mapping needs a formField";
+    }
+    if (!LEAD_FIELDS.includes(mapping.entryField)) {
+      return `entryField must be one of: ${LEAD_FIELDS.join(", ")}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Plain text of a submitted value (checkbox groups arrive as arrays)
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = Array.isArray(value) ? value.map(toText).filter(Boolean).join(", ") : String(value);
+  return text.trim().slice(0, MAX_VALUE_LENGTH);
+};
+
+/**
+ * Map a submission onto entry fields
+ * Mapped fields win over fields named like entry fields or a common alias (case-insensitive);
+ * anything else is kept in the remarks so nothing the visitor typed is lost
+ * @param {Object} form - Lead form
+ * @param {Object} body - Submitted fields
+ * @returns {Object} - Entry fields (phones sanitized, email lowercased)
+ */
+const mapSubmission = (form, body) => {
+  const mappings = new Map((form.fieldMappings || []).map((mapping) => [mapping.formField, mapping.entryField]));
+  const fields = {};
+  const extras = [];
+
+  Object.entries(body || {}).forEach(([key, value]) => {
+    if (RESERVED_FIELDS.includes(key)) return;
+    const text = toText(value);
+    if (!text) return;
+
+    const target = mappings.get(key) || KNOWN_FIELDS.get(key.toLowerCase());
+    // Phones that can't be normalized are kept in the remarks instead
+    const fieldValue = PHONE_FIELDS.includes(target) ? sanitizePhone(text) : text;
+    if (target && fieldValue && !fields[target]) {
+      fields[target] = target === "email" ? fieldValue.toLowerCase() : fieldValue;
+    } else if (!target || !fieldValue) {
+      extras.push(`${key}: ${text}`);
+    }
+  });
+
+  if (extras.length > 0) {
+    fields.remarks = [fields.remarks, ...extras].filter(Boolean).join("\n");
+  }
+  if (!fields.customerName) {
+    const name = fields.organization || fields.contactName;
+    if (name) fields.customerName = name;
+  }
+  return fields;
+};
+
+/**
+ * Source and UTM parameters of a submission (form fields first, then the query string)
+ * @param {Object} body - Submitted fields
+ * @param {Object} query - Query string
+ * @param {string} [refererHeader] - Referer header of the request
+ * @returns {{ utm: Object, referrer: string, pageUrl: string }}
+ */
+const readTracking = (body = {}, query = {}, refererHeader = "") => {
+  const pick = (...keys) => {
+    for (const key of keys) {
+      const value = toText(body[key]) || toText(query[key]);
+      if (value) return value;
+    }
+    return "";
+  };
+  const utm = {};
+  UTM_FIELDS.forEach((field) => {
+    utm[field] = pick(`utm_${field}`);
+  });
+  return {
+    utm,
+    referrer: pick("referrer") || toText(refererHeader),
+    pageUrl: pick("page_url", "pageUrl"),
+  };
+};
+
+/**
+ * Record a submission and update the form's counters
+ */
+const recordSubmission = async (form, data) => {
+  const submission = await LeadFormSubmission.create({ form: form._id, ...data });
+  await LeadForm.updateOne({ _id: form._id }, { $inc: { submissionCount: 1 }, $set: { lastSubmissionAt: submission.createdAt } });
+  return submission;
+};
+
+/**
+ * Capture a lead from a form submission
+ * Repeat enquiries (same phone or email) are added to the history of the existing lead unless
+ * DUPLICATE_CHECK_MODE is "off"; new leads start in the first stage of the form's pipeline and
+ * are assigned by the "web_form" distribution rules, falling back to the form's default assignee
+ * @param {Object} form - Lead form (lean)
+ * @param {Object} options - { body, query, referer }
+ * @returns {Promise<{ outcome: string, entry: Object|null, submission: Object, error?: string }>}
+ */
+const captureLead = async (form, { body = {}, query = {}, referer = "" }) => {
+  const { apiKey, api_key, ...payload } = body;
+  const tracking = readTracking(body, query, referer);
+  const fields = mapSubmission(form, body);
+
+  if (!fields.mobileNumber && !fields.email) {
+    const error = "A valid phone number (at least 10 digits) or an email address is required.";
+    const submission = await recordSubmission(form, { outcome: "rejected", error, payload, fields, ...tracking });
+    return { outcome: "rejected", entry: null, submission, error };
+  }
+
+  if (getDuplicateMode() !== "off") {
+    const [existing] = await findDuplicates(fields, { limit: 1 });
+    if (existing) {
+      const remarks = `Repeat web enquiry via ${form.name}${fields.remarks ? `: ${fields.remarks}` : ""}`;
+      await Entry.updateOne(
+        { _id: existing._id },
+        {
+          $push: { history: { status: existing.status, remarks, timestamp: new Date() } },
+          $set: { updatedAt: new Date() },
+        }
+      );
+      const submission = await recordSubmission(form, { outcome: "duplicate", entry: existing._id, payload, fields, ...tracking });
+      await recordAudits([
+        {
+          entryId: existing._id,
+          action: "update",
+          source: "web_form",
+          changes: [{ field: "history", oldValue: null, newValue: remarks }],
+          meta: { leadForm: form._id, submission: submission._id },
+        },
+      ]);
+      return { outcome: "duplicate", entry: existing, submission };
+    }
+  }
+
+  const pipeline = await getEntryPipeline({ pipeline: form.pipeline });
+  const leadFields = {
+    category: form.defaults && form.defaults.category ? form.defaults.category : "Web Enquiry",
+    ...(form.defaults && form.defaults.product && { product: form.defaults.product }),
+    ...fields,
+    status: getInitialStage(pipeline).name,
+    ...(form.pipeline && { pipeline: pipeline._id }),
+  };
+
+  const assignment = await assignLead(leadFields, "web_form");
+  const assignedTo = assignment ? assignment.assignedTo : form.defaultAssignee;
+  const entry = await Entry.create({
+    ...leadFields,
+    source: buildSource("web_form", { leadForm: form._id, utm: tracking.utm, referrer: tracking.referrer }),
+    createdBy: form.createdBy,
+    ...(assignedTo && { assignedTo, assignedAt: new Date() }),
+  });
+
+  await recordCreates([entry], { source: "web_form" });
+  if (assignment) {
+    await logAssignments([{ ...assignment, leadId: entry._id }], { trigger: "web_form" });
+  }
+
+  const submission = await recordSubmission(form, { outcome: "created", entry: entry._id, payload, fields, ...tracking });
+  return { outcome: "created", entry, submission };
+};
+
+module.exports = {
+  generateApiKey,
+  findFormByApiKey,
+  validateFieldMappings,
+  captureLead,
+};
@@ -0,0 +1,39 @@
+const EmailLog = require("../Schema/EmailLogModel");
+const { sendMail } = require("../utils/mailer");
+
+/**
+ * Lead Email Service
+ * Sends emails to leads and keeps a copy of every attempt in the EmailLog
+ */
+
+/**
+ * Write an email log entry without failing the caller
+ */
+const writeEmailLog = async (fields) => {
+  try {
+    await EmailLog.create(fields);
+  } catch (error) {
+    console.error("Failed to write email log:", error.message);
+  }
+};
+
+/**
+ * Send an email to a lead and log it (failed attempts are logged and rethrown)
+ * Attachments are sent but not stored in the log; callers keep their own copy (e.g. quotation revisions)
+ * @param {Object} options - { entryId, type, to, subject, text, html, details, sentBy, attachments }
+ * @returns {Promise<void>}
+ */
+const sendLeadEmail = async ({ entryId, type, to, subject, text, html, details, sentBy, attachments = [] }) => {
+  const log = { entryId, type, to, subject, body: text, details, sentBy };
+  try {
+    await sendMail(to, subject, text, html, attachments);
+  } catch (error) {
+    await writeEmailLog({ ...log, status: "failed", errorMessage: error.message });
+    throw error;
+  }
+  await writeEmailLog({ ...log, status: "sent" });
+};
+
+module.exports = {
+  sendLeadEmail,
+};
@@ -0,0 +1,237 @@
+const Pipeline = require("../Schema/PipelineModel");
+
+/**
+ * Pipeline Service
+ * Stage lookup and status validation against the configured sales pipelines
+ * Pipelines are cached in memory and reloaded whenever an admin changes them
+ */
+
+// Stages of the original hard-coded status list, used to seed the default pipeline
+// "Closed" keeps its old behaviour: the close type (won/lost) is picked when closing
+const DEFAULT_STAGES = [
+  { name: "Not Found", order: 0, probability: 10 },
+  { name: "Interested", order: 1, probability: 50 },
+  { name: "Maybe", order: 2, probability: 30 },
+  { name: "Service", order: 3, probability: 60 },
+  { name: "Not", order: 4, probability: 5 },
+  { name: "Not Interested", order: 5, probability: 0 },
+  { name: "Closed", order: 6, isWon: true, isLost: true },
+];
+
+let cache = null;
+
+/**
+ * Load all pipelines (cached)
+ * @returns {Promise<Object[]>} - Lean pipelines with stages in order
+ */
+const loadPipelines = async () => {
+  if (!cache) {
+    const pipelines = await Pipeline.find().sort({ createdAt: 1 }).lean();
+    pipelines.forEach((pipeline) => pipeline.stages.sort((a, b) => a.order - b.order));
+    cache = pipelines;
+  }
+  return cache;
+};
+
+/**
+ * Drop the cache after a pipeline was created, changed or removed
+ */
+const invalidatePipelineCache = () => {
+  cache = null;
+};
+
+/**
+ * Create the default pipeline from the legacy statuses when none exists
+ * @returns {Promise<void>}
+ */
+const ensureDefaultPipeline = async () => {
+  try {
+    const existing = await Pipeline.countDocuments({ isDefault: true });
+    if (existing === 0) {
+      await Pipeline.create({ name: "Sales", isDefault: true, stages: DEFAULT_STAGES });
+      console.log("📊 Created the default sales pipeline");
+    }
+    invalidatePipelineCache();
+  } catch (error) {
+    console.error("Failed to create the default pipeline:", error.message);
+  }
+};
+
+/**
+ * Get the default pipeline (falls back to the legacy stages before one is stored)
+ * @returns {Promise<Object>}
+ */
+const getDefaultPipeline = async () => {
+  const pipelines = await loadPipelines();
+  return (
+    pipelines.find((pipeline) => pipeline.isDefault) ||
+    pipelines[0] || {
+      name: "Sales",
+      isDefault: true,
+      stages: DEFAULT_STAGES.map((stage) => ({ isWon: false, isLost: false, allowedTransitions: [], ...stage })),
+    }
+  );
+};
+
+/**
+ * Get the pipeline an entry belongs to
+ * @param {Object} entry - Entry (or any object with a pipeline id)
+ * @returns {Promise<Object>}
+ */
+const getEntryPipeline = async (entry) => {
+  if (entry && entry.pipeline) {
+    const pipelineId = (entry.pipeline._id || entry.pipeline).toString();
+    const pipeline = (await loadPipelines()).find((item) => item._id.toString() === pipelineId);
+    if (pipeline) return pipeline;
+  }
+  return getDefaultPipeline();
+};
+
+/**
+ * Find a stage by name (case-insensitive)
+ * @returns {Object|undefined}
+ */
+const findStage = (pipeline, name) => {
+  const wanted = String(name || "").trim().toLowerCase();
+  return pipeline.stages.find((stage) => stage.name.toLowerCase() === wanted);
+};
+
+/**
+ * The stage new leads start in
+ */
+const getInitialStage = (pipeline) => pipeline.stages[0];
+
+const isClosingStage = (stage) => Boolean(stage && (stage.isWon || stage.isLost));
+
+/**
+ * Validate a status change of an entry
+ * @param {Object} pipeline - Entry pipeline
+ * @param {string|null} fromStatus - Current status (null for new entries)
+ * @param {string} toStatus - Requested status
+ * @returns {{ stage: Object|null, error: string|null }}
+ */
+const validateStatusChange = (pipeline, fromStatus, toStatus) => {
+  const stage = findStage(pipeline, toStatus);
+  if (!stage) {
+    return {
+      stage: null,
+      error: `"${toStatus}" is not a stage of the ${pipeline.name} pipeline. Available: ${pipeline.stages.map((item) => item.name).join(", ")}`,
+    };
+  }
+
+  // Unknown current statuses (legacy data) may move anywhere
+  const current = fromStatus ? findStage(pipeline, fromStatus) : null;
+  if (current && current.name !== stage.name && current.allowedTransitions.length > 0) {
+    const allowed = current.allowedTransitions.map((name) => name.toLowerCase());
+    if (!allowed.includes(stage.name.toLowerCase())) {
+      return {
+        stage: null,
+        error: `An entry cannot move from "${current.name}" to "${stage.name}". Allowed: ${current.allowedTransitions.join(", ")}`,
+      };
+    }
+  }
+
+  return { stage, error: null };
+};
+
+/**
+ * Work out the close type for a stage
+ * @param {Object} stage - Target stage
+ * @param {string} closetype - Close type sent by the client (only used by generic closing stages)
+ * @returns {{ closetype: string, error: string|null }}
+ */
+const resolveCloseType = (stage, closetype) => {
+  if (!isClosingStage(stage)) return { closetype: "", error: null };
+  if (stage.isWon && !stage.isLost) return { closetype: "Closed Won", error: null };
+  if (stage.isLost && !stage.isWon) return { closetype: "Closed Lost", error: null };
+
+  const picked = closetype ? closetype.trim() : "";
+  if (!["Closed Won", "Closed Lost"].includes(picked)) {
+    return {
+      closetype: "",
+      error: `When moving an entry to "${stage.name}", please specify if it is 'Closed Won' or 'Closed Lost'.`,
+    };
+  }
+  return { closetype: picked, error: null };
+};
+
+/**
+ * All pipelines, or the legacy default before any pipeline is stored
+ * @returns {Promise<Object[]>}
+ */
+const getPipelinesOrDefault = async () => {
+  const pipelines = await loadPipelines();
+  return pipelines.length > 0 ? pipelines : [await getDefaultPipeline()];
+};
+
+/**
+ * Names of the stages matching a predicate, across all pipelines
+ * @param {Function} predicate - (stage) => boolean
+ * @returns {Promise<string[]>}
+ */
+const getStageNames = async (predicate = () => true) => {
+  const pipelines = await getPipelinesOrDefault();
+  const names = pipelines.flatMap((pipeline) => pipeline.stages.filter(predicate).map((stage) => stage.name));
+  return [...new Set(names)];
+};
+
+/**
+ * Names of the first stage of every pipeline (where new leads start)
+ * @returns {Promise<string[]>}
+ */
+const getInitialStageNames = async () => {
+  const pipelines = await getPipelinesOrDefault();
+  return [...new Set(pipelines.map((pipeline) => getInitialStage(pipeline).name))];
+};
+
+/**
+ * Check a pipeline definition sent by an admin
+ * @param {Object[]} stages - Stage definitions
+ * @returns {string|null} - Error message or null
+ */
+const validateStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return "A pipeline needs at least one stage";
+  }
+  const names = stages.map((stage) => String((stage && stage.name) || "").trim());
+  if (names.some((name) => !name)) {
+    return "Every stage needs a name";
+  }
+  const lowered = names.map((name) => name.toLowerCase());
+  const duplicate = lowered.find((name, index) => lowered.indexOf(name) !== index);
+  if (duplicate) {
+    return `Stage names must be unique ("${duplicate}" is used more than once)`;
+  }
+  for (const stage of stages) {
+    const { probability } = stage;
+    if (probability !== undefined && probability !== null && probability !== "") {
+      const value = Number(probability);
+      if (isNaN(value) || value < 0 || value > 100) {
+        return `Stage "${stage.name}" needs a probability between 0 and 100`;
+      }
+    }
+    const unknown = (stage.allowedTransitions || []).filter(
+      (name) => !lowered.includes(String(name).trim().toLowerCase())
+    );
+    if (unknown.length > 0) {
+      return `Stage "${stage.name}" allows transitions to unknown stages: ${unknown.join(", ")}`;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  ensureDefaultPipeline,
+  invalidatePipelineCache,
+  getDefaultPipeline,
+  getEntryPipeline,
+  findStage,
+  getInitialStage,
+  isClosingStage,
+  validateStatusChange,
+  resolveCloseType,
+  getPipelinesOrDefault,
+  getStageNames,
+  getInitialStageNames,
+  validateStages,
+};
@@ -0,0 +1,168 @@
+const QuotationApprovalConfig = require("../Schema/QuotationApprovalConfigModel");
+const { isAdminUser } = require("../utils/leadAccess");
+
+/**
+ * Quotation Approval Service
+ * Discount and value thresholds above which a quotation needs Admin/Superadmin approval before it is sent,
+ * and the approval requests and decisions themselves (each one is written to the status history)
+ */
+
+const DEFAULT_CONFIG = {
+  key: "default",
+  enabled: true,
+  maxDiscountPercent: 10,
+  maxGrandTotal: 500000,
+};
+
+let cache = null;
+
+/**
+ * Load the approval thresholds (cached; the defaults until an admin saves them)
+ * @returns {Promise<Object>}
+ */
+const loadApprovalConfig = async () => {
+  if (!cache) {
+    cache = (await QuotationApprovalConfig.findOne({ key: "default" }).lean()) || DEFAULT_CONFIG;
+  }
+  return cache;
+};
+
+/**
+ * Drop the cache after the thresholds were changed
+ */
+const invalidateApprovalConfigCache = () => {
+  cache = null;
+};
+
+/**
+ * Error with an HTTP status (and error code) for the controllers
+ */
+const httpError = (message, statusCode, errorCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (errorCode) error.errorCode = errorCode;
+  return error;
+};
+
+/**
+ * Thresholds a quotation exceeds
+ * @param {Object} quotation - Quotation (line items and grandTotal)
+ * @param {Object} config - Approval thresholds
+ * @returns {string[]} - Reasons approval is needed (empty when it isn't)
+ */
+const getApprovalReasons = (quotation, config) => {
+  if (!config.enabled) return [];
+  const reasons = [];
+
+  const maxDiscount = Math.max(0, ...(quotation.lineItems || []).map((item) => item.discountPercent || 0));
+  if (config.maxDiscountPercent !== null && config.maxDiscountPercent !== undefined && maxDiscount > config.maxDiscountPercent) {
+    reasons.push(`Discount of ${maxDiscount}% is above the ${config.maxDiscountPercent}% limit`);
+  }
+  if (config.maxGrandTotal !== null && config.maxGrandTotal !== undefined && quotation.grandTotal > config.maxGrandTotal) {
+    reasons.push(
+      `Total of Rs. ${quotation.grandTotal.toLocaleString("en-IN")} is above the Rs. ${config.maxGrandTotal.toLocaleString("en-IN")} limit`
+    );
+  }
+  return reasons;
+};
+
+/**
+ * Make sure a quotation may be sent by a user
+ * Drafts above the thresholds need an approval first; admins approve their own quotations by sending them
+ * @param {Object} quotation - Quotation document
+ * @param {Object} user - req.user
+ * @throws {Error} - 409 APPROVAL_REQUIRED / APPROVAL_PENDING
+ */
+const assertCanSend = async (quotation, user) => {
+  if (quotation.status === "pending_approval") {
+    throw httpError("This quotation is waiting for approval and cannot be sent yet.", 409, "APPROVAL_PENDING");
+  }
+  if (quotation.status !== "draft" || isAdminUser(user)) return;
+
+  const reasons = getApprovalReasons(quotation, await loadApprovalConfig());
+  if (reasons.length > 0) {
+    throw httpError(`This quotation needs approval before it can be sent: ${reasons.join("; ")}.`, 409, "APPROVAL_REQUIRED");
+  }
+};
+
+/**
+ * Submit a draft for approval
+ * @param {Object} quotation - Quotation document (saved)
+ * @param {Object} options - { userId, comment }
+ * @returns {Promise<string[]>} - Reasons approval is needed
+ */
+const requestApproval = async (quotation, { userId, comment }) => {
+  if (quotation.status !== "draft") {
+    throw httpError(`Only draft quotations can be submitted for approval; this one is ${quotation.status}.`, 409);
+  }
+  const reasons = getApprovalReasons(quotation, await loadApprovalConfig());
+  if (reasons.length === 0) {
+    throw httpError("This quotation is within the approval limits and can be sent directly.", 400);
+  }
+
+  const now = new Date();
+  quotation.status = "pending_approval";
+  quotation.approval = { reasons, requestedBy: userId, requestedAt: now, decidedBy: null, decidedAt: null, comment: "" };
+  quotation.statusHistory.push({
+    status: "pending_approval",
+    remarks: comment ? `${reasons.join("; ")}. ${comment}` : reasons.join("; "),
+    changedBy: userId,
+    changedAt: now,
+  });
+  await quotation.save();
+  return reasons;
+};
+
+/**
+ * Approve or reject a pending quotation (rejected quotations go back to draft for changes)
+ * @param {Object} quotation - Quotation document (saved)
+ * @param {Object} options - { decision: "approved"|"rejected", comment, userId }
+ */
+const decideApproval = async (quotation, { decision, comment, userId }) => {
+  if (!["approved", "rejected"].includes(decision)) {
+    throw httpError("decision must be approved or rejected", 400);
+  }
+  if (quotation.status !== "pending_approval") {
+    throw httpError(`This quotation is not waiting for approval (status: ${quotation.status}).`, 409);
+  }
+  if (decision === "rejected" && !String(comment || "").trim()) {
+    throw httpError("A comment is required when rejecting a quotation.", 400);
+  }
+
+  const now = new Date();
+  const status = decision === "approved" ? "approved" : "draft";
+  quotation.status = status;
+  quotation.approval.decidedBy = userId;
+  quotation.approval.decidedAt = now;
+  quotation.approval.comment = comment || "";
+  quotation.statusHistory.push({
+    status,
+    decision,
+    remarks: `Approval ${decision}${comment ? `: ${comment}` : ""}`,
+    changedBy: userId,
+    changedAt: now,
+  });
+  await quotation.save();
+};
+
+/**
+ * Validate threshold changes from a request body
+ * @returns {string|null} - Error message
+ */
+const validateApprovalConfig = ({ maxDiscountPercent, maxGrandTotal }) => {
+  const invalid = (value, max) =>
+    value !== undefined && value !== null && (!Number.isFinite(Number(value)) || Number(value) < 0 || Number(value) > max);
+  if (invalid(maxDiscountPercent, 100)) return "maxDiscountPercent must be between 0 and 100";
+  if (invalid(maxGrandTotal, Number.MAX_SAFE_INTEGER)) return "maxGrandTotal must be 0 or more";
+  return null;
+};
+
+module.exports = {
+  loadApprovalConfig,
+  invalidateApprovalConfigCache,
+  getApprovalReasons,
+  assertCanSend,
+  requestApproval,
+  decideApproval,
+  validateApprovalConfig,
+};
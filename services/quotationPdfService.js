@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { format } = require("date-fns");
+
+/**
+ * Quotation PDF Service
+ * Renders a quotation on the company letterhead: customer, line items, GST, totals, validity and terms
+ * The built-in PDF fonts have no rupee sign, so amounts are printed as "Rs."
+ */
+
+// Letterhead artwork; its top band (logo) and bottom band (offices and contacts) frame every page
+const LETTERHEAD_PATH = path.join(__dirname, "..", "Images", "Promark Techsolutions Pvt Ltd.jpeg");
+const LETTERHEAD_HEADER_HEIGHT = 110;
+const LETTERHEAD_FOOTER_HEIGHT = 141;
+
+const COMPANY_NAME = "Promark Techsolutions Pvt Ltd";
+const BRAND_COLOR = "#0b67b2";
+
+const PAGE_MARGIN = 40;
+
+// Line item table: key, header, width, alignment
+const TABLE_COLUMNS = [
+  { key: "index", header: "#", width: 20, align: "left" },
+  { key: "item", header: "Item & Specification", width: 185, align: "left" },
+  { key: "quantity", header: "Qty", width: 40, align: "right" },
+  { key: "unit", header: "Unit", width: 35, align: "left" },
+  { key: "unitPrice", header: "Rate", width: 65, align: "right" },
+  { key: "discountPercent", header: "Disc %", width: 40, align: "right" },
+  { key: "taxRate", header: "GST %", width: 40, align: "right" },
+  { key: "total", header: "Amount", width: 90, align: "right" },
+];
+
+const CELL_PADDING = 4;
+
+/**
+ * Format an amount in Indian grouping with paise (1,23,456.00)
+ */
+const formatAmount = (value) =>
+  (Number(value) || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => (date ? format(new Date(date), "dd MMM yyyy") : "-");
+
+/**
+ * Draw the letterhead bands on the current page (plain company name when the artwork is missing)
+ */
+const drawLetterhead = (doc) => {
+  const { width, height } = doc.page;
+  if (!fs.existsSync(LETTERHEAD_PATH)) {
+    doc.font("Helvetica-Bold").fontSize(18).fillColor(BRAND_COLOR).text(COMPANY_NAME, PAGE_MARGIN, 45);
+    doc.fillColor("black");
+    return;
+  }
+
+  const image = doc.openImage(LETTERHEAD_PATH);
+  const imageHeight = (image.height * width) / image.width;
+
+  doc.save();
+  doc.rect(0, 0, width, LETTERHEAD_HEADER_HEIGHT).clip();
+  doc.image(image, 0, 0, { width });
+  doc.restore();
+
+  doc.save();
+  doc.rect(0, height - LETTERHEAD_FOOTER_HEIGHT, width, LETTERHEAD_FOOTER_HEIGHT).clip();
+  doc.image(image, 0, height - imageHeight, { width });
+  doc.restore();
+};
+
+/**
+ * Top and bottom of the writable area between the letterhead bands
+ */
+const contentTop = () => LETTERHEAD_HEADER_HEIGHT + 15;
+const contentBottom = (doc) => doc.page.height - LETTERHEAD_FOOTER_HEIGHT - 15;
+
+/**
+ * Start a new page when the next block does not fit
+ */
+const ensureSpace = (doc, needed) => {
+  if (doc.y + needed > contentBottom(doc)) {
+    doc.addPage();
+    doc.y = contentTop();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Cell text of a line item
+ */
+const cellText = (item, index, key) => {
+  switch (key) {
+    case "index":
+      return String(index + 1);
+    case "item":
+      return item.specification ? `${item.name}\n${item.specification}` : item.name;
+    case "unitPrice":
+    case "total":
+      return formatAmount(item[key]);
+    case "discountPercent":
+    case "taxRate":
+      return item[key] ? String(item[key]) : "-";
+    default:
+      return item[key] === undefined || item[key] === null ? "" : String(item[key]);
+  }
+};
+
+const drawTableHeader = (doc) => {
+  const top = doc.y;
+  doc.rect(PAGE_MARGIN, top, doc.page.width - PAGE_MARGIN * 2, 18).fill(BRAND_COLOR);
+  doc.font("Helvetica-Bold").fontSize(8.5).fillColor("white");
+  let x = PAGE_MARGIN;
+  TABLE_COLUMNS.forEach((column) => {
+    doc.text(column.header, x + CELL_PADDING, top + 5, { width: column.width - CELL_PADDING * 2, align: column.align });
+    x += column.width;
+  });
+  doc.fillColor("black");
+  doc.y = top + 18;
+};
+
+const drawLineItems = (doc, lineItems) => {
+  drawTableHeader(doc);
+  lineItems.forEach((item, index) => {
+    doc.font("Helvetica").fontSize(8.5);
+    const cells = TABLE_COLUMNS.map((column) => cellText(item, index, column.key));
+    const rowHeight =
+      Math.max(...TABLE_COLUMNS.map((column, i) => doc.heightOfString(cells[i], { width: column.width - CELL_PADDING * 2 }))) +
+      CELL_PADDING * 2;
+
+    if (ensureSpace(doc, rowHeight)) drawTableHeader(doc);
+    const top = doc.y;
+    if (index % 2 === 1) {
+      doc.rect(PAGE_MARGIN, top, doc.page.width - PAGE_MARGIN * 2, rowHeight).fill("#f2f6fa");
+      doc.fillColor("black");
+    }
+
+    let x = PAGE_MARGIN;
+    TABLE_COLUMNS.forEach((column, i) => {
+      doc.font(column.key === "item" ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+      if (column.key === "item" && item.specification) {
+        // Name in bold, specification below it in regular weight
+        doc.text(item.name, x + CELL_PADDING, top + CELL_PADDING, { width: column.width - CELL_PADDING * 2 });
+        doc.font("Helvetica").fillColor("#444444").text(item.specification, { width: column.width - CELL_PADDING * 2 });
+        doc.fillColor("black");
+      } else {
+        doc.text(cells[i], x + CELL_PADDING, top + CELL_PADDING, { width: column.width - CELL_PADDING * 2, align: column.align });
+      }
+      x += column.width;
+    });
+
+    doc.moveTo(PAGE_MARGIN, top + rowHeight).lineTo(doc.page.width - PAGE_MARGIN, top + rowHeight).lineWidth(0.5).stroke("#cccccc");
+    doc.y = top + rowHeight;
+  });
+};
+
+const drawTotals = (doc, quotation) => {
+  const rows = [
+    ["Subtotal", formatAmount(quotation.subtotal)],
+    ...(quotation.discountTotal > 0 ? [["Discount", `- ${formatAmount(quotation.discountTotal)}`]] : []),
+    ["Taxable value", formatAmount(quotation.subtotal - quotation.discountTotal)],
+    ["GST", formatAmount(quotation.taxTotal)],
+  ];
+  ensureSpace(doc, rows.length * 15 + 30);
+
+  const labelX = doc.page.width - PAGE_MARGIN - 240;
+  let y = doc.y + 8;
+  doc.font("Helvetica").fontSize(9);
+  rows.forEach(([label, value]) => {
+    doc.text(label, labelX, y, { width: 130 });
+    doc.text(value, labelX + 130, y, { width: 110, align: "right" });
+    y += 15;
+  });
+
+  doc.rect(labelX - 6, y, 246, 20).fill(BRAND_COLOR);
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("white");
+  doc.text("Grand Total (Rs.)", labelX, y + 6, { width: 130 });
+  doc.text(formatAmount(quotation.grandTotal), labelX + 130, y + 6, { width: 104, align: "right" });
+  doc.fillColor("black");
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 32;
+};
+
+const drawParagraph = (doc, heading, body) => {
+  if (!body) return;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  doc.font("Helvetica").fontSize(8.5);
+  ensureSpace(doc, Math.min(doc.heightOfString(body, { width }) + 20, 120));
+  doc.font("Helvetica-Bold").fontSize(9.5).fillColor(BRAND_COLOR).text(heading, PAGE_MARGIN, doc.y);
+  doc.font("Helvetica").fontSize(8.5).fillColor("black").text(body, { width });
+  doc.moveDown(0.8);
+};
+
+/**
+ * Render a quotation to PDF
+ * @param {Object} quotation - Quotation or revision fields (quotationNumber, lineItems, totals, validUntil, terms, notes)
+ * @param {Object} options - { version, date, customer: { name, organization, address, gstNumber, email, phone } }
+ * @returns {Promise<Buffer>}
+ */
+const renderQuotationPdf = (quotation, { version = null, date = new Date(), customer = {} } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: contentTop(), bottom: LETTERHEAD_FOOTER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN },
+      info: { Title: `Quotation ${quotation.quotationNumber}`, Author: COMPANY_NAME },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    drawLetterhead(doc);
+    doc.on("pageAdded", () => drawLetterhead(doc));
+
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const top = contentTop();
+
+    // Title and reference block
+    doc.font("Helvetica-Bold").fontSize(16).fillColor(BRAND_COLOR).text("QUOTATION", PAGE_MARGIN, top);
+    doc.font("Helvetica").fontSize(9).fillColor("black");
+    const reference = [
+      `Quotation No: ${quotation.quotationNumber}${version ? ` (Rev ${version})` : ""}`,
+      `Date: ${formatDate(date)}`,
+      `Valid until: ${formatDate(quotation.validUntil)}`,
+    ];
+    doc.text(reference.join("\n"), PAGE_MARGIN + width - 200, top, { width: 200, align: "right" });
+
+    // Customer block
+    doc.y = top + 45;
+    doc.font("Helvetica-Bold").fontSize(9.5).fillColor(BRAND_COLOR).text("To", PAGE_MARGIN, doc.y);
+    doc.font("Helvetica-Bold").fontSize(9.5).fillColor("black").text(customer.name || quotation.customerName || "Customer");
+    doc.font("Helvetica").fontSize(9);
+    [
+      customer.organization,
+      customer.address,
+      customer.gstNumber ? `GSTIN: ${customer.gstNumber}` : null,
+      customer.phone ? `Phone: ${customer.phone}` : null,
+      customer.email || quotation.customerEmail ? `Email: ${customer.email || quotation.customerEmail}` : null,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line, { width: width / 2 }));
+
+    doc.moveDown(1);
+    doc.text("We are pleased to quote for the following:", PAGE_MARGIN, doc.y);
+    doc.moveDown(0.5);
+
+    drawLineItems(doc, quotation.lineItems || []);
+    drawTotals(doc, quotation);
+    drawParagraph(doc, "Notes", quotation.notes);
+    drawParagraph(doc, "Terms & Conditions", quotation.terms);
+
+    // Signature
+    ensureSpace(doc, 50);
+    doc.moveDown(1);
+    doc.font("Helvetica-Bold").fontSize(9).text(`For ${COMPANY_NAME}`, PAGE_MARGIN + width - 200, doc.y, { width: 200, align: "right" });
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(8.5).text("Authorised Signatory", PAGE_MARGIN + width - 200, doc.y, { width: 200, align: "right" });
+
+    doc.end();
+  });
+
+module.exports = {
+  formatAmount,
+  renderQuotationPdf,
+};
@@ -0,0 +1,521 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const Product = require("../Schema/ProductModel");
+const Quotation = require("../Schema/QuotationModel");
+const Counter = require("../Schema/CounterModel");
+const Account = require("../Schema/AccountModel");
+const QuotationRevision = require("../Schema/QuotationRevisionModel");
+const { isAdminUser, buildOwnershipCondition } = require("../utils/leadAccess");
+const { saveUpload, readUpload } = require("../utils/storage");
+const { sendLeadEmail } = require("./leadEmailService");
+const { formatAmount, renderQuotationPdf } = require("./quotationPdfService");
+const { assertCanSend } = require("./quotationApprovalService");
+
+/**
+ * Quotation Service
+ * Line item pricing, quotation numbering, the status lifecycle, revisions with their PDFs and automatic expiry
+ * Amounts are in rupees rounded to paise; discounts apply before GST on each line
+ */
+
+const QUOTATION_STATUSES = ["draft", "pending_approval", "approved", "sent", "accepted", "rejected", "expired"];
+
+// Status changes made through the status endpoint; approvals have their own endpoints
+// (sent, rejected and expired quotations can be reopened as drafts and revised, pending approvals withdrawn)
+const STATUS_TRANSITIONS = {
+  draft: ["sent"],
+  pending_approval: ["draft"],
+  approved: ["sent", "draft"],
+  sent: ["accepted", "rejected", "expired", "draft"],
+  accepted: [],
+  rejected: ["draft"],
+  expired: ["draft"],
+};
+
+// Validity of a quotation when none is given
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// How often sent quotations past their validity are expired
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields frozen in a revision; a quotation needs a new revision when any of them changed
+const REVISION_FIELDS = ["customerName", "customerEmail", "subtotal", "discountTotal", "taxTotal", "grandTotal", "terms", "notes"];
+const LINE_ITEM_FIELDS = ["product", "sku", "name", "specification", "unit", "quantity", "unitPrice", "discountPercent", "taxRate", "subtotal", "discountAmount", "taxAmount", "total"];
+
+/**
+ * Round an amount to paise
+ */
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Calculate the amounts of one line item
+ * @param {Object} item - { quantity, unitPrice, discountPercent, taxRate, ... }
+ * @returns {Object} - The item with subtotal, discountAmount, taxAmount and total
+ */
+const calculateLineItem = (item) => {
+  const subtotal = roundAmount(item.quantity * item.unitPrice);
+  const discountAmount = roundAmount((subtotal * (item.discountPercent || 0)) / 100);
+  const taxAmount = roundAmount(((subtotal - discountAmount) * (item.taxRate || 0)) / 100);
+  return {
+    ...item,
+    subtotal,
+    discountAmount,
+    taxAmount,
+    total: roundAmount(subtotal - discountAmount + taxAmount),
+  };
+};
+
+/**
+ * Calculate line items and quotation totals
+ * @param {Array} items - Line items
+ * @returns {{ lineItems: Object[], subtotal: number, discountTotal: number, taxTotal: number, grandTotal: number }}
+ */
+const calculateTotals = (items) => {
+  const lineItems = items.map(calculateLineItem);
+  const sum = (field) => roundAmount(lineItems.reduce((total, item) => total + item[field], 0));
+  return {
+    lineItems,
+    subtotal: sum("subtotal"),
+    discountTotal: sum("discountAmount"),
+    taxTotal: sum("taxAmount"),
+    grandTotal: sum("total"),
+  };
+};
+
+/**
+ * Overall discount of a quotation as a percentage of its subtotal
+ * @param {Object} quotation - { subtotal, discountTotal }
+ * @returns {number}
+ */
+const getDiscountPercent = (quotation) =>
+  quotation.subtotal > 0 ? roundAmount((quotation.discountTotal / quotation.subtotal) * 100) : 0;
+
+/**
+ * Parse a number within a range ("" and undefined fall back to the default)
+ */
+const parseNumber = (value, fallback, min, max) => {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) return NaN;
+  return number;
+};
+
+/**
+ * Validate line items from a request and fill in catalog products
+ * Catalog items always use the catalog price and tax rate; reps adjust the price through discountPercent
+ * @param {Array} input - [{ product?, name?, specification?, unit?, quantity, unitPrice?, discountPercent?, taxRate? }]
+ * @returns {Promise<{ lineItems: Object[], error: string|null }>}
+ */
+const buildLineItems = async (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { lineItems: [], error: "A quotation needs at least one line item" };
+  }
+
+  const productIds = input.map((item) => item && item.product).filter(Boolean);
+  if (!productIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { lineItems: [], error: "One or more product IDs are not valid." };
+  }
+  const products = await Product.find({ _id: { $in: productIds } }).lean();
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const lineItems = [];
+  for (const [index, item] of input.entries()) {
+    const line = `Line ${index + 1}`;
+    if (!item || typeof item !== "object") return { lineItems: [], error: `${line}: invalid line item` };
+
+    const quantity = parseNumber(item.quantity, NaN, 0.01, Number.MAX_SAFE_INTEGER);
+    if (Number.isNaN(quantity)) return { lineItems: [], error: `${line}: quantity must be greater than 0` };
+    const discountPercent = parseNumber(item.discountPercent, 0, 0, 100);
+    if (Number.isNaN(discountPercent)) return { lineItems: [], error: `${line}: discountPercent must be between 0 and 100` };
+
+    if (item.product) {
+      const product = productById.get(String(item.product));
+      if (!product) return { lineItems: [], error: `${line}: product not found` };
+      if (!product.isActive) return { lineItems: [], error: `${line}: ${product.name} is no longer available` };
+      lineItems.push({
+        product: product._id,
+        sku: product.sku,
+        name: product.name,
+        specification: item.specification !== undefined ? String(item.specification).trim() : product.specification,
+        unit: product.unit,
+        quantity,
+        unitPrice: product.unitPrice,
+        discountPercent,
+        taxRate: product.taxRate,
+      });
+      continue;
+    }
+
+    // Free-text item
+    const name = String(item.name || "").trim();
+    if (!name) return { lineItems: [], error: `${line}: name is required for items without a product` };
+    const unitPrice = parseNumber(item.unitPrice, NaN, 0, Number.MAX_SAFE_INTEGER);
+    if (Number.isNaN(unitPrice)) return { lineItems: [], error: `${line}: unitPrice must be 0 or more` };
+    const taxRate = parseNumber(item.taxRate, 0, 0, 100);
+    if (Number.isNaN(taxRate)) return { lineItems: [], error: `${line}: taxRate must be between 0 and 100` };
+    lineItems.push({
+      product: null,
+      sku: "",
+      name,
+      specification: String(item.specification || "").trim(),
+      unit: String(item.unit || "Nos").trim(),
+      quantity,
+      unitPrice,
+      discountPercent,
+      taxRate,
+    });
+  }
+
+  return { lineItems, error: null };
+};
+
+/**
+ * Next quotation number (QT-2026-0001); numbering restarts every calendar year
+ * @param {Date} date - Date of the quotation
+ * @returns {Promise<string>}
+ */
+const nextQuotationNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `quotation-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `QT-${year}-${String(counter.seq).padStart(4, "0")}`;
+};
+
+/**
+ * Check whether a quotation may move to a status
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} - Error message, or null when allowed
+ */
+const validateStatusChange = (from, to) => {
+  if (!QUOTATION_STATUSES.includes(to)) {
+    return `status must be one of: ${QUOTATION_STATUSES.join(", ")}`;
+  }
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    return `A ${from} quotation cannot be marked as ${to}.`;
+  }
+  return null;
+};
+
+/**
+ * Default validity date of a quotation
+ */
+const defaultValidUntil = (from = new Date()) => {
+  const date = new Date(from.getTime() + DEFAULT_VALIDITY_DAYS * DAY_MS);
+  date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+/**
+ * Build the filter of records linked to an entry (quotations, sales orders) a user may see
+ * Non-admins see the records they created and the records of entries they own
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - Mongo condition
+ */
+const buildEntryRecordAccessFilter = async (user) => {
+  if (isAdminUser(user)) return {};
+  const entryIds = await Entry.find(buildOwnershipCondition(user.id)).distinct("_id");
+  return {
+    $or: [
+      { createdBy: mongoose.Types.ObjectId.createFromHexString(String(user.id)) },
+      { entry: { $in: entryIds } },
+    ],
+  };
+};
+
+/**
+ * Error with an HTTP status for the controllers
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Printable copy of a quotation's current content
+ * @param {Object} quotation - Quotation document or lean object
+ * @returns {Object}
+ */
+const buildRevisionSnapshot = (quotation) => {
+  const snapshot = {
+    quotationNumber: quotation.quotationNumber,
+    validUntil: quotation.validUntil || null,
+    lineItems: (quotation.lineItems || []).map((item) => {
+      const line = {};
+      LINE_ITEM_FIELDS.forEach((field) => {
+        line[field] = item[field] === undefined ? null : item[field];
+      });
+      if (line.product) line.product = line.product.toString();
+      return line;
+    }),
+  };
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = quotation[field] === undefined ? "" : quotation[field];
+  });
+  return snapshot;
+};
+
+/**
+ * Whether a snapshot differs from a stored revision
+ */
+const isSameContent = (snapshot, revision) => {
+  if (!revision) return false;
+  const stored = buildRevisionSnapshot(revision);
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  return (
+    time(stored.validUntil) === time(snapshot.validUntil) &&
+    REVISION_FIELDS.every((field) => String(stored[field]) === String(snapshot[field])) &&
+    JSON.stringify(stored.lineItems) === JSON.stringify(snapshot.lineItems)
+  );
+};
+
+/**
+ * Customer details printed on the PDF (from the entry and its account)
+ */
+const loadPdfCustomer = async (quotation) => {
+  const entry = await Entry.findById(quotation.entry)
+    .select("customerName contactName organization address city state mobileNumber email account")
+    .setOptions({ withDeleted: true })
+    .lean();
+  const accountId = quotation.account || (entry && entry.account);
+  const account = accountId ? await Account.findById(accountId).lean() : null;
+  const source = account || entry || {};
+  return {
+    name: quotation.customerName || (entry && (entry.contactName || entry.customerName)) || "",
+    organization: account ? account.name : (entry && entry.organization) || "",
+    address: [source.address, source.city, source.state].filter(Boolean).join(", "),
+    gstNumber: account ? account.gstNumber : "",
+    phone: entry ? entry.mobileNumber : "",
+    email: quotation.customerEmail || (entry && entry.email) || "",
+  };
+};
+
+/**
+ * Render the quotation as it is now without storing anything (draft preview)
+ * @param {Object} quotation - Quotation document
+ * @returns {Promise<Buffer>}
+ */
+const renderQuotationPreview = async (quotation) =>
+  renderQuotationPdf(buildRevisionSnapshot(quotation), {
+    version: quotation.currentVersion + 1,
+    customer: await loadPdfCustomer(quotation),
+  });
+
+/**
+ * Latest revision of a quotation, writing a new one (with its PDF) when the content changed since
+ * @param {Object} quotation - Quotation document (currentVersion is updated but not saved)
+ * @param {string} userId - User creating the revision
+ * @returns {Promise<Object>} - The revision
+ */
+const ensureCurrentRevision = async (quotation, userId) => {
+  const snapshot = buildRevisionSnapshot(quotation);
+  const latest = quotation.currentVersion
+    ? await QuotationRevision.findOne({ quotation: quotation._id, version: quotation.currentVersion }).lean()
+    : null;
+  if (isSameContent(snapshot, latest)) return latest;
+
+  const version = quotation.currentVersion + 1;
+  const pdf = await renderQuotationPdf(snapshot, { version, customer: await loadPdfCustomer(quotation) });
+  const pdfPath = await saveUpload("quotations", pdf, ".pdf");
+  const revision = await QuotationRevision.create({
+    ...snapshot,
+    quotation: quotation._id,
+    version,
+    pdfPath,
+    createdBy: userId,
+  });
+  quotation.currentVersion = version;
+  return revision.toObject();
+};
+
+/**
+ * PDF file name of a revision
+ */
+const revisionFileName = (revision) => `${revision.quotationNumber}-Rev${revision.version}.pdf`;
+
+/**
+ * Email a quotation with its PDF attached and mark it as sent
+ * Without a version the current content is sent (as a new revision when it changed); with one, that earlier revision is re-sent
+ * Drafts above the approval thresholds must be approved first (see quotationApprovalService)
+ * @param {Object} quotation - Quotation document
+ * @param {Object} options - { to, message, version, user } - user is req.user
+ * @returns {Promise<Object>} - The revision that was sent
+ */
+const sendQuotation = async (quotation, { to, message, version, user }) => {
+  const userId = user.id;
+  if (!["draft", "approved", "sent", "accepted"].includes(quotation.status)) {
+    const hint = ["rejected", "expired"].includes(quotation.status) ? " Reopen it as a draft first." : "";
+    throw httpError(`A ${quotation.status.replace("_", " ")} quotation cannot be sent.${hint}`, 409);
+  }
+  const recipient = String(to || quotation.customerEmail || "").trim();
+  if (!recipient) {
+    throw httpError("The quotation has no customer email; provide one to send it.", 400);
+  }
+
+  let revision;
+  if (version !== undefined && version !== null && version !== "") {
+    revision = await QuotationRevision.findOne({ quotation: quotation._id, version: Number(version) }).lean();
+    if (!revision) throw httpError(`Revision ${version} of this quotation was not found.`, 404);
+  } else {
+    if (quotation.status === "accepted") {
+      throw httpError("An accepted quotation can only re-send one of its revisions.", 409);
+    }
+    if (quotation.validUntil && quotation.validUntil < new Date()) {
+      throw httpError("The validity date of this quotation has passed. Update validUntil before sending it.", 400);
+    }
+    await assertCanSend(quotation, user);
+    revision = await ensureCurrentRevision(quotation, userId);
+  }
+
+  const customerName = revision.customerName || "Customer";
+  const subject = `Quotation ${revision.quotationNumber} from Promark Techsolutions`;
+  const note = message ? `${message}\n\n` : "";
+  const text = `Dear ${customerName},
+
+Thank you for your interest in Promark Techsolutions.
+
+${note}Please find attached our quotation ${revision.quotationNumber} (revision ${revision.version}) for a total of Rs. ${formatAmount(revision.grandTotal)}, valid until ${revision.validUntil ? new Date(revision.validUntil).toDateString() : "further notice"}.
+
+We look forward to serving you.
+
+Best Regards,
+Promark Techsolutions Pvt Ltd`;
+  const escape = (value) => String(value).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+  const html = `<p>Dear <strong>${escape(customerName)}</strong>,</p>
+<p>Thank you for your interest in <strong>Promark Techsolutions</strong>.</p>
+${message ? `<p>${escape(message).replace(/\n/g, "<br>")}</p>` : ""}
+<p>Please find attached our quotation <strong>${escape(revision.quotationNumber)}</strong> (revision ${revision.version}) for a total of <strong>&#8377;${formatAmount(revision.grandTotal)}</strong>${revision.validUntil ? `, valid until ${new Date(revision.validUntil).toDateString()}` : ""}.</p>
+<p>We look forward to serving you.</p>
+<p>Best Regards,<br><strong>Promark Techsolutions Pvt Ltd</strong></p>`;
+
+  await sendLeadEmail({
+    entryId: quotation.entry,
+    type: "quotation",
+    to: recipient,
+    subject,
+    text,
+    html,
+    details: {
+      quotationId: quotation._id,
+      quotationNumber: revision.quotationNumber,
+      version: revision.version,
+      grandTotal: revision.grandTotal,
+    },
+    sentBy: userId,
+    attachments: [{ filename: revisionFileName(revision), content: await readUpload(revision.pdfPath), contentType: "application/pdf" }],
+  });
+
+  const now = new Date();
+  if (["draft", "approved"].includes(quotation.status)) {
+    quotation.status = "sent";
+    quotation.statusHistory.push({
+      status: "sent",
+      remarks: `Revision ${revision.version} emailed to ${recipient}`,
+      changedBy: userId,
+      changedAt: now,
+    });
+  }
+  quotation.sentAt = now;
+  await quotation.save();
+  return revision;
+};
+
+/**
+ * Differences between two revisions of a quotation
+ * Line items are matched by product (or name for free-text items)
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object} - { from, to, lineItems: { added, removed, changed }, totals, fields }
+ */
+const compareRevisions = (from, to) => {
+  const keyOf = (item) => (item.product ? `product:${item.product}` : `name:${String(item.name).toLowerCase()}`);
+  const fromItems = new Map(buildRevisionSnapshot(from).lineItems.map((item) => [keyOf(item), item]));
+  const toItems = new Map(buildRevisionSnapshot(to).lineItems.map((item) => [keyOf(item), item]));
+
+  const added = [...toItems.entries()].filter(([key]) => !fromItems.has(key)).map(([, item]) => item);
+  const removed = [...fromItems.entries()].filter(([key]) => !toItems.has(key)).map(([, item]) => item);
+  const changed = [];
+  toItems.forEach((item, key) => {
+    const previous = fromItems.get(key);
+    if (!previous) return;
+    const changes = {};
+    ["specification", "quantity", "unitPrice", "discountPercent", "taxRate", "total"].forEach((field) => {
+      if (String(previous[field]) !== String(item[field])) changes[field] = { from: previous[field], to: item[field] };
+    });
+    if (Object.keys(changes).length > 0) changed.push({ name: item.name, sku: item.sku, changes });
+  });
+
+  const totals = {};
+  ["subtotal", "discountTotal", "taxTotal", "grandTotal"].forEach((field) => {
+    totals[field] = { from: from[field], to: to[field], difference: roundAmount(to[field] - from[field]) };
+  });
+
+  const fields = {};
+  ["validUntil", "terms", "notes", "customerEmail"].forEach((field) => {
+    const before = from[field] instanceof Date ? from[field].toISOString() : from[field] || "";
+    const after = to[field] instanceof Date ? to[field].toISOString() : to[field] || "";
+    if (String(before) !== String(after)) fields[field] = { from: from[field] || null, to: to[field] || null };
+  });
+
+  return {
+    from: { version: from.version, createdAt: from.createdAt },
+    to: { version: to.version, createdAt: to.createdAt },
+    lineItems: { added, removed, changed },
+    totals,
+    fields,
+  };
+};
+
+/**
+ * Expire sent quotations whose validity has ended
+ * @returns {Promise<number>} - Number of quotations expired
+ */
+const expireQuotations = async () => {
+  const now = new Date();
+  const result = await Quotation.updateMany(
+    { status: "sent", validUntil: { $lt: now } },
+    {
+      $set: { status: "expired", updatedAt: now },
+      $push: { statusHistory: { status: "expired", remarks: "Validity period ended", changedBy: null, changedAt: now } },
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Expired ${result.modifiedCount} quotations past their validity`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Expire quotations now and then every hour
+ */
+const startQuotationExpirySchedule = () => {
+  const run = () =>
+    expireQuotations().catch((error) => {
+      console.error("Quotation expiry failed:", error.message);
+    });
+
+  run();
+  setInterval(run, EXPIRY_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  QUOTATION_STATUSES,
+  calculateTotals,
+  getDiscountPercent,
+  buildLineItems,
+  nextQuotationNumber,
+  validateStatusChange,
+  defaultValidUntil,
+  buildEntryRecordAccessFilter,
+  renderQuotationPreview,
+  ensureCurrentRevision,
+  revisionFileName,
+  sendQuotation,
+  compareRevisions,
+  startQuotationExpirySchedule,
+};
@@ -0,0 +1,257 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const Account = require("../Schema/AccountModel");
+const Quotation = require("../Schema/QuotationModel");
+const SalesOrder = require("../Schema/SalesOrderModel");
+const Counter = require("../Schema/CounterModel");
+const { buildLineItems, calculateTotals } = require("./quotationService");
+
+/**
+ * Sales Order Service
+ * Raises orders from accepted quotations and won entries, moves them through fulfilment
+ * and keeps Entry.orderValue (the revenue used by the forecast, targets and account roll-ups) in step
+ */
+
+const ORDER_STATUSES = ["confirmed", "dispatched", "delivered", "paid", "cancelled"];
+
+// Allowed status changes; orders can be cancelled until they are delivered
+const ORDER_TRANSITIONS = {
+  confirmed: ["dispatched", "cancelled"],
+  dispatched: ["delivered", "cancelled"],
+  delivered: ["paid"],
+  paid: [],
+  cancelled: [],
+};
+
+// Date field set when an order reaches a status
+const STATUS_DATES = {
+  dispatched: "dispatchedAt",
+  delivered: "deliveredAt",
+  paid: "paidAt",
+};
+
+/**
+ * Error with an HTTP status for the controllers
+ */
+const httpError = (message, statusCode, errorCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (errorCode) error.errorCode = errorCode;
+  return error;
+};
+
+/**
+ * Next order number (SO-2026-0001); numbering restarts every calendar year
+ * @returns {Promise<string>}
+ */
+const nextOrderNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `salesorder-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `SO-${year}-${String(counter.seq).padStart(4, "0")}`;
+};
+
+/**
+ * Check whether an order may move to a status
+ * @returns {string|null} - Error message, or null when allowed
+ */
+const validateOrderStatusChange = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    return `status must be one of: ${ORDER_STATUSES.join(", ")}`;
+  }
+  if (!(ORDER_TRANSITIONS[from] || []).includes(to)) {
+    return `A ${from} order cannot be marked as ${to}.`;
+  }
+  return null;
+};
+
+/**
+ * Validate the delivery and payment details of an order from a request body
+ * Only fields present in the body are returned
+ * @returns {{ values: Object, error: string|null }}
+ */
+const parseOrderDetails = (body) => {
+  const values = {};
+  if (body.deliveryAddress !== undefined) {
+    const address = body.deliveryAddress || {};
+    if (typeof address !== "object") return { values, error: "deliveryAddress must be an object" };
+    values.deliveryAddress = {};
+    ["address", "city", "state", "pincode"].forEach((field) => {
+      values.deliveryAddress[field] = address[field] ? String(address[field]).trim() : "";
+    });
+  }
+  if (body.expectedDispatchDate !== undefined) {
+    if (body.expectedDispatchDate === null || body.expectedDispatchDate === "") {
+      values.expectedDispatchDate = null;
+    } else {
+      const date = new Date(body.expectedDispatchDate);
+      if (isNaN(date.getTime())) return { values, error: "expectedDispatchDate must be a valid date" };
+      values.expectedDispatchDate = date;
+    }
+  }
+  ["paymentTerms", "notes"].forEach((field) => {
+    if (body[field] !== undefined) values[field] = body[field] ? String(body[field]).trim() : "";
+  });
+  return { values, error: null };
+};
+
+/**
+ * Delivery address of an entry (its account's address when it has one)
+ */
+const deliveryAddressOf = async (entry) => {
+  const account = entry.account ? await Account.findById(entry.account).lean() : null;
+  const source = account && account.address ? account : entry;
+  return {
+    address: source.address || "",
+    city: source.city || "",
+    state: source.state || "",
+    pincode: "",
+  };
+};
+
+/**
+ * Recalculate Entry.orderValue from the entry's orders (cancelled orders don't count)
+ * @param {string} entryId - Entry
+ */
+const refreshEntryOrderValue = async (entryId) => {
+  const [totals] = await SalesOrder.aggregate([
+    { $match: { entry: new mongoose.Types.ObjectId(String(entryId)), status: { $ne: "cancelled" } } },
+    { $group: { _id: null, total: { $sum: "$grandTotal" } } },
+  ]);
+  await Entry.updateOne({ _id: entryId }, { $set: { orderValue: totals ? totals.total : null } }).setOptions({
+    withDeleted: true,
+  });
+};
+
+/**
+ * Create an order and record it on the entry
+ */
+const saveOrder = async (fields, { userId, details = {}, remarks }) => {
+  const order = await SalesOrder.create({
+    ...fields,
+    ...details,
+    orderNumber: await nextOrderNumber(),
+    status: "confirmed",
+    statusHistory: [{ status: "confirmed", remarks, changedBy: userId }],
+    createdBy: userId,
+  });
+  await refreshEntryOrderValue(order.entry);
+  return order;
+};
+
+/**
+ * Raise an order from an accepted quotation (one open order per quotation)
+ * @param {Object} quotation - Quotation (lean or document)
+ * @param {Object} options - { userId, details } - details from parseOrderDetails override the defaults
+ * @returns {Promise<Object>} - The order
+ */
+const createOrderFromQuotation = async (quotation, { userId, details = {} }) => {
+  if (quotation.status !== "accepted") {
+    throw httpError(`Only accepted quotations can be converted into orders; this one is ${quotation.status}.`, 409);
+  }
+  const existing = await SalesOrder.findOne({ quotation: quotation._id, status: { $ne: "cancelled" } }).lean();
+  if (existing) {
+    throw httpError(`Quotation ${quotation.quotationNumber} already has order ${existing.orderNumber}.`, 409, "ORDER_EXISTS");
+  }
+
+  const entry = await Entry.findById(quotation.entry).select("account address city state").setOptions({ withDeleted: true }).lean();
+  return saveOrder(
+    {
+      entry: quotation.entry,
+      account: quotation.account || (entry && entry.account) || null,
+      quotation: quotation._id,
+      customerName: quotation.customerName,
+      lineItems: quotation.lineItems.map((item) => (typeof item.toObject === "function" ? item.toObject() : item)),
+      subtotal: quotation.subtotal,
+      discountTotal: quotation.discountTotal,
+      taxTotal: quotation.taxTotal,
+      grandTotal: quotation.grandTotal,
+      deliveryAddress: entry ? await deliveryAddressOf(entry) : undefined,
+    },
+    { userId, details, remarks: `Raised from quotation ${quotation.quotationNumber}` }
+  );
+};
+
+/**
+ * Raise an order for a won entry
+ * Uses the entry's latest accepted quotation; otherwise one line for the closeamount
+ * @param {Object} entry - Lean entry
+ * @param {Object} options - { userId, details }
+ * @returns {Promise<Object>} - The order
+ */
+const createOrderFromEntry = async (entry, { userId, details = {} }) => {
+  if (entry.closetype !== "Closed Won") {
+    throw httpError("Only won entries can be converted into orders.", 409);
+  }
+  const existing = await SalesOrder.findOne({ entry: entry._id, status: { $ne: "cancelled" } }).lean();
+  if (existing) {
+    throw httpError(`This entry already has order ${existing.orderNumber}.`, 409, "ORDER_EXISTS");
+  }
+
+  const quotation = await Quotation.findOne({ entry: entry._id, status: "accepted" }).sort({ updatedAt: -1 }).lean();
+  if (quotation) return createOrderFromQuotation(quotation, { userId, details });
+
+  if (!entry.closeamount || entry.closeamount <= 0) {
+    throw httpError("The entry has no accepted quotation and no close amount to raise an order for.", 400);
+  }
+  const { lineItems } = await buildLineItems([
+    { name: entry.product || "Closed deal", quantity: 1, unitPrice: entry.closeamount, taxRate: 0 },
+  ]);
+  return saveOrder(
+    {
+      entry: entry._id,
+      account: entry.account || null,
+      customerName: entry.contactName || entry.customerName || "",
+      ...calculateTotals(lineItems),
+      deliveryAddress: await deliveryAddressOf(entry),
+    },
+    { userId, details, remarks: "Raised from won entry" }
+  );
+};
+
+/**
+ * Raise an order when an entry has just been won, without failing the caller
+ * Entries that already have an order, or have nothing to order, are skipped
+ * @param {Object} entry - Lean entry after the update
+ * @param {string} userId - User who won the deal
+ * @returns {Promise<Object|null>} - The order, if one was raised
+ */
+const createOrderForWonEntry = async (entry, userId) => {
+  try {
+    return await createOrderFromEntry(entry, { userId });
+  } catch (error) {
+    if (!error.statusCode) console.error("Failed to raise sales order for won entry:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Move an order to a new status
+ * @param {Object} order - SalesOrder document (saved)
+ * @param {Object} options - { status, remarks, userId }
+ */
+const changeOrderStatus = async (order, { status, remarks, userId }) => {
+  const transitionError = validateOrderStatusChange(order.status, status);
+  if (transitionError) throw httpError(transitionError, 400);
+
+  const now = new Date();
+  order.status = status;
+  if (STATUS_DATES[status]) order[STATUS_DATES[status]] = now;
+  order.statusHistory.push({ status, remarks: remarks || "", changedBy: userId, changedAt: now });
+  await order.save();
+
+  if (status === "cancelled") await refreshEntryOrderValue(order.entry);
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  parseOrderDetails,
+  refreshEntryOrderValue,
+  createOrderFromQuotation,
+  createOrderFromEntry,
+  createOrderForWonEntry,
+  changeOrderStatus,
+};
@@ -0,0 +1,297 @@
+const Entry = require("../Schema/DataModel");
+const CallLog = require("../Schema/CallLogModel");
+const ScoringConfig = require("../Schema/ScoringConfigModel");
+const { getEntryPipeline, findStage, isClosingStage } = require("./pipelineService");
+
+/**
+ * Lead Scoring Service
+ * Scores leads (0-100) with the admin scoring model so reps know whom to call first
+ * Scores are stored on the entry and refreshed by a recurring job and after the model changes
+ */
+
+// How often every score is recalculated (recency points decay even when nothing happens)
+const RECALC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Entries scored per database round trip
+const BATCH_SIZE = 500;
+
+// Call statuses that mean someone picked up
+const ANSWERED_STATUSES = ["answered", "completed"];
+
+const FACTOR_NAMES = ["status", "category", "lastAnsweredCall", "talkTime", "estimatedValue", "callAttempts"];
+const VALUE_FACTORS = ["status", "category"];
+
+// Used until an admin saves a model
+const DEFAULT_CONFIG = {
+  factors: {
+    status: {
+      weight: 1,
+      values: [
+        { value: "Interested", points: 30 },
+        { value: "Service", points: 20 },
+        { value: "Maybe", points: 15 },
+        { value: "Not Found", points: 5 },
+        { value: "Not", points: -10 },
+        { value: "Not Interested", points: -30 },
+      ],
+    },
+    category: { weight: 1, values: [] },
+    lastAnsweredCall: {
+      weight: 1,
+      bands: [
+        { max: 2, points: 25 },
+        { max: 7, points: 15 },
+        { max: 30, points: 5 },
+      ],
+    },
+    talkTime: {
+      weight: 1,
+      bands: [
+        { min: 10, points: 20 },
+        { min: 3, points: 10 },
+        { min: 1, points: 5 },
+      ],
+    },
+    estimatedValue: {
+      weight: 1,
+      bands: [
+        { min: 100000, points: 20 },
+        { min: 25000, points: 10 },
+        { min: 1, points: 5 },
+      ],
+    },
+    callAttempts: {
+      weight: 1,
+      bands: [
+        { min: 5, points: 8 },
+        { min: 1, points: 5 },
+      ],
+    },
+  },
+  zeroClosedLeads: true,
+};
+
+// Entry fields the score is computed from
+const SCORE_FIELDS = "status pipeline category estimatedValue totalCallsMade";
+
+let cache = null;
+let running = null;
+
+/**
+ * Load the scoring model (cached; the default model until an admin saves one)
+ * @returns {Promise<Object>}
+ */
+const loadScoringConfig = async () => {
+  if (!cache) {
+    cache = (await ScoringConfig.findOne({ key: "default" }).lean()) || DEFAULT_CONFIG;
+  }
+  return cache;
+};
+
+/**
+ * Drop the cache after the model was changed
+ */
+const invalidateScoringConfigCache = () => {
+  cache = null;
+};
+
+/**
+ * Points of the first band containing the value
+ */
+const bandPoints = (bands, value) => {
+  const band = (bands || []).find(
+    (item) => (item.min === undefined || item.min === null || value >= item.min) &&
+      (item.max === undefined || item.max === null || value <= item.max)
+  );
+  return band ? band.points : 0;
+};
+
+/**
+ * Points of the value (case-insensitive)
+ */
+const valuePoints = (values, value) => {
+  const wanted = String(value || "").trim().toLowerCase();
+  const match = (values || []).find((item) => item.value.toLowerCase() === wanted);
+  return match ? match.points : 0;
+};
+
+/**
+ * Answered call totals of a set of leads
+ * @param {Array} entryIds - Entry ids
+ * @returns {Promise<Map<string, { talkTime: number, lastAnsweredAt: Date }>>} - talkTime in seconds
+ */
+const getCallStats = async (entryIds) => {
+  const stats = await CallLog.aggregate([
+    { $match: { leadId: { $in: entryIds }, callStatus: { $in: ANSWERED_STATUSES }, duration: { $gt: 0 } } },
+    { $group: { _id: "$leadId", talkTime: { $sum: "$duration" }, lastAnsweredAt: { $max: "$startTime" } } },
+  ]);
+  return new Map(stats.map((item) => [item._id.toString(), item]));
+};
+
+/**
+ * Score one entry
+ * @param {Object} entry - Lean entry with SCORE_FIELDS
+ * @param {Object} callStats - { talkTime, lastAnsweredAt } of the entry (or undefined)
+ * @param {Object} config - Scoring model
+ * @param {Date} now - Reference time for recency
+ * @returns {Promise<{ score: number, breakdown: Array<{ factor, value, points }> }>}
+ */
+const computeScore = async (entry, callStats, config, now = new Date()) => {
+  const pipeline = await getEntryPipeline(entry);
+  if (config.zeroClosedLeads && isClosingStage(findStage(pipeline, entry.status))) {
+    return { score: 0, breakdown: [{ factor: "closed", value: entry.status, points: 0 }] };
+  }
+
+  const lastAnsweredAt = callStats && callStats.lastAnsweredAt;
+  const inputs = {
+    status: entry.status || null,
+    category: entry.category || null,
+    lastAnsweredCall: lastAnsweredAt ? Math.floor((now - new Date(lastAnsweredAt)) / (24 * 60 * 60 * 1000)) : null,
+    talkTime: callStats ? Math.round((callStats.talkTime / 60) * 10) / 10 : 0,
+    estimatedValue: entry.estimatedValue || 0,
+    callAttempts: entry.totalCallsMade || 0,
+  };
+
+  const breakdown = FACTOR_NAMES.map((factor) => {
+    const settings = (config.factors && config.factors[factor]) || {};
+    const value = inputs[factor];
+    let points = 0;
+    if (value !== null) {
+      points = VALUE_FACTORS.includes(factor) ? valuePoints(settings.values, value) : bandPoints(settings.bands, value);
+    }
+    const weight = settings.weight === undefined ? 1 : settings.weight;
+    return { factor, value, points: Math.round(points * weight * 100) / 100 };
+  });
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+  return { score: Math.max(0, Math.min(100, Math.round(total))), breakdown };
+};
+
+/**
+ * Score a list of entries with their call history
+ * @param {Object[]} entries - Lean entries with SCORE_FIELDS
+ * @returns {Promise<Array<{ entryId, score, breakdown }>>}
+ */
+const scoreEntries = async (entries) => {
+  const config = await loadScoringConfig();
+  const callStats = await getCallStats(entries.map((entry) => entry._id));
+  const now = new Date();
+  return Promise.all(
+    entries.map(async (entry) => ({
+      entryId: entry._id,
+      ...(await computeScore(entry, callStats.get(entry._id.toString()), config, now)),
+    }))
+  );
+};
+
+/**
+ * Recalculate and store the score of every entry
+ * Concurrent calls share the run in progress
+ * @returns {Promise<number>} - Number of entries scored
+ */
+const recalculateScores = () => {
+  if (running) return running;
+
+  running = (async () => {
+    let scored = 0;
+    let batch = [];
+    const flush = async () => {
+      const results = await scoreEntries(batch);
+      const scoredAt = new Date();
+      await Entry.bulkWrite(
+        results.map(({ entryId, score, breakdown }) => ({
+          updateOne: {
+            filter: { _id: entryId },
+            update: { $set: { score, scoreBreakdown: breakdown, scoredAt } },
+          },
+        })),
+        { ordered: false }
+      );
+      scored += results.length;
+      batch = [];
+    };
+
+    const cursor = Entry.find().select(SCORE_FIELDS).lean().cursor();
+    for await (const entry of cursor) {
+      batch.push(entry);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+    return scored;
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+};
+
+/**
+ * Whether a recalculation is in progress
+ */
+const isRecalculating = () => running !== null;
+
+/**
+ * Recalculate every score now and then every few hours
+ */
+const startScoreRecalculationSchedule = () => {
+  const run = () =>
+    recalculateScores()
+      .then((scored) => {
+        console.log(`🎯 Lead scoring: scored ${scored} entries`);
+      })
+      .catch((error) => {
+        console.error("Lead score recalculation failed:", error.message);
+      });
+
+  run();
+  setInterval(run, RECALC_INTERVAL_MS).unref();
+};
+
+/**
+ * Check a scoring model sent by an admin
+ * @param {Object} factors - { factorName: { weight, values|bands } }
+ * @returns {string|null} - Error message or null
+ */
+const validateScoringFactors = (factors) => {
+  if (!factors || typeof factors !== "object" || Array.isArray(factors)) {
+    return "factors must be an object";
+  }
+  const unknown = Object.keys(factors).filter((name) => !FACTOR_NAMES.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown scoring factors: ${unknown.join(", ")}. Available: ${FACTOR_NAMES.join(", ")}`;
+  }
+
+  for (const [name, settings] of Object.entries(factors)) {
+    if (!settings || typeof settings !== "object") return `${name} must be an object`;
+    if (settings.weight !== undefined && (typeof settings.weight !== "number" || settings.weight < 0)) {
+      return `${name}: weight must be a number of 0 or more`;
+    }
+    const listKey = VALUE_FACTORS.includes(name) ? "values" : "bands";
+    const list = settings[listKey] || [];
+    if (!Array.isArray(list)) return `${name}: ${listKey} must be a list`;
+    for (const item of list) {
+      if (!item || typeof item.points !== "number") return `${name}: every entry needs numeric points`;
+      if (listKey === "values" && !String(item.value || "").trim()) return `${name}: every entry needs a value`;
+      if (listKey === "bands") {
+        const { min, max } = item;
+        if ((min !== undefined && typeof min !== "number") || (max !== undefined && typeof max !== "number")) {
+          return `${name}: min and max must be numbers`;
+        }
+        if (min === undefined && max === undefined) return `${name}: every band needs a min or a max`;
+        if (min !== undefined && max !== undefined && min > max) return `${name}: min cannot be above max`;
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  SCORE_FIELDS,
+  loadScoringConfig,
+  invalidateScoringConfigCache,
+  scoreEntries,
+  recalculateScores,
+  isRecalculating,
+  startScoreRecalculationSchedule,
+  validateScoringFactors,
+};
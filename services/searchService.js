@@ -0,0 +1,282 @@
+const Entry = require("../Schema/DataModel");
+
+/**
+ * Lead Search Service
+ * Relevance-ranked search combining the text index, prefix and phone-suffix matching and typo tolerance
+ * Callers pass the RBAC/listing filter; every candidate query is restricted by it
+ */
+
+// Name of the weighted text index declared on the Entry schema
+const SEARCH_INDEX_NAME = "entry_search_text";
+
+// Fields searched, highlighted and returned
+const SEARCH_FIELDS = ["customerName", "contactName", "organization", "email", "mobileNumber", "AlterNumber", "address"];
+const RESULT_FIELDS = `${SEARCH_FIELDS.join(" ")} city state status tags createdBy assignedTo createdAt`;
+
+// Fields checked for prefix matches and typos (phones are matched separately)
+const NAME_FIELDS = ["customerName", "contactName", "organization", "email"];
+
+// Candidates read per strategy; results are ranked within this window, which grows for later pages
+const CANDIDATE_LIMIT = 200;
+
+// Deepest result reachable by paging; narrower queries or filters find anything further down
+const MAX_SEARCH_RESULTS = 1000;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Split a query into lowercase words
+ */
+const tokenize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .split(/[^a-z0-9@._-]+/)
+    .filter(Boolean);
+
+/**
+ * Edit distance counting swapped neighbouring letters as one typo, with an early exit once it exceeds max
+ * @returns {number} - Distance, or max + 1 when larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed per query word: none for short words, one from 4 letters, two from 8
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Find the words of an entry that match a query word with a few typos
+ * @returns {Array<{ word: string, distance: number }>}
+ */
+const fuzzyMatches = (entry, queryWords) => {
+  const matches = [];
+  NAME_FIELDS.forEach((field) => {
+    tokenize(entry[field]).forEach((word) => {
+      queryWords.forEach((queryWord) => {
+        const max = allowedTypos(queryWord);
+        if (max === 0) return;
+        const distance = editDistance(queryWord, word, max);
+        if (distance > 0 && distance <= max) matches.push({ word, distance });
+      });
+    });
+  });
+  return matches;
+};
+
+/**
+ * Wrap every occurrence of the terms in <mark>, HTML-escaping the rest
+ * @returns {string|null} - Highlighted value, or null when nothing matched
+ */
+const highlight = (value, terms) => {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value);
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    if (!term) return;
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+  if (ranges.length === 0) return null;
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  let result = "";
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    result += `${escapeHtml(text.slice(cursor, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return result + escapeHtml(text.slice(cursor));
+};
+
+/**
+ * Search entries
+ * @param {string} query - Search text (names, email, organization, address or phone digits)
+ * @param {Object} filter - Entry filter from buildFilter (RBAC + listing filters)
+ * @param {Object} options - { page, limit, fuzzy }
+ * @returns {Promise<{ results: Object[], hasMore: boolean }>} - No total: matches outside the candidate window aren't counted
+ */
+const searchEntries = async (query, filter, { page = 1, limit = 20, fuzzy = true } = {}) => {
+  const text = String(query || "").trim();
+  const words = tokenize(text);
+  const digits = text.replace(/\D/g, "");
+  // Queries that are mostly digits are treated as phone numbers
+  const isPhoneQuery = digits.length >= 4 && digits.length >= text.replace(/[\s+()-]/g, "").length - 1;
+
+  const select = RESULT_FIELDS;
+  const populate = [
+    { path: "createdBy", select: "username _id" },
+    { path: "assignedTo", select: "username _id" },
+  ];
+  const scoped = (condition) => ({ $and: [filter, condition] });
+  if ((page - 1) * limit >= MAX_SEARCH_RESULTS) {
+    const error = new Error(`Search results are limited to the first ${MAX_SEARCH_RESULTS} matches. Please refine your search.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  // Read past the requested page so every page can be reached and hasMore is known
+  const candidateLimit = Math.min(Math.max(CANDIDATE_LIMIT, page * limit + 1), MAX_SEARCH_RESULTS + 1);
+
+  const strategies = [];
+
+  // 1. Text index with relevance score ($text must sit at the top level of the query)
+  if (words.length > 0 && !isPhoneQuery) {
+    strategies.push(
+      Entry.find({ ...filter, $text: { $search: text } }, { score: { $meta: "textScore" } })
+        .select(select)
+        .populate(populate)
+        .sort({ score: { $meta: "textScore" } })
+        .limit(candidateLimit)
+        .lean()
+        .then((entries) => entries.map((entry) => ({ entry, score: entry.score, matchedBy: "text" })))
+    );
+  }
+
+  // 2. Prefix matches ("prom" finds "Promark", "akshay@" finds the email)
+  if (text.length >= 2 && !isPhoneQuery) {
+    const prefix = new RegExp(`^${escapeRegex(text)}`, "i");
+    strategies.push(
+      Entry.find(scoped({ $or: NAME_FIELDS.map((field) => ({ [field]: prefix })) }))
+        .select(select)
+        .populate(populate)
+        .limit(candidateLimit)
+        .lean()
+        .then((entries) =>
+          entries.map((entry) => {
+            const exact = NAME_FIELDS.some((field) => String(entry[field] || "").toLowerCase() === text.toLowerCase());
+            return { entry, score: exact ? 25 : 15, matchedBy: "prefix" };
+          })
+        )
+    );
+  }
+
+  // 3. Phone numbers: full numbers by equality, partial numbers by their last digits
+  if (isPhoneQuery) {
+    const phone = digits.length >= 10 ? digits.slice(-10) : null;
+    const condition = phone
+      ? { $or: [{ mobileNumber: phone }, { AlterNumber: phone }] }
+      : { $or: [{ mobileNumber: new RegExp(`${digits}$`) }, { AlterNumber: new RegExp(`${digits}$`) }] };
+    strategies.push(
+      Entry.find(scoped(condition))
+        .select(select)
+        .populate(populate)
+        .limit(candidateLimit)
+        .lean()
+        .then((entries) => entries.map((entry) => ({ entry, score: phone ? 50 : 30, matchedBy: "phone" })))
+    );
+  }
+
+  const found = (await Promise.all(strategies)).flat();
+
+  // 4. Typo tolerance: entries sharing the first letters of a word are compared by edit distance
+  const typoWords = words.filter((word) => allowedTypos(word) > 0);
+  if (fuzzy && !isPhoneQuery && typoWords.length > 0 && found.length < page * limit) {
+    const starts = [...new Set(typoWords.map((word) => escapeRegex(word.slice(0, 2))))];
+    const wordStart = new RegExp(`(^|[\\s.@_-])(${starts.join("|")})`, "i");
+    const candidates = await Entry.find(scoped({ $or: NAME_FIELDS.map((field) => ({ [field]: wordStart })) }))
+      .select(select)
+      .populate(populate)
+      .limit(candidateLimit)
+      .lean();
+    candidates.forEach((entry) => {
+      const matches = fuzzyMatches(entry, typoWords);
+      if (matches.length === 0) return;
+      const best = Math.min(...matches.map((match) => match.distance));
+      found.push({ entry, score: 5 / best, matchedBy: "fuzzy", fuzzyWords: matches.map((match) => match.word) });
+    });
+  }
+
+  // Merge candidates of the same entry, adding up the scores of every strategy that found it
+  const merged = new Map();
+  found.forEach(({ entry, score, matchedBy, fuzzyWords = [] }) => {
+    const id = entry._id.toString();
+    const current = merged.get(id);
+    if (current) {
+      current.score += score;
+      if (!current.matchedBy.includes(matchedBy)) current.matchedBy.push(matchedBy);
+      current.terms.push(...fuzzyWords);
+    } else {
+      const { score: _textScore, ...data } = entry;
+      merged.set(id, { entry: data, score, matchedBy: [matchedBy], terms: [...fuzzyWords] });
+    }
+  });
+
+  const ranked = [...merged.values()].sort(
+    (a, b) => b.score - a.score || new Date(b.entry.createdAt) - new Date(a.entry.createdAt)
+  );
+
+  const results = ranked.slice((page - 1) * limit, page * limit).map(({ entry, score, matchedBy, terms }) => {
+    const highlightTerms = [...new Set([...words, ...(digits.length >= 4 ? [digits.slice(-10)] : []), ...terms])];
+    const highlights = {};
+    SEARCH_FIELDS.forEach((field) => {
+      const value = highlight(entry[field], highlightTerms);
+      if (value) highlights[field] = value;
+    });
+    return { ...entry, score: Math.round(score * 100) / 100, matchedBy, highlights };
+  });
+
+  return { results, hasMore: ranked.length > page * limit && page * limit < MAX_SEARCH_RESULTS };
+};
+
+/**
+ * Replace an outdated text index (only one text index is allowed per collection)
+ * @returns {Promise<void>}
+ */
+const ensureSearchIndex = async () => {
+  try {
+    const indexes = await Entry.collection.indexes();
+    const outdated = indexes.filter((index) => index.textIndexVersion && index.name !== SEARCH_INDEX_NAME);
+    for (const index of outdated) {
+      await Entry.collection.dropIndex(index.name);
+      console.log(`🔎 Dropped outdated text index ${index.name}`);
+    }
+    if (outdated.length > 0 || !indexes.some((index) => index.name === SEARCH_INDEX_NAME)) {
+      await Entry.createIndexes();
+    }
+  } catch (error) {
+    console.error("Failed to update the search index:", error.message);
+  }
+};
+
+module.exports = {
+  searchEntries,
+  ensureSearchIndex,
+};
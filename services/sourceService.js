@@ -0,0 +1,213 @@
+const Entry = require("../Schema/DataModel");
+const CallLog = require("../Schema/CallLogModel");
+const EntryAudit = require("../Schema/EntryAuditModel");
+const LeadForm = require("../Schema/LeadFormModel");
+const { wonRevenueExpression } = require("./forecastService");
+
+/**
+ * Lead Source Service
+ * Attribution of leads to the channel, campaign, virtual number and UTM parameters they came in through,
+ * and the source performance report (leads, connected calls, won deals and revenue per source)
+ */
+
+const SOURCE_CHANNELS = ["manual", "inbound_call", "import", "web_form"];
+
+const SOURCE_GROUPS = ["channel", "campaign", "utm_source", "utm_medium", "virtual_number", "form"];
+
+// Call statuses that count as a conversation with the lead
+const CONNECTED_STATUSES = ["answered", "completed"];
+
+// Audit sources of the create record -> channel (used to attribute entries created before sources were tracked)
+const AUDIT_CHANNELS = {
+  manual: "manual",
+  bulk_upload: "import",
+  import: "import",
+  webhook: "inbound_call",
+  web_form: "web_form",
+};
+
+const text = (value) => (value === undefined || value === null ? "" : String(value).trim());
+
+/**
+ * Build the source of a new entry
+ * @param {string} channel - One of SOURCE_CHANNELS
+ * @param {Object} [details] - { campaign, virtualNumber, leadForm, utm, referrer }
+ * @returns {Object} - Entry.source
+ */
+const buildSource = (channel, { campaign, virtualNumber, leadForm, utm = {}, referrer } = {}) => ({
+  channel,
+  // Web leads fall back to their UTM campaign
+  campaign: text(campaign) || text(utm.campaign),
+  virtualNumber: text(virtualNumber),
+  leadForm: leadForm || null,
+  utm: {
+    source: text(utm.source),
+    medium: text(utm.medium),
+    campaign: text(utm.campaign),
+    term: text(utm.term),
+    content: text(utm.content),
+  },
+  referrer: text(referrer),
+});
+
+/**
+ * Group key expression of a source grouping
+ */
+const groupKey = (groupBy) => {
+  switch (groupBy) {
+    case "campaign":
+      return { $ifNull: ["$source.campaign", ""] };
+    case "utm_source":
+      return { $ifNull: ["$source.utm.source", ""] };
+    case "utm_medium":
+      return { $ifNull: ["$source.utm.medium", ""] };
+    case "virtual_number":
+      return { $ifNull: ["$source.virtualNumber", ""] };
+    case "form":
+      return { $ifNull: ["$source.leadForm", null] };
+    default:
+      return { $ifNull: ["$source.channel", null] };
+  }
+};
+
+/**
+ * Build the source performance report
+ * @param {Object} filter - Entry filter from buildFilter (RBAC + listing filters)
+ * @param {Object} options - { groupBy, from, to } - from/to limit the creation date of the leads
+ * @returns {Promise<{ groupBy, totals, groups }>}
+ */
+const buildSourceReport = async (filter, { groupBy = "channel", from, to } = {}) => {
+  const period = {};
+  if (from) period.$gte = from;
+  if (to) period.$lte = to;
+  const hasPeriod = Object.keys(period).length > 0;
+
+  const rows = await Entry.aggregate([
+    { $match: hasPeriod ? { $and: [filter, { createdAt: period }] } : filter },
+    {
+      $lookup: {
+        from: CallLog.collection.name,
+        let: { leadId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$leadId", "$$leadId"] }, callStatus: { $in: CONNECTED_STATUSES } } },
+          { $count: "count" },
+        ],
+        as: "connected",
+      },
+    },
+    {
+      $addFields: {
+        connectedCalls: { $ifNull: [{ $arrayElemAt: ["$connected.count", 0] }, 0] },
+        isWon: { $eq: ["$closetype", "Closed Won"] },
+      },
+    },
+    {
+      $group: {
+        _id: groupKey(groupBy),
+        leads: { $sum: 1 },
+        connectedCalls: { $sum: "$connectedCalls" },
+        connectedLeads: { $sum: { $cond: [{ $gt: ["$connectedCalls", 0] }, 1, 0] } },
+        wonCount: { $sum: { $cond: ["$isWon", 1, 0] } },
+        revenue: { $sum: { $cond: ["$isWon", wonRevenueExpression(), 0] } },
+      },
+    },
+  ]);
+
+  // Form groups are labelled with the form name
+  let formNames = new Map();
+  if (groupBy === "form") {
+    const forms = await LeadForm.find({ _id: { $in: rows.map((row) => row._id).filter(Boolean) } }).select("name").lean();
+    formNames = new Map(forms.map((form) => [form._id.toString(), form.name]));
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const rate = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+  const withRates = (group) => ({
+    ...group,
+    revenue: round(group.revenue),
+    connectRate: rate(group.connectedLeads, group.leads),
+    conversionRate: rate(group.wonCount, group.leads),
+    revenuePerLead: group.leads > 0 ? round(group.revenue / group.leads) : 0,
+  });
+
+  const groups = rows
+    .map(({ _id, ...metrics }) => {
+      const key = _id === null || _id === undefined || _id === "" ? null : _id.toString();
+      return withRates({
+        key,
+        label: groupBy === "form" ? formNames.get(key) || (key ? "Deleted form" : "Not from a form") : key || "Unattributed",
+        ...metrics,
+      });
+    })
+    .sort((a, b) => b.revenue - a.revenue || b.leads - a.leads);
+
+  const totals = withRates(
+    groups.reduce(
+      (sum, group) => ({
+        leads: sum.leads + group.leads,
+        connectedCalls: sum.connectedCalls + group.connectedCalls,
+        connectedLeads: sum.connectedLeads + group.connectedLeads,
+        wonCount: sum.wonCount + group.wonCount,
+        revenue: sum.revenue + group.revenue,
+      }),
+      { leads: 0, connectedCalls: 0, connectedLeads: 0, wonCount: 0, revenue: 0 }
+    )
+  );
+
+  return { groupBy, totals, groups };
+};
+
+/**
+ * Attribute entries created before sources were tracked
+ * The channel comes from the entry's create audit record; inbound callers without one are recognised
+ * by their "Incoming Call" category, everything else counts as manual. Inbound leads also get the
+ * virtual number of their first inbound call
+ * @returns {Promise<{ updated: number, byChannel: Object }>}
+ */
+const backfillEntrySources = async () => {
+  const entries = await Entry.find({ "source.channel": { $exists: false } })
+    .select("_id category")
+    .setOptions({ withDeleted: true })
+    .lean();
+  if (entries.length === 0) return { updated: 0, byChannel: {} };
+
+  const ids = entries.map((entry) => entry._id);
+  const [audits, calls] = await Promise.all([
+    EntryAudit.find({ entryId: { $in: ids }, action: "create" }).select("entryId source").lean(),
+    CallLog.aggregate([
+      { $match: { leadId: { $in: ids }, callDirection: "inbound", virtualNumber: { $nin: [null, ""] } } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: "$leadId", virtualNumber: { $first: "$virtualNumber" } } },
+    ]),
+  ]);
+  const auditSources = new Map(audits.map((audit) => [audit.entryId.toString(), audit.source]));
+  const virtualNumbers = new Map(calls.map((call) => [call._id.toString(), call.virtualNumber]));
+
+  const byChannel = {};
+  const operations = entries.map((entry) => {
+    const id = entry._id.toString();
+    const channel =
+      AUDIT_CHANNELS[auditSources.get(id)] || (entry.category === "Incoming Call" ? "inbound_call" : "manual");
+    byChannel[channel] = (byChannel[channel] || 0) + 1;
+    return {
+      updateOne: {
+        filter: { _id: entry._id },
+        update: {
+          $set: {
+            source: buildSource(channel, { virtualNumber: channel === "inbound_call" ? virtualNumbers.get(id) : "" }),
+          },
+        },
+      },
+    };
+  });
+  await Entry.bulkWrite(operations, { ordered: false });
+
+  return { updated: operations.length, byChannel };
+};
+
+module.exports = {
+  SOURCE_GROUPS,
+  buildSource,
+  buildSourceReport,
+  backfillEntrySources,
+};
@@ -0,0 +1,213 @@
+const mongoose = require("mongoose");
+const Entry = require("../Schema/DataModel");
+const CallLog = require("../Schema/CallLogModel");
+const User = require("../Schema/Model");
+const SalesTarget = require("../Schema/SalesTargetModel");
+const { getStageNames, isClosingStage } = require("./pipelineService");
+const { closedAtExpression, wonRevenueExpression } = require("./forecastService");
+
+/**
+ * Sales Target Service
+ * Target periods, progress of each metric per user and the leaderboard
+ * Calls come from CallLog, leads and won deals from entries (a deal counts for its owner on the day it was closed,
+ * with its sales order total when an order was raised)
+ */
+
+const TARGET_METRICS = ["calls_made", "talk_time", "leads_created", "deals_won", "revenue"];
+
+// Call statuses that mean someone picked up (same as the call summary)
+const ANSWERED_STATUSES = ["answered", "completed"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out the start and end of a target period
+ * @param {string} periodType - week, month, quarter or custom
+ * @param {*} periodStart - Any day of the period (the first day for week and custom)
+ * @param {*} periodEnd - Last day (custom periods only)
+ * @returns {{ periodStart: Date, periodEnd: Date, error: string|null }}
+ */
+const resolvePeriod = (periodType, periodStart, periodEnd) => {
+  const start = new Date(periodStart);
+  if (!periodStart || isNaN(start.getTime())) {
+    return { periodStart: null, periodEnd: null, error: "periodStart must be a valid date" };
+  }
+  start.setHours(0, 0, 0, 0);
+
+  let end;
+  switch (periodType) {
+    case "week":
+      end = new Date(start.getTime() + 7 * DAY_MS - 1);
+      break;
+    case "quarter":
+      start.setMonth(Math.floor(start.getMonth() / 3) * 3, 1);
+      end = new Date(start.getFullYear(), start.getMonth() + 3, 1);
+      end.setMilliseconds(-1);
+      break;
+    case "custom":
+      end = new Date(periodEnd);
+      if (!periodEnd || isNaN(end.getTime())) {
+        return { periodStart: null, periodEnd: null, error: "periodEnd must be a valid date for custom periods" };
+      }
+      end.setHours(23, 59, 59, 999);
+      if (end < start) {
+        return { periodStart: null, periodEnd: null, error: "periodEnd cannot be before periodStart" };
+      }
+      break;
+    default:
+      start.setDate(1);
+      end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+      end.setMilliseconds(-1);
+  }
+  return { periodStart: start, periodEnd: end, error: null };
+};
+
+/**
+ * Value of a metric per user over a date range
+ * @param {string} metric - One of TARGET_METRICS
+ * @param {Array} userIds - Users to measure
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Map<string, number>>} - userId -> value (talk time in minutes)
+ */
+const getMetricValues = async (metric, userIds, start, end) => {
+  const ids = userIds.map((id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id))));
+  const range = { $gte: start, $lte: end };
+  let rows = [];
+
+  if (metric === "calls_made") {
+    rows = await CallLog.aggregate([
+      { $match: { userId: { $in: ids }, callDirection: "outbound", createdAt: range } },
+      { $group: { _id: "$userId", value: { $sum: 1 } } },
+    ]);
+  } else if (metric === "talk_time") {
+    rows = await CallLog.aggregate([
+      { $match: { userId: { $in: ids }, callStatus: { $in: ANSWERED_STATUSES }, createdAt: range } },
+      { $group: { _id: "$userId", value: { $sum: "$duration" } } },
+    ]);
+    rows.forEach((row) => {
+      row.value = Math.round((row.value / 60) * 10) / 10;
+    });
+  } else if (metric === "leads_created") {
+    rows = await Entry.aggregate([
+      { $match: { createdBy: { $in: ids }, createdAt: range } },
+      { $group: { _id: "$createdBy", value: { $sum: 1 } } },
+    ]);
+  } else {
+    // Won deals count for the current owner (legacy entries without an owner: the creator)
+    const closingStages = await getStageNames(isClosingStage);
+    rows = await Entry.aggregate([
+      {
+        $match: {
+          closetype: "Closed Won",
+          $or: [{ assignedTo: { $in: ids } }, { assignedTo: null, createdBy: { $in: ids } }],
+        },
+      },
+      { $addFields: { closedAt: closedAtExpression(closingStages), owner: { $ifNull: ["$assignedTo", "$createdBy"] } } },
+      { $match: { closedAt: range } },
+      {
+        $group: {
+          _id: "$owner",
+          value: metric === "revenue" ? { $sum: wonRevenueExpression() } : { $sum: 1 },
+        },
+      },
+    ]);
+  }
+
+  return new Map(rows.map((row) => [row._id.toString(), row.value]));
+};
+
+/**
+ * Progress of a target
+ * @param {Object} target - Lean target with populated users
+ * @param {Object} options - { onlyUserId: limit the per-user breakdown to one user }
+ * @returns {Promise<Object>} - Target with achieved, attainment (%) and per-user values
+ */
+const computeTargetProgress = async (target, { onlyUserId } = {}) => {
+  const values = await getMetricValues(
+    target.metric,
+    target.users.map((user) => user._id || user),
+    target.periodStart,
+    target.periodEnd
+  );
+  const achieved = [...values.values()].reduce((sum, value) => sum + value, 0);
+
+  const now = Date.now();
+  const start = new Date(target.periodStart).getTime();
+  const end = new Date(target.periodEnd).getTime();
+  const elapsed = Math.min(1, Math.max(0, (now - start) / (end - start)));
+
+  const users = target.users
+    .filter((user) => !onlyUserId || (user._id || user).toString() === onlyUserId)
+    .map((user) => {
+      const id = (user._id || user).toString();
+      return { userId: id, username: user.username || null, achieved: values.get(id) || 0 };
+    });
+
+  return {
+    ...target,
+    achieved: Math.round(achieved * 100) / 100,
+    attainment: Math.round((achieved / target.target) * 1000) / 10,
+    // Share of the target that should be reached by now at an even pace
+    expectedByNow: Math.round(target.target * elapsed * 100) / 100,
+    periodElapsed: Math.round(elapsed * 1000) / 10,
+    users,
+  };
+};
+
+/**
+ * Rank users by a metric over a date range
+ * @param {string} metric - One of TARGET_METRICS
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {string[]|null} userIds - Users to rank (null = everyone)
+ * @returns {Promise<Object[]>} - { rank, userId, username, value, target, attainment }
+ */
+const buildLeaderboard = async (metric, start, end, userIds = null) => {
+  const users = await User.find(userIds ? { _id: { $in: userIds } } : {}).select("username").lean();
+  const values = await getMetricValues(metric, users.map((user) => user._id), start, end);
+
+  // Personal targets of the same metric covering the whole range
+  const targets = await SalesTarget.find({
+    scope: "user",
+    metric,
+    users: { $in: users.map((user) => user._id) },
+    periodStart: { $lte: start },
+    periodEnd: { $gte: end },
+  })
+    .sort({ periodEnd: 1 })
+    .lean();
+  const targetByUser = new Map();
+  targets.forEach((target) => {
+    const id = target.users[0].toString();
+    if (!targetByUser.has(id)) targetByUser.set(id, target.target);
+  });
+
+  const rows = users
+    .map((user) => {
+      const id = user._id.toString();
+      const value = values.get(id) || 0;
+      const target = targetByUser.get(id) || null;
+      return {
+        userId: id,
+        username: user.username,
+        value,
+        target,
+        attainment: target ? Math.round((value / target) * 1000) / 10 : null,
+      };
+    })
+    .sort((a, b) => b.value - a.value || a.username.localeCompare(b.username));
+
+  // Equal values share a rank
+  rows.forEach((row, index) => {
+    row.rank = index > 0 && rows[index - 1].value === row.value ? rows[index - 1].rank : index + 1;
+  });
+  return rows;
+};
+
+module.exports = {
+  TARGET_METRICS,
+  resolvePeriod,
+  computeTargetProgress,
+  buildLeaderboard,
+};
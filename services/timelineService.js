@@ -0,0 +1,285 @@
+const CallLog = require("../Schema/CallLogModel");
+const ScheduledCall = require("../Schema/ScheduledCallModel");
+const EmailLog = require("../Schema/EmailLogModel");
+const Quotation = require("../Schema/QuotationModel");
+const SalesOrder = require("../Schema/SalesOrderModel");
+const EntryNote = require("../Schema/EntryNoteModel");
+const EntryAttachment = require("../Schema/EntryAttachmentModel");
+
+/**
+ * Lead Timeline Service
+ * Merges status history, calls, follow-ups, emails, notes, attachments, quotations and sales orders of one lead
+ * into a single chronological feed
+ */
+
+const TIMELINE_TYPES = ["status", "call", "follow_up", "email", "note", "attachment", "quotation", "order"];
+
+/**
+ * Status changes from Entry.history
+ */
+const statusEvents = (entry) =>
+  (entry.history || []).map((item) => ({
+    type: "status",
+    timestamp: item.timestamp,
+    title: `Status changed to ${item.status || "Not Found"}`,
+    description: item.remarks || "",
+    data: { status: item.status, remarks: item.remarks },
+  }));
+
+/**
+ * Call events with a link to the recording stream when one exists
+ */
+const callEvent = (call) => ({
+  type: "call",
+  timestamp: call.startTime || call.createdAt,
+  title: `${call.callDirection === "inbound" ? "Inbound" : "Outbound"} call - ${call.callStatus}`,
+  description: call.remarks || call.disposition || "",
+  user: call.userId || null,
+  data: {
+    callLogId: call._id,
+    callStatus: call.callStatus,
+    callDirection: call.callDirection,
+    duration: call.duration || 0,
+    disposition: call.disposition,
+    recordingUrl: call.recordingUrl ? `/api/recordings/${call._id}/stream` : null,
+  },
+});
+
+/**
+ * Follow-ups appear when they were done (completed) or when they are due (everything else)
+ */
+const followUpEvent = (call) => ({
+  type: "follow_up",
+  timestamp: call.status === "completed" && call.completedAt ? call.completedAt : call.scheduledTime,
+  title: `Follow-up ${call.status === "completed" ? "completed" : call.status === "pending" ? "scheduled" : call.status}`,
+  description: call.status === "completed" ? call.completionNotes || call.notes || "" : call.notes || "",
+  user: call.userId || null,
+  data: {
+    scheduledCallId: call._id,
+    status: call.status,
+    purpose: call.purpose,
+    priority: call.priority,
+    scheduledTime: call.scheduledTime,
+    completedAt: call.completedAt,
+    outcome: call.outcome,
+  },
+});
+
+const emailEvent = (email) => ({
+  type: email.type === "quotation" ? "quotation" : "email",
+  timestamp: email.createdAt,
+  title: email.status === "failed" ? `Email failed: ${email.subject}` : `Email sent: ${email.subject}`,
+  description: !(email.type === "quotation" && email.details)
+    ? ""
+    : email.details.quotationNumber
+      ? `${email.details.quotationNumber} revision ${email.details.version} (PDF attached)`
+      : `${email.details.productType} x ${email.details.quantity}`,
+  user: email.sentBy || null,
+  data: {
+    emailLogId: email._id,
+    to: email.to,
+    status: email.status,
+    details: email.details,
+  },
+});
+
+/**
+ * A note written on the lead
+ */
+const noteEvent = (note) => ({
+  type: "note",
+  timestamp: note.createdAt,
+  title: note.isPinned ? "Pinned note" : "Note added",
+  description: note.body,
+  user: note.createdBy || null,
+  data: {
+    noteId: note._id,
+    isPinned: note.isPinned,
+    editedAt: note.editedAt,
+  },
+});
+
+/**
+ * A file attached to the lead
+ */
+const attachmentEvent = (attachment) => ({
+  type: "attachment",
+  timestamp: attachment.createdAt,
+  title: `File attached: ${attachment.fileName}`,
+  description: attachment.description || "",
+  user: attachment.uploadedBy || null,
+  data: {
+    attachmentId: attachment._id,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    fileSize: attachment.fileSize,
+  },
+});
+
+/**
+ * What happened to a quotation in one status history item
+ */
+const quotationAction = (item, index) => {
+  if (item.decision) return `approval ${item.decision}`;
+  if (index === 0 && item.status === "draft") return "created";
+  if (item.status === "pending_approval") return "submitted for approval";
+  if (item.status === "draft") return "reopened";
+  return item.status;
+};
+
+/**
+ * One event per quotation status change (created, submitted for approval, approved, sent, accepted, ...)
+ */
+const quotationEvents = (quotation) =>
+  (quotation.statusHistory || []).map((item, index) => ({
+    type: "quotation",
+    timestamp: item.changedAt,
+    title: `Quotation ${quotation.quotationNumber} ${quotationAction(item, index)}`,
+    description: item.remarks || `Total ₹${(quotation.grandTotal || 0).toLocaleString("en-IN")}`,
+    user: item.changedBy || null,
+    data: {
+      quotationId: quotation._id,
+      quotationNumber: quotation.quotationNumber,
+      status: item.status,
+      decision: item.decision || null,
+      grandTotal: quotation.grandTotal,
+    },
+  }));
+
+/**
+ * One event per sales order status change (confirmed, dispatched, delivered, paid, cancelled)
+ */
+const orderEvents = (order) =>
+  (order.statusHistory || []).map((item) => ({
+    type: "order",
+    timestamp: item.changedAt,
+    title: `Order ${order.orderNumber} ${item.status}`,
+    description: item.remarks || `Total ₹${(order.grandTotal || 0).toLocaleString("en-IN")}`,
+    user: item.changedBy || null,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: item.status,
+      grandTotal: order.grandTotal,
+    },
+  }));
+
+/**
+ * Build one page of a lead's timeline (newest first)
+ * Each source is read up to the end of the requested page, so deep pages stay correct without loading everything
+ * @param {Object} entry - Lean entry (with history)
+ * @param {Object} options - { types, page, limit }
+ * @returns {Promise<{ events: Object[], total: number }>}
+ */
+const buildTimeline = async (entry, { types = TIMELINE_TYPES, page = 1, limit = 20 }) => {
+  const windowSize = page * limit;
+  const wants = (type) => types.includes(type);
+  const emailTypes = [...(wants("email") ? ["welcome"] : []), ...(wants("quotation") ? ["quotation"] : [])];
+
+  const [
+    calls,
+    callCount,
+    followUps,
+    followUpCount,
+    emails,
+    emailCount,
+    notes,
+    noteCount,
+    attachments,
+    attachmentCount,
+    quotations,
+    orders,
+  ] = await Promise.all([
+    wants("call")
+      ? CallLog.find({ leadId: entry._id })
+          .select("callStatus callDirection startTime createdAt duration disposition remarks recordingUrl userId")
+          .populate("userId", "username _id")
+          .sort({ createdAt: -1 })
+          .limit(windowSize)
+          .lean()
+      : [],
+    wants("call") ? CallLog.countDocuments({ leadId: entry._id }) : 0,
+    wants("follow_up")
+      ? ScheduledCall.find({ leadId: entry._id })
+          .populate("userId", "username _id")
+          .sort({ scheduledTime: -1 })
+          .limit(windowSize)
+          .lean()
+      : [],
+    wants("follow_up") ? ScheduledCall.countDocuments({ leadId: entry._id }) : 0,
+    emailTypes.length > 0
+      ? EmailLog.find({ entryId: entry._id, type: { $in: emailTypes } })
+          .select("-body")
+          .populate("sentBy", "username _id")
+          .sort({ createdAt: -1 })
+          .limit(windowSize)
+          .lean()
+      : [],
+    emailTypes.length > 0 ? EmailLog.countDocuments({ entryId: entry._id, type: { $in: emailTypes } }) : 0,
+    wants("note")
+      ? EntryNote.find({ entry: entry._id })
+          .populate("createdBy", "username _id")
+          .sort({ createdAt: -1 })
+          .limit(windowSize)
+          .lean()
+      : [],
+    wants("note") ? EntryNote.countDocuments({ entry: entry._id }) : 0,
+    wants("attachment")
+      ? EntryAttachment.find({ entry: entry._id })
+          .select("-storedPath")
+          .populate("uploadedBy", "username _id")
+          .sort({ createdAt: -1 })
+          .limit(windowSize)
+          .lean()
+      : [],
+    wants("attachment") ? EntryAttachment.countDocuments({ entry: entry._id }) : 0,
+    // A lead has few quotations and orders, so their history is expanded in full
+    wants("quotation")
+      ? Quotation.find({ entry: entry._id })
+          .select("quotationNumber grandTotal statusHistory")
+          .populate("statusHistory.changedBy", "username _id")
+          .lean()
+      : [],
+    wants("order")
+      ? SalesOrder.find({ entry: entry._id })
+          .select("orderNumber grandTotal statusHistory")
+          .populate("statusHistory.changedBy", "username _id")
+          .lean()
+      : [],
+  ]);
+
+  const statuses = wants("status") ? statusEvents(entry) : [];
+  const quotationHistory = quotations.flatMap(quotationEvents);
+  const orderHistory = orders.flatMap(orderEvents);
+
+  const events = [
+    ...statuses,
+    ...calls.map(callEvent),
+    ...followUps.map(followUpEvent),
+    ...emails.map(emailEvent),
+    ...notes.map(noteEvent),
+    ...attachments.map(attachmentEvent),
+    ...quotationHistory,
+    ...orderHistory,
+  ]
+    .filter((event) => event.timestamp)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return {
+    events: events.slice((page - 1) * limit, windowSize),
+    total:
+      statuses.length +
+      callCount +
+      followUpCount +
+      emailCount +
+      noteCount +
+      attachmentCount +
+      quotationHistory.length +
+      orderHistory.length,
+  };
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  buildTimeline,
+};
@@ -0,0 +1,184 @@
+const Entry = require("../Schema/DataModel");
+const CallLog = require("../Schema/CallLogModel");
+const ScheduledCall = require("../Schema/ScheduledCallModel");
+const Recording = require("../Schema/RecordingModel");
+const AssignmentLog = require("../Schema/AssignmentLogModel");
+const EntryAudit = require("../Schema/EntryAuditModel");
+const EmailLog = require("../Schema/EmailLogModel");
+const EntryNote = require("../Schema/EntryNoteModel");
+const EntryAttachment = require("../Schema/EntryAttachmentModel");
+const Quotation = require("../Schema/QuotationModel");
+const SalesOrder = require("../Schema/SalesOrderModel");
+const { removeUpload } = require("../utils/storage");
+const { recordAudits } = require("./auditService");
+
+/**
+ * Trash Service
+ * Soft delete, restore and permanent purge of entries
+ * Trashed entries are purged automatically after TRASH_RETENTION_DAYS (default 30, 0 = keep forever)
+ */
+
+// How often the retention purge runs
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Audit records kept after a purge so the trail shows who deleted the entry and when it was removed
+const KEPT_AUDIT_ACTIONS = ["delete", "restore", "purge"];
+
+// Quotations in these statuses are commercial records; their entries stay in the trash instead of being purged
+const KEPT_QUOTATION_STATUSES = ["pending_approval", "approved", "sent", "accepted"];
+
+/**
+ * Get the configured retention period in days
+ * @returns {number}
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(days) || days < 0 ? 30 : days;
+};
+
+/**
+ * Move entries to the trash and cancel their open scheduled calls
+ * @param {string[]} entryIds - Entries to trash
+ * @param {string} userId - User deleting them
+ * @returns {Promise<number>} - Number of entries trashed
+ */
+const trashEntries = async (entryIds, userId) => {
+  const trashed = await Entry.find({ _id: { $in: entryIds }, deletedAt: null }).distinct("_id");
+  const result = await Entry.updateMany(
+    { _id: { $in: trashed }, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: userId } }
+  );
+
+  await ScheduledCall.updateMany(
+    { leadId: { $in: entryIds }, status: "pending" },
+    { $set: { status: "cancelled", cancelledByTrash: true } }
+  );
+
+  await recordAudits(
+    trashed.map((entryId) => ({ entryId, action: "delete", source: "manual", changedBy: userId, changes: [] }))
+  );
+
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Restore trashed entries and re-open the scheduled calls cancelled by the trash
+ * @param {string[]} entryIds - Entries to restore
+ * @param {string} userId - User restoring them
+ * @returns {Promise<number>} - Number of entries restored
+ */
+const restoreEntries = async (entryIds, userId) => {
+  const restored = await Entry.find({ _id: { $in: entryIds }, deletedAt: { $ne: null } }).distinct("_id");
+  const result = await Entry.updateMany(
+    { _id: { $in: restored }, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null }, $unset: { deletedBy: "" } }
+  );
+
+  await ScheduledCall.updateMany(
+    { leadId: { $in: entryIds }, status: "cancelled", cancelledByTrash: true },
+    { $set: { status: "pending", cancelledByTrash: false } }
+  );
+
+  await recordAudits(
+    restored.map((entryId) => ({ entryId, action: "restore", source: "manual", changedBy: userId, changes: [] }))
+  );
+
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Permanently delete trashed entries together with everything that references them
+ * Their audit trail is reduced to the delete, restore and purge records. Entries with sales orders that
+ * aren't cancelled or with sent/accepted quotations are kept in the trash; quotations and orders are never deleted
+ * @param {string[]} entryIds - Trashed entries to purge
+ * @param {string} [userId] - User purging them (empty for the retention job)
+ * @returns {Promise<{ purged: number, kept: string[] }>} - Number of entries purged and the ids kept for their sales records
+ */
+const purgeEntries = async (entryIds, userId = null) => {
+  // Only entries that are actually in the trash can be purged
+  const inTrash = await Entry.find({ _id: { $in: entryIds }, deletedAt: { $ne: null } }).distinct("_id");
+  if (inTrash.length === 0) return { purged: 0, kept: [] };
+
+  const [orderEntries, quotationEntries] = await Promise.all([
+    SalesOrder.find({ entry: { $in: inTrash }, status: { $ne: "cancelled" } }).distinct("entry"),
+    Quotation.find({ entry: { $in: inTrash }, status: { $in: KEPT_QUOTATION_STATUSES } }).distinct("entry"),
+  ]);
+  const kept = [...new Set([...orderEntries, ...quotationEntries].map((id) => id.toString()))];
+  const trashed = inTrash.filter((id) => !kept.includes(id.toString()));
+  if (trashed.length === 0) return { purged: 0, kept };
+
+  const callLogIds = await CallLog.find({ leadId: { $in: trashed } }).distinct("_id");
+  const attachmentPaths = await EntryAttachment.find({ entry: { $in: trashed } }).distinct("storedPath");
+  await Promise.all([
+    Recording.deleteMany({ callLogId: { $in: callLogIds } }),
+    CallLog.deleteMany({ leadId: { $in: trashed } }),
+    ScheduledCall.deleteMany({ leadId: { $in: trashed } }),
+    AssignmentLog.deleteMany({ leadId: { $in: trashed } }),
+    EntryAudit.deleteMany({ entryId: { $in: trashed }, action: { $nin: KEPT_AUDIT_ACTIONS } }),
+    EmailLog.deleteMany({ entryId: { $in: trashed } }),
+    EntryNote.deleteMany({ entry: { $in: trashed } }),
+    EntryAttachment.deleteMany({ entry: { $in: trashed } }),
+  ]);
+  for (const storedPath of attachmentPaths) {
+    await removeUpload(storedPath);
+  }
+
+  const purgedEntries = await Entry.find({ _id: { $in: trashed }, deletedAt: { $ne: null } })
+    .select("customerName mobileNumber email deletedAt deletedBy")
+    .lean();
+  const result = await Entry.deleteMany({ _id: { $in: trashed }, deletedAt: { $ne: null } });
+
+  await recordAudits(
+    purgedEntries.map(({ _id, ...snapshot }) => ({
+      entryId: _id,
+      action: "purge",
+      source: userId ? "manual" : "system",
+      changedBy: userId,
+      changes: [],
+      meta: snapshot,
+    }))
+  );
+
+  return { purged: result.deletedCount || 0, kept };
+};
+
+/**
+ * Purge entries that have been in the trash longer than the retention period
+ * @returns {Promise<number>} - Number of entries purged
+ */
+const purgeExpiredEntries = async () => {
+  const retentionDays = getRetentionDays();
+  if (retentionDays === 0) return 0;
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Entry.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct("_id");
+  if (expired.length === 0) return 0;
+
+  const { purged, kept } = await purgeEntries(expired);
+  console.log(
+    `🗑️ Trash retention: purged ${purged} entries deleted before ${cutoff.toISOString()}` +
+      (kept.length > 0 ? ` (${kept.length} kept for their sales orders or quotations)` : "")
+  );
+  return purged;
+};
+
+/**
+ * Run the retention purge now and then every few hours
+ */
+const startTrashPurgeSchedule = () => {
+  const run = () =>
+    purgeExpiredEntries().catch((error) => {
+      console.error("Trash retention purge failed:", error.message);
+    });
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getRetentionDays,
+  trashEntries,
+  restoreEntries,
+  purgeEntries,
+  startTrashPurgeSchedule,
+};
@@ -0,0 +1,89 @@
+/**
+ * Lead Access Helpers
+ * Ownership rules for Entry records: the assigned owner (assignedTo) controls access,
+ * falling back to the creator for leads that were never assigned
+ */
+const mongoose = require("mongoose");
+
+/**
+ * Normalize a role string ("admin" -> "Admin")
+ * @param {string} role - Role from the JWT payload
+ * @returns {string} - Normalized role
+ */
+const normalizeRole = (role) =>
+  role ? role.charAt(0).toUpperCase() + role.slice(1).toLowerCase() : "Others";
+
+/**
+ * Check if a user has Admin or Superadmin privileges
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const isAdminUser = (user) => {
+  const role = normalizeRole(user && user.role);
+  return role === "Admin" || role === "Superadmin";
+};
+
+/**
+ * Convert a populated reference or ObjectId to a string id
+ * @param {Object|string|null} ref - ObjectId, populated document or string
+ * @returns {string|null}
+ */
+const refToId = (ref) => {
+  if (!ref) return null;
+  if (ref._id) return ref._id.toString();
+  return ref.toString();
+};
+
+/**
+ * Get the current owner of an entry
+ * @param {Object} entry - Entry document or lean object
+ * @returns {string|null} - Owner user id
+ */
+const getEntryOwnerId = (entry) => refToId(entry.assignedTo) || refToId(entry.createdBy);
+
+/**
+ * Check if a user may read or modify an entry
+ * @param {Object} entry - Entry document or lean object
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const canAccessEntry = (entry, user) => {
+  if (isAdminUser(user)) return true;
+  return getEntryOwnerId(entry) === user.id;
+};
+
+/**
+ * Build the Mongo condition selecting entries owned by a user
+ * Unassigned legacy entries stay visible to their creator
+ * @param {string} userId - Owner user id
+ * @returns {Object} - Mongo condition
+ */
+const buildOwnershipCondition = (userId) => {
+  const ownerId = mongoose.Types.ObjectId.createFromHexString(String(userId));
+  return {
+    $or: [
+      { assignedTo: ownerId },
+      { assignedTo: null, createdBy: ownerId },
+    ],
+  };
+};
+
+/**
+ * Add a condition to a filter without clobbering an existing $or
+ * @param {Object} filter - Mongo filter (mutated)
+ * @param {Object} condition - Condition to AND in
+ * @returns {Object} - The same filter
+ */
+const addAndCondition = (filter, condition) => {
+  filter.$and = [...(filter.$and || []), condition];
+  return filter;
+};
+
+module.exports = {
+  normalizeRole,
+  isAdminUser,
+  getEntryOwnerId,
+  canAccessEntry,
+  buildOwnershipCondition,
+  addAndCondition,
+};
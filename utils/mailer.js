@@ -14,7 +14,8 @@ const transporter = nodemailer.createTransport({
 });
 
 // Async function to send email with attachment
-async function sendMail(to, subject, text, html) {
+// Extra attachments (e.g. a quotation PDF) are sent along with the logo: [{ filename, content, contentType }]
+async function sendMail(to, subject, text, html, attachments = []) {
   try {
     // Define the image path on the server
     const imagePath = path.join("/www/wwwroot/DMS_Server/Images", "Promark Techsolutions Pvt Ltd.jpeg");
@@ -32,6 +33,7 @@ async function sendMail(to, subject, text, html) {
           path: imagePath,
           cid: "middle-image",
         },
+        ...attachments,
       ],
     });
     console.log(`Email sent successfully to ${to}`);
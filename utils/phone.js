@@ -0,0 +1,21 @@
+/**
+ * Phone Helpers
+ * Shared normalization for phone numbers coming from forms, uploads and webhooks
+ */
+
+/**
+ * Sanitize phone number - extract last 10 digits
+ * @param {string|number} phone - Phone number to sanitize
+ * @returns {string} - Sanitized 10-digit phone number or empty string
+ */
+const sanitizePhone = (phone) => {
+  if (!phone) return "";
+  const digits = String(phone).replace(/\D/g, ""); // Remove all non-digits
+  if (digits.length === 0) return "";
+  if (digits.length >= 10) return digits.slice(-10); // Take last 10 digits
+  return ""; // Invalid if less than 10 digits
+};
+
+module.exports = {
+  sanitizePhone,
+};
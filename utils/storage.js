@@ -0,0 +1,68 @@
+/**
+ * Local File Storage
+ * Stores uploaded files below the Uploads/ directory (override with UPLOAD_DIR)
+ * Paths saved in Mongo are relative to the upload root
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "Uploads"));
+
+/**
+ * Resolve a stored relative path, refusing anything outside the upload root
+ * @param {string} relativePath - Path as saved in Mongo
+ * @returns {string} - Absolute path
+ */
+const resolveUploadPath = (relativePath) => {
+  const absolute = path.resolve(UPLOAD_ROOT, relativePath);
+  if (!absolute.startsWith(UPLOAD_ROOT + path.sep)) {
+    throw new Error("Invalid file path");
+  }
+  return absolute;
+};
+
+/**
+ * Save a buffer under a folder of the upload root with a random file name
+ * @param {string} folder - Sub folder (e.g. "imports")
+ * @param {Buffer} buffer - File contents
+ * @param {string} extension - Extension including the dot (e.g. ".xlsx")
+ * @returns {Promise<string>} - Relative path of the stored file
+ */
+const saveUpload = async (folder, buffer, extension = "") => {
+  const fileName = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension.toLowerCase()}`;
+  const relativePath = path.join(folder, fileName);
+  const absolute = resolveUploadPath(relativePath);
+  await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+  await fs.promises.writeFile(absolute, buffer);
+  return relativePath;
+};
+
+/**
+ * Read a stored file
+ * @param {string} relativePath - Path as saved in Mongo
+ * @returns {Promise<Buffer>}
+ */
+const readUpload = (relativePath) => fs.promises.readFile(resolveUploadPath(relativePath));
+
+/**
+ * Remove a stored file, ignoring files that are already gone
+ * @param {string} relativePath - Path as saved in Mongo
+ * @returns {Promise<void>}
+ */
+const removeUpload = async (relativePath) => {
+  if (!relativePath) return;
+  try {
+    await fs.promises.unlink(resolveUploadPath(relativePath));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+module.exports = {
+  UPLOAD_ROOT,
+  resolveUploadPath,
+  saveUpload,
+  readUpload,
+  removeUpload,
+};
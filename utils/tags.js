@@ -0,0 +1,28 @@
+/**
+ * Tag Helpers
+ * Shared normalization for lead tags coming from forms, filters and uploads
+ */
+
+// Longest tag kept (longer tags are cut)
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize tags - trimmed, lowercase, unique, empty values dropped
+ * @param {string|string[]} tags - Array of tags or a comma separated string
+ * @returns {string[]} - Normalized tags
+ */
+const normalizeTags = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  return [
+    ...new Set(
+      list
+        .map((tag) => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean)
+    ),
+  ];
+};
+
+module.exports = {
+  normalizeTags,
+};